@@ -0,0 +1,207 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import {
+  apiOperationFor,
+  apiRequestErrors,
+  apiResponseErrors,
+} from "./api-contract.js";
+import { createJob } from "./api/jobs/createJob.js";
+import { getJob } from "./api/jobs/getJob.js";
+import { listJobs } from "./api/jobs/listJobs.js";
+import { cancelJob } from "./api/jobs/cancelJob.js";
+import { createWebhook } from "./api/webhooks/createWebhook.js";
+import { listWebhooks } from "./api/webhooks/listWebhooks.js";
+
+const STORAGE = "./test-storage-api-contract";
+
+function assertMatchesContract(
+  operationId: string,
+  res: { statusCode: number; body: string }
+) {
+  assert.deepStrictEqual(
+    apiResponseErrors(operationId, res.statusCode, res.body),
+    [],
+    `${operationId} ${res.statusCode} response: ${res.body}`
+  );
+}
+
+describe("job API contract", () => {
+  const originalEnv = process.env.TALKAVOCADO_ENV;
+  const originalStoragePath = process.env.MEDIA_STORAGE_PATH;
+  const originalStartOnCreate = process.env.START_ON_CREATE;
+
+  beforeEach(() => {
+    process.env.TALKAVOCADO_ENV = "test";
+    process.env.MEDIA_STORAGE_PATH = STORAGE;
+    delete process.env.START_ON_CREATE;
+    fs.rmSync(STORAGE, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(STORAGE, { recursive: true, force: true });
+    process.env.TALKAVOCADO_ENV = originalEnv;
+    for (const [name, value] of [
+      ["MEDIA_STORAGE_PATH", originalStoragePath],
+      ["START_ON_CREATE", originalStartOnCreate],
+    ] as const) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  test("createJob lists every offending field in one 400", async () => {
+    const res = await createJob({
+      headers: { "x-correlation-id": "test-corr" },
+      body: JSON.stringify({
+        tenantId: "Bad Tenant",
+        input: { originalFilename: "", bytes: "12", mimeType: "text/plain" },
+        tags: ["ok", ""],
+        priority: "high",
+      }),
+    });
+    assert.strictEqual(res.statusCode, 400);
+    assertMatchesContract("createJob", res);
+
+    const body = JSON.parse(res.body);
+    assert.strictEqual(body.error, "Invalid request");
+    assert.deepStrictEqual(body.errors.map((e: any) => e.field).sort(), [
+      "body.input.bytes",
+      "body.input.mimeType",
+      "body.input.originalFilename",
+      "body.priority",
+      "body.tags.1",
+      "body.tenantId",
+    ]);
+    assert.ok(
+      body.errors.every((e: any) => typeof e.message === "string"),
+      "each error carries a message"
+    );
+
+    const missing = await createJob({ body: JSON.stringify({ input: {} }) });
+    assert.deepStrictEqual(
+      JSON.parse(missing.body).errors.map((e: any) => e.field),
+      [
+        "body.tenantId",
+        "body.input.originalFilename",
+        "body.input.bytes",
+        "body.input.mimeType",
+      ]
+    );
+
+    const malformed = await createJob({ body: "{not json" });
+    assert.deepStrictEqual(JSON.parse(malformed.body).errors, [
+      { field: "body", message: "must be valid JSON" },
+    ]);
+  });
+
+  test("checks path and query parameters, coercing numeric strings", () => {
+    assert.deepStrictEqual(
+      apiRequestErrors("getJob", {
+        pathParameters: { jobId: "not-a-uuid" },
+        queryStringParameters: { tenantId: "" },
+      }).map(e => e.field),
+      ["path.jobId", "query.tenantId"]
+    );
+    assert.deepStrictEqual(
+      apiRequestErrors("listJobs", {
+        queryStringParameters: { tenantId: "acme", limit: "20" },
+      }),
+      []
+    );
+    assert.deepStrictEqual(
+      apiRequestErrors("listJobs", {
+        queryStringParameters: { tenantId: "acme", limit: "0" },
+      }).map(e => e.field),
+      ["query.limit"]
+    );
+    assert.deepStrictEqual(
+      apiRequestErrors("retryJob", {
+        pathParameters: { jobId: "00000000-0000-0000-0000-000000000000" },
+        queryStringParameters: { tenantId: "acme", applyTransitions: "yes" },
+      }),
+      [
+        { field: "query.fromStep", message: "is required" },
+        {
+          field: "query.applyTransitions",
+          message: "must be one of: true, false",
+        },
+      ]
+    );
+    assert.throws(() => apiRequestErrors("deleteJob", {}), /Unknown API/);
+  });
+
+  test("apiOperationFor maps request paths onto documented operations", () => {
+    const cases: [string, string, string | undefined][] = [
+      ["POST", "/jobs", "createJob"],
+      ["GET", "/jobs", "listJobs"],
+      ["POST", "/jobs:batch", "createJobBatch"],
+      ["GET", "/jobs/abc", "getJob"],
+      ["POST", "/jobs/abc/retry", "retryJob"],
+      ["GET", "/jobs/abc/artifacts/renders/2", "getIndexedArtifact"],
+      ["GET", "/webhooks/w1/deliveries", "listWebhookDeliveries"],
+      ["DELETE", "/jobs/abc", undefined],
+      ["GET", "/jobs/abc/unknown", undefined],
+    ];
+    for (const [method, path, expected] of cases) {
+      assert.strictEqual(apiOperationFor(method, path), expected, path);
+    }
+  });
+
+  test("handler responses match the documented schemas", async () => {
+    const tenantId = "contract-tenant";
+    const created = await createJob({
+      headers: { "x-correlation-id": "test-corr" },
+      body: JSON.stringify({
+        tenantId,
+        input: {
+          originalFilename: "talk.mp4",
+          bytes: 1024,
+          mimeType: "video/mp4",
+        },
+        tags: ["conference"],
+      }),
+    });
+    assert.strictEqual(created.statusCode, 201);
+    assertMatchesContract("createJob", created);
+    const { jobId } = JSON.parse(created.body);
+
+    const params = {
+      pathParameters: { jobId },
+      queryStringParameters: { tenantId },
+    };
+    assertMatchesContract("getJob", await getJob(params));
+    assertMatchesContract(
+      "listJobs",
+      await listJobs({ queryStringParameters: { tenantId } })
+    );
+    assertMatchesContract("cancelJob", await cancelJob(params));
+    assertMatchesContract(
+      "getJob",
+      await getJob({ ...params, queryStringParameters: { tenantId: "other" } })
+    );
+
+    const webhook = await createWebhook({
+      queryStringParameters: { tenantId },
+      body: JSON.stringify({ url: "https://93.184.216.34/hooks" }),
+    });
+    assert.strictEqual(webhook.statusCode, 201);
+    assertMatchesContract("createWebhook", webhook);
+    assertMatchesContract(
+      "listWebhooks",
+      await listWebhooks({ queryStringParameters: { tenantId } })
+    );
+
+    // A drifting response is reported field by field
+    assert.deepStrictEqual(
+      apiResponseErrors("cancelJob", 200, { jobId, status: "pending" }).map(
+        e => e.field
+      ),
+      ["body.tenantId", "body.previousStatus", "body.updatedAt", "body.status"]
+    );
+    assert.strictEqual(
+      apiResponseErrors("getJob", 418, {})[0].field,
+      "statusCode"
+    );
+  });
+});
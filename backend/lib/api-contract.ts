@@ -0,0 +1,276 @@
+// backend/lib/api-contract.ts
+import fs from "node:fs";
+import path from "node:path";
+import Ajv, { ErrorObject, ValidateFunction } from "ajv";
+import addFormats from "ajv-formats";
+import { resolveSchemasDir } from "./manifest-schema.js";
+
+const CONTRACT_ID = "job-api";
+
+/**
+ * One offending value in a request or response
+ */
+export interface ApiFieldError {
+  /** e.g. "body.input.bytes", "query.tenantId" or "path.jobId" */
+  field: string;
+  message: string;
+}
+
+interface Operation {
+  method: string;
+  path: string;
+  parameters: any[];
+  requestBody?: any;
+  responses: Record<string, any>;
+}
+
+let contract: any = null;
+let operations: Map<string, Operation> | null = null;
+
+/**
+ * The OpenAPI document at docs/schemas/job-api.openapi.json
+ */
+export function apiContract() {
+  if (!contract) {
+    contract = JSON.parse(
+      fs.readFileSync(
+        path.join(resolveSchemasDir(), "job-api.openapi.json"),
+        "utf-8"
+      )
+    );
+  }
+  return contract;
+}
+
+function resolveRef(node: any) {
+  if (!node?.$ref) return node;
+  return String(node.$ref)
+    .replace(/^#\//, "")
+    .split("/")
+    .reduce((target: any, key) => target?.[key], apiContract());
+}
+
+function allOperations(): Map<string, Operation> {
+  if (!operations) {
+    operations = new Map();
+    for (const [route, item] of Object.entries<any>(apiContract().paths)) {
+      for (const [method, op] of Object.entries<any>(item)) {
+        if (!op?.operationId) continue;
+        operations.set(op.operationId, {
+          method,
+          path: route,
+          parameters: [...(item.parameters ?? []), ...(op.parameters ?? [])],
+          requestBody: op.requestBody,
+          responses: op.responses,
+        });
+      }
+    }
+  }
+  return operations;
+}
+
+function operation(operationId: string): Operation {
+  const op = allOperations().get(operationId);
+  if (!op) throw new Error(`Unknown API operation: ${operationId}`);
+  return op;
+}
+
+let routeMatchers: { method: string; pattern: RegExp; id: string }[] | null =
+  null;
+
+/**
+ * The operationId serving `method` on a concrete request path, e.g.
+ * ("GET", "/jobs/123") → "getJob"; undefined for undocumented routes
+ */
+export function apiOperationFor(method: string, requestPath: string) {
+  routeMatchers ??= [...allOperations()].map(([id, op]) => ({
+    method: op.method,
+    id,
+    pattern: new RegExp(
+      `^${op.path
+        .split(/\{[^}]+\}/)
+        .map(part => part.replace(/[.*+?^$()|[\]\\]/g, "\\$&"))
+        .join("[^/]+")}$`
+    ),
+  }));
+  return routeMatchers.find(
+    m => m.method === method.toLowerCase() && m.pattern.test(requestPath)
+  )?.id;
+}
+
+// Schemas lifted out of the document point back into it
+function rebase(schema: any): any {
+  if (Array.isArray(schema)) return schema.map(rebase);
+  if (!schema || typeof schema !== "object") return schema;
+  const out: Record<string, unknown> = {};
+  for (const [key, value] of Object.entries(schema)) {
+    out[key] =
+      key === "$ref" && typeof value === "string" && value.startsWith("#")
+        ? `${CONTRACT_ID}${value}`
+        : rebase(value);
+  }
+  return out;
+}
+
+function newAjv(options: { coerceTypes: boolean }) {
+  const instance = new Ajv({ allErrors: true, strict: false, ...options });
+  addFormats(instance);
+  instance.addSchema(apiContract(), CONTRACT_ID);
+  return instance;
+}
+
+// Path and query values arrive as strings, so integers are coerced there;
+// JSON bodies and responses are checked as sent
+let paramsAjv: Ajv | null = null;
+let bodyAjv: Ajv | null = null;
+const requestValidators = new Map<
+  string,
+  { params: ValidateFunction; body?: ValidateFunction }
+>();
+const responseValidators = new Map<string, ValidateFunction | null>();
+
+function requestValidator(operationId: string) {
+  let validators = requestValidators.get(operationId);
+  if (validators) return validators;
+
+  const op = operation(operationId);
+  const groups: Record<"path" | "query", any> = {
+    path: { type: "object", properties: {}, required: [] },
+    query: { type: "object", properties: {}, required: [] },
+  };
+  for (const parameter of op.parameters.map(resolveRef)) {
+    const group = groups[parameter.in as "path" | "query"];
+    if (!group) continue;
+    group.properties[parameter.name] = rebase(parameter.schema ?? {});
+    if (parameter.required) group.required.push(parameter.name);
+  }
+  paramsAjv ??= newAjv({ coerceTypes: true });
+  bodyAjv ??= newAjv({ coerceTypes: false });
+
+  const bodySchema =
+    op.requestBody?.content?.["application/json"]?.schema ?? null;
+  validators = {
+    params: paramsAjv.compile({
+      type: "object",
+      properties: groups,
+      required: ["path", "query"],
+    }),
+    body: bodySchema ? bodyAjv.compile(rebase(bodySchema)) : undefined,
+  };
+  requestValidators.set(operationId, validators);
+  return validators;
+}
+
+function fieldErrors(
+  errors: ErrorObject[] | null | undefined,
+  prefix: string
+): ApiFieldError[] {
+  const seen = new Set<string>();
+  const out: ApiFieldError[] = [];
+  for (const error of errors ?? []) {
+    let field = [prefix, ...error.instancePath.split("/").slice(1)]
+      .filter(Boolean)
+      .join(".");
+    let message = error.message ?? "is invalid";
+    if (error.keyword === "required") {
+      field = `${field}.${error.params.missingProperty}`;
+      message = "is required";
+    } else if (error.keyword === "additionalProperties") {
+      field = `${field}.${error.params.additionalProperty}`;
+      message = "is not allowed";
+    } else if (error.keyword === "enum") {
+      message = `must be one of: ${error.params.allowedValues.join(", ")}`;
+    }
+    const key = `${field}\0${message}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    out.push({ field, message });
+  }
+  return out;
+}
+
+// Blank values are how missing parameters usually arrive from the server
+function presentValues(values: Record<string, unknown> | null | undefined) {
+  return Object.fromEntries(
+    Object.entries(values ?? {}).filter(
+      ([, value]) => value !== undefined && value !== null && value !== ""
+    )
+  );
+}
+
+/**
+ * Check a handler event's path parameters, query parameters and JSON body
+ * against the operation in the contract. Returns every offending field, or
+ * an empty list when the request is valid.
+ */
+export function apiRequestErrors(
+  operationId: string,
+  event: any
+): ApiFieldError[] {
+  const { params, body } = requestValidator(operationId);
+  const errors: ApiFieldError[] = [];
+
+  const request = {
+    path: presentValues(event?.pathParameters),
+    query: presentValues(event?.queryStringParameters),
+  };
+  if (!params(request)) errors.push(...fieldErrors(params.errors, ""));
+
+  if (body) {
+    let parsed: unknown;
+    try {
+      parsed = JSON.parse(event?.body || "{}");
+    } catch {
+      return [...errors, { field: "body", message: "must be valid JSON" }];
+    }
+    if (!body(parsed)) errors.push(...fieldErrors(body.errors, "body"));
+  }
+  return errors;
+}
+
+/**
+ * Response body for a request that fails apiRequestErrors
+ */
+export function invalidRequestBody(errors: ApiFieldError[]) {
+  return { error: "Invalid request", errors };
+}
+
+/**
+ * Check a JSON response body against the contract for its status code.
+ * Responses the contract does not describe as JSON are not checked.
+ */
+export function apiResponseErrors(
+  operationId: string,
+  statusCode: number,
+  body: unknown
+): ApiFieldError[] {
+  const cacheKey = `${operationId} ${statusCode}`;
+  let validate = responseValidators.get(cacheKey);
+  if (validate === undefined) {
+    const op = operation(operationId);
+    const response = resolveRef(op.responses[String(statusCode)]);
+    if (!response) {
+      return [
+        {
+          field: "statusCode",
+          message: `${statusCode} is not a documented response`,
+        },
+      ];
+    }
+    const schema = response.content?.["application/json"]?.schema;
+    bodyAjv ??= newAjv({ coerceTypes: false });
+    validate = schema ? bodyAjv.compile(rebase(schema)) : null;
+    responseValidators.set(cacheKey, validate);
+  }
+  if (!validate) return [];
+
+  let parsed = body;
+  if (typeof body === "string") {
+    try {
+      parsed = JSON.parse(body);
+    } catch {
+      return [{ field: "body", message: "must be valid JSON" }];
+    }
+  }
+  return validate(parsed) ? [] : fieldErrors(validate.errors, "body");
+}
@@ -0,0 +1,54 @@
+import { LoggingWrapper } from "../../logging.js";
+import { apiRequestErrors, invalidRequestBody } from "../../api-contract.js";
+import { deletePreset } from "../../branding-presets.js";
+
+/**
+ * DELETE /branding/presets/{presetId}?tenantId=...
+ *
+ * New jobs can no longer select the preset. Its versions are kept so the
+ * jobs that used them can still be inspected and re-rendered.
+ */
+export async function deleteBrandingPreset(
+  event: any
+): Promise<{ statusCode: number; body: string }> {
+  const logger = new LoggingWrapper("deleteBrandingPreset");
+  const correlationId = event.headers?.["x-correlation-id"] || "unknown";
+
+  logger.addPersistentAttributes({
+    correlationId,
+    operation: "deleteBrandingPreset",
+  });
+
+  const respond = (statusCode: number, body: unknown) => ({
+    statusCode,
+    body: JSON.stringify(body),
+  });
+
+  try {
+    const invalid = apiRequestErrors("deleteBrandingPreset", event);
+    if (invalid.length) {
+      logger.error("Request does not match the API contract", {
+        errors: invalid,
+      });
+      return respond(400, invalidRequestBody(invalid));
+    }
+
+    const presetId = event.pathParameters?.presetId;
+    const tenantId = event.queryStringParameters?.tenantId;
+
+    if (!(await deletePreset(tenantId, presetId))) {
+      return respond(404, { error: "Branding preset not found" });
+    }
+
+    logger.info("Branding preset deleted", { tenantId, presetId });
+    return respond(200, { presetId, deleted: true });
+  } catch (error) {
+    logger.error("Failed to delete branding preset", {
+      error: error instanceof Error ? error.message : String(error),
+    });
+    return respond(500, { error: "Internal server error" });
+  }
+}
+
+// Lambda handler wrapper
+export const handler = deleteBrandingPreset;
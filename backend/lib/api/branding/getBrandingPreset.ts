@@ -0,0 +1,65 @@
+import { LoggingWrapper } from "../../logging.js";
+import { apiRequestErrors, invalidRequestBody } from "../../api-contract.js";
+import {
+  BRANDING_PRESET_ERROR_STATUS,
+  BrandingPresetError,
+  findPreset,
+} from "../../branding-presets.js";
+
+/**
+ * GET /branding/presets/{presetId}?tenantId=...&version=...
+ *
+ * The latest version of a preset, or the one asked for. Versions of
+ * deleted presets stay readable by number.
+ */
+export async function getBrandingPreset(
+  event: any
+): Promise<{ statusCode: number; body: string }> {
+  const logger = new LoggingWrapper("getBrandingPreset");
+  const correlationId = event.headers?.["x-correlation-id"] || "unknown";
+
+  logger.addPersistentAttributes({
+    correlationId,
+    operation: "getBrandingPreset",
+  });
+
+  const respond = (statusCode: number, body: unknown) => ({
+    statusCode,
+    body: JSON.stringify(body),
+  });
+
+  try {
+    const invalid = apiRequestErrors("getBrandingPreset", event);
+    if (invalid.length) {
+      logger.error("Request does not match the API contract", {
+        errors: invalid,
+      });
+      return respond(400, invalidRequestBody(invalid));
+    }
+
+    const presetId = event.pathParameters?.presetId;
+    const tenantId = event.queryStringParameters?.tenantId;
+    const version = event.queryStringParameters?.version;
+
+    const preset = await findPreset(
+      tenantId,
+      presetId,
+      version === undefined ? undefined : Number(version)
+    );
+    return respond(200, preset);
+  } catch (error) {
+    if (error instanceof BrandingPresetError) {
+      return respond(BRANDING_PRESET_ERROR_STATUS[error.type], {
+        error: error.message,
+        ...error.details,
+      });
+    }
+    logger.error("Failed to get branding preset", {
+      error: error instanceof Error ? error.message : String(error),
+    });
+    return respond(500, { error: "Internal server error" });
+  }
+}
+
+// Lambda handler wrapper
+export const handler = getBrandingPreset;
@@ -0,0 +1,48 @@
+import { LoggingWrapper } from "../../logging.js";
+import { apiRequestErrors, invalidRequestBody } from "../../api-contract.js";
+import { getBrandingPresetStore } from "../../branding-presets.js";
+
+/**
+ * GET /branding/assets?tenantId=...
+ *
+ * The tenant's uploaded branding assets, by name
+ */
+export async function listBrandingAssets(
+  event: any
+): Promise<{ statusCode: number; body: string }> {
+  const logger = new LoggingWrapper("listBrandingAssets");
+  const correlationId = event.headers?.["x-correlation-id"] || "unknown";
+
+  logger.addPersistentAttributes({
+    correlationId,
+    operation: "listBrandingAssets",
+  });
+
+  const respond = (statusCode: number, body: unknown) => ({
+    statusCode,
+    body: JSON.stringify(body),
+  });
+
+  try {
+    const invalid = apiRequestErrors("listBrandingAssets", event);
+    if (invalid.length) {
+      logger.error("Request does not match the API contract", {
+        errors: invalid,
+      });
+      return respond(400, invalidRequestBody(invalid));
+    }
+
+    const tenantId = event.queryStringParameters?.tenantId;
+
+    const items = await getBrandingPresetStore().listAssets(tenantId);
+    return respond(200, { items });
+  } catch (error) {
+    logger.error("Failed to list branding assets", {
+      error: error instanceof Error ? error.message : String(error),
+    });
+    return respond(500, { error: "Internal server error" });
+  }
+}
+
+// Lambda handler wrapper
+export const handler = listBrandingAssets;
@@ -0,0 +1,47 @@
+import { LoggingWrapper } from "../../logging.js";
+import { apiRequestErrors, invalidRequestBody } from "../../api-contract.js";
+import { listLatestPresets } from "../../branding-presets.js";
+
+/**
+ * GET /branding/presets?tenantId=...
+ *
+ * The latest version of each of the tenant's presets, by id
+ */
+export async function listBrandingPresets(
+  event: any
+): Promise<{ statusCode: number; body: string }> {
+  const logger = new LoggingWrapper("listBrandingPresets");
+  const correlationId = event.headers?.["x-correlation-id"] || "unknown";
+
+  logger.addPersistentAttributes({
+    correlationId,
+    operation: "listBrandingPresets",
+  });
+
+  const respond = (statusCode: number, body: unknown) => ({
+    statusCode,
+    body: JSON.stringify(body),
+  });
+
+  try {
+    const invalid = apiRequestErrors("listBrandingPresets", event);
+    if (invalid.length) {
+      logger.error("Request does not match the API contract", {
+        errors: invalid,
+      });
+      return respond(400, invalidRequestBody(invalid));
+    }
+
+    const tenantId = event.queryStringParameters?.tenantId;
+
+    return respond(200, { items: await listLatestPresets(tenantId) });
+  } catch (error) {
+    logger.error("Failed to list branding presets", {
+      error: error instanceof Error ? error.message : String(error),
+    });
+    return respond(500, { error: "Internal server error" });
+  }
+}
+
+// Lambda handler wrapper
+export const handler = listBrandingPresets;
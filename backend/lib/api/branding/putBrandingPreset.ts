@@ -0,0 +1,75 @@
+import { LoggingWrapper } from "../../logging.js";
+import { apiRequestErrors, invalidRequestBody } from "../../api-contract.js";
+import {
+  BRANDING_PRESET_ERROR_STATUS,
+  BrandingPresetError,
+  BrandingPresetFields,
+  savePreset,
+} from "../../branding-presets.js";
+
+/**
+ * PUT /branding/presets/{presetId}?tenantId=...
+ *
+ * Create a preset (201) or save its settings as the next version (200).
+ * Earlier versions are kept so jobs can pin them.
+ */
+export async function putBrandingPreset(
+  event: any
+): Promise<{ statusCode: number; body: string }> {
+  const logger = new LoggingWrapper("putBrandingPreset");
+  const correlationId = event.headers?.["x-correlation-id"] || "unknown";
+
+  logger.addPersistentAttributes({
+    correlationId,
+    operation: "putBrandingPreset",
+  });
+
+  const respond = (statusCode: number, body: unknown) => ({
+    statusCode,
+    body: JSON.stringify(body),
+  });
+
+  try {
+    const invalid = apiRequestErrors("putBrandingPreset", event);
+    if (invalid.length) {
+      logger.error("Request does not match the API contract", {
+        errors: invalid,
+      });
+      return respond(400, invalidRequestBody(invalid));
+    }
+
+    const presetId = event.pathParameters?.presetId;
+    const tenantId = event.queryStringParameters?.tenantId;
+    // tenantId in the body is set by the API server and not a preset field
+    const {
+      tenantId: _tenantId,
+      ...fields
+    }: BrandingPresetFields & {
+      tenantId?: string;
+    } = JSON.parse(event.body || "{}");
+
+    logger.addPersistentAttributes({ tenantId, presetId });
+
+    const { preset, created } = await savePreset(tenantId, presetId, fields);
+    logger.info("Branding preset saved", { version: preset.version, created });
+    return respond(created ? 201 : 200, preset);
+  } catch (error) {
+    if (error instanceof BrandingPresetError) {
+      logger.warn("Branding preset rejected", {
+        errorType: error.type,
+        error: error.message,
+      });
+      return respond(BRANDING_PRESET_ERROR_STATUS[error.type], {
+        error: error.message,
+        ...error.details,
+      });
+    }
+    logger.error("Failed to save branding preset", {
+      error: error instanceof Error ? error.message : String(error),
+    });
+    return respond(500, { error: "Internal server error" });
+  }
+}
+
+// Lambda handler wrapper
+export const handler = putBrandingPreset;
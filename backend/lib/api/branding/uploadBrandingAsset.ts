@@ -0,0 +1,88 @@
+import { Readable } from "node:stream";
+import { LoggingWrapper } from "../../logging.js";
+import { apiRequestErrors, invalidRequestBody } from "../../api-contract.js";
+import { currentEnv, type StorageBody } from "../../storage.js";
+import {
+  BRANDING_PRESET_ERROR_STATUS,
+  BrandingPresetError,
+  saveBrandingAsset,
+} from "../../branding-presets.js";
+
+/**
+ * PUT /branding/assets/{assetName}?tenantId=...
+ *
+ * The request body is the raw file. It is stored under the tenant's
+ * `assets/branding/` prefix and checked with ffprobe (codec, resolution,
+ * duration); rejected files are not kept. Names cannot be reused.
+ */
+export async function uploadBrandingAsset(
+  event: any
+): Promise<{ statusCode: number; body: string }> {
+  const logger = new LoggingWrapper("uploadBrandingAsset");
+  const correlationId = event.headers?.["x-correlation-id"] || "unknown";
+
+  logger.addPersistentAttributes({
+    correlationId,
+    operation: "uploadBrandingAsset",
+  });
+
+  const respond = (statusCode: number, body: unknown) => ({
+    statusCode,
+    body: JSON.stringify(body),
+  });
+
+  try {
+    const invalid = apiRequestErrors("uploadBrandingAsset", event);
+    if (invalid.length) {
+      logger.error("Request does not match the API contract", {
+        errors: invalid,
+      });
+      return respond(400, invalidRequestBody(invalid));
+    }
+
+    const assetName = event.pathParameters?.assetName;
+    const tenantId = event.queryStringParameters?.tenantId;
+
+    if (event.body === undefined || event.body === null) {
+      logger.error("Missing asset body");
+      return respond(400, { error: "Missing asset body" });
+    }
+    const body: StorageBody =
+      event.body instanceof Readable || Buffer.isBuffer(event.body)
+        ? event.body
+        : Buffer.from(event.body, event.isBase64Encoded ? "base64" : "utf-8");
+
+    logger.addPersistentAttributes({ tenantId, assetName });
+
+    const asset = await saveBrandingAsset(
+      currentEnv(),
+      tenantId,
+      assetName,
+      body
+    );
+    logger.info("Branding asset stored", {
+      kind: asset.kind,
+      codec: asset.codec,
+      bytes: asset.bytes,
+    });
+    return respond(201, asset);
+  } catch (error) {
+    if (error instanceof BrandingPresetError) {
+      logger.warn("Branding asset rejected", {
+        errorType: error.type,
+        error: error.message,
+      });
+      return respond(BRANDING_PRESET_ERROR_STATUS[error.type], {
+        error: error.message,
+        ...error.details,
+      });
+    }
+    logger.error("Failed to store branding asset", {
+      error: error instanceof Error ? error.message : String(error),
+    });
+    return respond(500, { error: "Internal server error" });
+  }
+}
+
+// Lambda handler wrapper
+export const handler = uploadBrandingAsset;
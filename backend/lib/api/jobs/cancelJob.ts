@@ -0,0 +1,131 @@
+import { LoggingWrapper } from "../../logging.js";
+import { apiRequestErrors, invalidRequestBody } from "../../api-contract.js";
+import { currentEnv } from "../../storage.js";
+import { loadManifest, updateManifest } from "../../manifest.js";
+import { getJobTable } from "../../job-table.js";
+import { stopLocalExecution } from "../../orchestration.js";
+import { JobCancelledError } from "../../cancellation.js";
+
+const TERMINAL_STATUSES = ["completed", "failed"];
+
+interface CancelJobResponse {
+  jobId: string;
+  tenantId: string;
+  status: "cancelled";
+  previousStatus: string;
+  updatedAt: string;
+}
+
+/**
+ * POST /jobs/{jobId}/cancel?tenantId=...
+ *
+ * Marks the job cancelled in the manifest and job table. Running steps see
+ * the status change, kill their child processes and record a cancellation
+ * log entry; a local execution stops before its next state.
+ */
+export async function cancelJob(
+  event: any
+): Promise<{ statusCode: number; body: string }> {
+  const logger = new LoggingWrapper("cancelJob");
+  const correlationId = event.headers?.["x-correlation-id"] || "unknown";
+
+  logger.addPersistentAttributes({
+    correlationId,
+    operation: "cancelJob",
+  });
+
+  const respond = (statusCode: number, body: unknown) => ({
+    statusCode,
+    body: JSON.stringify(body),
+  });
+
+  try {
+    const invalid = apiRequestErrors("cancelJob", event);
+    if (invalid.length) {
+      logger.error("Request does not match the API contract", {
+        errors: invalid,
+      });
+      return respond(400, invalidRequestBody(invalid));
+    }
+
+    const jobId = event.pathParameters?.jobId;
+
+    const tenantId = event.queryStringParameters?.tenantId;
+
+    logger.addPersistentAttributes({ tenantId, jobId });
+    const env = currentEnv();
+
+    let current;
+    try {
+      current = loadManifest(env, tenantId, jobId);
+    } catch (error) {
+      logger.warn("Manifest not found for job", {
+        error: error instanceof Error ? error.message : String(error),
+      });
+      return respond(404, { error: "Job not found" });
+    }
+
+    let previousStatus = current.status;
+    let conflict: string | undefined;
+    const now = new Date().toISOString();
+
+    if (current.status !== "cancelled") {
+      // Re-check inside the CAS update so a job that finished meanwhile
+      // is not flipped to cancelled
+      await updateManifest(env, tenantId, jobId, m => {
+        previousStatus = m.status;
+        conflict = undefined;
+        if (m.status === "cancelled") return;
+        if (TERMINAL_STATUSES.includes(m.status)) {
+          conflict = m.status;
+          return;
+        }
+        m.logs = m.logs || [];
+        m.logs.push({
+          type: "info",
+          message: "Job cancelled",
+          details: { previousStatus: m.status, correlationId },
+          createdAt: now,
+        });
+        m.status = "cancelled";
+      });
+    }
+
+    if (conflict) {
+      logger.warn("Job already finished; not cancelling", { status: conflict });
+      return respond(409, { error: `Job is already ${conflict}` });
+    }
+
+    const jobTable = getJobTable();
+    const dbItem = await jobTable.getJobByJobId(tenantId, jobId);
+    if (dbItem && dbItem.status !== "cancelled") {
+      await jobTable.updateItem(tenantId, dbItem.jobSort, {
+        status: "cancelled",
+        updatedAt: now,
+      });
+    }
+
+    const stopped = stopLocalExecution(
+      jobId,
+      new JobCancelledError(tenantId, jobId)
+    );
+    logger.info("Job cancelled", { previousStatus, stoppedExecution: stopped });
+
+    const response: CancelJobResponse = {
+      jobId,
+      tenantId,
+      status: "cancelled",
+      previousStatus,
+      updatedAt: now,
+    };
+    return respond(200, response);
+  } catch (error) {
+    logger.error("Failed to cancel job", {
+      error: error instanceof Error ? error.message : String(error),
+    });
+    return respond(500, { error: "Internal server error" });
+  }
+}
+
+// Lambda handler wrapper
+export const handler = cancelJob;
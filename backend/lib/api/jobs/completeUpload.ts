@@ -0,0 +1,103 @@
+import { LoggingWrapper } from "../../logging.js";
+import { apiRequestErrors, invalidRequestBody } from "../../api-contract.js";
+import { currentEnv } from "../../storage.js";
+import { getJobTable } from "../../job-table.js";
+import { startStateMachine } from "../../orchestration.js";
+import {
+  UPLOAD_ERROR_STATUS,
+  UploadError,
+  completeUpload as complete,
+} from "../../upload.js";
+
+/**
+ * POST /jobs/{jobId}/uploads/{uploadId}/complete?tenantId=...
+ *
+ * Assembles the parts into the job input and verifies its size and
+ * checksum. With START_ON_CREATE=true this is where the job starts.
+ */
+export async function completeUpload(
+  event: any
+): Promise<{ statusCode: number; body: string }> {
+  const logger = new LoggingWrapper("completeUpload");
+  const correlationId = event.headers?.["x-correlation-id"] || "unknown";
+
+  logger.addPersistentAttributes({
+    correlationId,
+    operation: "completeUpload",
+  });
+
+  const respond = (statusCode: number, body: unknown) => ({
+    statusCode,
+    body: JSON.stringify(body),
+  });
+
+  try {
+    const invalid = apiRequestErrors("completeUpload", event);
+    if (invalid.length) {
+      logger.error("Request does not match the API contract", {
+        errors: invalid,
+      });
+      return respond(400, invalidRequestBody(invalid));
+    }
+
+    const jobId = event.pathParameters?.jobId;
+    const uploadId = event.pathParameters?.uploadId;
+
+    const tenantId = event.queryStringParameters?.tenantId;
+
+    logger.addPersistentAttributes({ tenantId, jobId, uploadId });
+
+    const manifest = await complete(currentEnv(), tenantId, jobId, uploadId);
+    const input = manifest.input!;
+
+    const jobTable = getJobTable();
+    const dbItem = await jobTable.getJobByJobId(tenantId, jobId);
+    if (dbItem) {
+      await jobTable.updateItem(tenantId, dbItem.jobSort, {
+        updatedAt: manifest.updatedAt,
+      });
+    }
+
+    logger.info("Input upload completed", {
+      sourceKey: input.sourceKey,
+      bytes: input.bytes,
+    });
+
+    const started = process.env.START_ON_CREATE === "true";
+    if (started) {
+      startStateMachine({ tenantId, jobId, correlationId }).catch(error => {
+        logger.error("Failed to start state machine", {
+          error: error instanceof Error ? error.message : String(error),
+        });
+      });
+    }
+
+    return respond(200, {
+      jobId,
+      tenantId,
+      sourceKey: input.sourceKey,
+      bytes: input.bytes,
+      checksum: input.checksum,
+      uploadedAt: input.uploadedAt,
+      started,
+    });
+  } catch (error) {
+    if (error instanceof UploadError) {
+      logger.warn("Upload completion rejected", {
+        errorType: error.type,
+        error: error.message,
+      });
+      return respond(UPLOAD_ERROR_STATUS[error.type], {
+        error: error.message,
+        ...error.details,
+      });
+    }
+    logger.error("Failed to complete upload", {
+      error: error instanceof Error ? error.message : String(error),
+    });
+    return respond(500, { error: "Internal server error" });
+  }
+}
+
+// Lambda handler wrapper
+export const handler = completeUpload;
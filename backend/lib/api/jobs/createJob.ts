@@ -1,48 +1,31 @@
 import { v4 as uuidv4 } from "uuid";
 import { LoggingWrapper } from "../../logging.js";
-import { currentEnv, keyFor } from "../../storage.js";
+import { currentEnv, isKeyWithin, keyFor } from "../../storage.js";
 import { saveManifest, manifestKey } from "../../manifest.js";
+import { CURRENT_MANIFEST_SCHEMA_VERSION } from "../../manifest-schema.js";
 import { startStateMachine } from "../../orchestration.js";
-import { Manifest } from "../../types.js";
-
-// In-memory idempotency store for local/dev testing (module-scoped)
-const idempotencyStore: Map<string, { jobId: string; manifestKey: string }> =
-  new Map();
-
-// Mock DynamoDB client for Phase 1 (local mode)
-// In production, this would be AWS SDK DynamoDB client
-interface DynamoDBItem {
-  tenantId: string;
-  jobSort: string;
-  jobId: string;
-  status: string;
-  env: string;
-  manifestKey: string;
-  createdAt: string;
-  updatedAt: string;
-  correlationId?: string;
-}
-
-class MockDynamoDB {
-  private items: Map<string, DynamoDBItem> = new Map();
-
-  async putItem(item: DynamoDBItem): Promise<void> {
-    const key = `${item.tenantId}#${item.jobSort}`;
-    this.items.set(key, item);
-  }
-
-  async getItem(
-    tenantId: string,
-    jobSort: string
-  ): Promise<DynamoDBItem | null> {
-    const key = `${tenantId}#${jobSort}`;
-    return this.items.get(key) || null;
-  }
-}
-
-const dynamoDB = new MockDynamoDB();
-
-// (deprecated) Older cache removed; use idempotencyStore keyed by `${tenantId}#${key}`
+import { JobOptions, Manifest, ManifestMetadata } from "../../types.js";
+import { jobOptionsErrors } from "../../job-options.js";
+import {
+  BrandingPresetError,
+  brandingConfigFromPreset,
+  resolvePresetRef,
+} from "../../branding-presets.js";
+import {
+  inputSourceKey,
+  isInputReady,
+  isSafeInputFilename,
+} from "../../upload.js";
+import { JobItem, getJobTable, jobSortFor } from "../../job-table.js";
+import { notifyWebhooks } from "../../webhooks.js";
+import type { Principal } from "../../auth.js";
+import { QuotaError, checkJobCreationQuota } from "../../quotas.js";
+import { apiRequestErrors, invalidRequestBody } from "../../api-contract.js";
+import {
+  getIdempotencyStore,
+  idempotencyTtlSeconds,
+  requestHash,
+} from "../../idempotency.js";
 
 interface CreateJobRequest {
   tenantId: string;
@@ -51,8 +34,12 @@ interface CreateJobRequest {
     bytes: number;
     mimeType: string;
     checksum?: string;
-    uploadedAt?: string;
   };
+  tags?: string[];
+  /** Per-job overrides of the env-var defaults, read by each step */
+  options?: JobOptions;
+  /** "<presetId>" or "<presetId>@<version>"; pinned in extra.branding */
+  brandingPreset?: string;
 }
 
 interface CreateJobResponse {
@@ -63,9 +50,11 @@ interface CreateJobResponse {
   manifestKey: string;
 }
 
-export async function createJob(
-  event: any
-): Promise<{ statusCode: number; body: string }> {
+export async function createJob(event: any): Promise<{
+  statusCode: number;
+  body: string;
+  headers?: Record<string, string>;
+}> {
   const logger = new LoggingWrapper("createJob");
   const correlationId = event.headers?.["x-correlation-id"] || uuidv4();
   const idempotencyKey: string | undefined =
@@ -76,31 +65,79 @@ export async function createJob(
     operation: "createJob",
   });
 
+  // Set once this request holds the idempotency key; released unless the
+  // job is created, so a retry of a rejected request is not replayed
+  let reservedTenantId: string | undefined;
+  const releaseReservation = async () => {
+    if (!reservedTenantId || !idempotencyKey) return;
+    await getIdempotencyStore().release(reservedTenantId, idempotencyKey);
+    reservedTenantId = undefined;
+  };
+
   try {
-    // Parse and validate request body
+    const invalid = apiRequestErrors("createJob", event);
+    if (invalid.length) {
+      logger.error("Request does not match the API contract", {
+        errors: invalid,
+      });
+      return {
+        statusCode: 400,
+        body: JSON.stringify(invalidRequestBody(invalid)),
+      };
+    }
     const body: CreateJobRequest = JSON.parse(event.body || "{}");
-
-    if (!body.tenantId) {
-      logger.error("Missing required field: tenantId");
+    if (body.input && !isSafeInputFilename(body.input.originalFilename)) {
+      const errors = [
+        {
+          field: "body.input.originalFilename",
+          message: "must be a file name without path separators or ..",
+        },
+      ];
+      logger.error("Invalid input file name", { errors });
       return {
         statusCode: 400,
-        body: JSON.stringify({ error: "Missing required field: tenantId" }),
+        body: JSON.stringify(invalidRequestBody(errors)),
       };
     }
-
-    // Validate tenantId format (alphanumeric with -/_ between, 1-64 chars)
-    const tenantIdPattern = /^[a-z0-9](?:[a-z0-9-_]{0,62}[a-z0-9])?$/;
-    if (!tenantIdPattern.test(body.tenantId)) {
-      logger.error("Invalid tenantId format", { tenantId: body.tenantId });
+    const optionErrors = jobOptionsErrors(body.options);
+    if (optionErrors.length) {
+      logger.error("Invalid job options", { errors: optionErrors });
       return {
         statusCode: 400,
-        body: JSON.stringify({ error: "Invalid tenantId format" }),
+        body: JSON.stringify(invalidRequestBody(optionErrors)),
+      };
+    }
+
+    // Set by the auth middleware (or an API Gateway authorizer)
+    const principal: Principal | undefined = event.requestContext?.authorizer;
+    if (principal && principal.tenantId !== body.tenantId) {
+      logger.error("tenantId does not match the authenticated tenant", {
+        tenantId: body.tenantId,
+      });
+      return {
+        statusCode: 403,
+        body: JSON.stringify({
+          error: "tenantId does not match the authenticated tenant",
+        }),
       };
     }
 
     const env = currentEnv();
     const jobId = uuidv4();
     const now = new Date().toISOString();
+    const sourceKey =
+      body.input &&
+      inputSourceKey(env, body.tenantId, jobId, body.input.originalFilename);
+    if (
+      sourceKey &&
+      !isKeyWithin(sourceKey, keyFor(env, body.tenantId, jobId))
+    ) {
+      logger.error("Input key escapes the job prefix", { sourceKey });
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ error: "Invalid input location" }),
+      };
+    }
 
     logger.addPersistentAttributes({
       tenantId: body.tenantId,
@@ -108,50 +145,125 @@ export async function createJob(
       env,
     });
 
-    // Idempotency short-circuit
+    // Idempotency short-circuit: replay the original response, or reject
+    // a reused key whose payload differs from the first request. The key is
+    // reserved atomically, so concurrent requests cannot both create a job.
+    const bodyHash = requestHash(body);
     if (idempotencyKey) {
-      const idemKey = `${body.tenantId}#${idempotencyKey}`;
-      const existing = idempotencyStore.get(idemKey);
-      if (existing) {
-        logger.info("Duplicate create detected via idempotency key", {
+      const existing = await getIdempotencyStore().reserve(
+        body.tenantId,
+        idempotencyKey,
+        bodyHash
+      );
+      if (existing && existing.requestHash !== bodyHash) {
+        logger.warn("Idempotency key reused with a different request body", {
+          idempotencyKey,
+        });
+        return {
+          statusCode: 422,
+          body: JSON.stringify({
+            error: "Idempotency key already used with a different request body",
+          }),
+        };
+      }
+      if (existing?.inProgress) {
+        logger.warn("Idempotency key is held by a request still in progress", {
           idempotencyKey,
         });
         return {
           statusCode: 409,
           body: JSON.stringify({
-            error: "Duplicate create",
-            jobId: existing.jobId,
-            manifestKey: existing.manifestKey,
+            error:
+              "A request with this idempotency key is still in progress; retry later",
           }),
         };
       }
+      if (existing) {
+        logger.info("Replaying response for idempotency key", {
+          idempotencyKey,
+        });
+        return { statusCode: existing.statusCode, body: existing.body };
+      }
+      reservedTenantId = body.tenantId;
+    }
+
+    try {
+      await checkJobCreationQuota(body.tenantId);
+    } catch (error) {
+      if (!(error instanceof QuotaError)) throw error;
+      logger.warn("Job creation rejected by tenant quota", {
+        errorType: error.type,
+        error: error.message,
+      });
+      await releaseReservation();
+      return {
+        statusCode: 429,
+        headers: { "Retry-After": String(error.details.retryAfterSeconds) },
+        body: JSON.stringify({ error: error.message, ...error.details }),
+      };
+    }
+
+    // Pin the preset version now so later edits do not change this job
+    const extra: Manifest["extra"] = {};
+    // Set by createJobBatch so each job records its batch and shared options
+    if (event.batch) extra.batch = event.batch;
+    if (body.brandingPreset) {
+      try {
+        extra.branding = brandingConfigFromPreset(
+          await resolvePresetRef(body.tenantId, body.brandingPreset)
+        );
+      } catch (error) {
+        if (!(error instanceof BrandingPresetError)) throw error;
+        logger.error("Unknown branding preset", {
+          brandingPreset: body.brandingPreset,
+          error: error.message,
+        });
+        await releaseReservation();
+        return {
+          statusCode: 400,
+          body: JSON.stringify(
+            invalidRequestBody([
+              { field: "body.brandingPreset", message: error.message },
+            ])
+          ),
+        };
+      }
+    }
+
+    const metadata: ManifestMetadata = {};
+    if (body.tags?.length) metadata.tags = body.tags;
+    if (principal) {
+      metadata.createdBy = {
+        type: principal.type,
+        id: principal.id,
+        scopes: principal.scopes,
+      };
     }
 
     // Create initial manifest
     const manifest: Manifest = {
-      schemaVersion: "1.0.0",
+      schemaVersion: CURRENT_MANIFEST_SCHEMA_VERSION,
       env,
       tenantId: body.tenantId,
       jobId,
       status: "pending",
       createdAt: now,
       updatedAt: now,
-      input: body.input
-        ? {
-            sourceKey: keyFor(
-              env,
-              body.tenantId,
-              jobId,
-              "input",
-              body.input.originalFilename
-            ),
-            originalFilename: body.input.originalFilename,
-            bytes: body.input.bytes,
-            mimeType: body.input.mimeType,
-            checksum: body.input.checksum,
-            uploadedAt: body.input.uploadedAt || now,
-          }
-        : undefined,
+      // `uploadedAt` is only ever set by completeUpload, once the bytes are
+      // in storage and match the declared size and checksum
+      input:
+        body.input && sourceKey
+          ? {
+              sourceKey,
+              originalFilename: body.input.originalFilename,
+              bytes: body.input.bytes,
+              mimeType: body.input.mimeType,
+              checksum: body.input.checksum,
+            }
+          : undefined,
+      metadata: Object.keys(metadata).length ? metadata : undefined,
+      options: body.options,
+      extra: Object.keys(extra).length ? extra : undefined,
     };
 
     // Save manifest to local storage
@@ -160,9 +272,9 @@ export async function createJob(
 
     logger.info("Manifest created and saved", { manifestKey: manifestKeyPath });
 
-    // Create DynamoDB record
-    const jobSort = `${now}#${jobId}`;
-    const dbItem: DynamoDBItem = {
+    // Create job table record
+    const jobSort = jobSortFor(now, jobId);
+    const dbItem: JobItem = {
       tenantId: body.tenantId,
       jobSort,
       jobId,
@@ -172,20 +284,23 @@ export async function createJob(
       createdAt: now,
       updatedAt: now,
       correlationId,
+      tags: body.tags,
     };
 
-    await dynamoDB.putItem(dbItem);
-    logger.info("DynamoDB record created", { jobSort });
+    await getJobTable().putItem(dbItem);
+    logger.info("Job table record created", { jobSort });
 
-    // Record idempotency only after successful creation
-    if (idempotencyKey) {
-      const idemKey = `${body.tenantId}#${idempotencyKey}`;
-      idempotencyStore.set(idemKey, { jobId, manifestKey: manifestKeyPath });
-    }
+    await notifyWebhooks(body.tenantId, jobId, "job.created", {
+      status: "pending",
+      ...(body.tags?.length ? { tags: body.tags } : {}),
+    });
 
     // Check if we should start the state machine
     const startOnCreate = process.env.START_ON_CREATE === "true";
-    if (startOnCreate) {
+    if (startOnCreate && !isInputReady(manifest)) {
+      // completeUpload starts the job once the declared input arrives
+      logger.info("State machine start deferred until input is uploaded");
+    } else if (startOnCreate) {
       logger.info("State machine start requested", { startOnCreate });
       // Phase 1: local/dev lightweight starter
       startStateMachine({
@@ -209,16 +324,36 @@ export async function createJob(
 
     logger.info("Job created successfully", { jobId, status: "pending" });
 
-    // (mapping recorded earlier using idempotencyStore)
+    const result = { statusCode: 201, body: JSON.stringify(response) };
 
-    return {
-      statusCode: 201,
-      body: JSON.stringify(response),
-    };
+    // Replace the reservation with the response once the job exists
+    if (idempotencyKey) {
+      const createdAt = Date.now();
+      await getIdempotencyStore().put({
+        tenantId: body.tenantId,
+        key: idempotencyKey,
+        requestHash: bodyHash,
+        ...result,
+        createdAt: new Date(createdAt).toISOString(),
+        expiresAt: new Date(
+          createdAt + idempotencyTtlSeconds() * 1000
+        ).toISOString(),
+      });
+    }
+
+    return result;
   } catch (error) {
     logger.error("Failed to create job", {
       error: error instanceof Error ? error.message : String(error),
     });
+    await releaseReservation().catch(releaseError =>
+      logger.warn("Failed to release idempotency key", {
+        error:
+          releaseError instanceof Error
+            ? releaseError.message
+            : String(releaseError),
+      })
+    );
 
     return {
       statusCode: 500,
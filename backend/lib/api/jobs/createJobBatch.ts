@@ -0,0 +1,152 @@
+import { v4 as uuidv4 } from "uuid";
+import { LoggingWrapper } from "../../logging.js";
+import { apiRequestErrors, invalidRequestBody } from "../../api-contract.js";
+import type { Principal } from "../../auth.js";
+import {
+  BatchItem,
+  BatchRecord,
+  BatchSharedOptions,
+  batchProgress,
+  getBatchStore,
+} from "../../batches.js";
+import { createJob } from "./createJob.js";
+
+interface CreateJobBatchRequest extends BatchSharedOptions {
+  tenantId: string;
+  items: {
+    clientRef?: string;
+    idempotencyKey?: string;
+    input?: Record<string, unknown>;
+    tags?: string[];
+  }[];
+}
+
+/**
+ * POST /jobs:batch
+ *
+ * Create one job per item, sharing `tags`, `options`, `plannerProfile` and
+ * `brandingPreset`. Each item goes through createJob, so it is validated,
+ * quota-checked and deduplicated by its own `idempotencyKey`; a rejected
+ * item does not stop the rest. Returns 201 when every item was created and
+ * 207 when some were rejected, with the batch's aggregate progress.
+ */
+export async function createJobBatch(
+  event: any
+): Promise<{ statusCode: number; body: string }> {
+  const logger = new LoggingWrapper("createJobBatch");
+  const correlationId = event.headers?.["x-correlation-id"] || uuidv4();
+
+  logger.addPersistentAttributes({
+    correlationId,
+    operation: "createJobBatch",
+  });
+
+  const respond = (statusCode: number, body: unknown) => ({
+    statusCode,
+    body: JSON.stringify(body),
+  });
+
+  try {
+    const invalid = apiRequestErrors("createJobBatch", event);
+    if (invalid.length) {
+      logger.error("Request does not match the API contract", {
+        errors: invalid,
+      });
+      return respond(400, invalidRequestBody(invalid));
+    }
+
+    const body: CreateJobBatchRequest = JSON.parse(event.body || "{}");
+
+    // Set by the auth middleware (or an API Gateway authorizer)
+    const principal: Principal | undefined = event.requestContext?.authorizer;
+    if (principal && principal.tenantId !== body.tenantId) {
+      logger.error("tenantId does not match the authenticated tenant", {
+        tenantId: body.tenantId,
+      });
+      return respond(403, {
+        error: "tenantId does not match the authenticated tenant",
+      });
+    }
+
+    const batchId = uuidv4();
+    const shared: BatchSharedOptions = {};
+    if (body.tags?.length) shared.tags = body.tags;
+    if (body.options) shared.options = body.options;
+    if (body.plannerProfile) shared.plannerProfile = body.plannerProfile;
+    if (body.brandingPreset) shared.brandingPreset = body.brandingPreset;
+
+    logger.addPersistentAttributes({ tenantId: body.tenantId, batchId });
+
+    const items: BatchItem[] = [];
+    for (const [index, item] of body.items.entries()) {
+      const tags = [...new Set([...(shared.tags ?? []), ...(item.tags ?? [])])];
+      const result = await createJob({
+        headers: {
+          "x-correlation-id": `${correlationId}:${index}`,
+          ...(item.idempotencyKey
+            ? { "x-idempotency-key": item.idempotencyKey }
+            : {}),
+        },
+        requestContext: event.requestContext,
+        body: JSON.stringify({
+          tenantId: body.tenantId,
+          ...(item.input ? { input: item.input } : {}),
+          ...(tags.length ? { tags } : {}),
+          ...(shared.options ? { options: shared.options } : {}),
+          ...(shared.brandingPreset
+            ? { brandingPreset: shared.brandingPreset }
+            : {}),
+        }),
+        batch: { batchId, index, ...shared },
+      });
+
+      const outcome: BatchItem = {
+        index,
+        clientRef: item.clientRef,
+        idempotencyKey: item.idempotencyKey,
+        outcome: result.statusCode === 201 ? "created" : "rejected",
+        statusCode: result.statusCode,
+      };
+      const parsed = JSON.parse(result.body);
+      if (outcome.outcome === "created") {
+        outcome.jobId = parsed.jobId;
+      } else {
+        outcome.error = parsed.error;
+        // Point field errors at the item rather than a createJob body
+        outcome.errors = parsed.errors?.map(
+          (e: { field: string; message: string }) => ({
+            ...e,
+            field: e.field.replace(/^body/, `body.items.${index}`),
+          })
+        );
+      }
+      items.push(outcome);
+    }
+
+    const record: BatchRecord = {
+      batchId,
+      tenantId: body.tenantId,
+      shared,
+      items,
+      createdAt: new Date().toISOString(),
+    };
+    await getBatchStore().put(record);
+
+    const rejected = items.filter(i => i.outcome === "rejected").length;
+    logger.info("Job batch created", {
+      total: items.length,
+      created: items.length - rejected,
+      rejected,
+    });
+
+    return respond(rejected ? 207 : 201, await batchProgress(record));
+  } catch (error) {
+    logger.error("Failed to create job batch", {
+      error: error instanceof Error ? error.message : String(error),
+    });
+    return respond(500, { error: "Internal server error" });
+  }
+}
+
+// Lambda handler wrapper
+export const handler = createJobBatch;
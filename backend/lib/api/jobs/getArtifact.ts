@@ -0,0 +1,181 @@
+import type { Readable } from "node:stream";
+import { LoggingWrapper } from "../../logging.js";
+import { apiRequestErrors, invalidRequestBody } from "../../api-contract.js";
+import {
+  currentEnv,
+  getStorageDriver,
+  isKeyWithin,
+  keyFor,
+} from "../../storage.js";
+import { loadManifest } from "../../manifest.js";
+import {
+  ARTIFACT_KINDS,
+  artifactKey,
+  contentTypeFor,
+  isArtifactKind,
+  parseRange,
+} from "../../artifacts.js";
+
+export interface ArtifactResponse {
+  statusCode: number;
+  headers: Record<string, string>;
+  /** JSON error body; empty when `stream` carries the content */
+  body: string;
+  stream?: Readable;
+}
+
+/**
+ * GET /jobs/{jobId}/artifacts/{kind}[/{index}]?tenantId=...
+ *
+ * Streams an artifact recorded in the manifest. Supports single byte ranges
+ * (206/416), ETag revalidation via If-None-Match (304) and If-Range, and
+ * HEAD requests. Only keys under the job's own tenant prefix are served.
+ */
+export async function getArtifact(event: any): Promise<ArtifactResponse> {
+  const logger = new LoggingWrapper("getArtifact");
+  const correlationId = event.headers?.["x-correlation-id"] || "unknown";
+
+  logger.addPersistentAttributes({
+    correlationId,
+    operation: "getArtifact",
+  });
+
+  const respond = (
+    statusCode: number,
+    body: unknown,
+    headers: Record<string, string> = {}
+  ): ArtifactResponse => ({
+    statusCode,
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+  });
+
+  try {
+    const invalid = apiRequestErrors(
+      event.pathParameters?.index === undefined
+        ? "getArtifact"
+        : "getIndexedArtifact",
+      event
+    );
+    if (invalid.length) {
+      logger.error("Request does not match the API contract", {
+        errors: invalid,
+      });
+      return respond(400, invalidRequestBody(invalid));
+    }
+
+    const jobId = event.pathParameters?.jobId;
+    const kind = event.pathParameters?.kind;
+    if (!isArtifactKind(kind)) {
+      logger.error("Unknown artifact kind", { kind });
+      return respond(400, {
+        error: `Unknown artifact kind: ${kind}`,
+        kinds: Object.keys(ARTIFACT_KINDS),
+      });
+    }
+
+    const rawIndex = event.pathParameters?.index;
+    const index = rawIndex === undefined ? 0 : Number(rawIndex);
+    if (
+      !Number.isInteger(index) ||
+      index < 0 ||
+      (rawIndex !== undefined && !ARTIFACT_KINDS[kind].indexed)
+    ) {
+      logger.error("Invalid artifact index", { kind, index: rawIndex });
+      return respond(400, { error: `Invalid index for ${kind}` });
+    }
+
+    const tenantId = event.queryStringParameters?.tenantId;
+
+    logger.addPersistentAttributes({ tenantId, jobId, kind, index });
+    const env = currentEnv();
+
+    let manifest;
+    try {
+      manifest = loadManifest(env, tenantId, jobId);
+    } catch (error) {
+      logger.warn("Manifest not found for job", {
+        error: error instanceof Error ? error.message : String(error),
+      });
+      return respond(404, { error: "Job not found" });
+    }
+
+    const k = artifactKey(manifest, kind, index);
+    // Never follow a manifest pointer outside this job's own prefix,
+    // including one that climbs back out through `..` segments
+    if (!k || !isKeyWithin(k, keyFor(env, tenantId, jobId))) {
+      logger.warn("Artifact not recorded for job", { key: k });
+      return respond(404, { error: `No ${kind} artifact for job` });
+    }
+
+    const storage = getStorageDriver();
+    const info = await storage.head(k);
+    if (!info) {
+      logger.warn("Artifact missing from storage", { key: k });
+      return respond(404, { error: `No ${kind} artifact for job` });
+    }
+
+    const headers: Record<string, string> = {
+      "Content-Type": info.contentType || contentTypeFor(k),
+      "Accept-Ranges": "bytes",
+      "Last-Modified": info.lastModified.toUTCString(),
+    };
+    if (info.etag) headers.ETag = info.etag;
+
+    const header = (name: string): string | undefined =>
+      event.headers?.[name] ?? event.headers?.[name.toLowerCase()];
+
+    const ifNoneMatch = header("If-None-Match");
+    if (
+      info.etag &&
+      ifNoneMatch &&
+      ifNoneMatch.split(",").some(tag => tag.trim() === info.etag)
+    ) {
+      return { statusCode: 304, headers, body: "" };
+    }
+
+    // A stale If-Range validator means the client gets the whole object
+    const ifRange = header("If-Range");
+    const range =
+      ifRange && ifRange !== info.etag
+        ? null
+        : parseRange(header("Range"), info.size);
+
+    if (range === "unsatisfiable") {
+      return respond(
+        416,
+        { error: "Requested range not satisfiable" },
+        { "Content-Range": `bytes */${info.size}` }
+      );
+    }
+
+    const statusCode = range ? 206 : 200;
+    if (range) {
+      headers["Content-Range"] =
+        `bytes ${range.start}-${range.end}/${info.size}`;
+    }
+    headers["Content-Length"] = String(
+      range ? range.end - range.start + 1 : info.size
+    );
+
+    logger.info("Serving artifact", {
+      key: k,
+      size: info.size,
+      range: headers["Content-Range"],
+    });
+
+    if (event.httpMethod === "HEAD") {
+      return { statusCode, headers, body: "" };
+    }
+    const stream = await storage.stream(k, range || undefined);
+    return { statusCode, headers, body: "", stream };
+  } catch (error) {
+    logger.error("Failed to get artifact", {
+      error: error instanceof Error ? error.message : String(error),
+    });
+    return respond(500, { error: "Internal server error" });
+  }
+}
+
+// Lambda handler wrapper
+export const handler = getArtifact;
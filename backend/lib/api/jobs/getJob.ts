@@ -1,53 +1,15 @@
 import { LoggingWrapper } from "../../logging.js";
+import { apiRequestErrors, invalidRequestBody } from "../../api-contract.js";
 import {
   currentEnv,
   storageRoot,
   pathFor as storagePathFor,
 } from "../../storage.js";
 import { loadManifest, manifestKey } from "../../manifest.js";
+import type { Manifest } from "../../types.js";
+import { getJobTable, jobSortFor } from "../../job-table.js";
 // Manifest type is used in loadManifest return type
 
-// Mock DynamoDB client for Phase 1 (local mode)
-// In production, this would be AWS SDK DynamoDB client
-interface DynamoDBItem {
-  tenantId: string;
-  jobSort: string;
-  jobId: string;
-  status: string;
-  env: string;
-  manifestKey: string;
-  createdAt: string;
-  updatedAt: string;
-  correlationId?: string;
-}
-
-class MockDynamoDB {
-  private items: Map<string, DynamoDBItem> = new Map();
-
-  async getItem(
-    tenantId: string,
-    jobSort: string
-  ): Promise<DynamoDBItem | null> {
-    const key = `${tenantId}#${jobSort}`;
-    return this.items.get(key) || null;
-  }
-
-  // Helper method to find job by jobId within a tenant
-  async getJobByJobId(
-    tenantId: string,
-    jobId: string
-  ): Promise<DynamoDBItem | null> {
-    for (const [, item] of this.items.entries()) {
-      if (item.tenantId === tenantId && item.jobId === jobId) {
-        return item;
-      }
-    }
-    return null;
-  }
-}
-
-const dynamoDB = new MockDynamoDB();
-
 interface GetJobResponse {
   jobId: string;
   tenantId: string;
@@ -58,6 +20,7 @@ interface GetJobResponse {
     plan?: string;
     renders?: string[];
   };
+  steps: NonNullable<Manifest["steps"]>;
   manifestKey: string;
   updatedAt: string;
 }
@@ -74,43 +37,29 @@ export async function getJob(
   });
 
   try {
-    // Extract jobId from path parameters
-    const jobId = event.pathParameters?.jobId;
-    if (!jobId) {
-      logger.error("Missing jobId in path parameters");
+    const invalid = apiRequestErrors("getJob", event);
+    if (invalid.length) {
+      logger.error("Request does not match the API contract", {
+        errors: invalid,
+      });
       return {
         statusCode: 400,
-        body: JSON.stringify({ error: "Missing jobId in path parameters" }),
+        body: JSON.stringify(invalidRequestBody(invalid)),
       };
     }
+    // Extract jobId from path parameters
+    const jobId = event.pathParameters?.jobId;
 
     // Extract tenantId from query parameters
     const tenantId = event.queryStringParameters?.tenantId;
-    if (!tenantId) {
-      logger.error("Missing tenantId in query parameters");
-      return {
-        statusCode: 400,
-        body: JSON.stringify({ error: "Missing tenantId in query parameters" }),
-      };
-    }
-
-    // Validate tenantId format
-    const tenantIdPattern = /^[a-z0-9](?:[a-z0-9-_]{0,62}[a-z0-9])?$/;
-    if (!tenantIdPattern.test(tenantId)) {
-      logger.error("Invalid tenantId format", { tenantId });
-      return {
-        statusCode: 400,
-        body: JSON.stringify({ error: "Invalid tenantId format" }),
-      };
-    }
 
     logger.addPersistentAttributes({
       tenantId,
       jobId,
     });
 
-    // Get job from DynamoDB (mock)
-    let dbItem = await dynamoDB.getJobByJobId(tenantId, jobId);
+    // Get job from the job table
+    let dbItem = await getJobTable().getJobByJobId(tenantId, jobId);
 
     // Load manifest to get artifact pointers
     const env = currentEnv();
@@ -176,12 +125,12 @@ export async function getJob(
       };
     }
 
-    // Fallback for local-dev: synthesize db item if mock DB missed
+    // Fallback for local-dev: synthesize a row for jobs with no table entry
     if (!dbItem) {
       logger.info("Synthesizing DB item from manifest (local fallback)");
       dbItem = {
         tenantId,
-        jobSort: `${manifest.createdAt || ""}#${jobId}`,
+        jobSort: jobSortFor(manifest.createdAt || "", jobId),
         jobId,
         status: manifest.status,
         env,
@@ -223,6 +172,7 @@ export async function getJob(
       tenantId: manifest.tenantId,
       status: manifest.status,
       artifacts,
+      steps: manifest.steps || {},
       manifestKey: manifestKeyOut,
       updatedAt: manifest.updatedAt,
     };
@@ -0,0 +1,60 @@
+import { LoggingWrapper } from "../../logging.js";
+import { apiRequestErrors, invalidRequestBody } from "../../api-contract.js";
+import { batchProgress, getBatchStore } from "../../batches.js";
+
+/**
+ * GET /jobs:batch/{batchId}?tenantId=...
+ *
+ * Aggregate progress of a batch plus each item's current job status
+ */
+export async function getJobBatch(
+  event: any
+): Promise<{ statusCode: number; body: string }> {
+  const logger = new LoggingWrapper("getJobBatch");
+  const correlationId = event.headers?.["x-correlation-id"] || "unknown";
+
+  logger.addPersistentAttributes({
+    correlationId,
+    operation: "getJobBatch",
+  });
+
+  const respond = (statusCode: number, body: unknown) => ({
+    statusCode,
+    body: JSON.stringify(body),
+  });
+
+  try {
+    const invalid = apiRequestErrors("getJobBatch", event);
+    if (invalid.length) {
+      logger.error("Request does not match the API contract", {
+        errors: invalid,
+      });
+      return respond(400, invalidRequestBody(invalid));
+    }
+
+    const batchId = event.pathParameters?.batchId;
+    const tenantId = event.queryStringParameters?.tenantId;
+    logger.addPersistentAttributes({ tenantId, batchId });
+
+    const record = await getBatchStore().get(tenantId, batchId);
+    if (!record) {
+      logger.warn("Batch not found");
+      return respond(404, { error: "Batch not found" });
+    }
+
+    const progress = await batchProgress(record);
+    logger.info("Batch progress read", {
+      status: progress.status,
+      progress: progress.progress,
+    });
+    return respond(200, progress);
+  } catch (error) {
+    logger.error("Failed to get job batch", {
+      error: error instanceof Error ? error.message : String(error),
+    });
+    return respond(500, { error: "Internal server error" });
+  }
+}
+
+// Lambda handler wrapper
+export const handler = getJobBatch;
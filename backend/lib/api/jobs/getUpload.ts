@@ -0,0 +1,73 @@
+import { LoggingWrapper } from "../../logging.js";
+import { apiRequestErrors, invalidRequestBody } from "../../api-contract.js";
+import { currentEnv } from "../../storage.js";
+import {
+  UPLOAD_ERROR_STATUS,
+  UploadError,
+  getUploadStatus,
+} from "../../upload.js";
+
+/**
+ * GET /jobs/{jobId}/uploads/{uploadId}?tenantId=...
+ *
+ * Reports which parts have been received and which are still missing.
+ */
+export async function getUpload(
+  event: any
+): Promise<{ statusCode: number; body: string }> {
+  const logger = new LoggingWrapper("getUpload");
+  const correlationId = event.headers?.["x-correlation-id"] || "unknown";
+
+  logger.addPersistentAttributes({
+    correlationId,
+    operation: "getUpload",
+  });
+
+  const respond = (statusCode: number, body: unknown) => ({
+    statusCode,
+    body: JSON.stringify(body),
+  });
+
+  try {
+    const invalid = apiRequestErrors("getUpload", event);
+    if (invalid.length) {
+      logger.error("Request does not match the API contract", {
+        errors: invalid,
+      });
+      return respond(400, invalidRequestBody(invalid));
+    }
+
+    const jobId = event.pathParameters?.jobId;
+    const uploadId = event.pathParameters?.uploadId;
+
+    const tenantId = event.queryStringParameters?.tenantId;
+
+    logger.addPersistentAttributes({ tenantId, jobId, uploadId });
+
+    const status = await getUploadStatus(
+      currentEnv(),
+      tenantId,
+      jobId,
+      uploadId
+    );
+    return respond(200, { jobId, tenantId, ...status });
+  } catch (error) {
+    if (error instanceof UploadError) {
+      logger.warn("Upload lookup rejected", {
+        errorType: error.type,
+        error: error.message,
+      });
+      return respond(UPLOAD_ERROR_STATUS[error.type], {
+        error: error.message,
+        ...error.details,
+      });
+    }
+    logger.error("Failed to get upload", {
+      error: error instanceof Error ? error.message : String(error),
+    });
+    return respond(500, { error: "Internal server error" });
+  }
+}
+
+// Lambda handler wrapper
+export const handler = getUpload;
@@ -0,0 +1,74 @@
+import { LoggingWrapper } from "../../logging.js";
+import { apiRequestErrors, invalidRequestBody } from "../../api-contract.js";
+import { currentEnv } from "../../storage.js";
+import {
+  UPLOAD_ERROR_STATUS,
+  UploadError,
+  initiateUpload as initiate,
+} from "../../upload.js";
+
+/**
+ * POST /jobs/{jobId}/uploads?tenantId=...
+ *
+ * Starts a chunked upload of the job's declared input. If one is already in
+ * progress it is returned unchanged, so a client that lost its place can
+ * resume by sending only `missingParts`.
+ */
+export async function initiateUpload(
+  event: any
+): Promise<{ statusCode: number; body: string }> {
+  const logger = new LoggingWrapper("initiateUpload");
+  const correlationId = event.headers?.["x-correlation-id"] || "unknown";
+
+  logger.addPersistentAttributes({
+    correlationId,
+    operation: "initiateUpload",
+  });
+
+  const respond = (statusCode: number, body: unknown) => ({
+    statusCode,
+    body: JSON.stringify(body),
+  });
+
+  try {
+    const invalid = apiRequestErrors("initiateUpload", event);
+    if (invalid.length) {
+      logger.error("Request does not match the API contract", {
+        errors: invalid,
+      });
+      return respond(400, invalidRequestBody(invalid));
+    }
+
+    const jobId = event.pathParameters?.jobId;
+
+    const tenantId = event.queryStringParameters?.tenantId;
+
+    logger.addPersistentAttributes({ tenantId, jobId });
+
+    const status = await initiate(currentEnv(), tenantId, jobId);
+    logger.info("Upload ready", {
+      uploadId: status.uploadId,
+      totalParts: status.totalParts,
+      missingParts: status.missingParts.length,
+    });
+    return respond(200, { jobId, tenantId, ...status });
+  } catch (error) {
+    if (error instanceof UploadError) {
+      logger.warn("Upload rejected", {
+        errorType: error.type,
+        error: error.message,
+      });
+      return respond(UPLOAD_ERROR_STATUS[error.type], {
+        error: error.message,
+        ...error.details,
+      });
+    }
+    logger.error("Failed to initiate upload", {
+      error: error instanceof Error ? error.message : String(error),
+    });
+    return respond(500, { error: "Internal server error" });
+  }
+}
+
+// Lambda handler wrapper
+export const handler = initiateUpload;
@@ -0,0 +1,267 @@
+import fs from "node:fs";
+import path from "node:path";
+import { LoggingWrapper } from "../../logging.js";
+import { apiRequestErrors, invalidRequestBody } from "../../api-contract.js";
+import { currentEnv, pathFor } from "../../storage.js";
+import { loadManifest, manifestKey } from "../../manifest.js";
+import { JobItem, getJobTable, jobSortFor } from "../../job-table.js";
+
+const DEFAULT_LIMIT = 20;
+const JOB_STATUSES = [
+  "pending",
+  "processing",
+  "completed",
+  "failed",
+  "cancelled",
+];
+
+interface JobSummary {
+  jobId: string;
+  tenantId: string;
+  status: string;
+  createdAt: string;
+  updatedAt: string;
+  manifestKey: string;
+  tags: string[];
+}
+
+interface ListJobsResponse {
+  items: JobSummary[];
+  nextCursor?: string;
+}
+
+interface ListJobsFilters {
+  statuses?: string[];
+  createdFrom?: string;
+  createdTo?: string;
+  tags?: string[];
+}
+
+// Cursors are opaque to clients: base64url JSON of the last jobSort returned
+// plus the filters it was issued for, so it cannot be replayed against
+// a different query
+function encodeCursor(jobSort: string, filters: ListJobsFilters) {
+  return Buffer.from(JSON.stringify({ v: 1, s: jobSort, f: filters })).toString(
+    "base64url"
+  );
+}
+
+function decodeCursor(cursor: string, filters: ListJobsFilters) {
+  try {
+    const parsed = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (
+      parsed?.v !== 1 ||
+      typeof parsed.s !== "string" ||
+      JSON.stringify(parsed.f) !== JSON.stringify(filters)
+    ) {
+      return null;
+    }
+    return parsed.s as string;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Comma-separated or repeated query parameter values
+ */
+function listParam(value: unknown): string[] | undefined {
+  if (value === undefined || value === null || value === "") return undefined;
+  const values = (Array.isArray(value) ? value : [value])
+    .flatMap(v => String(v).split(","))
+    .map(v => v.trim())
+    .filter(Boolean);
+  return values.length ? values : undefined;
+}
+
+/**
+ * Legacy fallback: jobs whose manifests exist under storage but have no
+ * table row (e.g. seeded before the table existed). Reads every manifest
+ * of the tenant, so it only runs when the tenant has no rows at all or
+ * LIST_JOBS_SCAN_MANIFESTS=true.
+ */
+function scanManifests(
+  env: string,
+  tenantId: string,
+  logger: LoggingWrapper
+): JobItem[] {
+  const tenantDir = pathFor(path.posix.join(env, tenantId));
+  if (!fs.existsSync(tenantDir)) return [];
+
+  const items: JobItem[] = [];
+  for (const entry of fs.readdirSync(tenantDir, { withFileTypes: true })) {
+    if (!entry.isDirectory()) continue;
+    const jobId = entry.name;
+    if (!fs.existsSync(pathFor(manifestKey(env, tenantId, jobId)))) continue;
+    try {
+      const manifest = loadManifest(env, tenantId, jobId);
+      items.push({
+        tenantId,
+        jobSort: jobSortFor(manifest.createdAt, jobId),
+        jobId,
+        status: manifest.status,
+        env,
+        manifestKey: manifestKey(env, tenantId, jobId),
+        createdAt: manifest.createdAt,
+        updatedAt: manifest.updatedAt,
+        tags: manifest.metadata?.tags,
+      });
+    } catch (error) {
+      logger.warn("Skipping unreadable manifest during job scan", {
+        jobId,
+        error: error instanceof Error ? error.message : String(error),
+      });
+    }
+  }
+  return items;
+}
+
+export async function listJobs(
+  event: any
+): Promise<{ statusCode: number; body: string }> {
+  const logger = new LoggingWrapper("listJobs");
+  const correlationId = event.headers?.["x-correlation-id"] || "unknown";
+
+  logger.addPersistentAttributes({
+    correlationId,
+    operation: "listJobs",
+  });
+
+  const badRequest = (error: string) => {
+    logger.error(error);
+    return { statusCode: 400, body: JSON.stringify({ error }) };
+  };
+
+  try {
+    const invalid = apiRequestErrors("listJobs", event);
+    if (invalid.length) {
+      logger.error("Request does not match the API contract", {
+        errors: invalid,
+      });
+      return {
+        statusCode: 400,
+        body: JSON.stringify(invalidRequestBody(invalid)),
+      };
+    }
+
+    const query = event.queryStringParameters || {};
+    const multi = event.multiValueQueryStringParameters || {};
+
+    const tenantId = query.tenantId;
+    logger.addPersistentAttributes({ tenantId });
+
+    const filters: ListJobsFilters = {};
+    const statuses = listParam(multi.status ?? query.status);
+    if (statuses) {
+      const unknown = statuses.filter(s => !JOB_STATUSES.includes(s));
+      if (unknown.length) {
+        return badRequest(`Invalid status filter: ${unknown.join(", ")}`);
+      }
+      filters.statuses = statuses;
+    }
+    for (const field of ["createdFrom", "createdTo"] as const) {
+      if (query[field] === undefined || query[field] === "") continue;
+      const time = Date.parse(query[field]);
+      if (Number.isNaN(time)) {
+        return badRequest(`${field} must be an ISO 8601 date-time`);
+      }
+      filters[field] = new Date(time).toISOString();
+    }
+    const tags = listParam(multi.tags ?? query.tags);
+    if (tags) filters.tags = tags;
+
+    // The contract bounds limit to 1-100
+    const limit =
+      query.limit !== undefined && query.limit !== ""
+        ? Number(query.limit)
+        : DEFAULT_LIMIT;
+
+    let exclusiveStartSort: string | undefined;
+    if (query.cursor) {
+      const decoded = decodeCursor(query.cursor, filters);
+      if (decoded === null) {
+        return badRequest("Invalid cursor");
+      }
+      exclusiveStartSort = decoded;
+    }
+
+    const env = currentEnv();
+    const tableItems = await getJobTable().query(tenantId, {
+      fromSort: filters.createdFrom,
+      // "~" sorts after "#" so jobs created exactly at createdTo are included
+      toSort: filters.createdTo && `${filters.createdTo}~`,
+      exclusiveStartSort,
+      descending: true,
+    });
+
+    // updateManifest keeps each row's status current, so the table alone
+    // answers the query; manifests are only scanned for legacy jobs
+    const byJobId = new Map<string, JobItem>();
+    for (const item of tableItems) byJobId.set(item.jobId, item);
+    const scan =
+      process.env.LIST_JOBS_SCAN_MANIFESTS === "true" ||
+      (await getJobTable().query(tenantId, { limit: 1 })).length === 0;
+    if (scan) {
+      for (const item of scanManifests(env, tenantId, logger)) {
+        if (!byJobId.has(item.jobId)) byJobId.set(item.jobId, item);
+      }
+    }
+
+    const matches = [...byJobId.values()]
+      .filter(item => !exclusiveStartSort || item.jobSort < exclusiveStartSort)
+      .filter(
+        item => !filters.createdFrom || item.createdAt >= filters.createdFrom
+      )
+      .filter(item => !filters.createdTo || item.createdAt <= filters.createdTo)
+      .filter(
+        item => !filters.statuses || filters.statuses.includes(item.status)
+      )
+      .filter(
+        item =>
+          !filters.tags ||
+          filters.tags.every(tag => (item.tags || []).includes(tag))
+      )
+      .sort((a, b) => b.jobSort.localeCompare(a.jobSort));
+
+    const page = matches.slice(0, limit);
+    const response: ListJobsResponse = {
+      items: page.map(item => ({
+        jobId: item.jobId,
+        tenantId: item.tenantId,
+        status: item.status,
+        createdAt: item.createdAt,
+        updatedAt: item.updatedAt,
+        manifestKey: item.manifestKey,
+        tags: item.tags || [],
+      })),
+    };
+    if (matches.length > limit) {
+      response.nextCursor = encodeCursor(
+        page[page.length - 1].jobSort,
+        filters
+      );
+    }
+
+    logger.info("Jobs listed", {
+      count: response.items.length,
+      hasMore: Boolean(response.nextCursor),
+    });
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify(response),
+    };
+  } catch (error) {
+    logger.error("Failed to list jobs", {
+      error: error instanceof Error ? error.message : String(error),
+    });
+
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: "Internal server error" }),
+    };
+  }
+}
+
+// Lambda handler wrapper
+export const handler = listJobs;
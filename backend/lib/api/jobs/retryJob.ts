@@ -0,0 +1,137 @@
+import { LoggingWrapper } from "../../logging.js";
+import { apiRequestErrors, invalidRequestBody } from "../../api-contract.js";
+import { currentEnv } from "../../storage.js";
+import { getJobTable } from "../../job-table.js";
+import { getLocalExecution, startStateMachine } from "../../orchestration.js";
+import { JobRetryError, prepareJobRetry } from "../../job-retry.js";
+
+const STATUS_FOR_ERROR: Record<JobRetryError["type"], number> = {
+  INVALID_STEP: 400,
+  JOB_NOT_FOUND: 404,
+  JOB_RUNNING: 409,
+  MISSING_PREREQUISITES: 422,
+};
+
+interface RetryJobResponse {
+  jobId: string;
+  tenantId: string;
+  status: "processing";
+  fromStep: string;
+  previousStatus: string;
+  resetSteps: string[];
+  executionId?: string;
+}
+
+/**
+ * POST /jobs/{jobId}/retry?tenantId=...&fromStep=...
+ *
+ * Re-runs the pipeline from `fromStep`, reusing the artifacts earlier steps
+ * recorded in the manifest. `applyTransitions=true|false` overrides the
+ * job's `options.applyTransitions` for the re-run.
+ */
+export async function retryJob(
+  event: any
+): Promise<{ statusCode: number; body: string }> {
+  const logger = new LoggingWrapper("retryJob");
+  const correlationId = event.headers?.["x-correlation-id"] || "unknown";
+
+  logger.addPersistentAttributes({
+    correlationId,
+    operation: "retryJob",
+  });
+
+  const respond = (statusCode: number, body: unknown) => ({
+    statusCode,
+    body: JSON.stringify(body),
+  });
+
+  try {
+    const invalid = apiRequestErrors("retryJob", event);
+    if (invalid.length) {
+      logger.error("Request does not match the API contract", {
+        errors: invalid,
+      });
+      return respond(400, invalidRequestBody(invalid));
+    }
+
+    const jobId = event.pathParameters?.jobId;
+
+    const query = event.queryStringParameters || {};
+    const tenantId = query.tenantId;
+
+    logger.addPersistentAttributes({
+      tenantId,
+      jobId,
+      fromStep: query.fromStep,
+    });
+
+    if (getLocalExecution(jobId)) {
+      logger.warn("Execution still running; not retrying");
+      return respond(409, { error: "Job is still processing" });
+    }
+
+    const env = currentEnv();
+    let prepared;
+    try {
+      prepared = await prepareJobRetry(env, tenantId, jobId, query.fromStep);
+    } catch (error) {
+      if (error instanceof JobRetryError) {
+        logger.warn("Retry rejected", {
+          errorType: error.type,
+          error: error.message,
+        });
+        return respond(STATUS_FOR_ERROR[error.type], {
+          error: error.message,
+          ...error.details,
+        });
+      }
+      throw error;
+    }
+
+    const now = new Date().toISOString();
+    const jobTable = getJobTable();
+    const dbItem = await jobTable.getJobByJobId(tenantId, jobId);
+    if (dbItem) {
+      await jobTable.updateItem(tenantId, dbItem.jobSort, {
+        status: "processing",
+        updatedAt: now,
+      });
+    }
+
+    const execution = await startStateMachine({
+      tenantId,
+      jobId,
+      correlationId,
+      applyTransitions:
+        query.applyTransitions === undefined
+          ? undefined
+          : query.applyTransitions === "true",
+      startAt: prepared.fromStep,
+    });
+
+    logger.info("Retry started", {
+      previousStatus: prepared.previousStatus,
+      resetSteps: prepared.resetSteps,
+      executionId: execution?.executionId,
+    });
+
+    const response: RetryJobResponse = {
+      jobId,
+      tenantId,
+      status: "processing",
+      fromStep: prepared.fromStep,
+      previousStatus: prepared.previousStatus,
+      resetSteps: prepared.resetSteps,
+      executionId: execution?.executionId,
+    };
+    return respond(202, response);
+  } catch (error) {
+    logger.error("Failed to retry job", {
+      error: error instanceof Error ? error.message : String(error),
+    });
+    return respond(500, { error: "Internal server error" });
+  }
+}
+
+// Lambda handler wrapper
+export const handler = retryJob;
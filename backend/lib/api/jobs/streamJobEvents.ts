@@ -0,0 +1,140 @@
+import { Readable } from "node:stream";
+import { LoggingWrapper } from "../../logging.js";
+import { apiRequestErrors, invalidRequestBody } from "../../api-contract.js";
+import { currentEnv } from "../../storage.js";
+import { loadManifest } from "../../manifest.js";
+import { getJobEventStore, type JobEvent } from "../../job-events.js";
+
+const TERMINAL_STATUSES = ["completed", "failed", "cancelled"];
+const DEFAULT_POLL_INTERVAL_MS = 500;
+const HEARTBEAT_MS = 15000;
+
+export interface JobEventsResponse {
+  statusCode: number;
+  headers: Record<string, string>;
+  /** JSON error body; empty when `stream` carries the events */
+  body: string;
+  stream?: Readable;
+}
+
+function pollIntervalMs() {
+  const ms = Number(process.env.SSE_POLL_INTERVAL_MS);
+  return Number.isFinite(ms) && ms > 0 ? ms : DEFAULT_POLL_INTERVAL_MS;
+}
+
+const formatEvent = (event: JobEvent) =>
+  `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+
+/**
+ * GET /jobs/{jobId}/events?tenantId=...
+ *
+ * Server-sent events for a job: `status` and `step` transitions plus
+ * in-step `progress`. Events after `Last-Event-ID` (header, or `lastEventId`
+ * query parameter for EventSource polyfills) are replayed first. The stream
+ * sends `end` and closes once the job reaches a terminal status.
+ */
+export async function streamJobEvents(event: any): Promise<JobEventsResponse> {
+  const logger = new LoggingWrapper("streamJobEvents");
+  const correlationId = event.headers?.["x-correlation-id"] || "unknown";
+
+  logger.addPersistentAttributes({
+    correlationId,
+    operation: "streamJobEvents",
+  });
+
+  const respond = (statusCode: number, body: unknown): JobEventsResponse => ({
+    statusCode,
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+
+  try {
+    const invalid = apiRequestErrors("streamJobEvents", event);
+    if (invalid.length) {
+      logger.error("Request does not match the API contract", {
+        errors: invalid,
+      });
+      return respond(400, invalidRequestBody(invalid));
+    }
+
+    const jobId = event.pathParameters?.jobId;
+
+    const query = event.queryStringParameters || {};
+    const tenantId = query.tenantId;
+
+    const rawLastEventId =
+      event.headers?.["last-event-id"] ?? query.lastEventId ?? "0";
+    const lastEventId = Number(rawLastEventId);
+    if (!Number.isInteger(lastEventId) || lastEventId < 0) {
+      logger.error("Invalid Last-Event-ID", { lastEventId: rawLastEventId });
+      return respond(400, { error: "Invalid Last-Event-ID" });
+    }
+
+    logger.addPersistentAttributes({ tenantId, jobId });
+    const env = currentEnv();
+
+    try {
+      loadManifest(env, tenantId, jobId);
+    } catch (error) {
+      logger.warn("Manifest not found for job", {
+        error: error instanceof Error ? error.message : String(error),
+      });
+      return respond(404, { error: "Job not found" });
+    }
+
+    const store = getJobEventStore();
+    const intervalMs = pollIntervalMs();
+
+    // Handlers may run in other processes, so new events are picked up by
+    // polling the event log rather than an in-memory emitter
+    async function* events() {
+      let lastId = lastEventId;
+      let lastWriteAt = Date.now();
+      yield `retry: 3000\n\n`;
+      for (;;) {
+        for (const e of await store.list(env, tenantId, jobId, lastId)) {
+          lastId = e.id;
+          lastWriteAt = Date.now();
+          yield formatEvent(e);
+        }
+
+        const { status } = loadManifest(env, tenantId, jobId);
+        if (TERMINAL_STATUSES.includes(status)) {
+          // Drain anything written between the list and the status check
+          for (const e of await store.list(env, tenantId, jobId, lastId)) {
+            lastId = e.id;
+            yield formatEvent(e);
+          }
+          yield `event: end\ndata: ${JSON.stringify({ status })}\n\n`;
+          return;
+        }
+
+        if (Date.now() - lastWriteAt >= HEARTBEAT_MS) {
+          lastWriteAt = Date.now();
+          yield `: keep-alive\n\n`;
+        }
+        await new Promise(r => setTimeout(r, intervalMs));
+      }
+    }
+
+    logger.info("Streaming job events", { lastEventId });
+    return {
+      statusCode: 200,
+      headers: {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+      },
+      body: "",
+      stream: Readable.from(events()),
+    };
+  } catch (error) {
+    logger.error("Failed to stream job events", {
+      error: error instanceof Error ? error.message : String(error),
+    });
+    return respond(500, { error: "Internal server error" });
+  }
+}
+
+// Lambda handler wrapper
+export const handler = streamJobEvents;
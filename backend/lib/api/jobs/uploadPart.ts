@@ -0,0 +1,88 @@
+import { Readable } from "node:stream";
+import { LoggingWrapper } from "../../logging.js";
+import { apiRequestErrors, invalidRequestBody } from "../../api-contract.js";
+import { currentEnv, type StorageBody } from "../../storage.js";
+import {
+  UPLOAD_ERROR_STATUS,
+  UploadError,
+  writeUploadPart,
+} from "../../upload.js";
+
+/**
+ * PUT /jobs/{jobId}/uploads/{uploadId}/parts/{partNumber}?tenantId=...
+ *
+ * The request body is the raw part bytes. API Gateway delivers binary
+ * bodies base64-encoded; the local server passes the request stream.
+ */
+export async function uploadPart(
+  event: any
+): Promise<{ statusCode: number; body: string }> {
+  const logger = new LoggingWrapper("uploadPart");
+  const correlationId = event.headers?.["x-correlation-id"] || "unknown";
+
+  logger.addPersistentAttributes({
+    correlationId,
+    operation: "uploadPart",
+  });
+
+  const respond = (statusCode: number, body: unknown) => ({
+    statusCode,
+    body: JSON.stringify(body),
+  });
+
+  try {
+    const invalid = apiRequestErrors("uploadPart", event);
+    if (invalid.length) {
+      logger.error("Request does not match the API contract", {
+        errors: invalid,
+      });
+      return respond(400, invalidRequestBody(invalid));
+    }
+
+    const jobId = event.pathParameters?.jobId;
+    const uploadId = event.pathParameters?.uploadId;
+    const partNumber = Number(event.pathParameters?.partNumber);
+
+    const tenantId = event.queryStringParameters?.tenantId;
+
+    if (event.body === undefined || event.body === null) {
+      logger.error("Missing part body");
+      return respond(400, { error: "Missing part body" });
+    }
+    const body: StorageBody =
+      event.body instanceof Readable || Buffer.isBuffer(event.body)
+        ? event.body
+        : Buffer.from(event.body, event.isBase64Encoded ? "base64" : "utf-8");
+
+    logger.addPersistentAttributes({ tenantId, jobId, uploadId, partNumber });
+
+    const part = await writeUploadPart(
+      currentEnv(),
+      tenantId,
+      jobId,
+      uploadId,
+      partNumber,
+      body
+    );
+    logger.info("Part stored", { size: part.size });
+    return respond(200, { jobId, tenantId, uploadId, ...part });
+  } catch (error) {
+    if (error instanceof UploadError) {
+      logger.warn("Part rejected", {
+        errorType: error.type,
+        error: error.message,
+      });
+      return respond(UPLOAD_ERROR_STATUS[error.type], {
+        error: error.message,
+        ...error.details,
+      });
+    }
+    logger.error("Failed to store part", {
+      error: error instanceof Error ? error.message : String(error),
+    });
+    return respond(500, { error: "Internal server error" });
+  }
+}
+
+// Lambda handler wrapper
+export const handler = uploadPart;
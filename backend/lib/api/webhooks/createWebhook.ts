@@ -0,0 +1,125 @@
+import crypto from "node:crypto";
+import { v4 as uuidv4 } from "uuid";
+import { LoggingWrapper } from "../../logging.js";
+import { apiRequestErrors, invalidRequestBody } from "../../api-contract.js";
+import {
+  WEBHOOK_EVENT_TYPES,
+  WebhookSubscription,
+  getWebhookStore,
+  isWebhookEventType,
+  webhookTargetError,
+} from "../../webhooks.js";
+
+interface CreateWebhookRequest {
+  url?: string;
+  secret?: string;
+  events?: string[];
+}
+
+/**
+ * POST /webhooks?tenantId=...
+ *
+ * Subscribe a URL to job lifecycle events. Omitting `events` subscribes to
+ * all of them; omitting `secret` generates one. URLs reaching localhost or
+ * internal addresses are refused. The secret is only returned
+ * here, so callers must store it to verify signatures.
+ */
+export async function createWebhook(
+  event: any
+): Promise<{ statusCode: number; body: string }> {
+  const logger = new LoggingWrapper("createWebhook");
+  const correlationId = event.headers?.["x-correlation-id"] || "unknown";
+
+  logger.addPersistentAttributes({
+    correlationId,
+    operation: "createWebhook",
+  });
+
+  const respond = (statusCode: number, body: unknown) => ({
+    statusCode,
+    body: JSON.stringify(body),
+  });
+
+  try {
+    const invalid = apiRequestErrors("createWebhook", event);
+    if (invalid.length) {
+      logger.error("Request does not match the API contract", {
+        errors: invalid,
+      });
+      return respond(400, invalidRequestBody(invalid));
+    }
+
+    const tenantId = event.queryStringParameters?.tenantId;
+
+    let body: CreateWebhookRequest;
+    try {
+      body = JSON.parse(event.body || "{}");
+    } catch {
+      return respond(400, { error: "Request body must be JSON" });
+    }
+
+    let url: URL | undefined;
+    try {
+      url = new URL(String(body.url));
+    } catch {
+      url = undefined;
+    }
+    if (!url || !["http:", "https:"].includes(url.protocol)) {
+      logger.error("Invalid webhook url", { url: body.url });
+      return respond(400, { error: "url must be an http(s) URL" });
+    }
+    let targetError: string | undefined;
+    try {
+      targetError = await webhookTargetError(url);
+    } catch {
+      targetError = `url host ${url.hostname} does not resolve`;
+    }
+    if (targetError) {
+      logger.error("Refused webhook url", { url: body.url, targetError });
+      return respond(400, { error: targetError });
+    }
+
+    if (
+      body.secret !== undefined &&
+      (typeof body.secret !== "string" || body.secret.length < 16)
+    ) {
+      return respond(400, {
+        error: "secret must be a string of at least 16 characters",
+      });
+    }
+
+    const events = body.events ?? [];
+    if (!Array.isArray(events) || !events.every(isWebhookEventType)) {
+      logger.error("Invalid webhook events", { events });
+      return respond(400, {
+        error: "events must be a list of supported event types",
+        allowed: WEBHOOK_EVENT_TYPES,
+      });
+    }
+
+    const subscription: WebhookSubscription = {
+      id: uuidv4(),
+      tenantId,
+      url: url.toString(),
+      secret: body.secret ?? `whsec_${crypto.randomBytes(24).toString("hex")}`,
+      events: [...new Set(events)],
+      createdAt: new Date().toISOString(),
+    };
+    await getWebhookStore().putSubscription(subscription);
+
+    logger.info("Webhook subscription created", {
+      tenantId,
+      webhookId: subscription.id,
+      events: subscription.events,
+    });
+    return respond(201, subscription);
+  } catch (error) {
+    logger.error("Failed to create webhook", {
+      error: error instanceof Error ? error.message : String(error),
+    });
+    return respond(500, { error: "Internal server error" });
+  }
+}
+
+// Lambda handler wrapper
+export const handler = createWebhook;
@@ -0,0 +1,59 @@
+import { LoggingWrapper } from "../../logging.js";
+import { apiRequestErrors, invalidRequestBody } from "../../api-contract.js";
+import { getWebhookStore } from "../../webhooks.js";
+
+/**
+ * DELETE /webhooks/{webhookId}?tenantId=...
+ *
+ * Removes the subscription. Its delivery log is kept; pending deliveries
+ * are marked failed the next time they are dispatched.
+ */
+export async function deleteWebhook(
+  event: any
+): Promise<{ statusCode: number; body: string }> {
+  const logger = new LoggingWrapper("deleteWebhook");
+  const correlationId = event.headers?.["x-correlation-id"] || "unknown";
+
+  logger.addPersistentAttributes({
+    correlationId,
+    operation: "deleteWebhook",
+  });
+
+  const respond = (statusCode: number, body: unknown) => ({
+    statusCode,
+    body: JSON.stringify(body),
+  });
+
+  try {
+    const invalid = apiRequestErrors("deleteWebhook", event);
+    if (invalid.length) {
+      logger.error("Request does not match the API contract", {
+        errors: invalid,
+      });
+      return respond(400, invalidRequestBody(invalid));
+    }
+
+    const webhookId = event.pathParameters?.webhookId;
+
+    const tenantId = event.queryStringParameters?.tenantId;
+
+    const deleted = await getWebhookStore().deleteSubscription(
+      tenantId,
+      webhookId
+    );
+    if (!deleted) {
+      return respond(404, { error: "Webhook not found" });
+    }
+
+    logger.info("Webhook subscription deleted", { tenantId, webhookId });
+    return respond(200, { webhookId, deleted: true });
+  } catch (error) {
+    logger.error("Failed to delete webhook", {
+      error: error instanceof Error ? error.message : String(error),
+    });
+    return respond(500, { error: "Internal server error" });
+  }
+}
+
+// Lambda handler wrapper
+export const handler = deleteWebhook;
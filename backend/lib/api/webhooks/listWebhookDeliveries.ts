@@ -0,0 +1,75 @@
+import { LoggingWrapper } from "../../logging.js";
+import { apiRequestErrors, invalidRequestBody } from "../../api-contract.js";
+import { WebhookDelivery, getWebhookStore } from "../../webhooks.js";
+
+const DELIVERY_STATUSES: WebhookDelivery["status"][] = [
+  "pending",
+  "delivered",
+  "failed",
+];
+
+/**
+ * GET /webhooks/{webhookId}/deliveries?tenantId=...&status=...
+ *
+ * Delivery log for a subscription, oldest first: the payload sent, its
+ * status and every attempt with response code, error and duration
+ */
+export async function listWebhookDeliveries(
+  event: any
+): Promise<{ statusCode: number; body: string }> {
+  const logger = new LoggingWrapper("listWebhookDeliveries");
+  const correlationId = event.headers?.["x-correlation-id"] || "unknown";
+
+  logger.addPersistentAttributes({
+    correlationId,
+    operation: "listWebhookDeliveries",
+  });
+
+  const respond = (statusCode: number, body: unknown) => ({
+    statusCode,
+    body: JSON.stringify(body),
+  });
+
+  try {
+    const invalid = apiRequestErrors("listWebhookDeliveries", event);
+    if (invalid.length) {
+      logger.error("Request does not match the API contract", {
+        errors: invalid,
+      });
+      return respond(400, invalidRequestBody(invalid));
+    }
+
+    const webhookId = event.pathParameters?.webhookId;
+
+    const query = event.queryStringParameters || {};
+    const tenantId = query.tenantId;
+
+    const status = query.status;
+    if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+      return respond(400, {
+        error: "Invalid status filter",
+        allowed: DELIVERY_STATUSES,
+      });
+    }
+
+    const store = getWebhookStore();
+    const subscriptions = await store.listSubscriptions(tenantId);
+    if (!subscriptions.some(s => s.id === webhookId)) {
+      return respond(404, { error: "Webhook not found" });
+    }
+
+    const items = await store.listDeliveries(tenantId, {
+      subscriptionId: webhookId,
+      status,
+    });
+    return respond(200, { items });
+  } catch (error) {
+    logger.error("Failed to list webhook deliveries", {
+      error: error instanceof Error ? error.message : String(error),
+    });
+    return respond(500, { error: "Internal server error" });
+  }
+}
+
+// Lambda handler wrapper
+export const handler = listWebhookDeliveries;
@@ -0,0 +1,50 @@
+import { LoggingWrapper } from "../../logging.js";
+import { apiRequestErrors, invalidRequestBody } from "../../api-contract.js";
+import { getWebhookStore } from "../../webhooks.js";
+
+/**
+ * GET /webhooks?tenantId=...
+ *
+ * The tenant's subscriptions, oldest first, without their secrets
+ */
+export async function listWebhooks(
+  event: any
+): Promise<{ statusCode: number; body: string }> {
+  const logger = new LoggingWrapper("listWebhooks");
+  const correlationId = event.headers?.["x-correlation-id"] || "unknown";
+
+  logger.addPersistentAttributes({
+    correlationId,
+    operation: "listWebhooks",
+  });
+
+  const respond = (statusCode: number, body: unknown) => ({
+    statusCode,
+    body: JSON.stringify(body),
+  });
+
+  try {
+    const invalid = apiRequestErrors("listWebhooks", event);
+    if (invalid.length) {
+      logger.error("Request does not match the API contract", {
+        errors: invalid,
+      });
+      return respond(400, invalidRequestBody(invalid));
+    }
+
+    const tenantId = event.queryStringParameters?.tenantId;
+
+    const subscriptions = await getWebhookStore().listSubscriptions(tenantId);
+    return respond(200, {
+      items: subscriptions.map(({ secret: _secret, ...rest }) => rest),
+    });
+  } catch (error) {
+    logger.error("Failed to list webhooks", {
+      error: error instanceof Error ? error.message : String(error),
+    });
+    return respond(500, { error: "Internal server error" });
+  }
+}
+
+// Lambda handler wrapper
+export const handler = listWebhooks;
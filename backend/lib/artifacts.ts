@@ -0,0 +1,95 @@
+// backend/lib/artifacts.ts
+import path from "node:path";
+import type { Manifest } from "./types.js";
+
+/**
+ * Artifact kinds served by GET /jobs/{jobId}/artifacts/{kind}. Indexed kinds
+ * address an entry of the manifest array; the index defaults to 0.
+ */
+export const ARTIFACT_KINDS = {
+  input: { indexed: false, key: (m: Manifest) => m.input?.sourceKey },
+  audio: { indexed: false, key: (m: Manifest) => m.audio?.key },
+  transcript: { indexed: false, key: (m: Manifest) => m.transcript?.jsonKey },
+  "transcript-srt": {
+    indexed: false,
+    key: (m: Manifest) => m.transcript?.srtKey,
+  },
+  plan: { indexed: false, key: (m: Manifest) => m.plan?.key },
+  renders: {
+    indexed: true,
+    key: (m: Manifest, i: number) => m.renders?.[i]?.key,
+  },
+  subtitles: {
+    indexed: true,
+    key: (m: Manifest, i: number) => m.subtitles?.[i]?.key,
+  },
+} as const;
+
+export type ArtifactKind = keyof typeof ARTIFACT_KINDS;
+
+export function isArtifactKind(kind: unknown): kind is ArtifactKind {
+  return typeof kind === "string" && Object.hasOwn(ARTIFACT_KINDS, kind);
+}
+
+/**
+ * Storage key of an artifact recorded in the manifest, or undefined
+ */
+export function artifactKey(
+  manifest: Manifest,
+  kind: ArtifactKind,
+  index = 0
+): string | undefined {
+  return ARTIFACT_KINDS[kind].key(manifest, index);
+}
+
+const CONTENT_TYPES: Record<string, string> = {
+  ".mp4": "video/mp4",
+  ".mov": "video/quicktime",
+  ".webm": "video/webm",
+  ".mkv": "video/x-matroska",
+  ".mp3": "audio/mpeg",
+  ".wav": "audio/wav",
+  ".aac": "audio/aac",
+  ".m4a": "audio/mp4",
+  ".json": "application/json",
+  ".srt": "application/x-subrip",
+  ".vtt": "text/vtt",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+};
+
+export function contentTypeFor(k: string) {
+  return (
+    CONTENT_TYPES[path.posix.extname(k).toLowerCase()] ||
+    "application/octet-stream"
+  );
+}
+
+export type ByteRange = { start: number; end: number };
+
+/**
+ * Parse a single-range `Range: bytes=` header against an object of `size`
+ * bytes. Returns the inclusive range, "unsatisfiable" (416), or null when the
+ * header is absent, malformed or multi-range and the whole object is served.
+ */
+export function parseRange(
+  header: string | undefined,
+  size: number
+): ByteRange | "unsatisfiable" | null {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header?.trim() || "");
+  if (!match || (!match[1] && !match[2])) return null;
+
+  if (!match[1]) {
+    // Suffix range: the last N bytes
+    const length = Number(match[2]);
+    if (length === 0 || size === 0) return "unsatisfiable";
+    return { start: Math.max(0, size - length), end: size - 1 };
+  }
+
+  const start = Number(match[1]);
+  const end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+  if (match[2] && Number(match[2]) < start) return null;
+  if (start >= size) return "unsatisfiable";
+  return { start, end };
+}
@@ -0,0 +1,439 @@
+import { test, describe } from "node:test";
+import assert from "node:assert";
+import {
+  AslDefinition,
+  AslTaskHandler,
+  executeStateMachine,
+  loadStateMachineDefinition,
+  taskNameFromResource,
+  validateDefinition,
+} from "./asl-interpreter.js";
+
+function taskError(name: string, message = name) {
+  return Object.assign(new Error(message), { name });
+}
+
+/**
+ * Resolver over in-memory handlers keyed by task name
+ */
+function fakeTasks(tasks: Record<string, AslTaskHandler>) {
+  return async (resource: string) =>
+    tasks[taskNameFromResource(resource)] || null;
+}
+
+describe("ASL interpreter", () => {
+  test("taskNameFromResource strips the pipeline ARN prefix", () => {
+    assert.strictEqual(
+      taskNameFromResource(
+        "arn:aws:lambda:${AWS::Region}:${AWS::AccountId}:function:talkavocado-${Env}-video-cuts"
+      ),
+      "video-cuts"
+    );
+    assert.strictEqual(taskNameFromResource("local-task"), "local-task");
+  });
+
+  test("applies Parameters, ResultSelector and ResultPath", async () => {
+    const definition: AslDefinition = {
+      StartAt: "first",
+      States: {
+        first: {
+          Type: "Task",
+          Resource: "first",
+          Parameters: {
+            "id.$": "$.job.id",
+            fixed: 1,
+            "exec.$": "$$.Execution.Id",
+          },
+          ResultSelector: { "value.$": "$.value" },
+          ResultPath: "$.first",
+          Next: "second",
+        },
+        second: {
+          Type: "Task",
+          Resource: "second",
+          ResultPath: null,
+          End: true,
+        },
+      },
+    };
+    const seen: unknown[] = [];
+    const result = await executeStateMachine(
+      definition,
+      { job: { id: "j1" } },
+      {
+        executionId: "exec-1",
+        resolveTask: fakeTasks({
+          first: async input => {
+            seen.push(input);
+            return { value: 42, noise: true };
+          },
+          second: async input => {
+            seen.push(input);
+            return "discarded";
+          },
+        }),
+      }
+    );
+
+    assert.strictEqual(result.status, "SUCCEEDED");
+    assert.deepStrictEqual(seen[0], { id: "j1", fixed: 1, exec: "exec-1" });
+    assert.deepStrictEqual(result.output, {
+      job: { id: "j1" },
+      first: { value: 42 },
+    });
+  });
+
+  test("retries matching errors with exponential backoff", async () => {
+    const definition: AslDefinition = {
+      StartAt: "flaky",
+      States: {
+        flaky: {
+          Type: "Task",
+          Resource: "flaky",
+          Retry: [
+            {
+              ErrorEquals: ["TRANSIENT_DEPENDENCY"],
+              IntervalSeconds: 2,
+              MaxAttempts: 3,
+              BackoffRate: 2,
+            },
+          ],
+          End: true,
+        },
+      },
+    };
+    const delays: number[] = [];
+    let calls = 0;
+    const result = await executeStateMachine(
+      definition,
+      {},
+      {
+        sleep: async ms => {
+          delays.push(ms);
+        },
+        resolveTask: fakeTasks({
+          flaky: async () => {
+            calls++;
+            if (calls < 3) throw taskError("TRANSIENT_DEPENDENCY");
+            return { ok: true };
+          },
+        }),
+      }
+    );
+
+    assert.strictEqual(result.status, "SUCCEEDED");
+    assert.deepStrictEqual(delays, [2000, 4000]);
+    assert.strictEqual(result.history[0].attempts, 3);
+
+    // Like Lambda's errorType, matching uses the name and ignores `type`
+    const typed = await executeStateMachine(
+      definition,
+      {},
+      {
+        sleep: async () => {},
+        resolveTask: fakeTasks({
+          flaky: async () => {
+            throw Object.assign(taskError("AudioExtractionError"), {
+              type: "TRANSIENT_DEPENDENCY",
+            });
+          },
+        }),
+      }
+    );
+    assert.strictEqual(typed.status, "FAILED");
+    assert.strictEqual(typed.error, "AudioExtractionError");
+    assert.strictEqual(typed.history[0].attempts, 1);
+  });
+
+  test("routes exhausted or non-retryable errors through Catch", async () => {
+    const definition: AslDefinition = {
+      StartAt: "work",
+      States: {
+        work: {
+          Type: "Task",
+          Resource: "work",
+          Retry: [{ ErrorEquals: ["TIMEOUT"], MaxAttempts: 1 }],
+          Catch: [
+            {
+              ErrorEquals: ["States.ALL"],
+              Next: "failed",
+              ResultPath: "$.error",
+            },
+          ],
+          Next: "done",
+        },
+        done: { Type: "Succeed" },
+        failed: {
+          Type: "Task",
+          Resource: "failed",
+          Parameters: { "error.$": "$.error" },
+          ResultPath: null,
+          End: true,
+        },
+      },
+    };
+    let calls = 0;
+    let failedInput: any;
+    const result = await executeStateMachine(
+      definition,
+      { jobId: "j1" },
+      {
+        sleep: async () => {},
+        resolveTask: fakeTasks({
+          work: async () => {
+            calls++;
+            throw taskError("TIMEOUT", "took too long");
+          },
+          failed: async input => {
+            failedInput = input;
+            return {};
+          },
+        }),
+      }
+    );
+
+    assert.strictEqual(calls, 2);
+    assert.strictEqual(result.status, "SUCCEEDED");
+    assert.deepStrictEqual(failedInput, {
+      error: { Error: "TIMEOUT", Cause: "took too long" },
+    });
+    assert.deepStrictEqual(
+      result.history.map(h => h.state),
+      ["work", "failed"]
+    );
+  });
+
+  test("fails the execution when no Catch matches", async () => {
+    const result = await executeStateMachine(
+      {
+        StartAt: "work",
+        States: {
+          work: {
+            Type: "Task",
+            Resource: "work",
+            Catch: [{ ErrorEquals: ["OTHER"], Next: "work" }],
+            End: true,
+          },
+        },
+      },
+      {},
+      {
+        resolveTask: fakeTasks({
+          work: async () => {
+            throw taskError("INPUT_NOT_FOUND", "missing input");
+          },
+        }),
+      }
+    );
+    assert.strictEqual(result.status, "FAILED");
+    assert.strictEqual(result.error, "INPUT_NOT_FOUND");
+    assert.strictEqual(result.cause, "missing input");
+  });
+
+  test("evaluates Choice rules, Default and missing variables", async () => {
+    const definition: AslDefinition = {
+      StartAt: "choose",
+      States: {
+        choose: {
+          Type: "Choice",
+          Choices: [
+            {
+              And: [
+                { Variable: "$.flag", IsPresent: true },
+                { Variable: "$.flag", BooleanEquals: true },
+              ],
+              Next: "yes",
+            },
+            { Variable: "$.count", NumericGreaterThan: 5, Next: "many" },
+          ],
+          Default: "no",
+        },
+        yes: { Type: "Pass", Result: "yes", End: true },
+        many: { Type: "Pass", Result: "many", End: true },
+        no: { Type: "Pass", Result: "no", End: true },
+      },
+    };
+    const run = (input: unknown) =>
+      executeStateMachine(definition, input).then(r => r.output);
+
+    assert.strictEqual(await run({ flag: true }), "yes");
+    assert.strictEqual(await run({ flag: false, count: 9 }), "many");
+    assert.strictEqual(await run({ count: 1 }), "no");
+  });
+
+  test("missing Task handlers fail unless skipMissingTasks is set", async () => {
+    const definition: AslDefinition = {
+      StartAt: "ghost",
+      States: { ghost: { Type: "Task", Resource: "ghost", End: true } },
+    };
+    const resolveTask = fakeTasks({});
+
+    const strict = await executeStateMachine(
+      definition,
+      { a: 1 },
+      { resolveTask }
+    );
+    assert.strictEqual(strict.status, "FAILED");
+    assert.strictEqual(strict.error, "States.Runtime");
+
+    const lenient = await executeStateMachine(
+      definition,
+      { a: 1 },
+      { resolveTask, skipMissingTasks: true }
+    );
+    assert.strictEqual(lenient.status, "SUCCEEDED");
+    assert.deepStrictEqual(lenient.output, { a: 1 });
+    assert.strictEqual(lenient.history[0].skipped, true);
+  });
+
+  test("an aborted signal stops the execution before the next state", async () => {
+    const controller = new AbortController();
+    const ran: string[] = [];
+    const definition: AslDefinition = {
+      StartAt: "first",
+      States: {
+        first: { Type: "Task", Resource: "first", Next: "second" },
+        second: { Type: "Task", Resource: "second", End: true },
+      },
+    };
+    const result = await executeStateMachine(
+      definition,
+      {},
+      {
+        signal: controller.signal,
+        resolveTask: fakeTasks({
+          first: async () => {
+            ran.push("first");
+            controller.abort(new Error("cancelled by user"));
+            return {};
+          },
+          second: async () => {
+            ran.push("second");
+            return {};
+          },
+        }),
+      }
+    );
+    assert.strictEqual(result.status, "ABORTED");
+    assert.strictEqual(result.error, "States.Aborted");
+    assert.strictEqual(result.cause, "cancelled by user");
+    assert.deepStrictEqual(ran, ["first"]);
+  });
+
+  test("validateDefinition rejects dangling transitions", () => {
+    assert.throws(
+      () =>
+        validateDefinition({
+          StartAt: "a",
+          States: { a: { Type: "Pass", Next: "nowhere" } },
+        }),
+      /unknown state nowhere/
+    );
+  });
+
+  test("validateDefinition rejects fields the interpreter does not run", () => {
+    // As it would be read from a definition file
+    const definition = {
+      StartAt: "a",
+      States: {
+        a: {
+          Type: "Task",
+          Resource: "arn:aws:lambda:us-east-1:1:function:a",
+          TimeoutSeconds: 60,
+          HeartbeatSeconds: 10,
+          Retry: [{ ErrorEquals: ["States.ALL"], JitterStrategy: "FULL" }],
+          End: true,
+        },
+        b: { Type: "Pass", ResultSelector: {}, End: true },
+        c: { Type: "Fail", Next: "a" },
+      },
+    };
+    assert.throws(
+      () => validateDefinition(definition as unknown as AslDefinition),
+      (err: Error) =>
+        [
+          "a has unsupported field TimeoutSeconds",
+          "a has unsupported field HeartbeatSeconds",
+          "a has unsupported field JitterStrategy",
+          "b has unsupported field ResultSelector",
+          "c has unsupported field Next",
+        ].every(problem => err.message.includes(problem))
+    );
+    // Fields the interpreter runs pass
+    validateDefinition({
+      StartAt: "a",
+      States: {
+        a: {
+          Type: "Task",
+          Resource: "arn:aws:lambda:us-east-1:1:function:a",
+          Parameters: { "id.$": "$.id" },
+          ResultSelector: { "ok.$": "$.ok" },
+          Next: "b",
+        },
+        b: { Type: "Wait", SecondsPath: "$.delay", End: true },
+      },
+    });
+  });
+
+  describe("pipeline.asl.json", () => {
+    const definition = loadStateMachineDefinition();
+    const input = { tenantId: "t1", jobId: "j1", correlationId: "c1" };
+
+    function recordingTasks(failAt?: string) {
+      const order: string[] = [];
+      const events: Record<string, any> = {};
+      const resolveTask = async (resource: string) => {
+        const name = taskNameFromResource(resource);
+        return async (event: any) => {
+          order.push(name);
+          events[name] = event;
+          if (name === failAt) throw taskError("FFMPEG_EXECUTION", "boom");
+          return { ok: true };
+        };
+      };
+      return { order, events, resolveTask };
+    }
+
+    test("runs every step and skips transitions by default", async () => {
+      const { order, events, resolveTask } = recordingTasks();
+      const result = await executeStateMachine(definition, input, {
+        resolveTask,
+      });
+      assert.strictEqual(result.status, "SUCCEEDED");
+      assert.deepStrictEqual(order, [
+        "mark-processing",
+        "audio-extraction",
+        "transcription",
+        "smart-cut-planner",
+        "video-cuts",
+        "subtitles-post-edit",
+        "branding-layer",
+        "mark-complete",
+      ]);
+      assert.deepStrictEqual(events["branding-layer"], input);
+    });
+
+    test("takes video-transitions when applyTransitions is true", async () => {
+      const { order, resolveTask } = recordingTasks();
+      await executeStateMachine(
+        definition,
+        { ...input, applyTransitions: true },
+        { resolveTask }
+      );
+      assert.ok(order.includes("video-transitions"));
+    });
+
+    test("a failing step is caught and routed to mark-failed", async () => {
+      const { order, events, resolveTask } = recordingTasks("video-cuts");
+      const result = await executeStateMachine(definition, input, {
+        resolveTask,
+      });
+      assert.strictEqual(result.status, "SUCCEEDED");
+      assert.deepStrictEqual(order.slice(-2), ["video-cuts", "mark-failed"]);
+      assert.deepStrictEqual(events["mark-failed"].error, {
+        Error: "FFMPEG_EXECUTION",
+        Cause: "boom",
+      });
+    });
+  });
+});
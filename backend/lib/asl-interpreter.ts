@@ -0,0 +1,692 @@
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { LoggingWrapper } from "./logging.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Subset of the Amazon States Language used by orchestration/state-machines.
+// Unsupported state types or fields fail validation rather than being ignored.
+
+export interface AslRetrier {
+  ErrorEquals: string[];
+  IntervalSeconds?: number;
+  MaxAttempts?: number;
+  BackoffRate?: number;
+  MaxDelaySeconds?: number;
+}
+
+export interface AslCatcher {
+  ErrorEquals: string[];
+  Next: string;
+  ResultPath?: string | null;
+}
+
+export interface AslState {
+  Type: "Task" | "Choice" | "Pass" | "Wait" | "Succeed" | "Fail";
+  Comment?: string;
+  Resource?: string;
+  Parameters?: Record<string, unknown>;
+  ResultSelector?: Record<string, unknown>;
+  InputPath?: string | null;
+  OutputPath?: string | null;
+  ResultPath?: string | null;
+  Result?: unknown;
+  Retry?: AslRetrier[];
+  Catch?: AslCatcher[];
+  Choices?: AslChoiceRule[];
+  Default?: string;
+  Seconds?: number;
+  SecondsPath?: string;
+  Error?: string;
+  Cause?: string;
+  Next?: string;
+  End?: boolean;
+}
+
+export interface AslChoiceRule {
+  Variable?: string;
+  And?: AslChoiceRule[];
+  Or?: AslChoiceRule[];
+  Not?: AslChoiceRule;
+  Next?: string;
+  [comparator: string]: unknown;
+}
+
+export interface AslDefinition {
+  Comment?: string;
+  StartAt: string;
+  States: Record<string, AslState>;
+}
+
+export type AslTaskHandler = (
+  input: unknown,
+  context: { awsRequestId: string; functionName: string }
+) => Promise<unknown>;
+
+export interface AslHistoryEvent {
+  state: string;
+  type: AslState["Type"];
+  enteredAt: string;
+  exitedAt?: string;
+  attempts?: number;
+  error?: string;
+  skipped?: boolean;
+}
+
+export interface AslExecutionResult {
+  executionId: string;
+  status: "SUCCEEDED" | "FAILED" | "ABORTED";
+  output?: unknown;
+  error?: string;
+  cause?: string;
+  history: AslHistoryEvent[];
+}
+
+export interface AslExecutionOptions {
+  /** Execution name; defaults to a timestamped id */
+  executionId?: string;
+  /** Resolve a Task resource to a handler; defaults to backend/services */
+  resolveTask?: (resource: string) => Promise<AslTaskHandler | null>;
+  /** Unresolvable Task resources pass input through instead of failing */
+  skipMissingTasks?: boolean;
+  /** State to start from instead of StartAt */
+  startAt?: string;
+  sleep?: (ms: number) => Promise<void>;
+  logger?: LoggingWrapper;
+  /** Guard against Choice loops */
+  maxTransitions?: number;
+  /** Stops the execution before its next state, like StopExecution */
+  signal?: AbortSignal;
+}
+
+/**
+ * Error raised inside an execution; `name` is the ASL error name matched
+ * by Retry/Catch ErrorEquals
+ */
+export class AslError extends Error {
+  constructor(name: string, cause: string) {
+    super(cause);
+    this.name = name;
+  }
+}
+
+/**
+ * Retry/Catch match on the error's `name`, which Lambda reports as the
+ * errorType the deployed state machine sees (e.g. `AudioExtractionError`);
+ * a handler's `type` (see ERROR_TYPES in each service) is not part of it
+ */
+function errorNameOf(error: unknown) {
+  const e = error as { name?: unknown } | undefined;
+  if (typeof e?.name === "string" && e.name) return e.name;
+  return "Error";
+}
+
+function errorMatches(errorEquals: string[], name: string) {
+  return errorEquals.some(
+    candidate =>
+      candidate === "States.ALL" ||
+      candidate === name ||
+      (candidate === "States.TaskFailed" &&
+        !name.startsWith("States.") &&
+        name !== "States.Timeout")
+  );
+}
+
+// JSONPath: $, $.a.b, $.a[0], $['a-b']
+function parsePath(p: string): (string | number)[] {
+  if (p !== "$" && !p.startsWith("$.") && !p.startsWith("$[")) {
+    throw new AslError("States.Runtime", `Invalid path: ${p}`);
+  }
+  const segments: (string | number)[] = [];
+  const re = /\.([^.[\]]+)|\[(\d+)\]|\['([^']+)'\]/g;
+  let consumed = 1;
+  let match: RegExpExecArray | null;
+  while ((match = re.exec(p))) {
+    if (match.index !== consumed) break;
+    consumed = match.index + match[0].length;
+    if (match[1] !== undefined) segments.push(match[1]);
+    else if (match[2] !== undefined) segments.push(Number(match[2]));
+    else segments.push(match[3]);
+  }
+  if (consumed !== p.length) {
+    throw new AslError("States.Runtime", `Unsupported path: ${p}`);
+  }
+  return segments;
+}
+
+const MISSING = Symbol("missing");
+
+function readPath(data: unknown, p: string): unknown {
+  let current: any = data;
+  for (const segment of parsePath(p)) {
+    if (current === null || typeof current !== "object") return MISSING;
+    if (!(segment in current)) return MISSING;
+    current = current[segment];
+  }
+  return current;
+}
+
+function getPath(data: unknown, p: string, context: unknown): unknown {
+  const value = p.startsWith("$$")
+    ? readPath(context, p.slice(1))
+    : readPath(data, p);
+  if (value === MISSING) {
+    throw new AslError(
+      "States.Runtime",
+      `Path ${p} could not be found in the input`
+    );
+  }
+  return value;
+}
+
+function setPath(data: unknown, p: string, value: unknown): unknown {
+  const segments = parsePath(p);
+  if (segments.length === 0) return value;
+  const root: any =
+    data !== null && typeof data === "object" ? structuredClone(data) : {};
+  let current = root;
+  segments.forEach((segment, i) => {
+    if (i === segments.length - 1) {
+      current[segment] = value;
+      return;
+    }
+    if (current[segment] === null || typeof current[segment] !== "object") {
+      current[segment] = {};
+    }
+    current = current[segment];
+  });
+  return root;
+}
+
+/**
+ * Expand a Parameters/ResultSelector template: keys ending in ".$" are
+ * paths into the input (or "$$." into the context object)
+ */
+function applyTemplate(
+  template: unknown,
+  data: unknown,
+  context: unknown
+): unknown {
+  if (Array.isArray(template)) {
+    return template.map(item => applyTemplate(item, data, context));
+  }
+  if (template === null || typeof template !== "object") return template;
+  const out: Record<string, unknown> = {};
+  for (const [key, value] of Object.entries(template)) {
+    if (key.endsWith(".$")) {
+      out[key.slice(0, -2)] = getPath(data, String(value), context);
+    } else {
+      out[key] = applyTemplate(value, data, context);
+    }
+  }
+  return out;
+}
+
+function applyResultPath(
+  input: unknown,
+  result: unknown,
+  resultPath: string | null | undefined
+) {
+  if (resultPath === null) return input;
+  return setPath(input, resultPath ?? "$", result);
+}
+
+function selectPath(data: unknown, p: string | null | undefined, ctx: unknown) {
+  if (p === null) return {};
+  return p === undefined ? data : getPath(data, p, ctx);
+}
+
+const COMPARATORS: Record<
+  string,
+  (actual: unknown, expected: unknown) => boolean
+> = {
+  StringEquals: (a, e) => typeof a === "string" && a === e,
+  StringLessThan: (a, e) => typeof a === "string" && a < String(e),
+  StringGreaterThan: (a, e) => typeof a === "string" && a > String(e),
+  StringLessThanEquals: (a, e) => typeof a === "string" && a <= String(e),
+  StringGreaterThanEquals: (a, e) => typeof a === "string" && a >= String(e),
+  NumericEquals: (a, e) => typeof a === "number" && a === e,
+  NumericLessThan: (a, e) => typeof a === "number" && a < Number(e),
+  NumericGreaterThan: (a, e) => typeof a === "number" && a > Number(e),
+  NumericLessThanEquals: (a, e) => typeof a === "number" && a <= Number(e),
+  NumericGreaterThanEquals: (a, e) => typeof a === "number" && a >= Number(e),
+  BooleanEquals: (a, e) => typeof a === "boolean" && a === e,
+  IsNull: (a, e) => (a === null) === e,
+  IsString: (a, e) => (typeof a === "string") === e,
+  IsNumeric: (a, e) => (typeof a === "number") === e,
+  IsBoolean: (a, e) => (typeof a === "boolean") === e,
+};
+
+function evaluateRule(
+  rule: AslChoiceRule,
+  data: unknown,
+  context: unknown
+): boolean {
+  if (rule.And) return rule.And.every(r => evaluateRule(r, data, context));
+  if (rule.Or) return rule.Or.some(r => evaluateRule(r, data, context));
+  if (rule.Not) return !evaluateRule(rule.Not, data, context);
+  if (!rule.Variable) {
+    throw new AslError("States.Runtime", "Choice rule has no Variable");
+  }
+
+  if ("IsPresent" in rule) {
+    return (readPath(data, rule.Variable) !== MISSING) === rule.IsPresent;
+  }
+  const actual = getPath(data, rule.Variable, context);
+  for (const [key, expected] of Object.entries(rule)) {
+    const isPathForm = key.endsWith("Path") && key !== "Variable";
+    const name = isPathForm ? key.slice(0, -4) : key;
+    const compare = COMPARATORS[name];
+    if (!compare) continue;
+    const target = isPathForm
+      ? getPath(data, String(expected), context)
+      : expected;
+    return compare(actual, target);
+  }
+  throw new AslError(
+    "States.Runtime",
+    `Unsupported Choice comparator in rule for ${rule.Variable}`
+  );
+}
+
+/**
+ * Task name from a pipeline Resource ARN, e.g.
+ * arn:...:function:talkavocado-${Env}-audio-extraction → audio-extraction.
+ * Bare names are returned unchanged.
+ */
+export function taskNameFromResource(resource: string) {
+  const match = /:function:talkavocado-(?:\$\{Env\}|[a-z0-9]+)-(.+)$/.exec(
+    resource
+  );
+  return match ? match[1] : resource;
+}
+
+/** Task names whose service directory is named differently */
+const SERVICE_ALIASES: Record<string, string> = {
+  "video-cuts": "video-render-engine",
+};
+
+/**
+ * Default resolver: backend/services/<task>/handler.js
+ */
+export async function resolveServiceHandler(
+  resource: string
+): Promise<AslTaskHandler | null> {
+  const name = taskNameFromResource(resource);
+  const service = SERVICE_ALIASES[name] || name;
+  const handlerPath = path.resolve(
+    __dirname,
+    "../services",
+    service,
+    "handler.js"
+  );
+  if (!fs.existsSync(handlerPath)) return null;
+  const mod = await import(pathToFileURL(handlerPath).href);
+  return typeof mod.handler === "function" ? mod.handler : null;
+}
+
+let pipelineDefinitionPath = "";
+
+/**
+ * Locate orchestration/state-machines/pipeline.asl.json
+ */
+export function pipelineDefinitionFile() {
+  if (pipelineDefinitionPath) return pipelineDefinitionPath;
+  const relative = "orchestration/state-machines/pipeline.asl.json";
+  const candidates = [
+    path.resolve(process.cwd(), relative),
+    path.resolve(process.cwd(), "..", relative),
+    path.resolve(__dirname, "../..", relative),
+  ];
+  const found = candidates.find(p => fs.existsSync(p));
+  if (!found) {
+    throw new Error(
+      `Pipeline definition not found. Tried: ${candidates.join(", ")}`
+    );
+  }
+  pipelineDefinitionPath = found;
+  return found;
+}
+
+export function loadStateMachineDefinition(
+  file = pipelineDefinitionFile()
+): AslDefinition {
+  const definition = JSON.parse(fs.readFileSync(file, "utf-8"));
+  validateDefinition(definition);
+  return definition;
+}
+
+// Fields each state type is run with; anything else (TimeoutSeconds,
+// HeartbeatSeconds, Timestamp, ...) would be silently ignored
+const COMMON_FIELDS = ["Type", "Comment", "InputPath", "OutputPath"];
+const TRANSITION_FIELDS = ["Next", "End"];
+const STATE_FIELDS: Record<AslState["Type"], string[]> = {
+  Task: [
+    ...COMMON_FIELDS,
+    ...TRANSITION_FIELDS,
+    "Resource",
+    "Parameters",
+    "ResultSelector",
+    "ResultPath",
+    "Retry",
+    "Catch",
+  ],
+  Pass: [
+    ...COMMON_FIELDS,
+    ...TRANSITION_FIELDS,
+    "Parameters",
+    "Result",
+    "ResultPath",
+  ],
+  Wait: [...COMMON_FIELDS, ...TRANSITION_FIELDS, "Seconds", "SecondsPath"],
+  Choice: [...COMMON_FIELDS, "Choices", "Default"],
+  Succeed: COMMON_FIELDS,
+  Fail: ["Type", "Comment", "Error", "Cause"],
+};
+const RETRIER_FIELDS = [
+  "ErrorEquals",
+  "IntervalSeconds",
+  "MaxAttempts",
+  "BackoffRate",
+  "MaxDelaySeconds",
+];
+const CATCHER_FIELDS = ["ErrorEquals", "Next", "ResultPath"];
+
+/**
+ * Structural checks that would otherwise surface mid-execution, including
+ * fields the interpreter does not run
+ */
+export function validateDefinition(definition: AslDefinition) {
+  const names = new Set(Object.keys(definition.States || {}));
+  const problems: string[] = [];
+  if (!names.has(definition.StartAt)) {
+    problems.push(`StartAt ${definition.StartAt} is not a state`);
+  }
+  for (const [name, state] of Object.entries(definition.States || {})) {
+    const targets = [
+      state.Next,
+      state.Default,
+      ...(state.Catch || []).map(c => c.Next),
+      ...(state.Choices || []).map(c => c.Next),
+    ].filter((t): t is string => typeof t === "string");
+    for (const target of targets) {
+      if (!names.has(target)) {
+        problems.push(`${name} transitions to unknown state ${target}`);
+      }
+    }
+    const fields = STATE_FIELDS[state.Type];
+    if (!Object.hasOwn(STATE_FIELDS, state.Type)) {
+      problems.push(`${name} has unsupported type ${state.Type}`);
+    } else {
+      const unsupported = [
+        ...Object.keys(state).filter(f => !fields.includes(f)),
+        ...(state.Retry || []).flatMap(r =>
+          Object.keys(r).filter(f => !RETRIER_FIELDS.includes(f))
+        ),
+        ...(state.Catch || []).flatMap(c =>
+          Object.keys(c).filter(f => !CATCHER_FIELDS.includes(f))
+        ),
+      ];
+      for (const field of new Set(unsupported)) {
+        problems.push(`${name} has unsupported field ${field}`);
+      }
+    }
+    if (state.Type === "Task" && !state.Resource) {
+      problems.push(`${name} is a Task without a Resource`);
+    }
+  }
+  if (problems.length > 0) {
+    throw new Error(`Invalid state machine definition: ${problems.join("; ")}`);
+  }
+}
+
+/**
+ * Execute a state machine definition locally
+ */
+export async function executeStateMachine(
+  definition: AslDefinition,
+  input: unknown,
+  options: AslExecutionOptions = {}
+): Promise<AslExecutionResult> {
+  const executionId = options.executionId || `local-${Date.now()}`;
+  const resolveTask = options.resolveTask || resolveServiceHandler;
+  const sleep =
+    options.sleep || ((ms: number) => new Promise(r => setTimeout(r, ms)));
+  const logger = options.logger || new LoggingWrapper("asl-interpreter");
+  const maxTransitions = options.maxTransitions ?? 1000;
+  const startedAt = new Date().toISOString();
+  const history: AslHistoryEvent[] = [];
+  const handlers = new Map<string, AslTaskHandler | null>();
+
+  let stateName = options.startAt || definition.StartAt;
+  let data: unknown = input;
+
+  for (let transitions = 0; ; transitions++) {
+    if (options.signal?.aborted) {
+      const reason = options.signal.reason;
+      logger.warn("Execution aborted", { state: stateName });
+      return {
+        executionId,
+        status: "ABORTED",
+        error: "States.Aborted",
+        cause: reason instanceof Error ? reason.message : String(reason ?? ""),
+        history,
+      };
+    }
+    if (transitions >= maxTransitions) {
+      return fail(
+        "States.Runtime",
+        `Exceeded ${maxTransitions} state transitions`
+      );
+    }
+    const state = definition.States[stateName];
+    if (!state) {
+      return fail("States.Runtime", `Unknown state: ${stateName}`);
+    }
+    const event: AslHistoryEvent = {
+      state: stateName,
+      type: state.Type,
+      enteredAt: new Date().toISOString(),
+    };
+    history.push(event);
+    const context = {
+      Execution: { Id: executionId, Input: input, StartTime: startedAt },
+      State: { Name: stateName, EnteredTime: event.enteredAt },
+    };
+
+    try {
+      switch (state.Type) {
+        case "Succeed":
+          event.exitedAt = new Date().toISOString();
+          return {
+            executionId,
+            status: "SUCCEEDED",
+            output: selectPath(
+              selectPath(data, state.InputPath, context),
+              state.OutputPath,
+              context
+            ),
+            history,
+          };
+
+        case "Fail":
+          event.exitedAt = new Date().toISOString();
+          return fail(state.Error || "States.Fail", state.Cause || "");
+
+        case "Choice": {
+          const effective = selectPath(data, state.InputPath, context);
+          const rule = (state.Choices || []).find(r =>
+            evaluateRule(r, effective, context)
+          );
+          const next = rule?.Next || state.Default;
+          if (!next) {
+            throw new AslError(
+              "States.NoChoiceMatched",
+              `No Choice rule matched in ${stateName}`
+            );
+          }
+          data = selectPath(effective, state.OutputPath, context);
+          event.exitedAt = new Date().toISOString();
+          stateName = next;
+          continue;
+        }
+
+        case "Wait": {
+          const seconds = state.SecondsPath
+            ? Number(getPath(data, state.SecondsPath, context))
+            : Number(state.Seconds || 0);
+          await sleep(seconds * 1000);
+          break;
+        }
+
+        case "Pass": {
+          const effective = selectPath(data, state.InputPath, context);
+          const result =
+            state.Parameters !== undefined
+              ? applyTemplate(state.Parameters, effective, context)
+              : "Result" in state
+                ? state.Result
+                : effective;
+          data = selectPath(
+            applyResultPath(data, result, state.ResultPath),
+            state.OutputPath,
+            context
+          );
+          break;
+        }
+
+        case "Task": {
+          const effective = selectPath(data, state.InputPath, context);
+          const taskInput =
+            state.Parameters !== undefined
+              ? applyTemplate(state.Parameters, effective, context)
+              : effective;
+
+          const resource = state.Resource as string;
+          if (!handlers.has(resource)) {
+            handlers.set(resource, await resolveTask(resource));
+          }
+          const handler = handlers.get(resource);
+
+          if (!handler) {
+            if (!options.skipMissingTasks) {
+              throw new AslError(
+                "States.Runtime",
+                `No handler for Task resource ${resource}`
+              );
+            }
+            logger.warn("Skipping Task without a local handler", {
+              state: stateName,
+              resource,
+            });
+            event.skipped = true;
+            break;
+          }
+
+          const { result, attempts } = await runWithRetry(
+            state,
+            () =>
+              handler(taskInput, {
+                awsRequestId: `${executionId}-${stateName}`,
+                functionName: taskNameFromResource(resource),
+              }),
+            sleep
+          );
+          event.attempts = attempts;
+          const selected =
+            state.ResultSelector !== undefined
+              ? applyTemplate(state.ResultSelector, result, context)
+              : result;
+          data = selectPath(
+            applyResultPath(data, selected, state.ResultPath),
+            state.OutputPath,
+            context
+          );
+          break;
+        }
+      }
+    } catch (error) {
+      const name = errorNameOf(error);
+      const cause = error instanceof Error ? error.message : String(error);
+      event.exitedAt = new Date().toISOString();
+      event.error = name;
+      if ((error as any)?.attempts) event.attempts = (error as any).attempts;
+
+      const catcher = (state.Catch || []).find(c =>
+        errorMatches(c.ErrorEquals, name)
+      );
+      if (!catcher) {
+        logger.error("State failed", { state: stateName, error: name, cause });
+        return fail(name, cause);
+      }
+      logger.warn("State failed; following Catch", {
+        state: stateName,
+        error: name,
+        next: catcher.Next,
+      });
+      data = applyResultPath(
+        data,
+        { Error: name, Cause: cause },
+        catcher.ResultPath
+      );
+      stateName = catcher.Next;
+      continue;
+    }
+
+    event.exitedAt = new Date().toISOString();
+    if (state.End) {
+      return { executionId, status: "SUCCEEDED", output: data, history };
+    }
+    if (!state.Next) {
+      return fail("States.Runtime", `State ${stateName} has no Next or End`);
+    }
+    stateName = state.Next;
+  }
+
+  function fail(error: string, cause: string): AslExecutionResult {
+    return { executionId, status: "FAILED", error, cause, history };
+  }
+}
+
+/**
+ * Run a Task with its Retry policy. Attempts for a retrier are counted
+ * separately, as Step Functions does.
+ */
+async function runWithRetry(
+  state: AslState,
+  invoke: () => Promise<unknown>,
+  sleep: (ms: number) => Promise<void>
+) {
+  const retriesUsed = new Map<AslRetrier, number>();
+  let attempts = 0;
+
+  for (;;) {
+    attempts++;
+    try {
+      return { result: await invoke(), attempts };
+    } catch (error) {
+      const name = errorNameOf(error);
+      const retrier = (state.Retry || []).find(r =>
+        errorMatches(r.ErrorEquals, name)
+      );
+      const used = retrier ? retriesUsed.get(retrier) || 0 : 0;
+      const maxAttempts = retrier?.MaxAttempts ?? 3;
+      if (!retrier || used >= maxAttempts) {
+        if (error && typeof error === "object") {
+          (error as any).attempts = attempts;
+        }
+        throw error;
+      }
+      retriesUsed.set(retrier, used + 1);
+      const interval = retrier.IntervalSeconds ?? 1;
+      const backoff = retrier.BackoffRate ?? 2;
+      let delaySeconds = interval * Math.pow(backoff, used);
+      if (retrier.MaxDelaySeconds !== undefined) {
+        delaySeconds = Math.min(delaySeconds, retrier.MaxDelaySeconds);
+      }
+      await sleep(delaySeconds * 1000);
+    }
+  }
+}
@@ -0,0 +1,217 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import { createJob } from "./api/jobs/createJob.js";
+import { loadManifest } from "./manifest.js";
+import {
+  AUTH_ERROR_TYPES,
+  AuthError,
+  authenticate,
+  authorize,
+  createApiKey,
+  revokeApiKey,
+  rotateApiKey,
+  signJwt,
+} from "./auth.js";
+
+const STORAGE = "./test-storage-auth";
+
+async function rejects(promise: Promise<unknown>, type: string) {
+  await assert.rejects(
+    promise,
+    (error: unknown) => error instanceof AuthError && error.type === type
+  );
+}
+
+describe("auth", () => {
+  const originalEnv = process.env.TALKAVOCADO_ENV;
+  const originalStoragePath = process.env.MEDIA_STORAGE_PATH;
+  const originalStartOnCreate = process.env.START_ON_CREATE;
+  const originalJwtSecrets = process.env.AUTH_JWT_SECRETS;
+  const originalJwtMaxLifetime = process.env.AUTH_JWT_MAX_LIFETIME_SECONDS;
+
+  beforeEach(() => {
+    process.env.TALKAVOCADO_ENV = "test";
+    process.env.MEDIA_STORAGE_PATH = STORAGE;
+    delete process.env.START_ON_CREATE;
+    delete process.env.AUTH_JWT_SECRETS;
+    delete process.env.AUTH_JWT_MAX_LIFETIME_SECONDS;
+    fs.rmSync(STORAGE, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(STORAGE, { recursive: true, force: true });
+    process.env.TALKAVOCADO_ENV = originalEnv;
+    for (const [name, value] of [
+      ["MEDIA_STORAGE_PATH", originalStoragePath],
+      ["START_ON_CREATE", originalStartOnCreate],
+      ["AUTH_JWT_SECRETS", originalJwtSecrets],
+      ["AUTH_JWT_MAX_LIFETIME_SECONDS", originalJwtMaxLifetime],
+    ] as const) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  test("API keys resolve to their tenant and scopes", async () => {
+    const { key, record } = await createApiKey({
+      tenantId: "auth-keys",
+      scopes: ["jobs:read"],
+    });
+    const secret = key.slice(`tak_${record.id}_`.length);
+    const table = fs.readFileSync(`${STORAGE}/test/_tables/api-keys.json`);
+    assert.ok(!table.includes(secret));
+
+    const principal = await authenticate({ authorization: `Bearer ${key}` });
+    assert.deepStrictEqual(principal, {
+      type: "api-key",
+      id: record.id,
+      tenantId: "auth-keys",
+      scopes: ["jobs:read"],
+    });
+    assert.deepStrictEqual(await authenticate({ "x-api-key": key }), principal);
+
+    authorize(principal, "jobs:read", "auth-keys");
+    assert.throws(
+      () => authorize(principal, "jobs:write"),
+      (e: any) => e.type === AUTH_ERROR_TYPES.INSUFFICIENT_SCOPE
+    );
+    assert.throws(
+      () => authorize(principal, "jobs:read", "someone-else"),
+      (e: any) => e.type === AUTH_ERROR_TYPES.TENANT_MISMATCH
+    );
+
+    await rejects(authenticate({}), AUTH_ERROR_TYPES.MISSING_CREDENTIALS);
+    await rejects(
+      authenticate({ "x-api-key": `${key.slice(0, -1)}x` }),
+      AUTH_ERROR_TYPES.INVALID_CREDENTIALS
+    );
+  });
+
+  test("rotation keeps the old key for the grace period; revocation is immediate", async () => {
+    const old = await createApiKey({
+      tenantId: "auth-rotate",
+      scopes: ["jobs:read", "jobs:write"],
+    });
+    const rotated = await rotateApiKey(old.record.id, 60);
+    assert.deepStrictEqual(rotated.record.scopes, old.record.scopes);
+    assert.strictEqual(
+      (await authenticate({ "x-api-key": old.key })).tenantId,
+      "auth-rotate"
+    );
+    assert.strictEqual(
+      (await authenticate({ "x-api-key": rotated.key })).id,
+      rotated.record.id
+    );
+
+    const expired = await rotateApiKey(rotated.record.id, 0);
+    await rejects(
+      authenticate({ "x-api-key": rotated.key }),
+      AUTH_ERROR_TYPES.EXPIRED_CREDENTIALS
+    );
+
+    await revokeApiKey(expired.record.id);
+    await rejects(
+      authenticate({ "x-api-key": expired.key }),
+      AUTH_ERROR_TYPES.INVALID_CREDENTIALS
+    );
+  });
+
+  test("JWTs verify against current and previous secrets", async () => {
+    process.env.AUTH_JWT_SECRETS = "current-secret,previous-secret";
+    const claims = {
+      sub: "user-1",
+      tenant_id: "auth-jwt",
+      scope: "jobs:read jobs:admin",
+      exp: Math.floor(Date.now() / 1000) + 60,
+    };
+
+    const principal = await authenticate({
+      authorization: `Bearer ${signJwt(claims)}`,
+    });
+    assert.deepStrictEqual(principal, {
+      type: "jwt",
+      id: "user-1",
+      tenantId: "auth-jwt",
+      scopes: ["jobs:read"],
+    });
+    const previous = signJwt(claims, "previous-secret");
+    assert.strictEqual(
+      (await authenticate({ authorization: `Bearer ${previous}` })).id,
+      "user-1"
+    );
+
+    await rejects(
+      authenticate({
+        authorization: `Bearer ${signJwt(claims, "unknown-secret")}`,
+      }),
+      AUTH_ERROR_TYPES.INVALID_CREDENTIALS
+    );
+    await rejects(
+      authenticate({
+        authorization: `Bearer ${signJwt({ ...claims, exp: 1 })}`,
+      }),
+      AUTH_ERROR_TYPES.EXPIRED_CREDENTIALS
+    );
+    const [, payload] = signJwt(claims).split(".");
+    const unsigned = `${Buffer.from('{"alg":"none"}').toString("base64url")}.${payload}.`;
+    await rejects(
+      authenticate({ authorization: `Bearer ${unsigned}` }),
+      AUTH_ERROR_TYPES.INVALID_CREDENTIALS
+    );
+  });
+
+  test("JWTs must expire, within AUTH_JWT_MAX_LIFETIME_SECONDS when set", async () => {
+    process.env.AUTH_JWT_SECRETS = "current-secret";
+    const now = Math.floor(Date.now() / 1000);
+    const claims = { sub: "user-1", tenant_id: "auth-exp", scope: "jobs:read" };
+    const bearer = (token: string) => ({ authorization: `Bearer ${token}` });
+
+    const forever = signJwt(claims as Parameters<typeof signJwt>[0]);
+    await rejects(
+      authenticate(bearer(forever)),
+      AUTH_ERROR_TYPES.INVALID_CREDENTIALS
+    );
+
+    const dayLong = signJwt({ ...claims, exp: now + 86400 });
+    assert.strictEqual((await authenticate(bearer(dayLong))).id, "user-1");
+    process.env.AUTH_JWT_MAX_LIFETIME_SECONDS = "3600";
+    await rejects(
+      authenticate(bearer(dayLong)),
+      AUTH_ERROR_TYPES.INVALID_CREDENTIALS
+    );
+    const hourLong = signJwt({ ...claims, exp: now + 3000 });
+    assert.strictEqual((await authenticate(bearer(hourLong))).id, "user-1");
+  });
+
+  test("createJob records the principal and rejects another tenant", async () => {
+    const principal = {
+      type: "api-key",
+      id: "0123456789abcdef",
+      tenantId: "auth-owner",
+      scopes: ["jobs:write"],
+    };
+
+    const res = await createJob({
+      requestContext: { authorizer: principal },
+      body: JSON.stringify({ tenantId: "auth-owner", tags: ["a"] }),
+    });
+    assert.strictEqual(res.statusCode, 201);
+    const { jobId } = JSON.parse(res.body);
+    const manifest = loadManifest("test", "auth-owner", jobId);
+    assert.deepStrictEqual(manifest.metadata, {
+      tags: ["a"],
+      createdBy: {
+        type: "api-key",
+        id: "0123456789abcdef",
+        scopes: ["jobs:write"],
+      },
+    });
+
+    const mismatch = await createJob({
+      requestContext: { authorizer: principal },
+      body: JSON.stringify({ tenantId: "auth-other" }),
+    });
+    assert.strictEqual(mismatch.statusCode, 403);
+  });
+});
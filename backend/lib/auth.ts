@@ -0,0 +1,390 @@
+// backend/lib/auth.ts
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { currentEnv, storageRoot } from "./storage.js";
+import { withFileLock, writeFileAtomic } from "./file-lock.js";
+
+export const AUTH_SCOPES = ["jobs:read", "jobs:write"] as const;
+
+export type AuthScope = (typeof AUTH_SCOPES)[number];
+
+export const AUTH_ERROR_TYPES = {
+  MISSING_CREDENTIALS: "MISSING_CREDENTIALS",
+  INVALID_CREDENTIALS: "INVALID_CREDENTIALS",
+  EXPIRED_CREDENTIALS: "EXPIRED_CREDENTIALS",
+  INSUFFICIENT_SCOPE: "INSUFFICIENT_SCOPE",
+  TENANT_MISMATCH: "TENANT_MISMATCH",
+} as const;
+
+export const AUTH_ERROR_STATUS: Record<string, number> = {
+  [AUTH_ERROR_TYPES.MISSING_CREDENTIALS]: 401,
+  [AUTH_ERROR_TYPES.INVALID_CREDENTIALS]: 401,
+  [AUTH_ERROR_TYPES.EXPIRED_CREDENTIALS]: 401,
+  [AUTH_ERROR_TYPES.INSUFFICIENT_SCOPE]: 403,
+  [AUTH_ERROR_TYPES.TENANT_MISMATCH]: 403,
+};
+
+export class AuthError extends Error {
+  type: string;
+  details: Record<string, unknown>;
+
+  constructor(
+    message: string,
+    type: string,
+    details: Record<string, unknown> = {}
+  ) {
+    super(message);
+    this.name = "AuthError";
+    this.type = type;
+    this.details = details;
+  }
+}
+
+/**
+ * Authenticated caller. The tenant comes from the credential, never from
+ * request parameters (ADR-004).
+ */
+export interface Principal {
+  type: "api-key" | "jwt";
+  /** API key id or JWT `sub` */
+  id: string;
+  tenantId: string;
+  scopes: AuthScope[];
+}
+
+/**
+ * Stored API key. Only a SHA-256 hash of the secret is kept, so a key
+ * cannot be recovered after it is issued.
+ */
+export interface ApiKeyRecord {
+  id: string;
+  tenantId: string;
+  name?: string;
+  scopes: AuthScope[];
+  secretHash: string;
+  createdAt: string;
+  /** Set on rotation so the old key keeps working for a grace period */
+  expiresAt?: string;
+  revokedAt?: string;
+  /** Id of the key that replaced this one */
+  replacedBy?: string;
+}
+
+export interface ApiKeyStore {
+  get(id: string): Promise<ApiKeyRecord | null>;
+  put(record: ApiKeyRecord): Promise<void>;
+  listByTenant(tenantId: string): Promise<ApiKeyRecord[]>;
+}
+
+/**
+ * File-backed key store for local runs at
+ * {storageRoot}/{env}/_tables/api-keys.json, keyed by key id
+ */
+export class FileApiKeyStore implements ApiKeyStore {
+  private tablePath() {
+    return path.join(storageRoot(), currentEnv(), "_tables", "api-keys.json");
+  }
+
+  private read(): Record<string, ApiKeyRecord> {
+    const p = this.tablePath();
+    if (!fs.existsSync(p)) return {};
+    return JSON.parse(fs.readFileSync(p, "utf-8"));
+  }
+
+  async get(id: string) {
+    return this.read()[id] ?? null;
+  }
+
+  async put(record: ApiKeyRecord) {
+    const p = this.tablePath();
+    withFileLock(p, () => {
+      const rows = this.read();
+      rows[record.id] = record;
+      writeFileAtomic(p, JSON.stringify(rows, null, 2));
+    });
+  }
+
+  async listByTenant(tenantId: string) {
+    return Object.values(this.read())
+      .filter(k => k.tenantId === tenantId)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+}
+
+let store: ApiKeyStore | null = null;
+
+export function getApiKeyStore(): ApiKeyStore {
+  if (!store) store = new FileApiKeyStore();
+  return store;
+}
+
+/**
+ * Override the store (tests, or a DynamoDB-backed implementation); pass
+ * null to restore the default
+ */
+export function setApiKeyStore(next: ApiKeyStore | null) {
+  store = next;
+}
+
+/**
+ * Auth is on unless AUTH_DISABLED=true (local development only)
+ */
+export function authEnabled() {
+  return process.env.AUTH_DISABLED !== "true";
+}
+
+export function isAuthScope(scope: unknown): scope is AuthScope {
+  return AUTH_SCOPES.includes(scope as AuthScope);
+}
+
+const API_KEY_PREFIX = "tak_";
+
+const hashSecret = (secret: string) =>
+  crypto.createHash("sha256").update(secret).digest("hex");
+
+function safeEqual(a: string, b: string) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Issue a key for a tenant. The returned `key` (`tak_<id>_<secret>`) is
+ * shown once; only its hash is stored.
+ */
+export async function createApiKey(options: {
+  tenantId: string;
+  scopes: AuthScope[];
+  name?: string;
+  expiresAt?: string;
+}) {
+  if (!options.scopes.length || !options.scopes.every(isAuthScope)) {
+    throw new Error(`scopes must be a non-empty subset of ${AUTH_SCOPES}`);
+  }
+  const id = crypto.randomBytes(8).toString("hex");
+  const secret = crypto.randomBytes(24).toString("base64url");
+  const record: ApiKeyRecord = {
+    id,
+    tenantId: options.tenantId,
+    name: options.name,
+    scopes: [...new Set(options.scopes)],
+    secretHash: hashSecret(secret),
+    createdAt: new Date().toISOString(),
+    expiresAt: options.expiresAt,
+  };
+  await getApiKeyStore().put(record);
+  return { key: `${API_KEY_PREFIX}${id}_${secret}`, record };
+}
+
+/**
+ * Replace a key with a new one carrying the same tenant and scopes. The old
+ * key keeps working for `graceSeconds` so clients can roll over.
+ */
+export async function rotateApiKey(id: string, graceSeconds = 0) {
+  const existing = await getApiKeyStore().get(id);
+  if (!existing || existing.revokedAt) {
+    throw new Error(`API key ${id} not found or revoked`);
+  }
+  const next = await createApiKey({
+    tenantId: existing.tenantId,
+    scopes: existing.scopes,
+    name: existing.name,
+  });
+  const graceEnds = new Date(Date.now() + graceSeconds * 1000).toISOString();
+  await getApiKeyStore().put({
+    ...existing,
+    replacedBy: next.record.id,
+    expiresAt:
+      existing.expiresAt && existing.expiresAt < graceEnds
+        ? existing.expiresAt
+        : graceEnds,
+  });
+  return next;
+}
+
+export async function revokeApiKey(id: string) {
+  const existing = await getApiKeyStore().get(id);
+  if (!existing) throw new Error(`API key ${id} not found`);
+  if (existing.revokedAt) return existing;
+  const revoked = { ...existing, revokedAt: new Date().toISOString() };
+  await getApiKeyStore().put(revoked);
+  return revoked;
+}
+
+async function authenticateApiKey(token: string): Promise<Principal> {
+  const match = /^tak_([0-9a-f]{16})_([A-Za-z0-9_-]+)$/.exec(token);
+  const record = match ? await getApiKeyStore().get(match[1]) : null;
+  if (
+    !match ||
+    !record ||
+    !safeEqual(record.secretHash, hashSecret(match[2]))
+  ) {
+    throw new AuthError(
+      "Invalid API key",
+      AUTH_ERROR_TYPES.INVALID_CREDENTIALS
+    );
+  }
+  if (record.revokedAt) {
+    throw new AuthError(
+      "API key has been revoked",
+      AUTH_ERROR_TYPES.INVALID_CREDENTIALS
+    );
+  }
+  if (record.expiresAt && Date.parse(record.expiresAt) <= Date.now()) {
+    throw new AuthError(
+      "API key has expired",
+      AUTH_ERROR_TYPES.EXPIRED_CREDENTIALS
+    );
+  }
+  return {
+    type: "api-key",
+    id: record.id,
+    tenantId: record.tenantId,
+    scopes: record.scopes,
+  };
+}
+
+/**
+ * HS256 signing secrets from AUTH_JWT_SECRETS (comma-separated). The first
+ * signs new tokens; the rest are still accepted while issuers rotate.
+ */
+function jwtSecrets() {
+  return (process.env.AUTH_JWT_SECRETS || "")
+    .split(",")
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+const base64urlJson = (value: unknown) =>
+  Buffer.from(JSON.stringify(value)).toString("base64url");
+
+/**
+ * Sign an HS256 token with the current AUTH_JWT_SECRETS entry. Claims:
+ * `sub`, `tenant_id`, space-separated `scope`, and `exp` in seconds.
+ */
+export function signJwt(
+  claims: { sub: string; tenant_id: string; scope: string; exp: number },
+  secret = jwtSecrets()[0]
+) {
+  if (!secret) throw new Error("AUTH_JWT_SECRETS is not configured");
+  const unsigned = `${base64urlJson({ alg: "HS256", typ: "JWT" })}.${base64urlJson(claims)}`;
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(unsigned)
+    .digest("base64url");
+  return `${unsigned}.${signature}`;
+}
+
+function authenticateJwt(token: string): Principal {
+  const invalid = () =>
+    new AuthError("Invalid token", AUTH_ERROR_TYPES.INVALID_CREDENTIALS);
+  const [header, payload, signature] = token.split(".");
+  let alg: unknown;
+  let claims: Record<string, any>;
+  try {
+    alg = JSON.parse(Buffer.from(header, "base64url").toString()).alg;
+    claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+  } catch {
+    throw invalid();
+  }
+  // Only HS256 is issued; never let the token pick its own algorithm
+  if (alg !== "HS256") throw invalid();
+
+  const signed = jwtSecrets().some(secret =>
+    safeEqual(
+      crypto
+        .createHmac("sha256", secret)
+        .update(`${header}.${payload}`)
+        .digest("base64url"),
+      signature
+    )
+  );
+  if (!signed) throw invalid();
+
+  // A token without `exp` would be valid forever, so it is refused, as is
+  // one expiring further out than AUTH_JWT_MAX_LIFETIME_SECONDS (when set)
+  const now = Date.now() / 1000;
+  if (typeof claims.exp !== "number") {
+    throw new AuthError(
+      "Token must carry an exp claim",
+      AUTH_ERROR_TYPES.INVALID_CREDENTIALS
+    );
+  }
+  if (claims.exp <= now) {
+    throw new AuthError(
+      "Token has expired",
+      AUTH_ERROR_TYPES.EXPIRED_CREDENTIALS
+    );
+  }
+  const maxLifetime = Number(process.env.AUTH_JWT_MAX_LIFETIME_SECONDS);
+  if (maxLifetime > 0 && claims.exp - now > maxLifetime) {
+    throw new AuthError(
+      `Token expires more than ${maxLifetime}s from now`,
+      AUTH_ERROR_TYPES.INVALID_CREDENTIALS,
+      { maxLifetimeSeconds: maxLifetime }
+    );
+  }
+  if (typeof claims.nbf === "number" && claims.nbf > now) throw invalid();
+
+  const scopes = String(claims.scope || "")
+    .split(" ")
+    .filter(isAuthScope);
+  if (typeof claims.tenant_id !== "string" || typeof claims.sub !== "string") {
+    throw invalid();
+  }
+  return { type: "jwt", id: claims.sub, tenantId: claims.tenant_id, scopes };
+}
+
+/**
+ * Resolve the caller from `Authorization: Bearer <key or JWT>` or
+ * `X-API-Key`. Header names are expected lower-cased.
+ */
+export async function authenticate(
+  headers: Record<string, string | string[] | undefined>
+): Promise<Principal> {
+  const authorization = String(headers.authorization || "");
+  const bearer = /^Bearer\s+(\S+)$/i.exec(authorization)?.[1];
+  const token = bearer || (headers["x-api-key"] as string | undefined);
+  if (!token) {
+    throw new AuthError(
+      "Missing credentials",
+      AUTH_ERROR_TYPES.MISSING_CREDENTIALS
+    );
+  }
+  if (token.startsWith(API_KEY_PREFIX)) return authenticateApiKey(token);
+  if (token.split(".").length === 3 && jwtSecrets().length) {
+    return authenticateJwt(token);
+  }
+  throw new AuthError(
+    "Invalid credentials",
+    AUTH_ERROR_TYPES.INVALID_CREDENTIALS
+  );
+}
+
+/**
+ * Check the principal holds `scope` and, when the request names a tenant,
+ * that it is the principal's own
+ */
+export function authorize(
+  principal: Principal,
+  scope: AuthScope,
+  requestedTenantId?: string
+) {
+  if (!principal.scopes.includes(scope)) {
+    throw new AuthError(
+      `Credential lacks the ${scope} scope`,
+      AUTH_ERROR_TYPES.INSUFFICIENT_SCOPE,
+      { required: scope }
+    );
+  }
+  if (
+    requestedTenantId !== undefined &&
+    requestedTenantId !== principal.tenantId
+  ) {
+    throw new AuthError(
+      "tenantId does not match the authenticated tenant",
+      AUTH_ERROR_TYPES.TENANT_MISMATCH
+    );
+  }
+}
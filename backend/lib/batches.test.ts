@@ -0,0 +1,202 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import { createJobBatch } from "./api/jobs/createJobBatch.js";
+import { getJobBatch } from "./api/jobs/getJobBatch.js";
+import { loadManifest, updateManifest } from "./manifest.js";
+import { apiResponseErrors } from "./api-contract.js";
+import { savePreset } from "./branding-presets.js";
+
+const STORAGE = "./test-storage-batches";
+
+const input = (name: string, bytes = 1024) => ({
+  originalFilename: name,
+  bytes,
+  mimeType: "audio/mpeg",
+});
+
+async function submit(body: Record<string, unknown>) {
+  const res = await createJobBatch({
+    headers: { "x-correlation-id": "test-corr" },
+    body: JSON.stringify(body),
+  });
+  assert.deepStrictEqual(
+    apiResponseErrors("createJobBatch", res.statusCode, res.body),
+    []
+  );
+  return { statusCode: res.statusCode, body: JSON.parse(res.body) };
+}
+
+async function progress(tenantId: string, batchId: string) {
+  const res = await getJobBatch({
+    pathParameters: { batchId },
+    queryStringParameters: { tenantId },
+  });
+  return { statusCode: res.statusCode, body: JSON.parse(res.body) };
+}
+
+describe("job batches", () => {
+  const originalEnv = process.env.TALKAVOCADO_ENV;
+  const originalStoragePath = process.env.MEDIA_STORAGE_PATH;
+  const originalStartOnCreate = process.env.START_ON_CREATE;
+
+  beforeEach(() => {
+    process.env.TALKAVOCADO_ENV = "test";
+    process.env.MEDIA_STORAGE_PATH = STORAGE;
+    delete process.env.START_ON_CREATE;
+    fs.rmSync(STORAGE, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(STORAGE, { recursive: true, force: true });
+    process.env.TALKAVOCADO_ENV = originalEnv;
+    for (const [name, value] of [
+      ["MEDIA_STORAGE_PATH", originalStoragePath],
+      ["START_ON_CREATE", originalStartOnCreate],
+    ] as const) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  test("creates a job per item with shared options and reports rejected items", async () => {
+    const tenantId = "batch-season";
+    await savePreset(tenantId, "podcast-default", {});
+    const res = await submit({
+      tenantId,
+      tags: ["season-2"],
+      plannerProfile: "interview",
+      brandingPreset: "podcast-default",
+      items: [
+        { clientRef: "ep1", input: input("ep1.mp3"), tags: ["ep1"] },
+        { clientRef: "ep2", input: input("ep2.mp3", 0) },
+        { clientRef: "ep3", input: input("ep3.mp3") },
+      ],
+    });
+
+    assert.strictEqual(res.statusCode, 207);
+    assert.strictEqual(res.body.total, 3);
+    assert.deepStrictEqual(
+      res.body.items.map((i: any) => [i.clientRef, i.outcome, i.status]),
+      [
+        ["ep1", "created", "pending"],
+        ["ep2", "rejected", "rejected"],
+        ["ep3", "created", "pending"],
+      ]
+    );
+    const rejected = res.body.items[1];
+    assert.strictEqual(rejected.statusCode, 400);
+    assert.deepStrictEqual(
+      rejected.errors.map((e: any) => e.field),
+      ["body.items.1.input.bytes"]
+    );
+    assert.strictEqual(res.body.counts.rejected, 1);
+    assert.strictEqual(res.body.counts.pending, 2);
+
+    const manifest = loadManifest("test", tenantId, res.body.items[0].jobId);
+    assert.deepStrictEqual(manifest.metadata?.tags, ["season-2", "ep1"]);
+    assert.deepStrictEqual(manifest.extra?.batch, {
+      batchId: res.body.batchId,
+      index: 0,
+      tags: ["season-2"],
+      plannerProfile: "interview",
+      brandingPreset: "podcast-default",
+    });
+    assert.deepStrictEqual(manifest.extra?.branding, {
+      preset: { id: "podcast-default", version: 1 },
+    });
+
+    const all = await submit({
+      tenantId,
+      items: [{ input: input("ep4.mp3") }],
+    });
+    assert.strictEqual(all.statusCode, 201);
+  });
+
+  test("deduplicates items by idempotency key across resubmissions", async () => {
+    const tenantId = "batch-retry";
+    const body = {
+      tenantId,
+      items: [
+        { idempotencyKey: "ep1", input: input("ep1.mp3") },
+        { idempotencyKey: "ep2", input: input("ep2.mp3") },
+      ],
+    };
+    const first = await submit(body);
+    const again = await submit({
+      ...body,
+      items: [
+        ...body.items,
+        { idempotencyKey: "ep3", input: input("ep3.mp3") },
+      ],
+    });
+
+    assert.notStrictEqual(again.body.batchId, first.body.batchId);
+    assert.deepStrictEqual(
+      again.body.items.slice(0, 2).map((i: any) => i.jobId),
+      first.body.items.map((i: any) => i.jobId)
+    );
+    assert.ok(again.body.items[2].jobId);
+    assert.ok(
+      !first.body.items.some((i: any) => i.jobId === again.body.items[2].jobId)
+    );
+
+    const changed = await submit({
+      tenantId,
+      items: [{ idempotencyKey: "ep1", input: input("other.mp3") }],
+    });
+    assert.strictEqual(changed.statusCode, 207);
+    assert.strictEqual(changed.body.items[0].statusCode, 422);
+  });
+
+  test("aggregates progress from the jobs' current status", async () => {
+    const tenantId = "batch-progress";
+    const { body } = await submit({
+      tenantId,
+      items: [
+        { input: input("a.mp3") },
+        { input: input("b.mp3") },
+        { input: input("c.mp3") },
+      ],
+    });
+    const [a, b, c] = body.items.map((i: any) => i.jobId as string);
+
+    await updateManifest("test", tenantId, a, m => {
+      m.status = "completed";
+    });
+    await updateManifest("test", tenantId, b, m => {
+      m.status = "processing";
+    });
+    let read = await progress(tenantId, body.batchId);
+    assert.strictEqual(read.statusCode, 200);
+    assert.strictEqual(read.body.status, "processing");
+    assert.strictEqual(read.body.progress, 0.333);
+
+    await updateManifest("test", tenantId, b, m => {
+      m.status = "failed";
+    });
+    await updateManifest("test", tenantId, c, m => {
+      m.status = "completed";
+    });
+    read = await progress(tenantId, body.batchId);
+    assert.strictEqual(read.body.status, "partial");
+    assert.strictEqual(read.body.progress, 1);
+    assert.deepStrictEqual(read.body.counts, {
+      pending: 0,
+      processing: 0,
+      completed: 2,
+      failed: 1,
+      cancelled: 0,
+      rejected: 0,
+    });
+
+    assert.strictEqual(
+      (await progress("someone-else", body.batchId)).statusCode,
+      404
+    );
+    const empty = await createJobBatch({
+      body: JSON.stringify({ tenantId, items: [] }),
+    });
+    assert.strictEqual(empty.statusCode, 400);
+  });
+});
@@ -0,0 +1,186 @@
+// backend/lib/batches.ts
+import fs from "node:fs";
+import path from "node:path";
+import { currentEnv, storageRoot } from "./storage.js";
+import { withFileLock, writeFileAtomic } from "./file-lock.js";
+import { loadManifest } from "./manifest.js";
+import { getJobTable } from "./job-table.js";
+import type { JobOptions, Manifest } from "./types.js";
+
+export const MAX_BATCH_ITEMS = 100;
+
+type JobStatus = Manifest["status"];
+
+/**
+ * Options applied to every job in a batch
+ */
+export interface BatchSharedOptions {
+  /** Added to each item's own tags */
+  tags?: string[];
+  /** Job options for every item (see createJob) */
+  options?: JobOptions;
+  plannerProfile?: string;
+  /** Branding preset for every item; each job pins its version */
+  brandingPreset?: string;
+}
+
+/**
+ * Outcome of creating one item. Rejected items keep the createJob status
+ * code and error so clients can fix and resubmit just those.
+ */
+export interface BatchItem {
+  index: number;
+  /** Caller's own reference for the item, echoed back */
+  clientRef?: string;
+  idempotencyKey?: string;
+  outcome: "created" | "rejected";
+  jobId?: string;
+  statusCode: number;
+  error?: string;
+  errors?: { field: string; message: string }[];
+}
+
+export interface BatchRecord {
+  batchId: string;
+  tenantId: string;
+  shared: BatchSharedOptions;
+  items: BatchItem[];
+  createdAt: string;
+}
+
+export interface BatchStore {
+  get(tenantId: string, batchId: string): Promise<BatchRecord | null>;
+  put(record: BatchRecord): Promise<void>;
+}
+
+/**
+ * File-backed store for local runs, one JSON file per tenant at
+ * {storageRoot}/{env}/_tables/batches/{tenantId}.json keyed by batchId
+ */
+export class FileBatchStore implements BatchStore {
+  private partitionPath(tenantId: string) {
+    return path.join(
+      storageRoot(),
+      currentEnv(),
+      "_tables",
+      "batches",
+      `${tenantId}.json`
+    );
+  }
+
+  private read(tenantId: string): Record<string, BatchRecord> {
+    const p = this.partitionPath(tenantId);
+    if (!fs.existsSync(p)) return {};
+    return JSON.parse(fs.readFileSync(p, "utf-8"));
+  }
+
+  async get(tenantId: string, batchId: string) {
+    return this.read(tenantId)[batchId] ?? null;
+  }
+
+  async put(record: BatchRecord) {
+    const p = this.partitionPath(record.tenantId);
+    withFileLock(p, () => {
+      const rows = this.read(record.tenantId);
+      rows[record.batchId] = record;
+      writeFileAtomic(p, JSON.stringify(rows, null, 2));
+    });
+  }
+}
+
+let store: BatchStore | null = null;
+
+export function getBatchStore(): BatchStore {
+  if (!store) store = new FileBatchStore();
+  return store;
+}
+
+/**
+ * Override the store (tests, or a DynamoDB-backed implementation); pass
+ * null to restore the default
+ */
+export function setBatchStore(next: BatchStore | null) {
+  store = next;
+}
+
+export interface BatchProgress {
+  batchId: string;
+  tenantId: string;
+  /**
+   * processing while any job is unfinished; completed when every item
+   * completed; failed when none did; partial otherwise
+   */
+  status: "pending" | "processing" | "completed" | "failed" | "partial";
+  total: number;
+  counts: Record<JobStatus | "rejected", number>;
+  /** Share of items that reached a terminal state, 0-1 */
+  progress: number;
+  shared: BatchSharedOptions;
+  items: (BatchItem & { status: JobStatus | "rejected" })[];
+  createdAt: string;
+}
+
+const TERMINAL: (JobStatus | "rejected")[] = [
+  "completed",
+  "failed",
+  "cancelled",
+  "rejected",
+];
+
+async function currentJobStatus(
+  tenantId: string,
+  jobId: string
+): Promise<JobStatus> {
+  // Manifests are the canonical job state; the table row is the fallback
+  try {
+    return loadManifest(currentEnv(), tenantId, jobId).status;
+  } catch {
+    const item = await getJobTable().getJobByJobId(tenantId, jobId);
+    return (item?.status as JobStatus) ?? "failed";
+  }
+}
+
+/**
+ * Aggregate the current state of a batch's jobs
+ */
+export async function batchProgress(
+  record: BatchRecord
+): Promise<BatchProgress> {
+  const counts: BatchProgress["counts"] = {
+    pending: 0,
+    processing: 0,
+    completed: 0,
+    failed: 0,
+    cancelled: 0,
+    rejected: 0,
+  };
+  const items: BatchProgress["items"] = [];
+  for (const item of record.items) {
+    const status = item.jobId
+      ? await currentJobStatus(record.tenantId, item.jobId)
+      : "rejected";
+    counts[status]++;
+    items.push({ ...item, status });
+  }
+
+  const total = record.items.length;
+  const finished = items.filter(i => TERMINAL.includes(i.status)).length;
+  let status: BatchProgress["status"];
+  if (counts.pending === total) status = "pending";
+  else if (finished < total) status = "processing";
+  else if (counts.completed === total) status = "completed";
+  else if (counts.completed === 0) status = "failed";
+  else status = "partial";
+
+  return {
+    batchId: record.batchId,
+    tenantId: record.tenantId,
+    status,
+    total,
+    counts,
+    progress: total ? Math.round((finished / total) * 1000) / 1000 : 1,
+    shared: record.shared,
+    items,
+    createdAt: record.createdAt,
+  };
+}
@@ -0,0 +1,315 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import path from "node:path";
+import { createJob } from "./api/jobs/createJob.js";
+import { loadManifest, updateManifest } from "./manifest.js";
+import { keyFor, readFileAtKey, writeFileAtKey } from "./storage.js";
+import {
+  buildBrandingGraph,
+  resolveBrandingConfig,
+} from "../services/branding-layer/branding-logic.js";
+import { brandingAssetKey } from "../services/branding-layer/asset-manager.js";
+import { handler } from "../services/branding-layer/handler.js";
+
+const STORAGE = "./test-storage-branding";
+const BIN = path.resolve(STORAGE, "bin");
+const FFMPEG_ARGS = path.resolve(STORAGE, "ffmpeg-args.txt");
+
+/**
+ * Stand-ins for ffprobe (a 1080x1920 clip with audio, or a PNG) and ffmpeg
+ * (records its arguments and writes the output file)
+ */
+function installTools() {
+  fs.mkdirSync(BIN, { recursive: true });
+  const video = JSON.stringify({
+    format: { duration: "12.5" },
+    streams: [
+      {
+        codec_type: "video",
+        codec_name: "h264",
+        width: 1080,
+        height: 1920,
+        r_frame_rate: "30/1",
+      },
+      { codec_type: "audio", codec_name: "aac" },
+    ],
+  });
+  const image = JSON.stringify({
+    format: {},
+    streams: [
+      { codec_type: "video", codec_name: "png", width: 400, height: 200 },
+    ],
+  });
+  const scripts = {
+    ffprobe: `for last; do :; done\ncase "$last" in *.png) echo '${image}' ;; *) echo '${video}' ;; esac\n`,
+    ffmpeg: `for last; do :; done\nprintf '%s\\n' "$@" > "${FFMPEG_ARGS}"\necho branded > "$last"\n`,
+  };
+  for (const [name, body] of Object.entries(scripts)) {
+    const file = path.join(BIN, name);
+    fs.writeFileSync(file, `#!/bin/sh\n${body}`);
+    fs.chmodSync(file, 0o755);
+  }
+}
+
+describe("branding layer", () => {
+  const originalEnv = process.env.TALKAVOCADO_ENV;
+  const originalStoragePath = process.env.MEDIA_STORAGE_PATH;
+  const originalStartOnCreate = process.env.START_ON_CREATE;
+  const originalFfmpegPath = process.env.FFMPEG_PATH;
+  const originalFfprobePath = process.env.FFPROBE_PATH;
+
+  beforeEach(() => {
+    process.env.TALKAVOCADO_ENV = "test";
+    process.env.MEDIA_STORAGE_PATH = STORAGE;
+    delete process.env.START_ON_CREATE;
+    fs.rmSync(STORAGE, { recursive: true, force: true });
+    installTools();
+    process.env.FFMPEG_PATH = path.join(BIN, "ffmpeg");
+    process.env.FFPROBE_PATH = path.join(BIN, "ffprobe");
+  });
+
+  afterEach(() => {
+    fs.rmSync(STORAGE, { recursive: true, force: true });
+    process.env.TALKAVOCADO_ENV = originalEnv;
+    for (const [name, value] of [
+      ["MEDIA_STORAGE_PATH", originalStoragePath],
+      ["START_ON_CREATE", originalStartOnCreate],
+      ["FFMPEG_PATH", originalFfmpegPath],
+      ["FFPROBE_PATH", originalFfprobePath],
+    ] as const) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  test("letterboxes the intro onto the main canvas and windows the logo", () => {
+    const graph = buildBrandingGraph({
+      main: {
+        path: "main.mp4",
+        width: 1080,
+        height: 1920,
+        fps: 30,
+        durationSec: 20,
+        hasAudio: true,
+      },
+      // Landscape intro without a soundtrack, shorter than two fades
+      intro: { path: "intro.mp4", durationSec: 0.6, hasAudio: false },
+      logo: {
+        path: "logo.png",
+        position: "top-right",
+        sizePct: 10,
+        opacity: 0.5,
+        marginPx: 20,
+        startSec: 2,
+        endSec: 60,
+      },
+      fadeMs: 500,
+    });
+
+    assert.deepStrictEqual(graph.inputs, ["intro.mp4", "main.mp4", "logo.png"]);
+    assert.deepStrictEqual(graph.elements, ["intro", "logo"]);
+    assert.strictEqual(graph.durationSec, 20.6);
+    const filters = graph.filtergraph.split(";");
+    assert.ok(
+      filters[0].includes(
+        "scale=1080:1920:force_original_aspect_ratio=decrease,pad=1080:1920:(ow-iw)/2:(oh-ih)/2"
+      )
+    );
+    assert.ok(
+      filters[0].endsWith(
+        "fade=t=in:st=0:d=0.300,fade=t=out:st=0.300:d=0.300[v0]"
+      )
+    );
+    assert.ok(
+      filters[1].startsWith("anullsrc=r=48000:cl=stereo,atrim=duration=0.600")
+    );
+    assert.ok(
+      filters.includes(
+        "[2:v]scale=108:-1,format=rgba,colorchannelmixer=aa=0.5[logo]"
+      )
+    );
+    // The window is clamped to the main video
+    assert.ok(
+      filters.includes(
+        "[main1][logo]overlay=W-w-20:20:enable='between(t,2.000,20.000)'[v1]"
+      )
+    );
+    assert.strictEqual(
+      filters[filters.length - 1],
+      "[v0][a0][v1][a1]concat=n=2:v=1:a=1[vout][aout]"
+    );
+  });
+
+  test("validates branding config and keeps assets inside the tenant", () => {
+    const config = resolveBrandingConfig(
+      { logo: "logo.png", intro: { key: "intro.mp4" } },
+      { BRANDING_LOGO_SIZE: "15%", BRANDING_INTRO_DURATION_SEC: "3" }
+    );
+    assert.deepStrictEqual(config.logo, {
+      key: "logo.png",
+      position: "bottom-right",
+      sizePct: 15,
+      opacity: 0.8,
+      marginPx: 20,
+      startSec: 0,
+      endSec: undefined,
+    });
+    assert.strictEqual(config.intro?.maxDurationSec, 3);
+    assert.strictEqual(config.enabled, true);
+    assert.strictEqual(config.burnSubtitles, false);
+
+    assert.throws(
+      () =>
+        resolveBrandingConfig(
+          { logo: { key: "logo.png", position: "middle", opacity: 2 } },
+          {}
+        ),
+      (err: { type: string; details: { problems: string[] } }) =>
+        err.type === "INVALID_CONFIG" && err.details.problems.length === 2
+    );
+
+    assert.strictEqual(
+      brandingAssetKey("test", "acme", "intro.mp4"),
+      "test/acme/assets/branding/intro.mp4"
+    );
+    assert.throws(() => brandingAssetKey("test", "acme", "../other/logo.png"), {
+      type: "INVALID_CONFIG",
+    });
+  });
+
+  test("renders final.mp4 from the base cuts and records the final render", async () => {
+    const tenantId = "branding-tenant";
+    const res = await createJob({ body: JSON.stringify({ tenantId }) });
+    const { jobId } = JSON.parse(res.body);
+    const key = (...parts: string[]) =>
+      keyFor("test", tenantId, jobId, ...parts);
+
+    writeFileAtKey(key("renders", "base_cuts.mp4"), "video");
+    writeFileAtKey(
+      keyFor("test", tenantId, "assets", "branding", "outro.mp4"),
+      "outro"
+    );
+    writeFileAtKey(
+      keyFor("test", tenantId, "assets", "branding", "logo.png"),
+      "logo"
+    );
+    await updateManifest("test", tenantId, jobId, m => {
+      m.extra = {
+        branding: {
+          outro: "outro.mp4",
+          logo: { key: "logo.png", opacity: 0.6 },
+        },
+      };
+    });
+
+    const result = await handler({ env: "test", tenantId, jobId });
+    assert.strictEqual(result.ok, true);
+    assert.strictEqual(result.outputKey, key("renders", "final.mp4"));
+    assert.deepStrictEqual(result.elements, ["logo", "outro"]);
+    assert.strictEqual(readFileAtKey(result.outputKey).toString(), "branded\n");
+
+    const args = fs.readFileSync(FFMPEG_ARGS, "utf-8").split("\n");
+    assert.ok(args.includes("-profile:v") && args.includes("libx264"));
+    assert.ok(args.some(a => a.endsWith("/renders/base_cuts.mp4")));
+
+    const log = JSON.parse(readFileAtKey(result.logKey).toString());
+    assert.strictEqual(log.sourceKey, key("renders", "base_cuts.mp4"));
+    assert.strictEqual(log.logo.opacity, 0.6);
+    assert.strictEqual(
+      log.outro.key,
+      `test/${tenantId}/assets/branding/outro.mp4`
+    );
+
+    // Re-running replaces the final render instead of appending
+    await handler({ env: "test", tenantId, jobId });
+    let manifest = loadManifest("test", tenantId, jobId);
+    assert.deepStrictEqual(
+      manifest.renders?.map(r => [r.key, r.type, r.resolution, r.notes]),
+      [[result.outputKey, "final", "1080x1920", "branding=logo+outro"]]
+    );
+    assert.strictEqual(manifest.steps?.["branding-layer"]?.status, "completed");
+
+    // A configured asset that is missing fails the step
+    await assert.rejects(
+      handler({
+        env: "test",
+        tenantId,
+        jobId,
+        brandingConfig: { intro: "missing.mp4" },
+      }),
+      { type: "ASSET_NOT_FOUND" }
+    );
+    manifest = loadManifest("test", tenantId, jobId);
+    assert.strictEqual(manifest.steps?.["branding-layer"]?.status, "failed");
+  });
+
+  test("publishes captions moved past the intro for final.mp4", async () => {
+    const tenantId = "branding-intro-tenant";
+    const res = await createJob({ body: JSON.stringify({ tenantId }) });
+    const { jobId } = JSON.parse(res.body);
+    const key = (...parts: string[]) =>
+      keyFor("test", tenantId, jobId, ...parts);
+
+    writeFileAtKey(key("renders", "base_cuts.mp4"), "video");
+    writeFileAtKey(
+      keyFor("test", tenantId, "assets", "branding", "intro.mp4"),
+      "intro"
+    );
+    writeFileAtKey(
+      key("subtitles", "final.srt"),
+      "1\n00:00:01,000 --> 00:00:02,500\nHello\n"
+    );
+    writeFileAtKey(
+      key("subtitles", "final.vtt"),
+      "WEBVTT\n\n00:00:59.000 --> 00:01:00.200\nHello\n"
+    );
+    await updateManifest("test", tenantId, jobId, m => {
+      m.subtitles = ["srt", "vtt"].map(format => ({
+        key: key("subtitles", `final.${format}`),
+        type: "final",
+        format: format as "srt" | "vtt",
+        wordCount: 1,
+      }));
+      m.extra = {
+        branding: { intro: { key: "intro.mp4", maxDurationSec: 3 } },
+      };
+    });
+
+    const result = await handler({ env: "test", tenantId, jobId });
+    assert.deepStrictEqual(result.elements, ["intro"]);
+    assert.deepStrictEqual(result.subtitleKeys, [
+      key("subtitles", "branded.srt"),
+      key("subtitles", "branded.vtt"),
+    ]);
+    assert.strictEqual(
+      readFileAtKey(key("subtitles", "branded.srt")).toString(),
+      "1\n00:00:04,000 --> 00:00:05,500\nHello\n"
+    );
+    assert.strictEqual(
+      readFileAtKey(key("subtitles", "branded.vtt")).toString(),
+      "WEBVTT\n\n00:01:02.000 --> 00:01:03.200\nHello\n"
+    );
+    // The post-edit captions stay timed to the main video
+    assert.strictEqual(
+      readFileAtKey(key("subtitles", "final.srt")).toString(),
+      "1\n00:00:01,000 --> 00:00:02,500\nHello\n"
+    );
+
+    await handler({ env: "test", tenantId, jobId });
+    const manifest = loadManifest("test", tenantId, jobId);
+    assert.deepStrictEqual(
+      manifest.subtitles?.map(s => [s.type, s.format, s.durationSec]),
+      [
+        ["final", "srt", undefined],
+        ["final", "vtt", undefined],
+        ["branded", "srt", 12.5],
+        ["branded", "vtt", 12.5],
+      ]
+    );
+    assert.strictEqual(
+      JSON.parse(readFileAtKey(result.logKey).toString()).mainStartSec,
+      3
+    );
+  });
+});
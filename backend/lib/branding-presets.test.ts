@@ -0,0 +1,325 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import path from "node:path";
+import { apiResponseErrors } from "./api-contract.js";
+import { createJob } from "./api/jobs/createJob.js";
+import { uploadBrandingAsset } from "./api/branding/uploadBrandingAsset.js";
+import { listBrandingAssets } from "./api/branding/listBrandingAssets.js";
+import { putBrandingPreset } from "./api/branding/putBrandingPreset.js";
+import { getBrandingPreset } from "./api/branding/getBrandingPreset.js";
+import { listBrandingPresets } from "./api/branding/listBrandingPresets.js";
+import { deleteBrandingPreset } from "./api/branding/deleteBrandingPreset.js";
+import { loadManifest } from "./manifest.js";
+import { keyFor } from "./storage.js";
+
+const STORAGE = "./test-storage-branding-presets";
+const BIN = path.resolve(STORAGE, "bin");
+
+/**
+ * ffprobe stand-in answering by file name: logo.png is a PNG, mpeg4.mp4 an
+ * MPEG-4 Part 2 clip, long.mp4 a 90 s clip, anything else a 5 s H.264 clip
+ */
+function installFfprobe() {
+  fs.mkdirSync(BIN, { recursive: true });
+  const clip = (codec: string, duration: string) =>
+    JSON.stringify({
+      format: { duration },
+      streams: [
+        {
+          codec_type: "video",
+          codec_name: codec,
+          width: 1920,
+          height: 1080,
+          r_frame_rate: "30/1",
+        },
+        { codec_type: "audio", codec_name: "aac" },
+      ],
+    });
+  const image = JSON.stringify({
+    format: {},
+    streams: [
+      { codec_type: "video", codec_name: "png", width: 400, height: 200 },
+    ],
+  });
+  const file = path.join(BIN, "ffprobe");
+  fs.writeFileSync(
+    file,
+    [
+      "#!/bin/sh",
+      "for last; do :; done",
+      'case "$last" in',
+      `  *.png) echo '${image}' ;;`,
+      `  *mpeg4.mp4) echo '${clip("mpeg4", "5")}' ;;`,
+      `  *long.mp4) echo '${clip("h264", "90")}' ;;`,
+      `  *) echo '${clip("h264", "5")}' ;;`,
+      "esac",
+      "",
+    ].join("\n")
+  );
+  fs.chmodSync(file, 0o755);
+}
+
+function assertMatchesContract(
+  operationId: string,
+  res: { statusCode: number; body: string }
+) {
+  assert.deepStrictEqual(
+    apiResponseErrors(operationId, res.statusCode, res.body),
+    [],
+    `${operationId} ${res.statusCode} response: ${res.body}`
+  );
+}
+
+function upload(tenantId: string, assetName: string) {
+  return uploadBrandingAsset({
+    pathParameters: { assetName },
+    queryStringParameters: { tenantId },
+    body: Buffer.from(`${assetName} bytes`),
+  });
+}
+
+function putPreset(tenantId: string, presetId: string, fields: object) {
+  return putBrandingPreset({
+    headers: { "content-type": "application/json" },
+    pathParameters: { presetId },
+    queryStringParameters: { tenantId },
+    body: JSON.stringify(fields),
+  });
+}
+
+describe("branding presets", () => {
+  const originalEnv = process.env.TALKAVOCADO_ENV;
+  const originalStoragePath = process.env.MEDIA_STORAGE_PATH;
+  const originalStartOnCreate = process.env.START_ON_CREATE;
+  const originalFfprobePath = process.env.FFPROBE_PATH;
+  const originalMaxDuration = process.env.BRANDING_ASSET_MAX_DURATION_SEC;
+
+  beforeEach(() => {
+    process.env.TALKAVOCADO_ENV = "test";
+    process.env.MEDIA_STORAGE_PATH = STORAGE;
+    delete process.env.START_ON_CREATE;
+    delete process.env.BRANDING_ASSET_MAX_DURATION_SEC;
+    fs.rmSync(STORAGE, { recursive: true, force: true });
+    installFfprobe();
+    process.env.FFPROBE_PATH = path.join(BIN, "ffprobe");
+  });
+
+  afterEach(() => {
+    fs.rmSync(STORAGE, { recursive: true, force: true });
+    process.env.TALKAVOCADO_ENV = originalEnv;
+    for (const [name, value] of [
+      ["MEDIA_STORAGE_PATH", originalStoragePath],
+      ["START_ON_CREATE", originalStartOnCreate],
+      ["FFPROBE_PATH", originalFfprobePath],
+      ["BRANDING_ASSET_MAX_DURATION_SEC", originalMaxDuration],
+    ] as const) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  test("probes uploaded assets and keeps only the valid ones", async () => {
+    const tenantId = "asset-tenant";
+    const assetPath = (name: string) =>
+      path.join(STORAGE, keyFor("test", tenantId, "assets", "branding", name));
+
+    const intro = await upload(tenantId, "intro.mp4");
+    assert.strictEqual(intro.statusCode, 201);
+    assertMatchesContract("uploadBrandingAsset", intro);
+    assert.deepStrictEqual(
+      (({ kind, codec, width, height, durationSec, fps, hasAudio }) => ({
+        kind,
+        codec,
+        width,
+        height,
+        durationSec,
+        fps,
+        hasAudio,
+      }))(JSON.parse(intro.body)),
+      {
+        kind: "video",
+        codec: "h264",
+        width: 1920,
+        height: 1080,
+        durationSec: 5,
+        fps: 30,
+        hasAudio: true,
+      }
+    );
+    assert.ok(fs.existsSync(assetPath("intro.mp4")));
+
+    const logo = await upload(tenantId, "logo.png");
+    assert.strictEqual(logo.statusCode, 201);
+    assert.strictEqual(JSON.parse(logo.body).kind, "image");
+
+    // Names are not reused, so pinned preset versions keep their assets
+    const again = await upload(tenantId, "intro.mp4");
+    assert.strictEqual(again.statusCode, 409);
+    assertMatchesContract("uploadBrandingAsset", again);
+
+    const codec = await upload(tenantId, "mpeg4.mp4");
+    assert.strictEqual(codec.statusCode, 422);
+    assertMatchesContract("uploadBrandingAsset", codec);
+    assert.match(JSON.parse(codec.body).problems[0], /codec mpeg4/);
+    assert.ok(!fs.existsSync(assetPath("mpeg4.mp4")));
+
+    const long = await upload(tenantId, "long.mp4");
+    assert.strictEqual(long.statusCode, 422);
+    assert.deepStrictEqual(JSON.parse(long.body).problems, [
+      "duration 90s exceeds 30s",
+    ]);
+    process.env.BRANDING_ASSET_MAX_DURATION_SEC = "120";
+    assert.strictEqual((await upload(tenantId, "long.mp4")).statusCode, 201);
+
+    const unsupported = await upload(tenantId, "intro.gif");
+    assert.strictEqual(unsupported.statusCode, 422);
+
+    const list = await listBrandingAssets({
+      queryStringParameters: { tenantId },
+    });
+    assertMatchesContract("listBrandingAssets", list);
+    assert.deepStrictEqual(
+      JSON.parse(list.body)
+        .items.map((a: { name: string }) => a.name)
+        .sort(),
+      ["intro.mp4", "logo.png", "long.mp4"]
+    );
+    const other = await listBrandingAssets({
+      queryStringParameters: { tenantId: "other-tenant" },
+    });
+    assert.deepStrictEqual(JSON.parse(other.body).items, []);
+  });
+
+  test("saves every change as a new version and keeps deleted versions readable", async () => {
+    const tenantId = "preset-tenant";
+    await upload(tenantId, "intro.mp4");
+    await upload(tenantId, "logo.png");
+
+    const created = await putPreset(tenantId, "standard", {
+      intro: "intro.mp4",
+      logo: { key: "logo.png", position: "top-left" },
+      colors: { primary: "#1a2b3c" },
+    });
+    assert.strictEqual(created.statusCode, 201);
+    assertMatchesContract("putBrandingPreset", created);
+    assert.strictEqual(JSON.parse(created.body).version, 1);
+
+    const updated = await putPreset(tenantId, "standard", {
+      intro: "intro.mp4",
+      defaultTransition: { type: "crossfade", durationMs: 400 },
+    });
+    assert.strictEqual(updated.statusCode, 200);
+    assert.strictEqual(JSON.parse(updated.body).version, 2);
+
+    // Assets must exist and be of the right kind
+    const missing = await putPreset(tenantId, "standard", {
+      outro: "missing.mp4",
+    });
+    assert.strictEqual(missing.statusCode, 422);
+    assertMatchesContract("putBrandingPreset", missing);
+    const wrongKind = await putPreset(tenantId, "standard", {
+      logo: "intro.mp4",
+    });
+    assert.strictEqual(wrongKind.statusCode, 422);
+
+    const get = (queryStringParameters: Record<string, string>) =>
+      getBrandingPreset({
+        pathParameters: { presetId: "standard" },
+        queryStringParameters: { tenantId, ...queryStringParameters },
+      });
+    const latest = await get({});
+    assertMatchesContract("getBrandingPreset", latest);
+    assert.strictEqual(JSON.parse(latest.body).version, 2);
+    assert.strictEqual(JSON.parse(latest.body).logo, undefined);
+    const first = await get({ version: "1" });
+    assert.deepStrictEqual(JSON.parse(first.body).logo, {
+      key: "logo.png",
+      position: "top-left",
+    });
+    assert.strictEqual((await get({ version: "7" })).statusCode, 404);
+
+    await putPreset(tenantId, "minimal", {});
+    const listed = async () =>
+      JSON.parse(
+        (await listBrandingPresets({ queryStringParameters: { tenantId } }))
+          .body
+      ).items.map((p: { id: string; version: number }) => [p.id, p.version]);
+    assert.deepStrictEqual(await listed(), [
+      ["minimal", 1],
+      ["standard", 2],
+    ]);
+
+    const deleted = await deleteBrandingPreset({
+      pathParameters: { presetId: "standard" },
+      queryStringParameters: { tenantId },
+    });
+    assert.strictEqual(deleted.statusCode, 200);
+    assertMatchesContract("deleteBrandingPreset", deleted);
+    assert.deepStrictEqual(await listed(), [["minimal", 1]]);
+    assert.strictEqual((await get({})).statusCode, 404);
+    // Jobs that pinned a version can still read it
+    assert.strictEqual((await get({ version: "2" })).statusCode, 200);
+    const twice = await deleteBrandingPreset({
+      pathParameters: { presetId: "standard" },
+      queryStringParameters: { tenantId },
+    });
+    assert.strictEqual(twice.statusCode, 404);
+
+    // Saving again revives the preset with its numbering continued
+    const revived = await putPreset(tenantId, "standard", {});
+    assert.strictEqual(revived.statusCode, 201);
+    assert.strictEqual(JSON.parse(revived.body).version, 3);
+  });
+
+  test("pins the selected preset version on new jobs", async () => {
+    const tenantId = "job-preset-tenant";
+    await upload(tenantId, "logo.png");
+    await putPreset(tenantId, "standard", {
+      description: "Default look",
+      logo: "logo.png",
+    });
+    await putPreset(tenantId, "standard", {
+      logo: { key: "logo.png", opacity: 0.5 },
+    });
+
+    const create = (brandingPreset: string) =>
+      createJob({ body: JSON.stringify({ tenantId, brandingPreset }) });
+    const latest = await create("standard");
+    assert.strictEqual(latest.statusCode, 201);
+    let manifest = loadManifest(
+      "test",
+      tenantId,
+      JSON.parse(latest.body).jobId
+    );
+    assert.deepStrictEqual(manifest.extra?.branding, {
+      preset: { id: "standard", version: 2 },
+      logo: { key: "logo.png", opacity: 0.5 },
+    });
+
+    const pinned = await create("standard@1");
+    manifest = loadManifest("test", tenantId, JSON.parse(pinned.body).jobId);
+    assert.deepStrictEqual(manifest.extra?.branding, {
+      preset: { id: "standard", version: 1 },
+      logo: "logo.png",
+    });
+
+    for (const ref of ["unknown", "standard@9"]) {
+      const res = await create(ref);
+      assert.strictEqual(res.statusCode, 400);
+      assertMatchesContract("createJob", res);
+      assert.strictEqual(
+        JSON.parse(res.body).errors[0].field,
+        "body.brandingPreset"
+      );
+    }
+    // Presets belong to their tenant
+    const foreign = await createJob({
+      body: JSON.stringify({
+        tenantId: "other-tenant",
+        brandingPreset: "standard",
+      }),
+    });
+    assert.strictEqual(foreign.statusCode, 400);
+  });
+});
@@ -0,0 +1,589 @@
+// backend/lib/branding-presets.ts
+import { execFile } from "node:child_process";
+import fs from "node:fs";
+import path from "node:path";
+import { promisify } from "node:util";
+import {
+  currentEnv,
+  getStorageDriver,
+  key,
+  localPathForRead,
+  releaseLocalPath,
+  storageRoot,
+  type StorageBody,
+} from "./storage.js";
+import { withFileLock, writeFileAtomic } from "./file-lock.js";
+import { parseFrameRate } from "./ffmpeg-runtime.js";
+
+const execFileAsync = promisify(execFile);
+
+export const BRANDING_PRESET_ERROR_TYPES = {
+  PRESET_NOT_FOUND: "PRESET_NOT_FOUND",
+  VERSION_NOT_FOUND: "VERSION_NOT_FOUND",
+  VERSION_CONFLICT: "VERSION_CONFLICT",
+  ASSET_NOT_FOUND: "ASSET_NOT_FOUND",
+  ASSET_EXISTS: "ASSET_EXISTS",
+  INVALID_ASSET: "INVALID_ASSET",
+} as const;
+
+export type BrandingPresetErrorType = keyof typeof BRANDING_PRESET_ERROR_TYPES;
+
+/**
+ * HTTP status the branding API returns for each error type
+ */
+export const BRANDING_PRESET_ERROR_STATUS: Record<
+  BrandingPresetErrorType,
+  number
+> = {
+  PRESET_NOT_FOUND: 404,
+  VERSION_NOT_FOUND: 404,
+  VERSION_CONFLICT: 409,
+  ASSET_NOT_FOUND: 422,
+  ASSET_EXISTS: 409,
+  INVALID_ASSET: 422,
+};
+
+export class BrandingPresetError extends Error {
+  readonly type: BrandingPresetErrorType;
+  readonly details: Record<string, unknown>;
+
+  constructor(
+    message: string,
+    type: BrandingPresetErrorType,
+    details: Record<string, unknown> = {}
+  ) {
+    super(message);
+    this.name = "BrandingPresetError";
+    this.type = type;
+    this.details = details;
+  }
+}
+
+/** A clip or image from the tenant's assets: its name, or name plus settings */
+export type BrandingAssetRef =
+  | string
+  | ({ key: string } & Record<string, unknown>);
+
+/**
+ * The tenant-editable part of a preset. intro/outro/logo/fadeDurationMs/
+ * burnSubtitles are read by the branding-layer service; the rest is for
+ * renderers that draw text (colors, fonts, lower thirds) and for
+ * video-transitions (defaultTransition).
+ */
+export interface BrandingPresetFields {
+  description?: string;
+  intro?: BrandingAssetRef;
+  outro?: BrandingAssetRef;
+  logo?: BrandingAssetRef;
+  fadeDurationMs?: number;
+  burnSubtitles?: boolean;
+  colors?: Record<string, string>;
+  fonts?: { heading?: string; body?: string };
+  lowerThird?: {
+    style: string;
+    position?: string;
+    durationSec?: number;
+    fontSize?: number;
+  };
+  defaultTransition?: {
+    type: string;
+    durationMs?: number;
+    audioFadeMs?: number;
+  };
+}
+
+/**
+ * One immutable version of a preset
+ */
+export interface BrandingPreset extends BrandingPresetFields {
+  id: string;
+  tenantId: string;
+  version: number;
+  createdAt: string;
+}
+
+/**
+ * Every version of a preset. Deleting a preset keeps its versions so jobs
+ * that used it stay reproducible.
+ */
+export interface BrandingPresetRecord {
+  id: string;
+  tenantId: string;
+  versions: BrandingPreset[];
+  deletedAt?: string;
+}
+
+/**
+ * An uploaded branding asset, as validated by ffprobe. Assets are
+ * immutable so a preset version always renders the same way.
+ */
+export interface BrandingAsset {
+  name: string;
+  tenantId: string;
+  key: string;
+  kind: "video" | "image";
+  bytes: number;
+  codec: string;
+  width: number;
+  height: number;
+  durationSec?: number;
+  fps?: number;
+  hasAudio: boolean;
+  uploadedAt: string;
+}
+
+export interface BrandingPresetStore {
+  getPreset(tenantId: string, id: string): Promise<BrandingPresetRecord | null>;
+  listPresets(tenantId: string): Promise<BrandingPresetRecord[]>;
+  /**
+   * Append `preset` as the next version. Returns false, writing nothing,
+   * when the latest stored version is not `expectedVersion` (0 for none).
+   */
+  putVersion(preset: BrandingPreset, expectedVersion: number): Promise<boolean>;
+  markDeleted(tenantId: string, id: string, at: string): Promise<boolean>;
+  getAsset(tenantId: string, name: string): Promise<BrandingAsset | null>;
+  putAsset(asset: BrandingAsset): Promise<void>;
+  listAssets(tenantId: string): Promise<BrandingAsset[]>;
+}
+
+function latestVersion(record: BrandingPresetRecord | null | undefined) {
+  return record?.versions.length
+    ? record.versions[record.versions.length - 1].version
+    : 0;
+}
+
+/**
+ * File-backed store for local runs: presets and assets live at
+ * {storageRoot}/{env}/_tables/{branding-presets,branding-assets}/{tenantId}.json
+ */
+export class FileBrandingPresetStore implements BrandingPresetStore {
+  private partitionPath(table: string, tenantId: string) {
+    return path.join(
+      storageRoot(),
+      currentEnv(),
+      "_tables",
+      table,
+      `${tenantId}.json`
+    );
+  }
+
+  private read<T>(table: string, tenantId: string): Record<string, T> {
+    const p = this.partitionPath(table, tenantId);
+    if (!fs.existsSync(p)) return {};
+    return JSON.parse(fs.readFileSync(p, "utf-8"));
+  }
+
+  private mutate<T, R>(
+    table: string,
+    tenantId: string,
+    fn: (rows: Record<string, T>) => R
+  ): R {
+    const p = this.partitionPath(table, tenantId);
+    return withFileLock(p, () => {
+      const rows = this.read<T>(table, tenantId);
+      const result = fn(rows);
+      writeFileAtomic(p, JSON.stringify(rows, null, 2));
+      return result;
+    });
+  }
+
+  async getPreset(tenantId: string, id: string) {
+    return (
+      this.read<BrandingPresetRecord>("branding-presets", tenantId)[id] ?? null
+    );
+  }
+
+  async listPresets(tenantId: string) {
+    return Object.values(
+      this.read<BrandingPresetRecord>("branding-presets", tenantId)
+    ).sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  async putVersion(preset: BrandingPreset, expectedVersion: number) {
+    return this.mutate<BrandingPresetRecord, boolean>(
+      "branding-presets",
+      preset.tenantId,
+      rows => {
+        const record = rows[preset.id];
+        if (latestVersion(record) !== expectedVersion) return false;
+        rows[preset.id] = {
+          id: preset.id,
+          tenantId: preset.tenantId,
+          versions: [...(record?.versions ?? []), preset],
+        };
+        return true;
+      }
+    );
+  }
+
+  async markDeleted(tenantId: string, id: string, at: string) {
+    return this.mutate<BrandingPresetRecord, boolean>(
+      "branding-presets",
+      tenantId,
+      rows => {
+        if (!rows[id] || rows[id].deletedAt) return false;
+        rows[id].deletedAt = at;
+        return true;
+      }
+    );
+  }
+
+  async getAsset(tenantId: string, name: string) {
+    return this.read<BrandingAsset>("branding-assets", tenantId)[name] ?? null;
+  }
+
+  async putAsset(asset: BrandingAsset) {
+    this.mutate<BrandingAsset, void>(
+      "branding-assets",
+      asset.tenantId,
+      rows => {
+        rows[asset.name] = asset;
+      }
+    );
+  }
+
+  async listAssets(tenantId: string) {
+    return Object.values(
+      this.read<BrandingAsset>("branding-assets", tenantId)
+    ).sort((a, b) => a.name.localeCompare(b.name));
+  }
+}
+
+let store: BrandingPresetStore | null = null;
+
+export function getBrandingPresetStore(): BrandingPresetStore {
+  if (!store) store = new FileBrandingPresetStore();
+  return store;
+}
+
+/**
+ * Override the store (tests, or a DynamoDB-backed implementation); pass
+ * null to restore the default
+ */
+export function setBrandingPresetStore(next: BrandingPresetStore | null) {
+  store = next;
+}
+
+/**
+ * Storage key of a tenant branding asset; the branding-layer service reads
+ * asset names relative to this prefix
+ */
+export function brandingAssetStorageKey(
+  env: string,
+  tenantId: string,
+  name: string
+) {
+  return key(env, tenantId, "assets", "branding", name);
+}
+
+const ASSET_KINDS: Record<string, BrandingAsset["kind"]> = {
+  ".mp4": "video",
+  ".mov": "video",
+  ".mkv": "video",
+  ".webm": "video",
+  ".png": "image",
+  ".jpg": "image",
+  ".jpeg": "image",
+  ".webp": "image",
+};
+
+/**
+ * What an uploaded asset may be. Clips are limited to 4K and to
+ * BRANDING_ASSET_MAX_DURATION_SEC (default 30); images to 4096 px a side.
+ */
+export const BRANDING_ASSET_LIMITS = {
+  video: {
+    codecs: ["h264", "hevc", "vp9", "av1", "prores"],
+    maxLongSide: 3840,
+    maxShortSide: 2160,
+  },
+  image: {
+    codecs: ["png", "mjpeg", "webp"],
+    maxLongSide: 4096,
+    maxShortSide: 4096,
+  },
+};
+
+export function brandingAssetMaxDurationSec() {
+  const configured = Number(process.env.BRANDING_ASSET_MAX_DURATION_SEC);
+  return Number.isFinite(configured) && configured > 0 ? configured : 30;
+}
+
+async function probeAsset(filePath: string) {
+  const { stdout } = await execFileAsync(
+    process.env.FFPROBE_PATH || "ffprobe",
+    [
+      "-v",
+      "quiet",
+      "-print_format",
+      "json",
+      "-show_format",
+      "-show_streams",
+      filePath,
+    ],
+    { maxBuffer: 10 * 1024 * 1024, timeout: 30000 }
+  );
+  return JSON.parse(stdout);
+}
+
+/**
+ * Problems that keep a probed file from being used as a `kind` asset
+ */
+export function brandingAssetProblems(
+  kind: BrandingAsset["kind"],
+  probe: any
+): string[] {
+  const streams: any[] = probe?.streams ?? [];
+  const video = streams.find(s => s.codec_type === "video");
+  if (!video) return ["no video stream"];
+
+  const limits = BRANDING_ASSET_LIMITS[kind];
+  const problems: string[] = [];
+  if (!limits.codecs.includes(video.codec_name)) {
+    problems.push(
+      `codec ${video.codec_name} is not one of ${limits.codecs.join(", ")}`
+    );
+  }
+  const width = Number(video.width);
+  const height = Number(video.height);
+  if (!(width > 0 && height > 0)) {
+    problems.push("resolution is unknown");
+  } else if (
+    Math.max(width, height) > limits.maxLongSide ||
+    Math.min(width, height) > limits.maxShortSide
+  ) {
+    problems.push(
+      `resolution ${width}x${height} exceeds ${limits.maxLongSide}x${limits.maxShortSide}`
+    );
+  }
+  if (kind === "video") {
+    const duration = Number(probe?.format?.duration ?? video.duration);
+    const maxDuration = brandingAssetMaxDurationSec();
+    if (!(duration > 0)) problems.push("duration is unknown");
+    else if (duration > maxDuration) {
+      problems.push(`duration ${duration}s exceeds ${maxDuration}s`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Store an uploaded asset under the tenant's branding prefix, then probe
+ * it. Files ffprobe cannot read, or that break BRANDING_ASSET_LIMITS, are
+ * removed again and rejected with INVALID_ASSET.
+ */
+export async function saveBrandingAsset(
+  env: string,
+  tenantId: string,
+  name: string,
+  body: StorageBody
+): Promise<BrandingAsset> {
+  const kind = ASSET_KINDS[path.extname(name).toLowerCase()];
+  if (!kind) {
+    throw new BrandingPresetError(
+      `Unsupported asset type: ${name}`,
+      "INVALID_ASSET",
+      { name, allowed: Object.keys(ASSET_KINDS) }
+    );
+  }
+  const presetStore = getBrandingPresetStore();
+  if (await presetStore.getAsset(tenantId, name)) {
+    throw new BrandingPresetError(
+      `Asset already exists: ${name}`,
+      "ASSET_EXISTS",
+      { name }
+    );
+  }
+
+  const storage = getStorageDriver();
+  const assetKey = brandingAssetStorageKey(env, tenantId, name);
+  const stored = await storage.put(assetKey, body);
+
+  let probe: any;
+  let problems: string[];
+  let assetPath: string | undefined;
+  try {
+    assetPath = await localPathForRead(assetKey);
+    probe = await probeAsset(assetPath);
+    problems = brandingAssetProblems(kind, probe);
+  } catch (error) {
+    problems = [
+      `ffprobe could not read the file: ${error instanceof Error ? error.message : String(error)}`,
+    ];
+  } finally {
+    await releaseLocalPath(assetPath);
+  }
+  if (problems.length) {
+    await storage.delete(assetKey);
+    throw new BrandingPresetError(
+      `Invalid ${kind} asset: ${problems.join("; ")}`,
+      "INVALID_ASSET",
+      { name, problems }
+    );
+  }
+
+  const streams: any[] = probe.streams ?? [];
+  const video = streams.find(s => s.codec_type === "video");
+  const asset: BrandingAsset = {
+    name,
+    tenantId,
+    key: assetKey,
+    kind,
+    bytes: stored.size,
+    codec: video.codec_name,
+    width: Number(video.width),
+    height: Number(video.height),
+    hasAudio: streams.some(s => s.codec_type === "audio"),
+    uploadedAt: new Date().toISOString(),
+  };
+  if (kind === "video") {
+    asset.durationSec = Number(probe.format?.duration ?? video.duration);
+    asset.fps = parseFrameRate(video.r_frame_rate);
+  }
+  await presetStore.putAsset(asset);
+  return asset;
+}
+
+function assetName(ref: BrandingAssetRef | undefined) {
+  if (ref === undefined) return undefined;
+  return typeof ref === "string" ? ref : ref.key;
+}
+
+/**
+ * Every asset a preset refers to must have been uploaded
+ */
+async function checkPresetAssets(
+  tenantId: string,
+  fields: BrandingPresetFields
+) {
+  const presetStore = getBrandingPresetStore();
+  const expected: Array<[string, BrandingAsset["kind"]]> = [
+    ["intro", "video"],
+    ["outro", "video"],
+    ["logo", "image"],
+  ];
+  for (const [field, kind] of expected) {
+    const name = assetName(fields[field as "intro" | "outro" | "logo"]);
+    if (!name) continue;
+    const asset = await presetStore.getAsset(tenantId, name);
+    if (!asset || asset.kind !== kind) {
+      throw new BrandingPresetError(
+        asset
+          ? `${field} must be ${kind === "image" ? "an image" : "a video"} asset: ${name}`
+          : `${field} asset not found: ${name}`,
+        "ASSET_NOT_FOUND",
+        { field, name }
+      );
+    }
+  }
+}
+
+/**
+ * Create a preset, or add a new version of it. A deleted preset comes back
+ * with its version numbering continued.
+ */
+export async function savePreset(
+  tenantId: string,
+  id: string,
+  fields: BrandingPresetFields
+): Promise<{ preset: BrandingPreset; created: boolean }> {
+  await checkPresetAssets(tenantId, fields);
+
+  const presetStore = getBrandingPresetStore();
+  const existing = await presetStore.getPreset(tenantId, id);
+  const current = latestVersion(existing);
+  const preset: BrandingPreset = {
+    ...fields,
+    id,
+    tenantId,
+    version: current + 1,
+    createdAt: new Date().toISOString(),
+  };
+  if (!(await presetStore.putVersion(preset, current))) {
+    throw new BrandingPresetError(
+      `Preset ${id} changed while saving; retry`,
+      "VERSION_CONFLICT",
+      { presetId: id, expectedVersion: current }
+    );
+  }
+  return { preset, created: !existing || !!existing.deletedAt };
+}
+
+/**
+ * A preset version, by default the latest. Deleted presets are not found
+ * unless a version is asked for explicitly.
+ */
+export async function findPreset(
+  tenantId: string,
+  id: string,
+  version?: number
+): Promise<BrandingPreset> {
+  const record = await getBrandingPresetStore().getPreset(tenantId, id);
+  if (!record || (record.deletedAt && version === undefined)) {
+    throw new BrandingPresetError(
+      `Branding preset not found: ${id}`,
+      "PRESET_NOT_FOUND",
+      { presetId: id }
+    );
+  }
+  if (version === undefined) return record.versions[record.versions.length - 1];
+  const match = record.versions.find(v => v.version === version);
+  if (!match) {
+    throw new BrandingPresetError(
+      `Branding preset ${id} has no version ${version}`,
+      "VERSION_NOT_FOUND",
+      { presetId: id, version, latestVersion: latestVersion(record) }
+    );
+  }
+  return match;
+}
+
+/**
+ * Latest version of each preset that has not been deleted
+ */
+export async function listLatestPresets(tenantId: string) {
+  const records = await getBrandingPresetStore().listPresets(tenantId);
+  return records
+    .filter(r => !r.deletedAt && r.versions.length)
+    .map(r => r.versions[r.versions.length - 1]);
+}
+
+export async function deletePreset(tenantId: string, id: string) {
+  return getBrandingPresetStore().markDeleted(
+    tenantId,
+    id,
+    new Date().toISOString()
+  );
+}
+
+/**
+ * Resolve a job's `brandingPreset` ("<id>" or "<id>@<version>") to the
+ * exact version the job will use
+ */
+export async function resolvePresetRef(
+  tenantId: string,
+  ref: string
+): Promise<BrandingPreset> {
+  const [id, version] = ref.split("@");
+  return findPreset(
+    tenantId,
+    id,
+    version === undefined ? undefined : Number(version)
+  );
+}
+
+/**
+ * The manifest's `extra.branding` for a job using `preset`: the preset's
+ * settings plus which version they came from
+ */
+export function brandingConfigFromPreset(preset: BrandingPreset) {
+  const {
+    id,
+    version,
+    tenantId: _tenantId,
+    createdAt: _createdAt,
+    description: _description,
+    ...fields
+  } = preset;
+  return { preset: { id, version }, ...fields };
+}
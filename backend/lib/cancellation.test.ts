@@ -0,0 +1,171 @@
+/// <reference path="./ambient-handlers.d.ts" />
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import { createJob } from "./api/jobs/createJob.js";
+import { cancelJob } from "./api/jobs/cancelJob.js";
+import { loadManifest, updateManifest } from "./manifest.js";
+import { getJobTable } from "./job-table.js";
+import {
+  JobCancelledError,
+  isJobCancelledError,
+  recordStepCancelled,
+  watchJobCancellation,
+} from "./cancellation.js";
+import { FFmpegRuntime } from "./ffmpeg-runtime.js";
+
+const STORAGE = "./test-storage-cancellation";
+
+async function create(tenantId: string) {
+  const res = await createJob({ body: JSON.stringify({ tenantId }) });
+  assert.strictEqual(res.statusCode, 201);
+  return JSON.parse(res.body).jobId as string;
+}
+
+function cancel(tenantId: string | undefined, jobId: string) {
+  return cancelJob({
+    pathParameters: { jobId },
+    queryStringParameters: tenantId ? { tenantId } : {},
+  });
+}
+
+describe("job cancellation", () => {
+  const originalEnv = process.env.TALKAVOCADO_ENV;
+  const originalStoragePath = process.env.MEDIA_STORAGE_PATH;
+  const originalStartOnCreate = process.env.START_ON_CREATE;
+
+  beforeEach(() => {
+    process.env.TALKAVOCADO_ENV = "test";
+    process.env.MEDIA_STORAGE_PATH = STORAGE;
+    delete process.env.START_ON_CREATE;
+    fs.rmSync(STORAGE, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(STORAGE, { recursive: true, force: true });
+    process.env.TALKAVOCADO_ENV = originalEnv;
+    for (const [name, value] of [
+      ["MEDIA_STORAGE_PATH", originalStoragePath],
+      ["START_ON_CREATE", originalStartOnCreate],
+    ] as const) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  test("cancelJob marks the manifest and job table cancelled", async () => {
+    const tenantId = "cancel-basic";
+    const jobId = await create(tenantId);
+
+    const res = await cancel(tenantId, jobId);
+    assert.strictEqual(res.statusCode, 200);
+    const body = JSON.parse(res.body);
+    assert.strictEqual(body.status, "cancelled");
+    assert.strictEqual(body.previousStatus, "pending");
+
+    const manifest = loadManifest("test", tenantId, jobId);
+    assert.strictEqual(manifest.status, "cancelled");
+    assert.ok(manifest.logs?.some(l => l.message === "Job cancelled"));
+    assert.strictEqual(
+      (await getJobTable().getJobByJobId(tenantId, jobId))?.status,
+      "cancelled"
+    );
+
+    // Cancelling again is a no-op
+    const again = await cancel(tenantId, jobId);
+    assert.strictEqual(again.statusCode, 200);
+    assert.strictEqual(JSON.parse(again.body).previousStatus, "cancelled");
+  });
+
+  test("cancelJob rejects finished, unknown and malformed requests", async () => {
+    const tenantId = "cancel-reject";
+    const jobId = await create(tenantId);
+    await updateManifest("test", tenantId, jobId, m => {
+      m.status = "completed";
+    });
+
+    const finished = await cancel(tenantId, jobId);
+    assert.strictEqual(finished.statusCode, 409);
+    assert.strictEqual(
+      loadManifest("test", tenantId, jobId).status,
+      "completed"
+    );
+
+    const unknown = await cancel(
+      tenantId,
+      "00000000-0000-0000-0000-000000000000"
+    );
+    assert.strictEqual(unknown.statusCode, 404);
+
+    assert.strictEqual((await cancel(undefined, jobId)).statusCode, 400);
+  });
+
+  test("watchJobCancellation aborts its signal once the job is cancelled", async () => {
+    const tenantId = "cancel-watch";
+    const jobId = await create(tenantId);
+    const watch = watchJobCancellation("test", tenantId, jobId, {
+      intervalMs: 10,
+    });
+    try {
+      assert.strictEqual(watch.signal.aborted, false);
+      watch.throwIfCancelled();
+
+      await cancel(tenantId, jobId);
+      await new Promise(r => setTimeout(r, 50));
+      assert.strictEqual(watch.signal.aborted, true);
+      assert.ok(watch.signal.reason instanceof JobCancelledError);
+      assert.throws(() => watch.throwIfCancelled(), isJobCancelledError);
+    } finally {
+      watch.stop();
+    }
+  });
+
+  test("a cancelled step is recorded and mark-failed keeps the cancelled status", async () => {
+    const tenantId = "cancel-steps";
+    const jobId = await create(tenantId);
+    await cancel(tenantId, jobId);
+
+    await recordStepCancelled("test", tenantId, jobId, "transcription");
+    const markFailed = await import("../services/mark-failed/handler.js");
+    const result = await markFailed.handler({
+      tenantId,
+      jobId,
+      error: { Error: "JOB_CANCELLED", Cause: "Job cancelled" },
+    });
+    assert.strictEqual(result.body.status, "cancelled");
+
+    const manifest = loadManifest("test", tenantId, jobId);
+    assert.strictEqual(manifest.status, "cancelled");
+    assert.strictEqual(manifest.steps?.transcription?.status, "failed");
+    assert.strictEqual(
+      manifest.steps?.transcription?.errorType,
+      "JOB_CANCELLED"
+    );
+    assert.ok(
+      manifest.logs?.some(
+        l => l.type === "warn" && l.errorType === "JOB_CANCELLED"
+      )
+    );
+  });
+
+  test("executeCommandAsync kills the command when its signal aborts", async () => {
+    const quiet = { info() {}, warn() {}, error() {} };
+    const metrics = {
+      recordFFmpegExecution() {},
+      recordOperation() {},
+    };
+    const runtime = new FFmpegRuntime(quiet, metrics, null);
+    const controller = new AbortController();
+    const reason = new JobCancelledError("t", "j");
+
+    const started = Date.now();
+    setTimeout(() => controller.abort(reason), 100);
+    await assert.rejects(
+      runtime.executeCommandAsync("sleep 5; echo done", "Test", {
+        signal: controller.signal,
+      }),
+      err => err === reason
+    );
+    assert.ok(Date.now() - started < 2000);
+  });
+});
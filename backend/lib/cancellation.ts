@@ -0,0 +1,107 @@
+// backend/lib/cancellation.ts
+import { loadManifest, updateManifest } from "./manifest.js";
+import { failStep } from "./steps.js";
+import type { ManifestStepName } from "./types.js";
+
+export const JOB_CANCELLED = "JOB_CANCELLED";
+
+const DEFAULT_POLL_INTERVAL_MS = 2000;
+
+/**
+ * Raised inside a step once its job has been cancelled. `type` follows the
+ * handler error convention so Retry/Catch and metrics see JOB_CANCELLED.
+ */
+export class JobCancelledError extends Error {
+  readonly type = JOB_CANCELLED;
+  readonly details: { tenantId: string; jobId: string };
+
+  constructor(tenantId: string, jobId: string) {
+    super(`Job ${jobId} was cancelled`);
+    this.name = "JobCancelledError";
+    this.details = { tenantId, jobId };
+  }
+}
+
+export function isJobCancelledError(error: unknown) {
+  return (error as { type?: string } | null)?.type === JOB_CANCELLED;
+}
+
+/**
+ * True once the manifest status is "cancelled"; a missing or unreadable
+ * manifest is not treated as a cancellation
+ */
+export function isJobCancelled(env: string, tenantId: string, jobId: string) {
+  try {
+    return loadManifest(env, tenantId, jobId).status === "cancelled";
+  } catch {
+    return false;
+  }
+}
+
+export interface CancellationWatch {
+  /** Aborted with a JobCancelledError once the job is cancelled */
+  signal: AbortSignal;
+  /** Check the manifest now and throw the JobCancelledError if cancelled */
+  throwIfCancelled(): void;
+  stop(): void;
+}
+
+/**
+ * Poll the job's manifest for cancellation while a step runs. Pass
+ * `signal` to child processes so they are killed on cancel, and call
+ * `stop()` when the step finishes.
+ */
+export function watchJobCancellation(
+  env: string,
+  tenantId: string,
+  jobId: string,
+  options: { intervalMs?: number } = {}
+): CancellationWatch {
+  const controller = new AbortController();
+  const check = () => {
+    if (!controller.signal.aborted && isJobCancelled(env, tenantId, jobId)) {
+      controller.abort(new JobCancelledError(tenantId, jobId));
+    }
+  };
+
+  const intervalMs =
+    options.intervalMs ??
+    (Number(process.env.CANCEL_POLL_INTERVAL_MS) || DEFAULT_POLL_INTERVAL_MS);
+  const timer = setInterval(check, intervalMs);
+  timer.unref();
+  check();
+
+  return {
+    signal: controller.signal,
+    throwIfCancelled() {
+      check();
+      controller.signal.throwIfAborted();
+    },
+    stop() {
+      clearInterval(timer);
+    },
+  };
+}
+
+/**
+ * Record that a step stopped because its job was cancelled. The job status
+ * is left as "cancelled"; the step is closed out as failed with
+ * errorType JOB_CANCELLED.
+ */
+export async function recordStepCancelled(
+  env: string,
+  tenantId: string,
+  jobId: string,
+  step: ManifestStepName
+) {
+  return updateManifest(env, tenantId, jobId, m => {
+    failStep(m, step, { type: JOB_CANCELLED, message: "Job cancelled" });
+    m.logs = m.logs || [];
+    m.logs.push({
+      type: "warn",
+      message: `${step} stopped: job cancelled`,
+      errorType: JOB_CANCELLED,
+      createdAt: new Date().toISOString(),
+    });
+  });
+}
@@ -2,6 +2,7 @@ import { test, describe, beforeEach, afterEach } from "node:test";
 import assert from "node:assert";
 import fs from "node:fs";
 import { createJob } from "./api/jobs/createJob.js";
+import { FileIdempotencyStore, requestHash } from "./idempotency.js";
 
 describe("createJob API", () => {
   const originalEnv = process.env.TALKAVOCADO_ENV;
@@ -34,7 +35,7 @@ describe("createJob API", () => {
     process.env.START_ON_CREATE = originalStartOnCreate;
   });
 
-  test("returns 201 and then 409 when x-idempotency-key is reused", async () => {
+  test("replays the original 201 response when x-idempotency-key is reused", async () => {
     const tenantId = "demo-tenant";
     const body = JSON.stringify({
       tenantId,
@@ -52,11 +53,105 @@ describe("createJob API", () => {
     const first = await createJob({ headers, body });
     assert.strictEqual(first.statusCode, 201);
 
-    const second = await createJob({ headers, body });
-    assert.strictEqual(second.statusCode, 409);
-    const payload = JSON.parse(second.body);
-    assert.strictEqual(payload.error, "Duplicate create");
-    assert.ok(payload.jobId);
-    assert.ok(payload.manifestKey);
+    // Same payload with different key order and formatting is still a replay
+    const reordered = JSON.stringify(
+      {
+        input: {
+          mimeType: "video/mp4",
+          bytes: 1,
+          originalFilename: "sample.mp4",
+        },
+        tenantId,
+      },
+      null,
+      2
+    );
+    const second = await createJob({ headers, body: reordered });
+    assert.strictEqual(second.statusCode, 201);
+    assert.strictEqual(second.body, first.body);
+    assert.ok(JSON.parse(second.body).jobId);
+  });
+
+  test("returns 422 when x-idempotency-key is reused with a different body", async () => {
+    const tenantId = "demo-tenant";
+    const headers = { "x-idempotency-key": "key-456" } as any;
+
+    const first = await createJob({
+      headers,
+      body: JSON.stringify({ tenantId, tags: ["a"] }),
+    });
+    assert.strictEqual(first.statusCode, 201);
+
+    const second = await createJob({
+      headers,
+      body: JSON.stringify({ tenantId, tags: ["b"] }),
+    });
+    assert.strictEqual(second.statusCode, 422);
+    assert.match(JSON.parse(second.body).error, /different request body/);
+  });
+
+  test("creates one job for concurrent requests with the same x-idempotency-key", async () => {
+    const tenantId = "demo-tenant";
+    const headers = { "x-idempotency-key": "key-race" } as any;
+    const body = JSON.stringify({ tenantId, tags: ["race"] });
+
+    const results = await Promise.all(
+      [1, 2, 3].map(() => createJob({ headers, body }))
+    );
+    assert.deepStrictEqual(
+      results.map(r => r.statusCode).sort(),
+      [201, 409, 409]
+    );
+    const created = results.find(r => r.statusCode === 201)!;
+
+    // Once the first request finishes, retries replay its response
+    const retry = await createJob({ headers, body });
+    assert.strictEqual(retry.statusCode, 201);
+    assert.strictEqual(retry.body, created.body);
+
+    // A request that fails releases the key instead of holding it
+    const rejectedHeaders = { "x-idempotency-key": "key-rejected" } as any;
+    const rejectedBody = JSON.stringify({
+      tenantId,
+      brandingPreset: "missing",
+    });
+    for (let i = 0; i < 2; i++) {
+      const rejected = await createJob({
+        headers: rejectedHeaders,
+        body: rejectedBody,
+      });
+      assert.strictEqual(rejected.statusCode, 400);
+    }
+    assert.strictEqual(
+      await new FileIdempotencyStore().get(tenantId, "key-rejected"),
+      null
+    );
+  });
+
+  test("persists idempotency records and forgets them after the TTL", async () => {
+    const tenantId = "demo-tenant";
+    const headers = { "x-idempotency-key": "key-ttl" } as any;
+    const body = JSON.stringify({ tenantId });
+
+    const first = await createJob({ headers, body });
+    const record = await new FileIdempotencyStore().get(tenantId, "key-ttl");
+    assert.strictEqual(record?.body, first.body);
+    assert.strictEqual(record?.requestHash, requestHash(JSON.parse(body)));
+
+    await new FileIdempotencyStore().put({
+      ...record!,
+      expiresAt: new Date(Date.now() - 1000).toISOString(),
+    });
+    assert.strictEqual(
+      await new FileIdempotencyStore().get(tenantId, "key-ttl"),
+      null
+    );
+
+    const again = await createJob({ headers, body });
+    assert.strictEqual(again.statusCode, 201);
+    assert.notStrictEqual(
+      JSON.parse(again.body).jobId,
+      JSON.parse(first.body).jobId
+    );
   });
 });
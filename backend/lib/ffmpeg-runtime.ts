@@ -3,6 +3,61 @@ import { execSync, spawn } from "child_process";
 import fs from "fs";
 // path import removed as it's not used
 
+export interface FFmpegProgress {
+  /** Output timestamp FFmpeg has encoded up to */
+  outTimeSec: number;
+  durationSec?: number;
+  percent?: number;
+}
+
+const hmsToSeconds = (h: string, m: string, s: string) =>
+  Number(h) * 3600 + Number(m) * 60 + Number(s);
+
+/**
+ * Parse an ffprobe frame rate ("30/1", "30000/1001") into frames per second
+ */
+export function parseFrameRate(rate: unknown) {
+  if (!rate) return undefined;
+  const [num, den = "1"] = String(rate).split("/");
+  const fps = Number(num) / Number(den);
+  return Number.isFinite(fps) && fps > 0
+    ? Math.round(fps * 1000) / 1000
+    : undefined;
+}
+
+/**
+ * Turn FFmpeg stderr into progress callbacks. The total comes from
+ * `durationSec` or, failing that, the first input's `Duration:` line; pass
+ * `durationSec` when filters change the output length.
+ */
+export function ffmpegProgressParser(
+  onProgress: (progress: FFmpegProgress) => void,
+  durationSec?: number
+) {
+  let total = durationSec;
+  let pending = "";
+  return (chunk: string | Buffer) => {
+    const lines = (pending + chunk.toString()).split(/[\r\n]/);
+    pending = lines.pop() || "";
+    for (const line of lines) {
+      if (total === undefined) {
+        const d = /Duration: (\d+):(\d+):(\d+(?:\.\d+)?)/.exec(line);
+        if (d) total = hmsToSeconds(d[1], d[2], d[3]);
+      }
+      const t = /time=(\d+):(\d+):(\d+(?:\.\d+)?)/.exec(line);
+      if (!t) continue;
+      const outTimeSec = hmsToSeconds(t[1], t[2], t[3]);
+      onProgress({
+        outTimeSec,
+        durationSec: total,
+        percent: total
+          ? Math.min(100, Math.round((outTimeSec / total) * 100))
+          : undefined,
+      });
+    }
+  };
+}
+
 /**
  * FFmpeg runtime helper with timing, stderr capture, and X-Ray subsegment
  */
@@ -122,17 +177,47 @@ class FFmpegRuntime {
   }
 
   /**
-   * Execute FFmpeg command asynchronously for long-running operations
+   * Execute FFmpeg command asynchronously for long-running operations.
+   * Aborting `options.signal` kills the command and rejects with the
+   * signal's reason. `options.onProgress` receives encode progress parsed
+   * from stderr.
    */
   async executeCommandAsync(
     command: string,
-    operation: string
+    operation: string,
+    options: {
+      signal?: AbortSignal;
+      onProgress?: (progress: FFmpegProgress) => void;
+      durationSec?: number;
+    } = {}
   ): Promise<{ stdout: string; stderr: string; duration: number }> {
     const startTime = Date.now();
     let subsegment: any = null;
+    const { signal } = options;
+    const parseProgress = options.onProgress
+      ? ffmpegProgressParser(options.onProgress, options.durationSec)
+      : undefined;
 
     return new Promise((resolve, reject) => {
+      let settled = false;
+      let timer: NodeJS.Timeout | undefined;
+      let onAbort: (() => void) | undefined;
+
+      const settle = (fn: () => void) => {
+        if (settled) return;
+        settled = true;
+        if (timer) clearTimeout(timer);
+        if (onAbort) signal?.removeEventListener("abort", onAbort);
+        // Close X-Ray subsegment
+        if (subsegment) {
+          subsegment.close();
+        }
+        fn();
+      };
+
       try {
+        signal?.throwIfAborted();
+
         this.logger.info("Executing FFmpeg command asynchronously", {
           command,
           operation,
@@ -147,9 +232,22 @@ class FFmpegRuntime {
           subsegment.addAnnotation("operation", operation);
         }
 
+        // Own process group, so killing it also stops ffmpeg under `sh -c`
         const child = spawn("sh", ["-c", command], {
           stdio: ["ignore", "pipe", "pipe"],
+          detached: process.platform !== "win32",
         });
+        const killChild = () => {
+          try {
+            if (child.pid && process.platform !== "win32") {
+              process.kill(-child.pid, "SIGTERM");
+            } else {
+              child.kill("SIGTERM");
+            }
+          } catch {
+            // Already exited
+          }
+        };
 
         let stdout = "";
         let stderr = "";
@@ -160,9 +258,12 @@ class FFmpegRuntime {
 
         child.stderr.on("data", (data: any) => {
           stderr += data.toString();
+          parseProgress?.(data);
         });
 
         child.on("close", (code: any) => {
+          // Cancelled or timed out; already rejected
+          if (settled) return;
           const duration = Date.now() - startTime;
 
           if (code === 0) {
@@ -177,7 +278,7 @@ class FFmpegRuntime {
               outputSize: stdout.length,
             });
 
-            resolve({ stdout, stderr, duration });
+            settle(() => resolve({ stdout, stderr, duration }));
           } else {
             // Error
             this.metrics.recordFFmpegExecution(command, duration, false);
@@ -191,17 +292,14 @@ class FFmpegRuntime {
               stderr,
             });
 
-            reject(
-              new Error(
-                `FFmpeg command failed with exit code ${code}: ${stderr}`
+            settle(() =>
+              reject(
+                new Error(
+                  `FFmpeg command failed with exit code ${code}: ${stderr}`
+                )
               )
             );
           }
-
-          // Close X-Ray subsegment
-          if (subsegment) {
-            subsegment.close();
-          }
         });
 
         child.on("error", (error: any) => {
@@ -217,18 +315,31 @@ class FFmpegRuntime {
             error: error.message,
           });
 
-          if (subsegment) {
-            subsegment.close();
-          }
-
-          reject(error);
+          settle(() => reject(error));
         });
 
+        if (signal) {
+          onAbort = () => {
+            const duration = Date.now() - startTime;
+            this.metrics.recordOperation(operation, false, duration);
+            this.logger.warn("FFmpeg async command cancelled", {
+              command,
+              operation,
+              duration,
+            });
+            killChild();
+            settle(() => reject(signal.reason));
+          };
+          signal.addEventListener("abort", onAbort, { once: true });
+        }
+
         // Set timeout
         const timeout = this.getTimeoutForOperation(operation);
-        setTimeout(() => {
-          child.kill("SIGTERM");
-          reject(new Error(`FFmpeg command timed out after ${timeout}ms`));
+        timer = setTimeout(() => {
+          killChild();
+          settle(() =>
+            reject(new Error(`FFmpeg command timed out after ${timeout}ms`))
+          );
         }, timeout);
       } catch (error) {
         const duration = Date.now() - startTime;
@@ -243,11 +354,7 @@ class FFmpegRuntime {
           error: error instanceof Error ? error.message : String(error),
         });
 
-        if (subsegment) {
-          subsegment.close();
-        }
-
-        reject(error);
+        settle(() => reject(error));
       }
     });
   }
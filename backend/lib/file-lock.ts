@@ -0,0 +1,58 @@
+import fs from "node:fs";
+import { ensureDirForFile } from "./storage.js";
+
+const LOCK_STALE_MS = 10000;
+const LOCK_TIMEOUT_MS = 5000;
+
+function sleepSync(ms: number) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Cross-process lock around a synchronous read-modify-write of `p`, held
+ * as an exclusive `${p}.lock` file. Locks older than 10s are treated as
+ * abandoned by a crashed process.
+ */
+export function withFileLock<T>(p: string, fn: () => T): T {
+  const lockPath = `${p}.lock`;
+  ensureDirForFile(lockPath);
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  let fd: number | undefined;
+
+  while (fd === undefined) {
+    try {
+      fd = fs.openSync(lockPath, "wx");
+    } catch (error: any) {
+      if (error?.code !== "EEXIST") throw error;
+      try {
+        if (Date.now() - fs.statSync(lockPath).mtimeMs > LOCK_STALE_MS) {
+          fs.rmSync(lockPath, { force: true });
+          continue;
+        }
+      } catch {
+        continue; // lock released between open and stat
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for lock: ${lockPath}`);
+      }
+      sleepSync(10);
+    }
+  }
+
+  try {
+    return fn();
+  } finally {
+    fs.closeSync(fd);
+    fs.rmSync(lockPath, { force: true });
+  }
+}
+
+/**
+ * Write-then-rename so readers never observe a partial file
+ */
+export function writeFileAtomic(p: string, body: string) {
+  ensureDirForFile(p);
+  const tmpPath = `${p}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, body);
+  fs.renameSync(tmpPath, p);
+}
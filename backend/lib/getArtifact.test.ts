@@ -0,0 +1,177 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import type { Readable } from "node:stream";
+import { createJob } from "./api/jobs/createJob.js";
+import { getArtifact } from "./api/jobs/getArtifact.js";
+import { updateManifest } from "./manifest.js";
+import { keyFor, writeFileAtKey } from "./storage.js";
+import { parseRange } from "./artifacts.js";
+
+const STORAGE = "./test-storage-artifacts";
+const VIDEO = Buffer.from("0123456789abcdef");
+
+async function readAll(stream?: Readable) {
+  const chunks: Buffer[] = [];
+  for await (const chunk of stream!) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+async function seedRender(tenantId: string) {
+  const res = await createJob({ body: JSON.stringify({ tenantId }) });
+  const jobId = JSON.parse(res.body).jobId as string;
+  const renderKey = keyFor("test", tenantId, jobId, "renders", "base_cuts.mp4");
+  writeFileAtKey(renderKey, VIDEO);
+  await updateManifest("test", tenantId, jobId, m => {
+    m.renders = [{ key: renderKey, type: "preview", codec: "h264" }];
+  });
+  return { jobId, renderKey };
+}
+
+function fetchRender(
+  tenantId: string,
+  jobId: string,
+  headers: Record<string, string> = {},
+  extra: Record<string, unknown> = {}
+) {
+  return getArtifact({
+    headers,
+    pathParameters: { jobId, kind: "renders", index: "0" },
+    queryStringParameters: { tenantId },
+    ...extra,
+  });
+}
+
+describe("getArtifact", () => {
+  const originalEnv = process.env.TALKAVOCADO_ENV;
+  const originalStoragePath = process.env.MEDIA_STORAGE_PATH;
+  const originalStartOnCreate = process.env.START_ON_CREATE;
+
+  beforeEach(() => {
+    process.env.TALKAVOCADO_ENV = "test";
+    process.env.MEDIA_STORAGE_PATH = STORAGE;
+    delete process.env.START_ON_CREATE;
+    fs.rmSync(STORAGE, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(STORAGE, { recursive: true, force: true });
+    process.env.TALKAVOCADO_ENV = originalEnv;
+    for (const [name, value] of [
+      ["MEDIA_STORAGE_PATH", originalStoragePath],
+      ["START_ON_CREATE", originalStartOnCreate],
+    ] as const) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  test("parseRange handles open, suffix, clamped and invalid ranges", () => {
+    assert.deepStrictEqual(parseRange("bytes=2-5", 10), { start: 2, end: 5 });
+    assert.deepStrictEqual(parseRange("bytes=4-", 10), { start: 4, end: 9 });
+    assert.deepStrictEqual(parseRange("bytes=-3", 10), { start: 7, end: 9 });
+    assert.deepStrictEqual(parseRange("bytes=8-99", 10), { start: 8, end: 9 });
+    assert.strictEqual(parseRange("bytes=10-", 10), "unsatisfiable");
+    assert.strictEqual(parseRange("bytes=0-1,4-5", 10), null);
+    assert.strictEqual(parseRange(undefined, 10), null);
+  });
+
+  test("streams the whole render with content type and ETag", async () => {
+    const tenantId = "artifact-full";
+    const { jobId } = await seedRender(tenantId);
+
+    const res = await fetchRender(tenantId, jobId);
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.headers["Content-Type"], "video/mp4");
+    assert.strictEqual(res.headers["Content-Length"], String(VIDEO.length));
+    assert.strictEqual(res.headers["Accept-Ranges"], "bytes");
+    assert.ok(res.headers.ETag);
+    assert.deepStrictEqual(await readAll(res.stream), VIDEO);
+
+    const cached = await fetchRender(tenantId, jobId, {
+      "if-none-match": res.headers.ETag,
+    });
+    assert.strictEqual(cached.statusCode, 304);
+    assert.strictEqual(cached.stream, undefined);
+
+    const head = await fetchRender(tenantId, jobId, {}, { httpMethod: "HEAD" });
+    assert.strictEqual(head.statusCode, 200);
+    assert.strictEqual(head.stream, undefined);
+  });
+
+  test("serves byte ranges and rejects unsatisfiable ones", async () => {
+    const tenantId = "artifact-range";
+    const { jobId } = await seedRender(tenantId);
+
+    const partial = await fetchRender(tenantId, jobId, { range: "bytes=4-7" });
+    assert.strictEqual(partial.statusCode, 206);
+    assert.strictEqual(partial.headers["Content-Range"], "bytes 4-7/16");
+    assert.strictEqual(partial.headers["Content-Length"], "4");
+    assert.strictEqual((await readAll(partial.stream)).toString(), "4567");
+
+    const tail = await fetchRender(tenantId, jobId, { range: "bytes=-2" });
+    assert.strictEqual((await readAll(tail.stream)).toString(), "ef");
+
+    const beyond = await fetchRender(tenantId, jobId, { range: "bytes=99-" });
+    assert.strictEqual(beyond.statusCode, 416);
+    assert.strictEqual(beyond.headers["Content-Range"], "bytes */16");
+
+    // A stale If-Range validator falls back to the full object
+    const stale = await fetchRender(tenantId, jobId, {
+      range: "bytes=4-7",
+      "if-range": '"stale"',
+    });
+    assert.strictEqual(stale.statusCode, 200);
+    assert.deepStrictEqual(await readAll(stale.stream), VIDEO);
+  });
+
+  test("enforces tenant scoping and rejects unknown artifacts", async () => {
+    const tenantId = "artifact-owner";
+    const { jobId, renderKey } = await seedRender(tenantId);
+
+    const otherTenant = await fetchRender("artifact-other", jobId);
+    assert.strictEqual(otherTenant.statusCode, 404);
+
+    // A manifest pointing outside the job prefix is never followed
+    const { jobId: foreignJob } = await seedRender("artifact-thief");
+    await updateManifest("test", "artifact-thief", foreignJob, m => {
+      m.renders = [{ key: renderKey, type: "preview", codec: "h264" }];
+    });
+    assert.strictEqual(
+      (await fetchRender("artifact-thief", foreignJob)).statusCode,
+      404
+    );
+    // ...nor one that starts inside it and climbs out with `..`
+    const climbing = `${keyFor("test", "artifact-thief", foreignJob)}/../../${tenantId}/${jobId}/renders/base_cuts.mp4`;
+    await updateManifest("test", "artifact-thief", foreignJob, m => {
+      m.renders = [{ key: climbing, type: "preview", codec: "h264" }];
+      m.input = {
+        sourceKey: climbing,
+        originalFilename: "talk.mp4",
+        bytes: VIDEO.length,
+        mimeType: "video/mp4",
+      };
+    });
+    assert.strictEqual(
+      (await fetchRender("artifact-thief", foreignJob)).statusCode,
+      404
+    );
+    const input = await getArtifact({
+      pathParameters: { jobId: foreignJob, kind: "input" },
+      queryStringParameters: { tenantId: "artifact-thief" },
+    });
+    assert.strictEqual(input.statusCode, 404);
+
+    const unknownKind = await getArtifact({
+      pathParameters: { jobId, kind: "secrets" },
+      queryStringParameters: { tenantId },
+    });
+    assert.strictEqual(unknownKind.statusCode, 400);
+
+    const missing = await getArtifact({
+      pathParameters: { jobId, kind: "audio" },
+      queryStringParameters: { tenantId },
+    });
+    assert.strictEqual(missing.statusCode, 404);
+  });
+});
@@ -0,0 +1,110 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import path from "node:path";
+import { checkReadiness, failedChecks, readinessReport } from "./health.js";
+import { apiResponseErrors } from "./api-contract.js";
+
+const STORAGE = "./test-storage-health";
+const BIN = path.resolve(STORAGE, "bin");
+
+/**
+ * Executables that print a version banner like the real tools
+ */
+function installTools(names: Record<string, string>) {
+  fs.mkdirSync(BIN, { recursive: true });
+  for (const [name, banner] of Object.entries(names)) {
+    const file = path.join(BIN, name);
+    fs.writeFileSync(file, `#!/bin/sh\necho "${banner}"\n`);
+    fs.chmodSync(file, 0o755);
+  }
+}
+
+describe("readiness checks", () => {
+  const originalEnv = process.env.TALKAVOCADO_ENV;
+  const originalStoragePath = process.env.MEDIA_STORAGE_PATH;
+  const originalPath = process.env.PATH;
+  const originalFfmpegPath = process.env.FFMPEG_PATH;
+  const originalFfprobePath = process.env.FFPROBE_PATH;
+  const originalMinFree = process.env.READINESS_MIN_FREE_DISK_MB;
+
+  beforeEach(() => {
+    process.env.TALKAVOCADO_ENV = "test";
+    process.env.MEDIA_STORAGE_PATH = STORAGE;
+    delete process.env.FFMPEG_PATH;
+    delete process.env.FFPROBE_PATH;
+    process.env.READINESS_MIN_FREE_DISK_MB = "0";
+    fs.rmSync(STORAGE, { recursive: true, force: true });
+    installTools({
+      ffmpeg: "ffmpeg version 6.1.1 Copyright (c) 2000-2023",
+      ffprobe: "ffprobe version 6.1.1 Copyright (c) 2007-2023",
+      "whisper-ctranslate2": "whisper-ctranslate2 0.4.5",
+    });
+    process.env.PATH = `${BIN}${path.delimiter}${originalPath}`;
+  });
+
+  afterEach(() => {
+    fs.rmSync(STORAGE, { recursive: true, force: true });
+    process.env.TALKAVOCADO_ENV = originalEnv;
+    for (const [name, value] of [
+      ["MEDIA_STORAGE_PATH", originalStoragePath],
+      ["PATH", originalPath],
+      ["FFMPEG_PATH", originalFfmpegPath],
+      ["FFPROBE_PATH", originalFfprobePath],
+      ["READINESS_MIN_FREE_DISK_MB", originalMinFree],
+    ] as const) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  test("reports tool versions, writable storage and loaded schemas", async () => {
+    const report = await checkReadiness();
+
+    assert.strictEqual(report.status, "ready");
+    assert.strictEqual(report.checks.ffmpeg.version, "6.1.1");
+    assert.strictEqual(report.checks.ffprobe.version, "6.1.1");
+    assert.strictEqual(report.checks.whisper.version, "0.4.5");
+    assert.strictEqual(report.checks.storage.ok, true);
+    assert.ok((report.checks.disk.freeBytes as number) > 0);
+    assert.deepStrictEqual(report.checks.schemas.loaded, [
+      "manifest",
+      "job-api",
+      "cut_plan",
+    ]);
+    // The storage probe cleans up after itself
+    assert.deepStrictEqual(fs.readdirSync(path.join(STORAGE, "test")), []);
+    assert.deepStrictEqual(
+      apiResponseErrors("getReadiness", 200, JSON.stringify(report)),
+      []
+    );
+  });
+
+  test("is not ready when a tool is missing or disk space is low", async () => {
+    process.env.FFMPEG_PATH = path.join(BIN, "missing-ffmpeg");
+    process.env.READINESS_MIN_FREE_DISK_MB = String(Number.MAX_SAFE_INTEGER);
+    const report = await checkReadiness();
+
+    assert.strictEqual(report.status, "not_ready");
+    assert.deepStrictEqual(failedChecks(report), ["ffmpeg", "disk"]);
+    assert.match(report.checks.ffmpeg.error as string, /ENOENT/);
+    assert.strictEqual(
+      report.checks.disk.error,
+      "Free disk space below minimum"
+    );
+    assert.deepStrictEqual(
+      apiResponseErrors("getReadiness", 503, JSON.stringify(report)),
+      []
+    );
+  });
+
+  test("reuses a recent report", async () => {
+    const first = await readinessReport(0);
+    fs.rmSync(BIN, { recursive: true, force: true });
+
+    assert.strictEqual(await readinessReport(60_000), first);
+    const fresh = await readinessReport(0);
+    assert.notStrictEqual(fresh, first);
+    assert.strictEqual(fresh.checks.whisper.ok, false);
+  });
+});
@@ -0,0 +1,174 @@
+// backend/lib/health.ts
+import { execFile } from "node:child_process";
+import fs from "node:fs";
+import path from "node:path";
+import { promisify } from "node:util";
+import Ajv from "ajv";
+import addFormats from "ajv-formats";
+import { currentEnv, storageRoot } from "./storage.js";
+import { getManifestValidator, resolveSchemasDir } from "./manifest-schema.js";
+import { apiContract } from "./api-contract.js";
+
+const execFileAsync = promisify(execFile);
+
+const VERSION_TIMEOUT_MS = 10_000;
+
+export interface HealthCheck {
+  ok: boolean;
+  error?: string;
+  [detail: string]: unknown;
+}
+
+export interface ReadinessReport {
+  status: "ready" | "not_ready";
+  checks: {
+    ffmpeg: HealthCheck;
+    ffprobe: HealthCheck;
+    whisper: HealthCheck;
+    storage: HealthCheck;
+    disk: HealthCheck;
+    schemas: HealthCheck;
+  };
+  checkedAt: string;
+}
+
+const errorText = (error: unknown) =>
+  error instanceof Error ? error.message : String(error);
+
+/**
+ * Run `<command> <flag>` and report the first line of its output, the same
+ * probe the services use before relying on the binary
+ */
+async function binaryCheck(
+  command: string,
+  flag: string
+): Promise<HealthCheck> {
+  try {
+    const { stdout, stderr } = await execFileAsync(command, [flag], {
+      encoding: "utf8",
+      timeout: VERSION_TIMEOUT_MS,
+    });
+    const firstLine = (stdout || stderr).split("\n")[0].trim();
+    const version = /\d+(?:\.\d+)+\S*/.exec(firstLine)?.[0] ?? firstLine;
+    return { ok: true, command, version };
+  } catch (error) {
+    return { ok: false, command, error: errorText(error) };
+  }
+}
+
+function storageCheck(): HealthCheck {
+  const dir = path.join(storageRoot(), currentEnv());
+  const probe = path.join(dir, `.readyz-${process.pid}-${Date.now()}`);
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(probe, "ok");
+    fs.rmSync(probe, { force: true });
+    return { ok: true, path: dir };
+  } catch (error) {
+    return { ok: false, path: dir, error: errorText(error) };
+  }
+}
+
+/**
+ * Free space under the storage root against READINESS_MIN_FREE_DISK_MB
+ * (default 1024); renders need room for intermediate files
+ */
+function diskCheck(): HealthCheck {
+  const minFreeMb = Number(process.env.READINESS_MIN_FREE_DISK_MB ?? 1024);
+  const minFreeBytes = Math.max(0, minFreeMb) * 1024 * 1024;
+  let dir = storageRoot();
+  // Before first use the root may not exist yet; measure its parent
+  while (!fs.existsSync(dir) && dir !== path.dirname(dir)) {
+    dir = path.dirname(dir);
+  }
+  try {
+    const stats = fs.statfsSync(dir);
+    const freeBytes = stats.bavail * stats.bsize;
+    const check: HealthCheck = {
+      ok: freeBytes >= minFreeBytes,
+      path: dir,
+      freeBytes,
+      minFreeBytes,
+    };
+    if (!check.ok) check.error = "Free disk space below minimum";
+    return check;
+  } catch (error) {
+    return { ok: false, path: dir, error: errorText(error) };
+  }
+}
+
+/**
+ * Compile the schemas steps validate against, so a missing or broken
+ * docs/schemas fails here rather than mid-job
+ */
+function schemasCheck(): HealthCheck {
+  try {
+    getManifestValidator();
+    apiContract();
+    const dir = resolveSchemasDir();
+    const ajv = new Ajv({ strict: false });
+    addFormats(ajv);
+    ajv.compile(
+      JSON.parse(
+        fs.readFileSync(path.join(dir, "cut_plan.schema.json"), "utf-8")
+      )
+    );
+    return {
+      ok: true,
+      path: dir,
+      loaded: ["manifest", "job-api", "cut_plan"],
+    };
+  } catch (error) {
+    return { ok: false, error: errorText(error) };
+  }
+}
+
+/**
+ * Run every check. ffmpeg and ffprobe honour FFMPEG_PATH and FFPROBE_PATH
+ * as the services do; transcription only supports whisper-ctranslate2.
+ */
+export async function checkReadiness(): Promise<ReadinessReport> {
+  const [ffmpeg, ffprobe, whisper] = await Promise.all([
+    binaryCheck(process.env.FFMPEG_PATH || "ffmpeg", "-version"),
+    binaryCheck(process.env.FFPROBE_PATH || "ffprobe", "-version"),
+    binaryCheck("whisper-ctranslate2", "--version"),
+  ]);
+  const checks = {
+    ffmpeg,
+    ffprobe,
+    whisper,
+    storage: storageCheck(),
+    disk: diskCheck(),
+    schemas: schemasCheck(),
+  };
+  return {
+    status: Object.values(checks).every(c => c.ok) ? "ready" : "not_ready",
+    checks,
+    checkedAt: new Date().toISOString(),
+  };
+}
+
+let cached: { report: ReadinessReport; at: number } | null = null;
+
+/**
+ * The last report when it is younger than `maxAgeMs` (default
+ * READINESS_CACHE_MS, or 30s), so probes and the work gate do not spawn
+ * the binaries on every request
+ */
+export async function readinessReport(
+  maxAgeMs = Number(process.env.READINESS_CACHE_MS ?? 30_000)
+): Promise<ReadinessReport> {
+  if (cached && Date.now() - cached.at < maxAgeMs) return cached.report;
+  const report = await checkReadiness();
+  cached = { report, at: Date.now() };
+  return report;
+}
+
+/**
+ * The checks that failed, for logs and 503 bodies
+ */
+export function failedChecks(report: ReadinessReport) {
+  return Object.entries(report.checks)
+    .filter(([, check]) => !check.ok)
+    .map(([name]) => name);
+}
@@ -0,0 +1,175 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { currentEnv, storageRoot } from "./storage.js";
+import { withFileLock, writeFileAtomic } from "./file-lock.js";
+
+export const DEFAULT_IDEMPOTENCY_TTL_SECONDS = 24 * 60 * 60;
+/** How long a reservation blocks the key if its request never finishes */
+export const IDEMPOTENCY_RESERVATION_SECONDS = 60;
+
+/**
+ * Stored outcome of the first request made with an idempotency key
+ */
+export interface IdempotencyRecord {
+  tenantId: string;
+  key: string;
+  /** requestHash() of the original request body */
+  requestHash: string;
+  statusCode: number;
+  body: string;
+  createdAt: string;
+  expiresAt: string;
+  /** Set while the first request is still running (see reserve()) */
+  inProgress?: boolean;
+}
+
+export interface IdempotencyStore {
+  /** Unexpired record for the key, or null */
+  get(tenantId: string, key: string): Promise<IdempotencyRecord | null>;
+  put(record: IdempotencyRecord): Promise<void>;
+  /**
+   * Atomically claim the key for a new request: returns null after storing
+   * an in-progress record, or the unexpired record already holding the key
+   */
+  reserve(
+    tenantId: string,
+    key: string,
+    requestHash: string
+  ): Promise<IdempotencyRecord | null>;
+  /** Drop an in-progress reservation whose request did not succeed */
+  release(tenantId: string, key: string): Promise<void>;
+}
+
+/**
+ * TTL from IDEMPOTENCY_TTL_SECONDS, falling back to 24h
+ */
+export function idempotencyTtlSeconds() {
+  const ttl = Number(process.env.IDEMPOTENCY_TTL_SECONDS);
+  return Number.isFinite(ttl) && ttl > 0
+    ? ttl
+    : DEFAULT_IDEMPOTENCY_TTL_SECONDS;
+}
+
+function canonicalize(value: unknown): unknown {
+  if (Array.isArray(value)) return value.map(canonicalize);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.keys(value)
+        .sort()
+        .map(k => [k, canonicalize((value as Record<string, unknown>)[k])])
+    );
+  }
+  return value;
+}
+
+/**
+ * SHA-256 of the request payload with object keys sorted, so formatting and
+ * key order do not make a replay look like a different request
+ */
+export function requestHash(payload: unknown) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(canonicalize(payload)) ?? "")
+    .digest("hex");
+}
+
+function isExpired(record: IdempotencyRecord, now = Date.now()) {
+  return Date.parse(record.expiresAt) <= now;
+}
+
+/**
+ * File-backed store for local runs, one JSON file per tenant at
+ * {storageRoot}/{env}/_tables/idempotency/{tenantId}.json. Expired records
+ * are dropped on read and purged on the next write.
+ */
+export class FileIdempotencyStore implements IdempotencyStore {
+  private partitionPath(tenantId: string) {
+    return path.join(
+      storageRoot(),
+      currentEnv(),
+      "_tables",
+      "idempotency",
+      `${tenantId}.json`
+    );
+  }
+
+  private read(tenantId: string): Record<string, IdempotencyRecord> {
+    const p = this.partitionPath(tenantId);
+    if (!fs.existsSync(p)) return {};
+    return JSON.parse(fs.readFileSync(p, "utf-8"));
+  }
+
+  async get(tenantId: string, key: string) {
+    const record = this.read(tenantId)[key];
+    return record && !isExpired(record) ? record : null;
+  }
+
+  /**
+   * Read-modify-write of the tenant's unexpired records under the file lock
+   */
+  private update<T>(
+    tenantId: string,
+    fn: (rows: Record<string, IdempotencyRecord>) => T
+  ): T {
+    const p = this.partitionPath(tenantId);
+    return withFileLock(p, () => {
+      const now = Date.now();
+      const rows = Object.fromEntries(
+        Object.entries(this.read(tenantId)).filter(
+          ([, row]) => !isExpired(row, now)
+        )
+      );
+      const result = fn(rows);
+      writeFileAtomic(p, JSON.stringify(rows, null, 2));
+      return result;
+    });
+  }
+
+  async put(record: IdempotencyRecord) {
+    this.update(record.tenantId, rows => {
+      rows[record.key] = record;
+    });
+  }
+
+  async reserve(tenantId: string, key: string, requestHash: string) {
+    return this.update(tenantId, rows => {
+      if (rows[key]) return rows[key];
+      const now = Date.now();
+      rows[key] = {
+        tenantId,
+        key,
+        requestHash,
+        statusCode: 0,
+        body: "",
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(
+          now + IDEMPOTENCY_RESERVATION_SECONDS * 1000
+        ).toISOString(),
+        inProgress: true,
+      };
+      return null;
+    });
+  }
+
+  async release(tenantId: string, key: string) {
+    this.update(tenantId, rows => {
+      if (rows[key]?.inProgress) delete rows[key];
+    });
+  }
+}
+
+let store: IdempotencyStore | null = null;
+
+export function getIdempotencyStore(): IdempotencyStore {
+  if (!store) store = new FileIdempotencyStore();
+  return store;
+}
+
+/**
+ * Override the store (tests, or a DynamoDB-backed implementation); pass
+ * null to restore the default
+ */
+export function setIdempotencyStore(next: IdempotencyStore | null) {
+  store = next;
+}
@@ -0,0 +1,229 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import type { Readable } from "node:stream";
+import { createJob } from "./api/jobs/createJob.js";
+import { streamJobEvents } from "./api/jobs/streamJobEvents.js";
+import { loadManifest, updateManifest } from "./manifest.js";
+import { createRetryableError } from "./retry-policy.js";
+import { recordStepStart, completeStep } from "./steps.js";
+import {
+  getJobEventStore,
+  progressPublisher,
+  setJobEventStore,
+} from "./job-events.js";
+import { ffmpegProgressParser, FFmpegProgress } from "./ffmpeg-runtime.js";
+
+const STORAGE = "./test-storage-job-events";
+
+async function create(tenantId: string) {
+  const res = await createJob({ body: JSON.stringify({ tenantId }) });
+  return JSON.parse(res.body).jobId as string;
+}
+
+async function readAll(stream?: Readable) {
+  let text = "";
+  for await (const chunk of stream!) text += chunk;
+  return text;
+}
+
+/** Parse an SSE body into its events */
+function parseSse(text: string) {
+  return text
+    .split("\n\n")
+    .filter(block => block.includes("event:"))
+    .map(block => {
+      const field = (name: string) =>
+        block
+          .split("\n")
+          .find(line => line.startsWith(`${name}: `))
+          ?.slice(name.length + 2);
+      return {
+        id: field("id"),
+        event: field("event"),
+        data: JSON.parse(field("data") || "null"),
+      };
+    });
+}
+
+describe("job events", () => {
+  const originalEnv = process.env.TALKAVOCADO_ENV;
+  const originalStoragePath = process.env.MEDIA_STORAGE_PATH;
+  const originalStartOnCreate = process.env.START_ON_CREATE;
+  const originalPollInterval = process.env.SSE_POLL_INTERVAL_MS;
+  const originalProgressInterval = process.env.JOB_PROGRESS_INTERVAL_MS;
+
+  beforeEach(() => {
+    process.env.TALKAVOCADO_ENV = "test";
+    process.env.MEDIA_STORAGE_PATH = STORAGE;
+    process.env.SSE_POLL_INTERVAL_MS = "10";
+    delete process.env.START_ON_CREATE;
+    fs.rmSync(STORAGE, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(STORAGE, { recursive: true, force: true });
+    process.env.TALKAVOCADO_ENV = originalEnv;
+    for (const [name, value] of [
+      ["MEDIA_STORAGE_PATH", originalStoragePath],
+      ["START_ON_CREATE", originalStartOnCreate],
+      ["SSE_POLL_INTERVAL_MS", originalPollInterval],
+      ["JOB_PROGRESS_INTERVAL_MS", originalProgressInterval],
+    ] as const) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  test("manifest updates publish status and step transitions", async () => {
+    const tenantId = "events-transitions";
+    const jobId = await create(tenantId);
+
+    await updateManifest("test", tenantId, jobId, m => {
+      m.status = "processing";
+    });
+    await recordStepStart("test", tenantId, jobId, "audio-extraction");
+    await updateManifest("test", tenantId, jobId, m => {
+      completeStep(m, "audio-extraction", []);
+    });
+    // No transition, no event
+    await updateManifest("test", tenantId, jobId, m => {
+      m.metadata = { tags: ["x"] };
+    });
+
+    const events = await getJobEventStore().list("test", tenantId, jobId);
+    assert.deepStrictEqual(
+      events.map(e => [e.id, e.type, e.step, e.data.status]),
+      [
+        [1, "status", undefined, "processing"],
+        [2, "step", "audio-extraction", "processing"],
+        [3, "step", "audio-extraction", "completed"],
+      ]
+    );
+    assert.strictEqual(events[2].data.previousStatus, "processing");
+  });
+
+  test("events are published once, after the manifest update commits", async () => {
+    const tenantId = "events-after-commit";
+    const jobId = await create(tenantId);
+    const seen: (number | undefined)[] = [];
+    setJobEventStore({
+      async append() {
+        seen.push(loadManifest("test", tenantId, jobId).revision);
+        throw createRetryableError("event log unavailable");
+      },
+      list: async () => [],
+    });
+    try {
+      let runs = 0;
+      const saved = await updateManifest("test", tenantId, jobId, m => {
+        runs++;
+        m.status = "processing";
+      });
+      assert.strictEqual(runs, 1);
+      assert.deepStrictEqual(seen, [saved.revision]);
+    } finally {
+      setJobEventStore(null);
+    }
+  });
+
+  test("ffmpegProgressParser reads Duration and time= across chunks", () => {
+    const seen: FFmpegProgress[] = [];
+    const parse = ffmpegProgressParser(p => seen.push(p));
+    parse("  Duration: 00:01:40.00, start: 0.000000\n");
+    parse("frame=  10 fps=0.0 q=28.0 size=0kB time=00:00:");
+    parse("25.00 bitrate=0.0kbits/s\rframe=  20 time=00:01:40.00 bitrate=1\r");
+    assert.deepStrictEqual(seen, [
+      { outTimeSec: 25, durationSec: 100, percent: 25 },
+      { outTimeSec: 100, durationSec: 100, percent: 100 },
+    ]);
+
+    const fixed: FFmpegProgress[] = [];
+    ffmpegProgressParser(
+      p => fixed.push(p),
+      50
+    )("Duration: 00:01:40.00\ntime=00:00:10.00\n");
+    assert.strictEqual(fixed[0].percent, 20);
+  });
+
+  test("progressPublisher throttles updates but always reports completion", async () => {
+    process.env.JOB_PROGRESS_INTERVAL_MS = "60000";
+    const tenantId = "events-progress";
+    const jobId = await create(tenantId);
+    const publish = progressPublisher("test", tenantId, jobId, "video-cuts");
+    for (const percent of [10, 20, 30, 100]) publish({ percent });
+    await new Promise(r => setTimeout(r, 20));
+
+    const events = await getJobEventStore().list("test", tenantId, jobId);
+    assert.deepStrictEqual(
+      events.map(e => [e.type, e.step, e.data.percent]),
+      [
+        ["progress", "video-cuts", 10],
+        ["progress", "video-cuts", 100],
+      ]
+    );
+  });
+
+  test("SSE replays after Last-Event-ID, follows live events and ends with the job", async () => {
+    const tenantId = "events-sse";
+    const jobId = await create(tenantId);
+    await updateManifest("test", tenantId, jobId, m => {
+      m.status = "processing";
+    });
+    await recordStepStart("test", tenantId, jobId, "transcription");
+
+    const res = await streamJobEvents({
+      headers: { "last-event-id": "1" },
+      pathParameters: { jobId },
+      queryStringParameters: { tenantId },
+    });
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.headers["Content-Type"], "text/event-stream");
+    const body = readAll(res.stream);
+
+    await new Promise(r => setTimeout(r, 30));
+    progressPublisher(
+      "test",
+      tenantId,
+      jobId,
+      "transcription"
+    )({
+      chunkIndex: 1,
+      totalChunks: 2,
+      percent: 50,
+    });
+    await updateManifest("test", tenantId, jobId, m => {
+      m.status = "completed";
+    });
+
+    const events = parseSse(await body);
+    assert.deepStrictEqual(
+      events.map(e => [e.id, e.event]),
+      [
+        ["2", "step"],
+        ["3", "progress"],
+        ["4", "status"],
+        [undefined, "end"],
+      ]
+    );
+    assert.strictEqual(events[1].data.data.chunkIndex, 1);
+    assert.deepStrictEqual(events[3].data, { status: "completed" });
+  });
+
+  test("SSE rejects unknown jobs and malformed Last-Event-ID", async () => {
+    const tenantId = "events-reject";
+    const jobId = await create(tenantId);
+
+    const unknown = await streamJobEvents({
+      pathParameters: { jobId },
+      queryStringParameters: { tenantId: "someone-else" },
+    });
+    assert.strictEqual(unknown.statusCode, 404);
+
+    const malformed = await streamJobEvents({
+      pathParameters: { jobId },
+      queryStringParameters: { tenantId, lastEventId: "abc" },
+    });
+    assert.strictEqual(malformed.statusCode, 400);
+  });
+});
@@ -0,0 +1,185 @@
+// backend/lib/job-events.ts
+import fs from "node:fs";
+import path from "node:path";
+import { storageRoot } from "./storage.js";
+import { withFileLock } from "./file-lock.js";
+import type { Manifest, ManifestStepName } from "./types.js";
+
+export const DEFAULT_PROGRESS_INTERVAL_MS = 1000;
+
+export type JobEventType = "status" | "step" | "progress";
+
+/**
+ * Progress event for a job, numbered per job so SSE clients can resume
+ * from Last-Event-ID
+ */
+export interface JobEvent {
+  id: number;
+  type: JobEventType;
+  tenantId: string;
+  jobId: string;
+  step?: ManifestStepName;
+  data: Record<string, unknown>;
+  createdAt: string;
+}
+
+export type NewJobEvent = Omit<JobEvent, "id" | "createdAt">;
+
+export interface JobEventStore {
+  append(env: string, event: NewJobEvent): Promise<JobEvent>;
+  /** Events with id greater than `afterId`, oldest first */
+  list(
+    env: string,
+    tenantId: string,
+    jobId: string,
+    afterId?: number
+  ): Promise<JobEvent[]>;
+}
+
+/**
+ * Append-only NDJSON log per job at
+ * {storageRoot}/{env}/_tables/events/{tenantId}/{jobId}.ndjson, shared by
+ * the API server and pipeline handlers running in other processes.
+ */
+export class FileJobEventStore implements JobEventStore {
+  private logPath(env: string, tenantId: string, jobId: string) {
+    return path.join(
+      storageRoot(),
+      env,
+      "_tables",
+      "events",
+      tenantId,
+      `${jobId}.ndjson`
+    );
+  }
+
+  private read(p: string): JobEvent[] {
+    if (!fs.existsSync(p)) return [];
+    return fs
+      .readFileSync(p, "utf-8")
+      .split("\n")
+      .filter(Boolean)
+      .map(line => JSON.parse(line));
+  }
+
+  async append(env: string, event: NewJobEvent) {
+    const p = this.logPath(env, event.tenantId, event.jobId);
+    return withFileLock(p, () => {
+      const last = this.read(p).at(-1);
+      const stored: JobEvent = {
+        id: (last?.id ?? 0) + 1,
+        ...event,
+        createdAt: new Date().toISOString(),
+      };
+      fs.appendFileSync(p, `${JSON.stringify(stored)}\n`);
+      return stored;
+    });
+  }
+
+  async list(env: string, tenantId: string, jobId: string, afterId = 0) {
+    return this.read(this.logPath(env, tenantId, jobId)).filter(
+      e => e.id > afterId
+    );
+  }
+}
+
+let store: JobEventStore | null = null;
+
+export function getJobEventStore(): JobEventStore {
+  if (!store) store = new FileJobEventStore();
+  return store;
+}
+
+/**
+ * Override the store (tests, or a shared backend); pass null to restore
+ * the default
+ */
+export function setJobEventStore(next: JobEventStore | null) {
+  store = next;
+}
+
+/**
+ * Record an event. Progress reporting is best-effort: a failed write never
+ * fails the step or manifest update that produced it.
+ */
+export async function publishJobEvent(env: string, event: NewJobEvent) {
+  try {
+    return await getJobEventStore().append(env, event);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Status and step transitions between two versions of a manifest
+ */
+export function manifestTransitionEvents(
+  before: Manifest,
+  after: Manifest
+): NewJobEvent[] {
+  const { tenantId, jobId } = after;
+  const events: NewJobEvent[] = [];
+  for (const [step, entry] of Object.entries(after.steps || {})) {
+    const previous = before.steps?.[step as ManifestStepName];
+    if (!entry || previous?.status === entry.status) continue;
+    events.push({
+      type: "step",
+      tenantId,
+      jobId,
+      step: step as ManifestStepName,
+      data: {
+        status: entry.status,
+        previousStatus: previous?.status,
+        attempts: entry.attempts,
+        ...(entry.errorType ? { errorType: entry.errorType } : {}),
+        ...(entry.durationMs !== undefined
+          ? { durationMs: entry.durationMs }
+          : {}),
+      },
+    });
+  }
+  if (before.status !== after.status) {
+    events.push({
+      type: "status",
+      tenantId,
+      jobId,
+      data: { status: after.status, previousStatus: before.status },
+    });
+  }
+  return events;
+}
+
+/**
+ * Throttled publisher for in-step progress (FFmpeg encodes, transcription
+ * chunks). Updates closer together than JOB_PROGRESS_INTERVAL_MS are
+ * dropped, except the one that reaches 100%.
+ */
+export function progressPublisher(
+  env: string,
+  tenantId: string,
+  jobId: string,
+  step: ManifestStepName
+) {
+  const configured = Number(process.env.JOB_PROGRESS_INTERVAL_MS);
+  const intervalMs =
+    Number.isFinite(configured) && configured >= 0
+      ? configured
+      : DEFAULT_PROGRESS_INTERVAL_MS;
+  let lastAt = 0;
+  let lastPercent: number | undefined;
+
+  return (data: Record<string, unknown> & { percent?: number }) => {
+    const now = Date.now();
+    const done = data.percent === 100 && lastPercent !== 100;
+    if (!done && now - lastAt < intervalMs) return;
+    lastAt = now;
+    lastPercent = data.percent;
+    void publishJobEvent(env, {
+      type: "progress",
+      tenantId,
+      jobId,
+      step,
+      data,
+    });
+  };
+}
@@ -0,0 +1,112 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import { createJob } from "./api/jobs/createJob.js";
+import { loadManifest } from "./manifest.js";
+import {
+  jobOptionsFor,
+  renderSettings,
+  transcriptionSettings,
+} from "./job-options.js";
+
+const STORAGE = "./test-storage-job-options";
+
+async function create(body: Record<string, unknown>) {
+  const res = await createJob({ body: JSON.stringify(body) });
+  return { statusCode: res.statusCode, body: JSON.parse(res.body) };
+}
+
+describe("job options", () => {
+  const originalEnv = process.env.TALKAVOCADO_ENV;
+  const originalStoragePath = process.env.MEDIA_STORAGE_PATH;
+  const originalStartOnCreate = process.env.START_ON_CREATE;
+  const originalWhisperModel = process.env.WHISPER_MODEL;
+  const originalRenderCrf = process.env.RENDER_CRF;
+
+  beforeEach(() => {
+    process.env.TALKAVOCADO_ENV = "test";
+    process.env.MEDIA_STORAGE_PATH = STORAGE;
+    delete process.env.START_ON_CREATE;
+    process.env.WHISPER_MODEL = "small";
+    process.env.RENDER_CRF = "23";
+    fs.rmSync(STORAGE, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(STORAGE, { recursive: true, force: true });
+    process.env.TALKAVOCADO_ENV = originalEnv;
+    for (const [name, value] of [
+      ["MEDIA_STORAGE_PATH", originalStoragePath],
+      ["START_ON_CREATE", originalStartOnCreate],
+      ["WHISPER_MODEL", originalWhisperModel],
+      ["RENDER_CRF", originalRenderCrf],
+    ] as const) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  test("persists options in the manifest and prefers them over env vars", async () => {
+    const tenantId = "options-tenant";
+    const options = {
+      transcription: { model: "medium", language: "de" },
+      planner: { minPauseMs: 800, fillerWords: ["äh"] },
+      render: { profile: "draft", preset: "medium" },
+      applyTransitions: true,
+    };
+    const res = await create({ tenantId, options });
+    assert.strictEqual(res.statusCode, 201);
+
+    const manifest = loadManifest("test", tenantId, res.body.jobId);
+    assert.deepStrictEqual(manifest.options, options);
+
+    const stored = jobOptionsFor("test", tenantId, res.body.jobId);
+    assert.deepStrictEqual(transcriptionSettings(stored), {
+      model: "medium",
+      language: "de",
+    });
+    const render = renderSettings(stored);
+    // Explicit preset wins over the profile; crf comes from the profile
+    assert.strictEqual(render.preset, "medium");
+    assert.strictEqual(render.crf, "28");
+    assert.strictEqual(renderSettings(stored, 25).fps, "25");
+  });
+
+  test("falls back to env defaults for jobs without options", async () => {
+    const tenantId = "options-tenant";
+    const res = await create({ tenantId });
+    const stored = jobOptionsFor("test", tenantId, res.body.jobId);
+
+    assert.deepStrictEqual(stored, {});
+    assert.strictEqual(transcriptionSettings(stored).model, "small");
+    assert.strictEqual(renderSettings(stored).crf, "23");
+    assert.deepStrictEqual(jobOptionsFor("test", tenantId, "missing"), {});
+  });
+
+  test("rejects options outside the contract or inconsistent with each other", async () => {
+    const tenantId = "options-tenant";
+    const invalid = await create({
+      tenantId,
+      options: { render: { crf: 60 }, planner: { unknown: 1 } },
+    });
+    assert.strictEqual(invalid.statusCode, 400);
+    assert.deepStrictEqual(
+      invalid.body.errors.map((e: any) => e.field).sort(),
+      ["body.options.planner.unknown", "body.options.render.crf"]
+    );
+
+    const inverted = await create({
+      tenantId,
+      options: {
+        planner: { minSegmentDurationSec: 60, maxSegmentDurationSec: 30 },
+      },
+    });
+    assert.strictEqual(inverted.statusCode, 400);
+    assert.deepStrictEqual(inverted.body.errors, [
+      {
+        field: "body.options.planner.minSegmentDurationSec",
+        message: "must not exceed maxSegmentDurationSec",
+      },
+    ]);
+  });
+});
@@ -0,0 +1,82 @@
+// backend/lib/job-options.ts
+import { loadManifest } from "./manifest.js";
+import type { ApiFieldError } from "./api-contract.js";
+import type { JobOptions } from "./types.js";
+
+/**
+ * Encoder settings behind `options.render.profile`; explicit `preset` and
+ * `crf` options win over the profile
+ */
+export const RENDER_PROFILES = {
+  draft: { preset: "veryfast", crf: 28 },
+  standard: { preset: "fast", crf: 20 },
+  high: { preset: "slow", crf: 18 },
+} as const;
+
+/**
+ * The job's options from its manifest, or none when the manifest cannot be
+ * read (handlers then fall back to env defaults as before)
+ */
+export function jobOptionsFor(
+  env: string,
+  tenantId: string,
+  jobId: string
+): JobOptions {
+  try {
+    return loadManifest(env, tenantId, jobId).options ?? {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Checks the API contract cannot express. Field names match
+ * apiRequestErrors for a createJob body.
+ */
+export function jobOptionsErrors(options: JobOptions | undefined) {
+  const errors: ApiFieldError[] = [];
+  const planner = options?.planner;
+  if (
+    planner?.minSegmentDurationSec !== undefined &&
+    planner.maxSegmentDurationSec !== undefined &&
+    planner.minSegmentDurationSec > planner.maxSegmentDurationSec
+  ) {
+    errors.push({
+      field: "body.options.planner.minSegmentDurationSec",
+      message: "must not exceed maxSegmentDurationSec",
+    });
+  }
+  return errors;
+}
+
+/**
+ * Whisper model and language: job options, then WHISPER_MODEL and
+ * WHISPER_LANGUAGE
+ */
+export function transcriptionSettings(options: JobOptions = {}) {
+  return {
+    model: options.transcription?.model || process.env.WHISPER_MODEL || "base",
+    language:
+      options.transcription?.language || process.env.WHISPER_LANGUAGE || "en",
+  };
+}
+
+/**
+ * FFmpeg settings for renders: job options, then the render profile, then
+ * the RENDER_* env vars. `fps` (the source frame rate a caller asked to
+ * keep) overrides them all.
+ */
+export function renderSettings(options: JobOptions = {}, fps?: number) {
+  const render = options.render ?? {};
+  const profile = render.profile ? RENDER_PROFILES[render.profile] : undefined;
+  return {
+    preset:
+      render.preset || profile?.preset || process.env.RENDER_PRESET || "fast",
+    crf: String(render.crf ?? profile?.crf ?? process.env.RENDER_CRF ?? "20"),
+    fps: String(fps || render.fps || process.env.RENDER_FPS || "30"),
+    threads: String(process.env.RENDER_THREADS || "2"),
+    audioCodec: process.env.RENDER_AUDIO_CODEC || "aac",
+    audioBitrate:
+      render.audioBitrate || process.env.RENDER_AUDIO_BITRATE || "192k",
+  };
+}
@@ -0,0 +1,209 @@
+// backend/lib/job-retry.ts
+import { getStorageDriver } from "./storage.js";
+import { loadManifest, updateManifest } from "./manifest.js";
+import { PIPELINE_STEPS, resetStepsFrom } from "./steps.js";
+import type { Manifest, ManifestStepName } from "./types.js";
+
+export const RETRY_ERROR_TYPES = {
+  INVALID_STEP: "INVALID_STEP",
+  JOB_NOT_FOUND: "JOB_NOT_FOUND",
+  JOB_RUNNING: "JOB_RUNNING",
+  MISSING_PREREQUISITES: "MISSING_PREREQUISITES",
+} as const;
+
+export class JobRetryError extends Error {
+  readonly type: keyof typeof RETRY_ERROR_TYPES;
+  readonly details: Record<string, unknown>;
+
+  constructor(
+    message: string,
+    type: keyof typeof RETRY_ERROR_TYPES,
+    details: Record<string, unknown> = {}
+  ) {
+    super(message);
+    this.name = "JobRetryError";
+    this.type = type;
+    this.details = details;
+  }
+}
+
+interface StepArtifact {
+  name: string;
+  /** Step that writes it; null for job inputs */
+  producedBy: ManifestStepName | null;
+  consumedBy: ManifestStepName[];
+  key(m: Manifest): string | undefined;
+  /** Whether this job's consumers read it; always when omitted */
+  requiredFor?(m: Manifest): boolean;
+}
+
+const renderKey = (m: Manifest, file: string) =>
+  m.renders?.find(r => r.key.endsWith(`/renders/${file}`))?.key;
+
+/**
+ * Artifacts handed between steps, as recorded in the manifest. Mirrors the
+ * step I/O table in docs/CONVENTIONS.md.
+ */
+const STEP_ARTIFACTS: StepArtifact[] = [
+  {
+    name: "source video",
+    producedBy: null,
+    consumedBy: ["audio-extraction", "video-cuts", "video-transitions"],
+    key: m => m.sourceVideoKey || m.input?.sourceKey,
+  },
+  {
+    name: "audio",
+    producedBy: "audio-extraction",
+    consumedBy: ["transcription"],
+    key: m => m.audio?.key,
+  },
+  {
+    name: "transcript",
+    producedBy: "transcription",
+    consumedBy: ["smart-cut-planner", "subtitles-post-edit"],
+    key: m => m.transcript?.jsonKey,
+  },
+  {
+    name: "cut plan",
+    producedBy: "smart-cut-planner",
+    consumedBy: ["video-cuts", "video-transitions", "subtitles-post-edit"],
+    key: m => m.plan?.key,
+  },
+  {
+    name: "base cuts render",
+    producedBy: "video-cuts",
+    consumedBy: ["subtitles-post-edit", "branding-layer"],
+    key: m => renderKey(m, "base_cuts.mp4"),
+  },
+  {
+    // Consumers fall back to the base cuts when it is not recorded, so a
+    // job that used transitions would otherwise lose them on retry
+    name: "transitions render",
+    producedBy: "video-transitions",
+    consumedBy: ["subtitles-post-edit", "branding-layer"],
+    key: m => renderKey(m, "with_transitions.mp4"),
+    requiredFor: m =>
+      m.steps?.["video-transitions"]?.status === "completed" ||
+      !!renderKey(m, "with_transitions.mp4"),
+  },
+];
+
+/** A retry may only restart a job that has finished one way or another */
+const RETRYABLE_STATUSES: Manifest["status"][] = [
+  "completed",
+  "failed",
+  "cancelled",
+];
+
+function assertNotRunning(m: Manifest) {
+  if (!RETRYABLE_STATUSES.includes(m.status)) {
+    throw new JobRetryError(
+      `Job is still ${m.status}`,
+      RETRY_ERROR_TYPES.JOB_RUNNING,
+      { status: m.status }
+    );
+  }
+}
+
+export function isPipelineStep(step: unknown): step is ManifestStepName {
+  return PIPELINE_STEPS.includes(step as ManifestStepName);
+}
+
+/**
+ * Artifacts a run starting at `fromStep` reads but will not produce itself.
+ * Given the job's manifest, artifacts it did not use are left out.
+ */
+export function retryPrerequisites(
+  fromStep: ManifestStepName,
+  manifest?: Manifest
+) {
+  const rerun = PIPELINE_STEPS.slice(PIPELINE_STEPS.indexOf(fromStep));
+  return STEP_ARTIFACTS.filter(
+    a =>
+      !(a.producedBy && rerun.includes(a.producedBy)) &&
+      a.consumedBy.some(step => rerun.includes(step)) &&
+      !(manifest && a.requiredFor && !a.requiredFor(manifest))
+  );
+}
+
+/**
+ * Prerequisites that are not recorded in the manifest or missing from storage
+ */
+export async function missingRetryPrerequisites(
+  manifest: Manifest,
+  fromStep: ManifestStepName
+) {
+  const storage = getStorageDriver();
+  const missing: { artifact: string; key?: string }[] = [];
+  for (const artifact of retryPrerequisites(fromStep, manifest)) {
+    const key = artifact.key(manifest);
+    if (!key || !(await storage.head(key))) {
+      missing.push({ artifact: artifact.name, ...(key ? { key } : {}) });
+    }
+  }
+  return missing;
+}
+
+/**
+ * Validate that a job can be re-run from `fromStep`, then reset that step
+ * and everything after it and mark the job processing. The caller starts
+ * orchestration at `fromStep`.
+ */
+export async function prepareJobRetry(
+  env: string,
+  tenantId: string,
+  jobId: string,
+  fromStep: string
+) {
+  if (!isPipelineStep(fromStep)) {
+    throw new JobRetryError(
+      `Unknown step: ${fromStep}`,
+      RETRY_ERROR_TYPES.INVALID_STEP,
+      { fromStep, steps: PIPELINE_STEPS }
+    );
+  }
+
+  let manifest: Manifest;
+  try {
+    manifest = loadManifest(env, tenantId, jobId);
+  } catch (error) {
+    throw new JobRetryError(
+      `Job not found: ${jobId}`,
+      RETRY_ERROR_TYPES.JOB_NOT_FOUND,
+      { error: error instanceof Error ? error.message : String(error) }
+    );
+  }
+
+  assertNotRunning(manifest);
+  const missing = await missingRetryPrerequisites(manifest, fromStep);
+  if (missing.length) {
+    throw new JobRetryError(
+      `Cannot retry from ${fromStep}: missing ${missing.map(m => m.artifact).join(", ")}`,
+      RETRY_ERROR_TYPES.MISSING_PREREQUISITES,
+      { fromStep, missing }
+    );
+  }
+
+  let previousStatus = manifest.status;
+  let resetSteps: ManifestStepName[] = [];
+  const updated = await updateManifest(env, tenantId, jobId, m => {
+    // Checked again inside the CAS update so two retries cannot both start
+    assertNotRunning(m);
+    previousStatus = m.status;
+    resetSteps = resetStepsFrom(m, fromStep);
+    m.status = "processing";
+    if (m.metadata) {
+      delete m.metadata.failedAt;
+      delete m.metadata.failureReason;
+    }
+    m.logs = m.logs || [];
+    m.logs.push({
+      type: "info",
+      message: `Retrying from ${fromStep}`,
+      details: { previousStatus, resetSteps },
+      createdAt: new Date().toISOString(),
+    });
+  });
+
+  return { manifest: updated, fromStep, previousStatus, resetSteps };
+}
@@ -0,0 +1,155 @@
+/// <reference path="./ambient-handlers.d.ts" />
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import path from "node:path";
+import { FileJobTable, JobItem, getJobTable, jobSortFor } from "./job-table.js";
+import { createJob } from "./api/jobs/createJob.js";
+import { getJob } from "./api/jobs/getJob.js";
+
+const STORAGE = "./test-storage-job-table";
+
+function item(tenantId: string, jobId: string, createdAt: string): JobItem {
+  return {
+    tenantId,
+    jobSort: jobSortFor(createdAt, jobId),
+    jobId,
+    status: "pending",
+    env: "test",
+    manifestKey: `test/${tenantId}/${jobId}/manifest.json`,
+    createdAt,
+    updatedAt: createdAt,
+  };
+}
+
+describe("job table", () => {
+  const originalEnv = process.env.TALKAVOCADO_ENV;
+  const originalStoragePath = process.env.MEDIA_STORAGE_PATH;
+  const originalStartOnCreate = process.env.START_ON_CREATE;
+
+  beforeEach(() => {
+    process.env.TALKAVOCADO_ENV = "test";
+    process.env.MEDIA_STORAGE_PATH = STORAGE;
+    delete process.env.START_ON_CREATE;
+    fs.rmSync(STORAGE, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(STORAGE, { recursive: true, force: true });
+    process.env.TALKAVOCADO_ENV = originalEnv;
+    for (const [name, value] of [
+      ["MEDIA_STORAGE_PATH", originalStoragePath],
+      ["START_ON_CREATE", originalStartOnCreate],
+    ] as const) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  test("persists rows to a per-tenant file readable by another instance", async () => {
+    const row = item("jt-persist", "job-a", "2026-01-01T00:00:00.000Z");
+    await new FileJobTable().putItem(row);
+
+    assert.ok(
+      fs.existsSync(
+        path.join(STORAGE, "test", "_tables", "jobs", "jt-persist.json")
+      )
+    );
+    const other = new FileJobTable();
+    assert.deepStrictEqual(await other.getItem("jt-persist", row.jobSort), row);
+    assert.deepStrictEqual(
+      await other.getJobByJobId("jt-persist", "job-a"),
+      row
+    );
+    assert.strictEqual(await other.getJobByJobId("jt-other", "job-a"), null);
+  });
+
+  test("queries by jobSort bounds, order and exclusive start", async () => {
+    const table = new FileJobTable();
+    const rows = ["01", "02", "03", "04"].map(day =>
+      item("jt-query", `job-${day}`, `2026-01-${day}T00:00:00.000Z`)
+    );
+    for (const row of rows) await table.putItem(row);
+
+    const ids = (items: JobItem[]) => items.map(i => i.jobId);
+    assert.deepStrictEqual(ids(await table.query("jt-query")), [
+      "job-01",
+      "job-02",
+      "job-03",
+      "job-04",
+    ]);
+    assert.deepStrictEqual(
+      ids(
+        await table.query("jt-query", {
+          fromSort: "2026-01-02",
+          toSort: "2026-01-03~",
+          descending: true,
+        })
+      ),
+      ["job-03", "job-02"]
+    );
+    assert.deepStrictEqual(
+      ids(
+        await table.query("jt-query", {
+          exclusiveStartSort: rows[2].jobSort,
+          descending: true,
+        })
+      ),
+      ["job-02", "job-01"]
+    );
+  });
+
+  test("updateItem merges fields and leaves keys intact", async () => {
+    const table = new FileJobTable();
+    const row = item("jt-update", "job-u", "2026-02-01T00:00:00.000Z");
+    await table.putItem(row);
+
+    const updated = await table.updateItem("jt-update", row.jobSort, {
+      status: "processing",
+      updatedAt: "2026-02-01T00:01:00.000Z",
+    });
+    assert.strictEqual(updated?.status, "processing");
+    assert.strictEqual(updated?.jobSort, row.jobSort);
+    assert.strictEqual(
+      (await table.getItem("jt-update", row.jobSort))?.status,
+      "processing"
+    );
+    assert.strictEqual(
+      await table.updateItem("jt-update", "missing", { status: "failed" }),
+      null
+    );
+  });
+
+  test("mark-* handlers update the row createJob wrote", async () => {
+    const tenantId = "jt-handlers";
+    const created = await createJob({
+      headers: { "x-correlation-id": "jt-corr" },
+      body: JSON.stringify({ tenantId }),
+    });
+    assert.strictEqual(created.statusCode, 201);
+    const { jobId } = JSON.parse(created.body);
+
+    const markProcessing = await import(
+      "../services/mark-processing/handler.js"
+    );
+    await markProcessing.handler({ tenantId, jobId, correlationId: "c1" });
+    assert.strictEqual(
+      (await getJobTable().getJobByJobId(tenantId, jobId))?.status,
+      "processing"
+    );
+
+    const markComplete = await import("../services/mark-complete/handler.js");
+    await markComplete.handler({ tenantId, jobId, correlationId: "c2" });
+    assert.strictEqual(
+      (await getJobTable().getJobByJobId(tenantId, jobId))?.status,
+      "completed"
+    );
+
+    const res = await getJob({
+      pathParameters: { jobId },
+      queryStringParameters: { tenantId },
+    });
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(JSON.parse(res.body).status, "completed");
+  });
+});
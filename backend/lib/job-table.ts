@@ -0,0 +1,188 @@
+import fs from "node:fs";
+import path from "node:path";
+import { currentEnv, storageRoot } from "./storage.js";
+import { withFileLock, writeFileAtomic } from "./file-lock.js";
+import { LoggingWrapper } from "./logging.js";
+import type { Manifest } from "./types.js";
+
+/**
+ * Row in the jobs table: PK tenantId, SK jobSort (`${createdAt}#${jobId}`)
+ */
+export interface JobItem {
+  tenantId: string;
+  jobSort: string;
+  jobId: string;
+  status: string;
+  env: string;
+  manifestKey: string;
+  createdAt: string;
+  updatedAt: string;
+  correlationId?: string;
+  tags?: string[];
+}
+
+export interface JobQuery {
+  /** Inclusive jobSort bounds */
+  fromSort?: string;
+  toSort?: string;
+  /** Resume strictly after this jobSort in scan order */
+  exclusiveStartSort?: string;
+  /** Newest first when true */
+  descending?: boolean;
+  /** At most this many rows */
+  limit?: number;
+}
+
+/**
+ * Operations the handlers use, matching the planned DynamoDB table
+ */
+export interface JobTable {
+  putItem(item: JobItem): Promise<void>;
+  getItem(tenantId: string, jobSort: string): Promise<JobItem | null>;
+  /** Merge `updates` into an existing row; null when the row is missing */
+  updateItem(
+    tenantId: string,
+    jobSort: string,
+    updates: Partial<Omit<JobItem, "tenantId" | "jobSort">>
+  ): Promise<JobItem | null>;
+  /** Query on PK with a BETWEEN on jobSort */
+  query(tenantId: string, q?: JobQuery): Promise<JobItem[]>;
+  /** Lookup by jobId within a tenant (a GSI in DynamoDB) */
+  getJobByJobId(tenantId: string, jobId: string): Promise<JobItem | null>;
+}
+
+export function jobSortFor(createdAt: string, jobId: string) {
+  return `${createdAt}#${jobId}`;
+}
+
+function queryItems(items: JobItem[], q: JobQuery) {
+  const rows = items
+    .filter(item => !q.fromSort || item.jobSort >= q.fromSort)
+    .filter(item => !q.toSort || item.jobSort <= q.toSort)
+    .sort((a, b) => a.jobSort.localeCompare(b.jobSort));
+  if (q.descending) rows.reverse();
+  const start = q.exclusiveStartSort;
+  const page = start
+    ? rows.filter(item =>
+        q.descending ? item.jobSort < start : item.jobSort > start
+      )
+    : rows;
+  return q.limit === undefined ? page : page.slice(0, q.limit);
+}
+
+/**
+ * File-backed table for local runs. Each tenant partition is one JSON file
+ * at {storageRoot}/{env}/_tables/jobs/{tenantId}.json, so every process
+ * sharing a storage root (API server, harness, handlers) sees the same rows.
+ */
+export class FileJobTable implements JobTable {
+  private partitionPath(tenantId: string) {
+    return path.join(
+      storageRoot(),
+      currentEnv(),
+      "_tables",
+      "jobs",
+      `${tenantId}.json`
+    );
+  }
+
+  private read(tenantId: string): Record<string, JobItem> {
+    const p = this.partitionPath(tenantId);
+    if (!fs.existsSync(p)) return {};
+    return JSON.parse(fs.readFileSync(p, "utf-8"));
+  }
+
+  private mutate<T>(
+    tenantId: string,
+    fn: (rows: Record<string, JobItem>) => T
+  ): T {
+    const p = this.partitionPath(tenantId);
+    return withFileLock(p, () => {
+      const rows = this.read(tenantId);
+      const result = fn(rows);
+      writeFileAtomic(p, JSON.stringify(rows, null, 2));
+      return result;
+    });
+  }
+
+  async putItem(item: JobItem): Promise<void> {
+    this.mutate(item.tenantId, rows => {
+      rows[item.jobSort] = { ...item };
+    });
+  }
+
+  async getItem(tenantId: string, jobSort: string): Promise<JobItem | null> {
+    return this.read(tenantId)[jobSort] || null;
+  }
+
+  async updateItem(
+    tenantId: string,
+    jobSort: string,
+    updates: Partial<Omit<JobItem, "tenantId" | "jobSort">>
+  ): Promise<JobItem | null> {
+    return this.mutate(tenantId, rows => {
+      const existing = rows[jobSort];
+      if (!existing) return null;
+      rows[jobSort] = { ...existing, ...updates, tenantId, jobSort };
+      return rows[jobSort];
+    });
+  }
+
+  async query(tenantId: string, q: JobQuery = {}): Promise<JobItem[]> {
+    return queryItems(Object.values(this.read(tenantId)), q);
+  }
+
+  async getJobByJobId(
+    tenantId: string,
+    jobId: string
+  ): Promise<JobItem | null> {
+    const rows = Object.values(this.read(tenantId));
+    return rows.find(item => item.jobId === jobId) || null;
+  }
+}
+
+let table: JobTable | null = null;
+
+const logger = new LoggingWrapper("job-table");
+
+/**
+ * Copy a saved manifest's status, tags and updatedAt onto its table row so
+ * listJobs can answer from the table alone. Jobs without a row (seeded
+ * outside createJob) are left alone; a failed write is logged, as the
+ * manifest remains the canonical state.
+ */
+export async function syncJobRow(manifest: Manifest) {
+  try {
+    await getJobTable().updateItem(
+      manifest.tenantId,
+      jobSortFor(manifest.createdAt, manifest.jobId),
+      {
+        status: manifest.status,
+        updatedAt: manifest.updatedAt,
+        tags: manifest.metadata?.tags,
+      }
+    );
+  } catch (error) {
+    logger.warn("Failed to sync job row from manifest", {
+      tenantId: manifest.tenantId,
+      jobId: manifest.jobId,
+      error: error instanceof Error ? error.message : String(error),
+    });
+  }
+}
+
+/**
+ * Table used by the job API and mark-* handlers
+ */
+export function getJobTable(): JobTable {
+  if (!table) table = new FileJobTable();
+  return table;
+}
+
+/**
+ * Override the table (tests, or a DynamoDB-backed implementation); pass
+ * null to restore the default
+ */
+export function setJobTable(next: JobTable | null) {
+  table = next;
+}
@@ -0,0 +1,215 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import { createJob } from "./api/jobs/createJob.js";
+import { listJobs } from "./api/jobs/listJobs.js";
+import { saveManifest, updateManifest } from "./manifest.js";
+
+const STORAGE = "./test-storage-list-jobs";
+
+async function create(tenantId: string, tags?: string[]) {
+  const res = await createJob({
+    headers: { "x-correlation-id": "test-corr" },
+    body: JSON.stringify({ tenantId, tags }),
+  });
+  assert.strictEqual(res.statusCode, 201);
+  // jobSort has millisecond resolution; keep creation order unambiguous
+  await new Promise(r => setTimeout(r, 5));
+  return JSON.parse(res.body).jobId as string;
+}
+
+async function list(query: Record<string, string>) {
+  const res = await listJobs({ queryStringParameters: query });
+  return { statusCode: res.statusCode, body: JSON.parse(res.body) };
+}
+
+describe("listJobs API", () => {
+  const originalEnv = process.env.TALKAVOCADO_ENV;
+  const originalStoragePath = process.env.MEDIA_STORAGE_PATH;
+  const originalStartOnCreate = process.env.START_ON_CREATE;
+  const originalScan = process.env.LIST_JOBS_SCAN_MANIFESTS;
+
+  beforeEach(() => {
+    process.env.TALKAVOCADO_ENV = "test";
+    process.env.MEDIA_STORAGE_PATH = STORAGE;
+    delete process.env.START_ON_CREATE;
+    delete process.env.LIST_JOBS_SCAN_MANIFESTS;
+    fs.rmSync(STORAGE, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(STORAGE, { recursive: true, force: true });
+    process.env.TALKAVOCADO_ENV = originalEnv;
+    for (const [name, value] of [
+      ["MEDIA_STORAGE_PATH", originalStoragePath],
+      ["START_ON_CREATE", originalStartOnCreate],
+      ["LIST_JOBS_SCAN_MANIFESTS", originalScan],
+    ] as const) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  test("returns a tenant's jobs newest first with cursor pagination", async () => {
+    const tenantId = "list-paging";
+    const ids = [];
+    for (let i = 0; i < 5; i++) ids.push(await create(tenantId));
+    await create("list-other-tenant");
+
+    const first = await list({ tenantId, limit: "2" });
+    assert.strictEqual(first.statusCode, 200);
+    assert.deepStrictEqual(
+      first.body.items.map((j: any) => j.jobId),
+      [ids[4], ids[3]]
+    );
+    assert.ok(first.body.nextCursor);
+
+    const second = await list({
+      tenantId,
+      limit: "2",
+      cursor: first.body.nextCursor,
+    });
+    const third = await list({
+      tenantId,
+      limit: "2",
+      cursor: second.body.nextCursor,
+    });
+    assert.deepStrictEqual(
+      second.body.items.map((j: any) => j.jobId),
+      [ids[2], ids[1]]
+    );
+    assert.deepStrictEqual(
+      third.body.items.map((j: any) => j.jobId),
+      [ids[0]]
+    );
+    assert.strictEqual(third.body.nextCursor, undefined);
+  });
+
+  test("filters by status, created range and tags", async () => {
+    const tenantId = "list-filters";
+    const a = await create(tenantId, ["demo", "q1"]);
+    const b = await create(tenantId, ["demo"]);
+    const c = await create(tenantId);
+
+    const tagged = await list({ tenantId, tags: "demo,q1" });
+    assert.deepStrictEqual(
+      tagged.body.items.map((j: any) => j.jobId),
+      [a]
+    );
+
+    const byTag = await list({ tenantId, tags: "demo" });
+    assert.deepStrictEqual(
+      byTag.body.items.map((j: any) => j.jobId),
+      [b, a]
+    );
+
+    const all = await list({ tenantId });
+    const createdOfB = all.body.items.find((j: any) => j.jobId === b).createdAt;
+    const range = await list({
+      tenantId,
+      createdFrom: createdOfB,
+      createdTo: createdOfB,
+    });
+    assert.deepStrictEqual(
+      range.body.items.map((j: any) => j.jobId),
+      [b]
+    );
+
+    const pending = await list({ tenantId, status: "pending" });
+    assert.strictEqual(pending.body.items.length, 3);
+    const failed = await list({ tenantId, status: "failed,cancelled" });
+    assert.strictEqual(failed.body.items.length, 0);
+    assert.ok(c);
+  });
+
+  test("falls back to scanning manifests not in the table", async () => {
+    const tenantId = "list-scan";
+    const jobId = "00000000-0000-0000-0000-000000000006";
+    const createdAt = "2024-01-01T00:00:00.000Z";
+    saveManifest("test", tenantId, jobId, {
+      schemaVersion: "1.1.0",
+      env: "test",
+      tenantId,
+      jobId,
+      status: "completed",
+      createdAt,
+      updatedAt: createdAt,
+      metadata: { tags: ["legacy"] },
+    });
+
+    const res = await list({ tenantId, tags: "legacy" });
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepStrictEqual(res.body.items, [
+      {
+        jobId,
+        tenantId,
+        status: "completed",
+        createdAt,
+        updatedAt: createdAt,
+        manifestKey: `test/${tenantId}/${jobId}/manifest.json`,
+        tags: ["legacy"],
+      },
+    ]);
+  });
+
+  test("answers from table rows kept current by manifest updates", async () => {
+    const tenantId = "list-table";
+    const jobId = await create(tenantId);
+    await updateManifest("test", tenantId, jobId, m => {
+      m.status = "completed";
+      m.metadata = { ...m.metadata, tags: ["done"] };
+    });
+    const completed = await list({ tenantId, status: "completed" });
+    assert.deepStrictEqual(
+      completed.body.items.map((j: any) => [j.jobId, j.status, j.tags]),
+      [[jobId, "completed", ["done"]]]
+    );
+
+    // With rows present, manifests without one are not scanned per request
+    const legacyId = "00000000-0000-0000-0000-000000000007";
+    const createdAt = "2024-01-01T00:00:00.000Z";
+    saveManifest("test", tenantId, legacyId, {
+      schemaVersion: "1.1.0",
+      env: "test",
+      tenantId,
+      jobId: legacyId,
+      status: "completed",
+      createdAt,
+      updatedAt: createdAt,
+    });
+    const ids = async () =>
+      (await list({ tenantId })).body.items.map((j: any) => j.jobId);
+    assert.deepStrictEqual(await ids(), [jobId]);
+    process.env.LIST_JOBS_SCAN_MANIFESTS = "true";
+    assert.deepStrictEqual(await ids(), [jobId, legacyId]);
+  });
+
+  test("rejects invalid parameters and foreign cursors", async () => {
+    assert.strictEqual((await list({})).statusCode, 400);
+    const tenantId = "list-invalid";
+    assert.strictEqual(
+      (await list({ tenantId, status: "done" })).statusCode,
+      400
+    );
+    assert.strictEqual(
+      (await list({ tenantId, createdFrom: "yesterday" })).statusCode,
+      400
+    );
+    assert.strictEqual((await list({ tenantId, limit: "0" })).statusCode, 400);
+    assert.strictEqual(
+      (await list({ tenantId, cursor: "not-a-cursor" })).statusCode,
+      400
+    );
+
+    await create(tenantId);
+    await create(tenantId);
+    const page = await list({ tenantId, limit: "1" });
+    const reused = await list({
+      tenantId,
+      limit: "1",
+      status: "pending",
+      cursor: page.body.nextCursor,
+    });
+    assert.strictEqual(reused.statusCode, 400);
+  });
+});
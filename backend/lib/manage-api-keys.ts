@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+// Issue, list, rotate and revoke tenant API keys.
+//
+//   node dist/manage-api-keys.js create --tenant <id> --scope jobs:read [--scope jobs:write] [--name <label>] [--expires <iso>]
+//   node dist/manage-api-keys.js list --tenant <id>
+//   node dist/manage-api-keys.js rotate --id <keyId> [--grace-seconds <n>]
+//   node dist/manage-api-keys.js revoke --id <keyId>
+//
+// New keys are printed once; only their hash is stored.
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+import {
+  AUTH_SCOPES,
+  createApiKey,
+  getApiKeyStore,
+  isAuthScope,
+  revokeApiKey,
+  rotateApiKey,
+} from "./auth.js";
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      tenant: { type: "string" },
+      scope: { type: "string", multiple: true },
+      name: { type: "string" },
+      expires: { type: "string" },
+      id: { type: "string" },
+      "grace-seconds": { type: "string", default: "0" },
+    },
+  });
+  const command = positionals[0];
+
+  if (command === "create") {
+    const scopes = values.scope ?? [];
+    if (!values.tenant || !scopes.length || !scopes.every(isAuthScope)) {
+      throw new Error(
+        `create needs --tenant and one or more --scope (${AUTH_SCOPES.join(", ")})`
+      );
+    }
+    const { key, record } = await createApiKey({
+      tenantId: values.tenant,
+      scopes,
+      name: values.name,
+      expiresAt: values.expires && new Date(values.expires).toISOString(),
+    });
+    console.log(`id=${record.id} tenant=${record.tenantId} key=${key}`);
+  } else if (command === "list") {
+    if (!values.tenant) throw new Error("list needs --tenant");
+    for (const k of await getApiKeyStore().listByTenant(values.tenant)) {
+      const state = k.revokedAt
+        ? `revoked=${k.revokedAt}`
+        : k.expiresAt
+          ? `expires=${k.expiresAt}`
+          : "active";
+      console.log(
+        `${k.id} scopes=${k.scopes.join(",")} ${state}${k.name ? ` name=${k.name}` : ""}`
+      );
+    }
+  } else if (command === "rotate") {
+    if (!values.id) throw new Error("rotate needs --id");
+    const { key, record } = await rotateApiKey(
+      values.id,
+      Number(values["grace-seconds"])
+    );
+    console.log(`id=${record.id} replaces=${values.id} key=${key}`);
+  } else if (command === "revoke") {
+    if (!values.id) throw new Error("revoke needs --id");
+    const revoked = await revokeApiKey(values.id);
+    console.log(`id=${revoked.id} revoked=${revoked.revokedAt}`);
+  } else {
+    throw new Error("Usage: manage-api-keys <create|list|rotate|revoke> ...");
+  }
+}
+
+if (
+  process.argv[1] &&
+  path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)
+) {
+  main().catch(error => {
+    console.error(error instanceof Error ? error.message : String(error));
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,155 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import path from "node:path";
+import {
+  migrateManifest,
+  listManifestMigrations,
+} from "./manifest-migrations.js";
+import {
+  CURRENT_MANIFEST_SCHEMA_VERSION,
+  MANIFEST_SCHEMA_VERSIONS,
+  ManifestVersionError,
+  inspectManifestVersion,
+} from "./manifest-schema.js";
+import {
+  loadManifest,
+  manifestKey,
+  listManifestRevisions,
+} from "./manifest.js";
+import { migrateAllManifests } from "./migrate-manifests.js";
+import { pathFor } from "./storage.js";
+
+const STORAGE = "./test-storage-migrations";
+const JOB_ID = "00000000-0000-0000-0000-000000000004";
+
+function legacyManifest(extra: Record<string, unknown> = {}) {
+  const now = new Date().toISOString();
+  return {
+    schemaVersion: "1.0.0",
+    env: "test",
+    tenantId: "test-tenant",
+    jobId: JOB_ID,
+    status: "processing",
+    createdAt: now,
+    updatedAt: now,
+    renders: [
+      {
+        key: "test/test-tenant/job/renders/base_cuts.mp4",
+        type: "preview",
+        codec: "h264",
+        fps: "30000/1001",
+      },
+    ],
+    ...extra,
+  };
+}
+
+function writeRaw(doc: unknown) {
+  const p = pathFor(manifestKey("test", "test-tenant", JOB_ID));
+  fs.mkdirSync(path.dirname(p), { recursive: true });
+  fs.writeFileSync(p, JSON.stringify(doc, null, 2));
+  return p;
+}
+
+describe("Manifest schema versioning", () => {
+  const originalEnv = process.env.TALKAVOCADO_ENV;
+  const originalStoragePath = process.env.MEDIA_STORAGE_PATH;
+
+  beforeEach(() => {
+    process.env.TALKAVOCADO_ENV = "test";
+    process.env.MEDIA_STORAGE_PATH = STORAGE;
+  });
+
+  afterEach(() => {
+    fs.rmSync(STORAGE, { recursive: true, force: true });
+    process.env.TALKAVOCADO_ENV = originalEnv;
+    if (originalStoragePath === undefined) {
+      delete process.env.MEDIA_STORAGE_PATH;
+    } else {
+      process.env.MEDIA_STORAGE_PATH = originalStoragePath;
+    }
+  });
+
+  test("every non-current version has a registered migration", () => {
+    const froms = listManifestMigrations().map(m => m.from);
+    assert.deepStrictEqual(froms, MANIFEST_SCHEMA_VERSIONS.slice(0, -1));
+  });
+
+  test("migrateManifest upgrades 1.0.0 without touching the input", () => {
+    const legacy = legacyManifest();
+    const result = migrateManifest(legacy);
+    assert.strictEqual(result.fromVersion, "1.0.0");
+    assert.strictEqual(result.manifest.schemaVersion, "1.1.0");
+    assert.deepStrictEqual(result.applied, ["1.0.0->1.1.0"]);
+    assert.strictEqual(result.manifest.renders[0].fps, 29.97);
+    assert.strictEqual(legacy.schemaVersion, "1.0.0");
+  });
+
+  test("migrateManifest rejects versions newer than current", () => {
+    assert.throws(
+      () => migrateManifest({ ...legacyManifest(), schemaVersion: "2.0.0" }),
+      (err: unknown) =>
+        err instanceof ManifestVersionError && /newer/.test(err.message)
+    );
+    assert.throws(
+      () => migrateManifest({ ...legacyManifest(), schemaVersion: "0.9.0" }),
+      ManifestVersionError
+    );
+  });
+
+  test("inspectManifestVersion reports claimed vs satisfied versions", () => {
+    // Claims 1.0.0 but uses an info log, which only 1.1.0 allows
+    const report = inspectManifestVersion(
+      legacyManifest({
+        renders: [],
+        logs: [{ type: "info", message: "render done" }],
+      })
+    );
+    assert.strictEqual(report.claimed, "1.0.0");
+    assert.strictEqual(report.claimedValid, false);
+    assert.deepStrictEqual(report.satisfies, ["1.1.0"]);
+    assert.ok(report.errors["1.0.0"]);
+  });
+
+  test("loadManifest upgrades older manifests in memory", () => {
+    const p = writeRaw(legacyManifest());
+    const loaded = loadManifest("test", "test-tenant", JOB_ID);
+    assert.strictEqual(loaded.schemaVersion, CURRENT_MANIFEST_SCHEMA_VERSION);
+    assert.strictEqual(loaded.renders?.[0].fps, 29.97);
+    assert.strictEqual(
+      JSON.parse(fs.readFileSync(p, "utf-8")).schemaVersion,
+      "1.0.0"
+    );
+  });
+
+  test("migrateAllManifests rewrites in place and keeps history", () => {
+    const p = writeRaw({ ...legacyManifest(), revision: 3 });
+
+    const dry = migrateAllManifests({ dryRun: true });
+    assert.strictEqual(dry.length, 1);
+    assert.strictEqual(dry[0].status, "would-migrate");
+    assert.strictEqual(JSON.parse(fs.readFileSync(p, "utf-8")).revision, 3);
+
+    const [outcome] = migrateAllManifests();
+    assert.strictEqual(outcome.status, "migrated");
+    assert.deepStrictEqual(outcome.report?.satisfies, ["1.0.0"]);
+    const written = JSON.parse(fs.readFileSync(p, "utf-8"));
+    assert.strictEqual(written.schemaVersion, "1.1.0");
+    assert.strictEqual(written.revision, 4);
+    assert.deepStrictEqual(
+      listManifestRevisions("test", "test-tenant", JOB_ID),
+      [4]
+    );
+
+    const [again] = migrateAllManifests();
+    assert.strictEqual(again.status, "current");
+  });
+
+  test("check mode flags manifests invalid for their claimed version", () => {
+    writeRaw(legacyManifest({ logs: [{ type: "info" }] }));
+    const [outcome] = migrateAllManifests({ check: true });
+    assert.strictEqual(outcome.status, "failed");
+    assert.match(outcome.error || "", /type/);
+  });
+});
@@ -0,0 +1,128 @@
+import {
+  CURRENT_MANIFEST_SCHEMA_VERSION,
+  ManifestVersionError,
+  compareSchemaVersions,
+  isKnownManifestSchemaVersion,
+} from "./manifest-schema.js";
+
+type ManifestDocument = Record<string, any>;
+
+export interface ManifestMigration {
+  from: string;
+  to: string;
+  description: string;
+  /** Mutate the document in place or return a replacement */
+  migrate(doc: ManifestDocument): ManifestDocument | void;
+}
+
+export interface ManifestMigrationResult {
+  manifest: ManifestDocument;
+  fromVersion: string;
+  toVersion: string;
+  /** "from->to" for each migration applied, in order */
+  applied: string[];
+}
+
+const migrations = new Map<string, ManifestMigration>();
+
+/**
+ * Register the upgrade step out of `from`. Each version has at most one
+ * outgoing migration, so the path to the current version is unambiguous.
+ */
+export function registerManifestMigration(migration: ManifestMigration) {
+  if (migrations.has(migration.from)) {
+    throw new Error(
+      `A manifest migration from ${migration.from} is already registered`
+    );
+  }
+  if (compareSchemaVersions(migration.to, migration.from) <= 0) {
+    throw new Error(
+      `Manifest migration ${migration.from}->${migration.to} must move to a newer version`
+    );
+  }
+  migrations.set(migration.from, migration);
+}
+
+export function listManifestMigrations(): ManifestMigration[] {
+  return [...migrations.values()].sort((a, b) =>
+    compareSchemaVersions(a.from, b.from)
+  );
+}
+
+/**
+ * Upgrade a parsed manifest to the current schema version. The input is
+ * not modified. Manifests written by a newer release are rejected rather
+ * than downgraded.
+ */
+export function migrateManifest(
+  doc: ManifestDocument
+): ManifestMigrationResult {
+  // Manifests predating schemaVersion were written against 1.0.0
+  const fromVersion: string = doc.schemaVersion ?? "1.0.0";
+  const target = CURRENT_MANIFEST_SCHEMA_VERSION;
+
+  if (
+    !isKnownManifestSchemaVersion(fromVersion) &&
+    !migrations.has(fromVersion)
+  ) {
+    if (compareSchemaVersions(fromVersion, target) > 0) {
+      throw new ManifestVersionError(
+        `Manifest schemaVersion ${fromVersion} is newer than supported version ${target}`,
+        fromVersion
+      );
+    }
+    throw new ManifestVersionError(
+      `Unknown manifest schemaVersion: ${fromVersion}`,
+      fromVersion
+    );
+  }
+
+  let manifest: ManifestDocument = structuredClone(doc);
+  const applied: string[] = [];
+  let version = fromVersion;
+
+  while (version !== target) {
+    const migration = migrations.get(version);
+    if (!migration) {
+      throw new ManifestVersionError(
+        `No migration registered from manifest schemaVersion ${version} to ${target}`,
+        version
+      );
+    }
+    manifest = migration.migrate(manifest) || manifest;
+    manifest.schemaVersion = migration.to;
+    applied.push(`${migration.from}->${migration.to}`);
+    version = migration.to;
+  }
+
+  return { manifest, fromVersion, toVersion: target, applied };
+}
+
+/**
+ * ffprobe-style rates ("30/1") to a number; anything else is dropped
+ */
+function numericFps(value: unknown): number | undefined {
+  if (typeof value === "number") return value > 0 ? value : undefined;
+  if (typeof value !== "string") return undefined;
+  const [num, den = "1"] = value.split("/");
+  const fps = Number(num) / Number(den);
+  return Number.isFinite(fps) && fps > 0
+    ? Math.round(fps * 1000) / 1000
+    : undefined;
+}
+
+registerManifestMigration({
+  from: "1.0.0",
+  to: "1.1.0",
+  description:
+    "Adds render fps, log message/details/errorType, info/warn log types, metadata.failedAt/failureReason and extra.*; normalizes render fps to a number",
+  migrate(doc) {
+    for (const render of Array.isArray(doc.renders) ? doc.renders : []) {
+      if (render && "fps" in render) {
+        const fps = numericFps(render.fps);
+        if (fps === undefined) delete render.fps;
+        else render.fps = fps;
+      }
+    }
+  },
+});
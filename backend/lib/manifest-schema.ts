@@ -0,0 +1,171 @@
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import Ajv, { ValidateFunction } from "ajv";
+import addFormats from "ajv-formats";
+import type { ManifestSchemaVersion } from "./types.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Manifest schema versions, oldest first; the last entry is current.
+ * Per ADR-003, minor/patch versions only add optional fields. A major
+ * version must ship with a migration (see manifest-migrations.ts).
+ */
+export const MANIFEST_SCHEMA_VERSIONS: readonly ManifestSchemaVersion[] = [
+  "1.0.0",
+  "1.1.0",
+];
+
+export const CURRENT_MANIFEST_SCHEMA_VERSION: ManifestSchemaVersion =
+  MANIFEST_SCHEMA_VERSIONS[MANIFEST_SCHEMA_VERSIONS.length - 1];
+
+/**
+ * Thrown for manifests whose schemaVersion this release cannot handle
+ */
+export class ManifestVersionError extends Error {
+  readonly version: string | undefined;
+
+  constructor(message: string, version: string | undefined) {
+    super(message);
+    this.name = "ManifestVersionError";
+    this.version = version;
+  }
+}
+
+export function isKnownManifestSchemaVersion(
+  version: unknown
+): version is ManifestSchemaVersion {
+  return MANIFEST_SCHEMA_VERSIONS.includes(version as ManifestSchemaVersion);
+}
+
+/**
+ * Compare two "major.minor.patch" strings; negative when a < b
+ */
+export function compareSchemaVersions(a: string, b: string) {
+  const pa = a.split(".").map(Number);
+  const pb = b.split(".").map(Number);
+  for (let i = 0; i < 3; i++) {
+    const diff = (pa[i] || 0) - (pb[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+let schemasDir = "";
+
+/**
+ * docs/schemas, which also holds the job API contract (api-contract.ts)
+ */
+export function resolveSchemasDir() {
+  if (schemasDir) return schemasDir;
+  // Try multiple possible paths for the schema directory
+  const candidates = [
+    path.resolve(process.cwd(), "docs/schemas"),
+    path.resolve(process.cwd(), "../docs/schemas"),
+    path.resolve(__dirname, "../../docs/schemas"),
+  ];
+  const found = candidates.find(dir =>
+    fs.existsSync(path.join(dir, "manifest.schema.json"))
+  );
+  if (!found) {
+    throw new Error(
+      `Manifest schema not found. Tried: ${candidates
+        .map(dir => path.join(dir, "manifest.schema.json"))
+        .join(", ")}`
+    );
+  }
+  schemasDir = found;
+  return found;
+}
+
+/**
+ * The current version lives at docs/schemas/manifest.schema.json; earlier
+ * versions are frozen under docs/schemas/manifest-versions/.
+ */
+export function manifestSchemaPath(version: ManifestSchemaVersion) {
+  const dir = resolveSchemasDir();
+  if (version === CURRENT_MANIFEST_SCHEMA_VERSION) {
+    return path.join(dir, "manifest.schema.json");
+  }
+  return path.join(dir, "manifest-versions", `manifest-${version}.schema.json`);
+}
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+addFormats(ajv);
+const validators = new Map<ManifestSchemaVersion, ValidateFunction>();
+
+export function getManifestValidator(
+  version: ManifestSchemaVersion = CURRENT_MANIFEST_SCHEMA_VERSION
+): ValidateFunction {
+  let validate = validators.get(version);
+  if (!validate) {
+    const schema = JSON.parse(
+      fs.readFileSync(manifestSchemaPath(version), "utf-8")
+    );
+    // Versioned schemas share a $schema but not an $id, so compile each once
+    validate = ajv.compile(schema);
+    validators.set(version, validate);
+  }
+  return validate;
+}
+
+/**
+ * Validate a manifest against one schema version. Returns the Ajv error
+ * text, or null when valid.
+ */
+export function manifestSchemaErrors(
+  doc: unknown,
+  version: ManifestSchemaVersion = CURRENT_MANIFEST_SCHEMA_VERSION
+): string | null {
+  const validate = getManifestValidator(version);
+  return validate(doc) ? null : ajv.errorsText(validate.errors || []);
+}
+
+export interface ManifestVersionReport {
+  /** schemaVersion written in the document */
+  claimed: string | undefined;
+  /** Versions whose shape the document satisfies, oldest first */
+  satisfies: ManifestSchemaVersion[];
+  /** Whether the document is valid for the version it claims */
+  claimedValid: boolean;
+  /** Validation errors keyed by version, for versions it does not satisfy */
+  errors: Partial<Record<ManifestSchemaVersion, string>>;
+}
+
+/**
+ * Check a manifest against every known schema version. The schemaVersion
+ * pin is ignored so the report shows which shapes the document actually
+ * fits, independent of the version it claims.
+ */
+export function inspectManifestVersion(doc: unknown): ManifestVersionReport {
+  const obj = (doc && typeof doc === "object" ? doc : {}) as Record<
+    string,
+    unknown
+  >;
+  const claimed =
+    typeof obj.schemaVersion === "string" ? obj.schemaVersion : undefined;
+  const report: ManifestVersionReport = {
+    claimed,
+    satisfies: [],
+    claimedValid: false,
+    errors: {},
+  };
+
+  for (const version of MANIFEST_SCHEMA_VERSIONS) {
+    const errors = manifestSchemaErrors(
+      { ...obj, schemaVersion: version },
+      version
+    );
+    if (errors) {
+      report.errors[version] = errors;
+    } else {
+      report.satisfies.push(version);
+    }
+  }
+  report.claimedValid =
+    claimed !== undefined &&
+    report.satisfies.includes(claimed as ManifestSchemaVersion);
+  return report;
+}
@@ -2,7 +2,15 @@ import { test, describe, beforeEach, afterEach } from "node:test";
 import assert from "node:assert";
 import fs from "node:fs";
 import path from "node:path";
-import { manifestKey, loadManifest, saveManifest } from "./manifest.js";
+import {
+  manifestKey,
+  loadManifest,
+  saveManifest,
+  updateManifest,
+  listManifestRevisions,
+  loadManifestRevision,
+  ManifestConflictError,
+} from "./manifest.js";
 import { Manifest } from "./types.js";
 
 describe("Manifest utilities", () => {
@@ -210,4 +218,114 @@ describe("Manifest utilities", () => {
     assert.strictEqual(loaded.logs?.length, 1);
     assert.strictEqual(loaded.metadata?.tags?.length, 2);
   });
+
+  describe("revisions", () => {
+    const jobId = "00000000-0000-0000-0000-000000000001";
+    const newManifest = (): Manifest => ({
+      schemaVersion: "1.0.0",
+      env: "test",
+      tenantId: "test-tenant",
+      jobId,
+      status: "pending",
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    });
+
+    test("saveManifest() increments revision and records it on the object", () => {
+      const m = newManifest();
+      saveManifest("test", "test-tenant", jobId, m);
+      assert.strictEqual(m.revision, 1);
+
+      m.status = "processing";
+      saveManifest("test", "test-tenant", jobId, m);
+      assert.strictEqual(m.revision, 2);
+      assert.strictEqual(
+        loadManifest("test", "test-tenant", jobId).revision,
+        2
+      );
+    });
+
+    test("saveManifest() rejects writes based on a stale revision", () => {
+      saveManifest("test", "test-tenant", jobId, newManifest());
+
+      const a = loadManifest("test", "test-tenant", jobId);
+      const b = loadManifest("test", "test-tenant", jobId);
+      a.status = "failed";
+      saveManifest("test", "test-tenant", jobId, a);
+
+      b.status = "completed";
+      assert.throws(
+        () => saveManifest("test", "test-tenant", jobId, b),
+        (error: unknown) =>
+          error instanceof ManifestConflictError &&
+          error.expectedRevision === 1 &&
+          error.actualRevision === 2
+      );
+      assert.strictEqual(
+        loadManifest("test", "test-tenant", jobId).status,
+        "failed"
+      );
+    });
+
+    test("updateManifest() retries so concurrent updates are not lost", async () => {
+      saveManifest("test", "test-tenant", jobId, newManifest());
+
+      let interleaved = false;
+      await updateManifest("test", "test-tenant", jobId, m => {
+        // Simulate another step writing between our load and save
+        if (!interleaved) {
+          interleaved = true;
+          const other = loadManifest("test", "test-tenant", jobId);
+          other.metadata = { tags: ["from-other-step"] };
+          saveManifest("test", "test-tenant", jobId, other);
+        }
+        m.status = "failed";
+      });
+
+      const final = loadManifest("test", "test-tenant", jobId);
+      assert.strictEqual(final.status, "failed");
+      assert.deepStrictEqual(final.metadata?.tags, ["from-other-step"]);
+      assert.strictEqual(final.revision, 3);
+    });
+
+    test("prior revisions are retained and loadable", async () => {
+      saveManifest("test", "test-tenant", jobId, newManifest());
+      await updateManifest("test", "test-tenant", jobId, m => {
+        m.status = "processing";
+      });
+      await updateManifest("test", "test-tenant", jobId, m => {
+        m.status = "completed";
+      });
+
+      assert.deepStrictEqual(
+        listManifestRevisions("test", "test-tenant", jobId),
+        [1, 2, 3]
+      );
+      const statuses = [1, 2, 3].map(
+        rev => loadManifestRevision("test", "test-tenant", jobId, rev).status
+      );
+      assert.deepStrictEqual(statuses, ["pending", "processing", "completed"]);
+    });
+
+    test("MANIFEST_REVISION_RETENTION prunes the oldest revisions", async () => {
+      const original = process.env.MANIFEST_REVISION_RETENTION;
+      process.env.MANIFEST_REVISION_RETENTION = "2";
+      try {
+        saveManifest("test", "test-tenant", jobId, newManifest());
+        for (let i = 0; i < 3; i++) {
+          await updateManifest("test", "test-tenant", jobId, () => {});
+        }
+        assert.deepStrictEqual(
+          listManifestRevisions("test", "test-tenant", jobId),
+          [3, 4]
+        );
+      } finally {
+        if (original === undefined) {
+          delete process.env.MANIFEST_REVISION_RETENTION;
+        } else {
+          process.env.MANIFEST_REVISION_RETENTION = original;
+        }
+      }
+    });
+  });
 });
@@ -1,38 +1,20 @@
 import fs from "node:fs";
-import Ajv from "ajv";
-import addFormats from "ajv-formats";
 import path from "node:path";
-import { fileURLToPath } from "node:url";
 import { Manifest } from "./types.js";
 import { keyFor, pathFor, ensureDirForFile, storageRoot } from "./storage.js";
+import { RetryPolicy } from "./retry-policy.js";
+import { withFileLock, writeFileAtomic } from "./file-lock.js";
+import {
+  getManifestValidator,
+  manifestSchemaErrors,
+} from "./manifest-schema.js";
+import { migrateManifest } from "./manifest-migrations.js";
+import { manifestTransitionEvents, publishJobEvent } from "./job-events.js";
+import { notifyWebhooks, webhookEventForTransition } from "./webhooks.js";
+import { syncJobRow } from "./job-table.js";
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Try multiple possible paths for the schema
-const possiblePaths = [
-  path.resolve(process.cwd(), "docs/schemas/manifest.schema.json"),
-  path.resolve(process.cwd(), "../docs/schemas/manifest.schema.json"),
-  path.resolve(__dirname, "../../docs/schemas/manifest.schema.json"),
-];
-
-let schemaPath = "";
-for (const p of possiblePaths) {
-  if (fs.existsSync(p)) {
-    schemaPath = p;
-    break;
-  }
-}
-
-if (!schemaPath) {
-  throw new Error(
-    `Manifest schema not found. Tried: ${possiblePaths.join(", ")}`
-  );
-}
-const schema = JSON.parse(fs.readFileSync(schemaPath, "utf-8"));
-const ajv = new Ajv({ allErrors: true, strict: false });
-addFormats(ajv);
-const validate = ajv.compile<Manifest>(schema);
+// Compile the current schema up front so a missing schema fails at import
+getManifestValidator();
 
 export function manifestKey(env: string, tenantId: string, jobId: string) {
   return keyFor(env, tenantId, jobId, "manifest.json");
@@ -68,14 +50,15 @@ export function loadManifest(
     // Trim whitespace (shouldn't be necessary but helps)
     content = content.trim();
 
-    // Parse JSON
-    const obj = JSON.parse(content);
+    // Parse JSON and upgrade older schema versions in memory; the next
+    // save persists the upgrade
+    const obj = migrateManifest(JSON.parse(content)).manifest;
 
-    if (!validate(obj)) {
-      const msg = ajv.errorsText(validate.errors || []);
-      throw new Error("Invalid manifest: " + msg);
+    const errors = manifestSchemaErrors(obj);
+    if (errors) {
+      throw new Error("Invalid manifest: " + errors);
     }
-    return obj;
+    return obj as Manifest;
   } catch (error) {
     if (error instanceof Error && error.message.includes("not found")) {
       throw error; // Re-throw our custom error
@@ -100,19 +83,207 @@ export function loadManifest(
   }
 }
 
+/**
+ * Thrown when a manifest write is based on a stale revision
+ */
+export class ManifestConflictError extends Error {
+  readonly isRetryable = true;
+  readonly expectedRevision: number;
+  readonly actualRevision: number;
+
+  constructor(jobId: string, expectedRevision: number, actualRevision: number) {
+    super(
+      `Manifest conflict for job ${jobId}: expected revision ${expectedRevision}, found ${actualRevision}`
+    );
+    this.name = "ManifestConflictError";
+    this.expectedRevision = expectedRevision;
+    this.actualRevision = actualRevision;
+  }
+}
+
+export function manifestRevisionKey(
+  env: string,
+  tenantId: string,
+  jobId: string,
+  revision: number
+) {
+  return keyFor(
+    env,
+    tenantId,
+    jobId,
+    "manifest-history",
+    `${String(revision).padStart(6, "0")}.json`
+  );
+}
+
+function revisionRetention() {
+  // 0 keeps every revision
+  const n = Number(process.env.MANIFEST_REVISION_RETENTION ?? 100);
+  return Number.isFinite(n) && n >= 0 ? n : 100;
+}
+
+function currentRevision(p: string) {
+  if (!fs.existsSync(p)) return 0;
+  try {
+    let content = fs.readFileSync(p, "utf-8");
+    if (content.charCodeAt(0) === 0xfeff) content = content.slice(1);
+    const rev = JSON.parse(content).revision;
+    return Number.isInteger(rev) ? rev : 0;
+  } catch {
+    // Unreadable manifests are overwritten like legacy files without a revision
+    return 0;
+  }
+}
+
+/**
+ * Validate and write a manifest with compare-and-swap on `m.revision`.
+ * A manifest without a revision is written unconditionally (initial create,
+ * legacy callers). Older schema versions are migrated before validation.
+ * On success `m.revision` is set to the new revision and a copy is retained
+ * under manifest-history/.
+ */
 export function saveManifest(
   env: string,
   tenantId: string,
   jobId: string,
   m: Manifest
 ) {
-  const valid = validate(m);
-  if (!valid) {
-    const msg = ajv.errorsText(validate.errors || []);
-    throw new Error("Invalid manifest: " + msg);
+  const expectedRevision = m.revision;
+  const candidate = migrateManifest({
+    ...m,
+    revision: (expectedRevision ?? 0) + 1,
+  }).manifest as Manifest;
+  const errors = manifestSchemaErrors(candidate);
+  if (errors) {
+    throw new Error("Invalid manifest: " + errors);
   }
   const p = pathFor(manifestKey(env, tenantId, jobId));
-  ensureDirForFile(p);
-  fs.writeFileSync(p, JSON.stringify(m, null, 2));
+
+  // Within one process saveManifest is synchronous and cannot interleave;
+  // the lock covers concurrent writers in other processes
+  const revision = withFileLock(p, () => {
+    const actualRevision = currentRevision(p);
+    if (expectedRevision !== undefined && expectedRevision !== actualRevision) {
+      throw new ManifestConflictError(jobId, expectedRevision, actualRevision);
+    }
+    const nextRevision = actualRevision + 1;
+    candidate.revision = nextRevision;
+    const body = JSON.stringify(candidate, null, 2);
+
+    const historyPath = pathFor(
+      manifestRevisionKey(env, tenantId, jobId, nextRevision)
+    );
+    ensureDirForFile(historyPath);
+    fs.writeFileSync(historyPath, body);
+
+    writeFileAtomic(p, body);
+
+    pruneManifestHistory(env, tenantId, jobId, nextRevision);
+    return nextRevision;
+  });
+
+  m.revision = revision;
+  m.schemaVersion = candidate.schemaVersion;
   return p;
 }
+
+function pruneManifestHistory(
+  env: string,
+  tenantId: string,
+  jobId: string,
+  latest: number
+) {
+  const keep = revisionRetention();
+  if (keep === 0) return;
+  for (const rev of listManifestRevisions(env, tenantId, jobId)) {
+    if (rev > latest - keep) break;
+    fs.rmSync(pathFor(manifestRevisionKey(env, tenantId, jobId, rev)), {
+      force: true,
+    });
+  }
+}
+
+/**
+ * Revision numbers retained for a job, oldest first
+ */
+export function listManifestRevisions(
+  env: string,
+  tenantId: string,
+  jobId: string
+): number[] {
+  const dir = path.dirname(
+    pathFor(manifestRevisionKey(env, tenantId, jobId, 0))
+  );
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .map(name => /^(\d+)\.json$/.exec(name))
+    .filter((match): match is RegExpExecArray => match !== null)
+    .map(match => Number(match[1]))
+    .sort((a, b) => a - b);
+}
+
+export function loadManifestRevision(
+  env: string,
+  tenantId: string,
+  jobId: string,
+  revision: number
+): Manifest {
+  const p = pathFor(manifestRevisionKey(env, tenantId, jobId, revision));
+  if (!fs.existsSync(p)) {
+    throw new Error(
+      `Manifest revision ${revision} not found for job ${jobId} (may have been pruned)`
+    );
+  }
+  return JSON.parse(fs.readFileSync(p, "utf-8"));
+}
+
+export interface UpdateManifestOptions {
+  maxAttempts?: number;
+}
+
+/**
+ * Load → mutate → save with retry on revision conflicts.
+ * `fn` may mutate the manifest in place or return a replacement; it is
+ * re-run against a freshly loaded manifest after each conflict, so it must
+ * not depend on state captured from an earlier attempt. Once the save has
+ * committed, outside the retried section, the job's table row is synced and
+ * status and step transitions are published as job events and webhooks.
+ */
+export async function updateManifest(
+  env: string,
+  tenantId: string,
+  jobId: string,
+  fn: (m: Manifest) => Manifest | void | Promise<Manifest | void>,
+  options: UpdateManifestOptions = {}
+): Promise<Manifest> {
+  const policy = new RetryPolicy({
+    maxAttempts: options.maxAttempts ?? 5,
+    baseDelayMs: 20,
+    maxDelayMs: 500,
+    jitterMs: 30,
+  });
+
+  const { before, next } = await policy.execute(async () => {
+    const current = loadManifest(env, tenantId, jobId);
+    const before = structuredClone(current);
+    const next = (await fn(current)) || current;
+    next.revision = current.revision ?? 0;
+    next.updatedAt = new Date().toISOString();
+    saveManifest(env, tenantId, jobId, next);
+    return { before, next };
+  }, `manifest update ${jobId}`);
+
+  await syncJobRow(next);
+  for (const event of manifestTransitionEvents(before, next)) {
+    await publishJobEvent(env, event);
+    const webhookType = webhookEventForTransition(event);
+    if (webhookType) {
+      await notifyWebhooks(tenantId, jobId, webhookType, {
+        ...(event.step ? { step: event.step } : {}),
+        ...event.data,
+      });
+    }
+  }
+  return next;
+}
@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+// Migrate every manifest under a storage root to the current schema version.
+//
+//   node dist/migrate-manifests.js [--root <dir>] [--dry-run] [--check]
+//
+// --check reports claimed vs satisfied schema versions without writing.
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+import { storageRoot } from "./storage.js";
+import { saveManifest } from "./manifest.js";
+import { migrateManifest } from "./manifest-migrations.js";
+import {
+  CURRENT_MANIFEST_SCHEMA_VERSION,
+  inspectManifestVersion,
+  manifestSchemaErrors,
+  ManifestVersionReport,
+} from "./manifest-schema.js";
+import { Manifest } from "./types.js";
+
+export interface ManifestMigrationOutcome {
+  env: string;
+  tenantId: string;
+  jobId: string;
+  status: "current" | "migrated" | "would-migrate" | "failed";
+  fromVersion?: string;
+  applied: string[];
+  report?: ManifestVersionReport;
+  error?: string;
+}
+
+export interface MigrateAllOptions {
+  dryRun?: boolean;
+  /** Only inspect; never writes */
+  check?: boolean;
+}
+
+/**
+ * Manifests live at {env}/{tenantId}/{jobId}/manifest.json under the root
+ */
+function findManifests(root: string) {
+  const found: {
+    env: string;
+    tenantId: string;
+    jobId: string;
+    file: string;
+  }[] = [];
+  const dirs = (p: string) =>
+    fs.existsSync(p)
+      ? fs
+          .readdirSync(p, { withFileTypes: true })
+          .filter(entry => entry.isDirectory())
+          .map(entry => entry.name)
+          .sort()
+      : [];
+
+  for (const env of dirs(root)) {
+    for (const tenantId of dirs(path.join(root, env))) {
+      for (const jobId of dirs(path.join(root, env, tenantId))) {
+        const file = path.join(root, env, tenantId, jobId, "manifest.json");
+        if (fs.existsSync(file)) found.push({ env, tenantId, jobId, file });
+      }
+    }
+  }
+  return found;
+}
+
+function readJson(file: string) {
+  let content = fs.readFileSync(file, "utf-8");
+  if (content.charCodeAt(0) === 0xfeff) content = content.slice(1);
+  return JSON.parse(content);
+}
+
+/**
+ * Migrate all manifests under the current storage root in place. Each
+ * upgrade is written through saveManifest, so it becomes a new revision
+ * and the pre-migration document stays in manifest-history/.
+ */
+export function migrateAllManifests(
+  options: MigrateAllOptions = {}
+): ManifestMigrationOutcome[] {
+  const outcomes: ManifestMigrationOutcome[] = [];
+
+  for (const { env, tenantId, jobId, file } of findManifests(storageRoot())) {
+    const outcome: ManifestMigrationOutcome = {
+      env,
+      tenantId,
+      jobId,
+      status: "current",
+      applied: [],
+    };
+    outcomes.push(outcome);
+
+    try {
+      const raw = readJson(file);
+      outcome.fromVersion = raw.schemaVersion;
+      outcome.report = inspectManifestVersion(raw);
+      if (options.check) {
+        outcome.status = outcome.report.claimedValid ? "current" : "failed";
+        if (!outcome.report.claimedValid) {
+          outcome.error =
+            outcome.report.errors[
+              raw.schemaVersion as keyof typeof outcome.report.errors
+            ] || `Unknown schemaVersion: ${raw.schemaVersion}`;
+        }
+        continue;
+      }
+
+      const { manifest, applied } = migrateManifest(raw);
+      outcome.applied = applied;
+      const errors = manifestSchemaErrors(manifest);
+      if (errors) {
+        throw new Error(`Invalid after migration: ${errors}`);
+      }
+      if (applied.length === 0) continue;
+
+      if (options.dryRun) {
+        outcome.status = "would-migrate";
+        continue;
+      }
+      // CAS against the revision we read so a concurrent writer wins
+      saveManifest(env, tenantId, jobId, {
+        ...(manifest as Manifest),
+        revision: raw.revision,
+      });
+      outcome.status = "migrated";
+    } catch (error) {
+      outcome.status = "failed";
+      outcome.error = error instanceof Error ? error.message : String(error);
+    }
+  }
+
+  return outcomes;
+}
+
+function main() {
+  const { values } = parseArgs({
+    options: {
+      root: { type: "string" },
+      "dry-run": { type: "boolean", default: false },
+      check: { type: "boolean", default: false },
+    },
+  });
+  if (values.root) {
+    process.env.MEDIA_STORAGE_PATH = path.resolve(values.root);
+  }
+
+  const outcomes = migrateAllManifests({
+    dryRun: values["dry-run"],
+    check: values.check,
+  });
+
+  for (const o of outcomes) {
+    const where = `${o.env}/${o.tenantId}/${o.jobId}`;
+    const satisfies = o.report?.satisfies.join(", ") || "none";
+    const line = `${o.status.padEnd(13)} ${where} claimed=${o.fromVersion ?? "(none)"} satisfies=[${satisfies}]`;
+    const detail = o.applied.length ? ` applied=${o.applied.join(",")}` : "";
+    console.log(line + detail + (o.error ? ` error=${o.error}` : ""));
+  }
+
+  const failed = outcomes.filter(o => o.status === "failed").length;
+  console.log(
+    `${outcomes.length} manifest(s), ${failed} failed, target ${CURRENT_MANIFEST_SCHEMA_VERSION}`
+  );
+  process.exitCode = failed > 0 ? 1 : 0;
+}
+
+if (
+  process.argv[1] &&
+  path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)
+) {
+  main();
+}
@@ -30,10 +30,14 @@ describe("orchestration starter", () => {
       }
     } catch {}
     process.env.TALKAVOCADO_ENV = originalEnv;
-    process.env.MEDIA_STORAGE_PATH = originalStoragePath;
+    if (originalStoragePath === undefined) {
+      delete process.env.MEDIA_STORAGE_PATH;
+    } else {
+      process.env.MEDIA_STORAGE_PATH = originalStoragePath;
+    }
   });
 
-  test("invokes mark-processing and updates manifest to processing", async () => {
+  test("runs the pipeline state machine from mark-processing", async () => {
     const env = "test";
     const tenantId = "tenant-orch";
     const jobId = "11111111-1111-1111-1111-111111111111";
@@ -50,12 +54,39 @@ describe("orchestration starter", () => {
 
     saveManifest(env, tenantId, jobId, manifest);
 
-    await startStateMachine({ tenantId, jobId, correlationId: "corr-test" });
+    const execution = await startStateMachine({
+      tenantId,
+      jobId,
+      correlationId: "corr-test",
+    });
+    assert.ok(execution);
+    const result = await execution.completion;
 
-    // wait a tick for setImmediate callback
-    await new Promise(r => setTimeout(r, 25));
+    // The job has no input media, so audio-extraction fails and the Catch
+    // routes to mark-failed after mark-processing has run
+    const states = result.history.map(h => h.state);
+    assert.deepStrictEqual(states.slice(0, 2), [
+      "mark-processing",
+      "audio-extraction",
+    ]);
+    assert.strictEqual(states[states.length - 1], "mark-failed");
 
     const updated = loadManifest(env, tenantId, jobId);
-    assert.strictEqual(updated.status, "processing");
+    assert.strictEqual(updated.status, "failed");
+    assert.strictEqual(updated.steps?.["audio-extraction"]?.status, "failed");
+  });
+
+  test("does nothing when LOCAL_STATE_MACHINE=off", async () => {
+    process.env.LOCAL_STATE_MACHINE = "off";
+    try {
+      const execution = await startStateMachine({
+        tenantId: "tenant-orch",
+        jobId: "22222222-2222-2222-2222-222222222222",
+        correlationId: "corr-test",
+      });
+      assert.strictEqual(execution, undefined);
+    } finally {
+      delete process.env.LOCAL_STATE_MACHINE;
+    }
   });
 });
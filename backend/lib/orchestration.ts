@@ -1,16 +1,69 @@
-/// <reference path="./ambient-handlers.d.ts" />
 import { LoggingWrapper } from "./logging.js";
+import {
+  AslExecutionResult,
+  executeStateMachine,
+  loadStateMachineDefinition,
+} from "./asl-interpreter.js";
+import { admitJob, releaseJobSlot } from "./quotas.js";
+import { jobOptionsFor } from "./job-options.js";
+import { currentEnv } from "./storage.js";
 
 export interface OrchestrationContext {
   tenantId: string;
   jobId: string;
   correlationId: string;
+  /**
+   * Routes the transitions-choice state to video-transitions; defaults to
+   * the job's `options.applyTransitions`
+   */
+  applyTransitions?: boolean;
+  /** State to start from instead of StartAt (retries) */
+  startAt?: string;
 }
 
-// Lightweight local starter for Phase 1. In dev/local, it kicks off the first step.
+export interface LocalExecution {
+  executionId: string;
+  /** Settles when the state machine reaches a terminal state */
+  completion: Promise<AslExecutionResult>;
+}
+
+/**
+ * Local executions in this process, keyed by jobId
+ */
+const executions = new Map<
+  string,
+  LocalExecution & { controller: AbortController }
+>();
+
+export function getLocalExecution(jobId: string): LocalExecution | undefined {
+  const execution = executions.get(jobId);
+  return (
+    execution && {
+      executionId: execution.executionId,
+      completion: execution.completion,
+    }
+  );
+}
+
+/**
+ * Stop the job's local execution before its next state. The running Task
+ * is not interrupted here; handlers watch the manifest for cancellation.
+ * Returns false when no execution is running in this process.
+ */
+export function stopLocalExecution(jobId: string, reason?: unknown) {
+  const execution = executions.get(jobId);
+  if (!execution) return false;
+  execution.controller.abort(reason);
+  return true;
+}
+
+// In dev/test, runs orchestration/state-machines/pipeline.asl.json in-process
+// through the local ASL interpreter. Set LOCAL_STATE_MACHINE=off to disable.
+// Jobs beyond the tenant's maxConcurrentJobs are queued (resolving to
+// undefined) and started here when a running job finishes.
 export async function startStateMachine(
   context: OrchestrationContext
-): Promise<void> {
+): Promise<LocalExecution | undefined> {
   const logger = new LoggingWrapper("orchestration-starter");
 
   logger.addPersistentAttributes({
@@ -20,28 +73,103 @@ export async function startStateMachine(
     operation: "startStateMachine",
   });
 
-  logger.info("Starting state machine (local stub)");
-
-  // For Phase 1 local mode, invoke the initial step asynchronously
   if (
-    process.env.TALKAVOCADO_ENV === "dev" ||
-    process.env.TALKAVOCADO_ENV === "test"
+    (process.env.TALKAVOCADO_ENV !== "dev" &&
+      process.env.TALKAVOCADO_ENV !== "test") ||
+    process.env.LOCAL_STATE_MACHINE === "off"
   ) {
-    // Do not block the API response
-    setImmediate(async () => {
-      try {
-        const mod = await import("../services/mark-processing/handler.js");
-        await mod.handler({
-          tenantId: context.tenantId,
-          jobId: context.jobId,
-          correlationId: context.correlationId,
+    logger.info("Local state machine disabled; not starting");
+    return undefined;
+  }
+
+  if ((await admitJob(context)) === "queued") {
+    logger.info("Tenant concurrency limit reached; job queued");
+    return undefined;
+  }
+
+  const definition = loadStateMachineDefinition();
+  const executionId = `${context.jobId}-${Date.now()}`;
+  const controller = new AbortController();
+  logger.info("Starting state machine (local interpreter)", {
+    executionId,
+    startAt: context.startAt,
+  });
+
+  const input = {
+    tenantId: context.tenantId,
+    jobId: context.jobId,
+    correlationId: context.correlationId,
+    applyTransitions:
+      context.applyTransitions ??
+      jobOptionsFor(currentEnv(), context.tenantId, context.jobId)
+        .applyTransitions ??
+      false,
+  };
+
+  // Do not block the API response
+  const completion = new Promise<void>(resolve => setImmediate(resolve))
+    .then(() =>
+      executeStateMachine(definition, input, {
+        executionId,
+        logger,
+        signal: controller.signal,
+        startAt: context.startAt,
+      })
+    )
+    .then(result => {
+      if (result.status === "SUCCEEDED") {
+        logger.info("State machine succeeded", { executionId });
+      } else if (result.status === "ABORTED") {
+        logger.warn("State machine aborted", {
+          executionId,
+          cause: result.cause,
         });
-        logger.info("mark-processing invoked successfully");
-      } catch (error: any) {
-        logger.error("Failed to invoke mark-processing", {
-          error: error?.message || String(error),
+      } else {
+        logger.error("State machine failed", {
+          executionId,
+          error: result.error,
+          cause: result.cause,
         });
       }
+      return result;
+    })
+    .catch((error: unknown): AslExecutionResult => {
+      logger.error("State machine crashed", {
+        executionId,
+        error: error instanceof Error ? error.message : String(error),
+      });
+      return {
+        executionId,
+        status: "FAILED",
+        error: "States.Runtime",
+        cause: error instanceof Error ? error.message : String(error),
+        history: [],
+      };
+    })
+    .finally(async () => {
+      if (executions.get(context.jobId)?.executionId === executionId) {
+        executions.delete(context.jobId);
+      }
+      await startQueuedJobs(context.tenantId, context.jobId, logger);
+    });
+
+  executions.set(context.jobId, { executionId, completion, controller });
+  return { executionId, completion };
+}
+
+async function startQueuedJobs(
+  tenantId: string,
+  finishedJobId: string,
+  logger: LoggingWrapper
+) {
+  try {
+    for (const next of await releaseJobSlot(tenantId, finishedJobId)) {
+      logger.info("Starting queued job", { queuedJobId: next.jobId });
+      await startStateMachine(next);
+    }
+  } catch (error) {
+    logger.error("Failed to start queued jobs", {
+      error: error instanceof Error ? error.message : String(error),
     });
   }
 }
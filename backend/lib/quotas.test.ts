@@ -0,0 +1,168 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import { createJob } from "./api/jobs/createJob.js";
+import { getJobTable } from "./job-table.js";
+import { startStateMachine } from "./orchestration.js";
+import {
+  QUOTA_ERROR_TYPES,
+  admitJob,
+  mediaUsage,
+  queuePosition,
+  recordMediaUsage,
+  releaseJobSlot,
+  tenantLimits,
+} from "./quotas.js";
+
+const STORAGE = "./test-storage-quotas";
+
+async function create(tenantId: string) {
+  return createJob({ body: JSON.stringify({ tenantId }) });
+}
+
+async function createId(tenantId: string) {
+  return JSON.parse((await create(tenantId)).body).jobId as string;
+}
+
+describe("tenant quotas", () => {
+  const originalEnv = process.env.TALKAVOCADO_ENV;
+  const originalStoragePath = process.env.MEDIA_STORAGE_PATH;
+  const originalStartOnCreate = process.env.START_ON_CREATE;
+  const originalRate = process.env.TENANT_JOBS_PER_MINUTE;
+  const originalConcurrency = process.env.TENANT_MAX_CONCURRENT_JOBS;
+  const originalMedia = process.env.TENANT_MEDIA_MINUTES_PER_MONTH;
+  const originalLimits = process.env.TENANT_LIMITS;
+
+  beforeEach(() => {
+    process.env.TALKAVOCADO_ENV = "test";
+    process.env.MEDIA_STORAGE_PATH = STORAGE;
+    delete process.env.START_ON_CREATE;
+    delete process.env.TENANT_JOBS_PER_MINUTE;
+    delete process.env.TENANT_MAX_CONCURRENT_JOBS;
+    delete process.env.TENANT_MEDIA_MINUTES_PER_MONTH;
+    delete process.env.TENANT_LIMITS;
+    fs.rmSync(STORAGE, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(STORAGE, { recursive: true, force: true });
+    process.env.TALKAVOCADO_ENV = originalEnv;
+    for (const [name, value] of [
+      ["MEDIA_STORAGE_PATH", originalStoragePath],
+      ["START_ON_CREATE", originalStartOnCreate],
+      ["TENANT_JOBS_PER_MINUTE", originalRate],
+      ["TENANT_MAX_CONCURRENT_JOBS", originalConcurrency],
+      ["TENANT_MEDIA_MINUTES_PER_MONTH", originalMedia],
+      ["TENANT_LIMITS", originalLimits],
+    ] as const) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  test("createJob enforces the per-minute creation rate per tenant", async () => {
+    process.env.TENANT_JOBS_PER_MINUTE = "2";
+    process.env.TENANT_LIMITS = JSON.stringify({
+      "quota-vip": { jobsPerMinute: 3 },
+    });
+    assert.strictEqual(tenantLimits("quota-vip").jobsPerMinute, 3);
+
+    assert.strictEqual((await create("quota-rate")).statusCode, 201);
+    assert.strictEqual((await create("quota-rate")).statusCode, 201);
+    const limited = await create("quota-rate");
+    assert.strictEqual(limited.statusCode, 429);
+    const retryAfter = Number(limited.headers?.["Retry-After"]);
+    assert.ok(retryAfter >= 1 && retryAfter <= 60);
+    assert.strictEqual(JSON.parse(limited.body).retryAfterSeconds, retryAfter);
+
+    // Other tenants have their own budget
+    for (let i = 0; i < 3; i++) {
+      assert.strictEqual((await create("quota-vip")).statusCode, 201);
+    }
+    assert.strictEqual((await create("quota-vip")).statusCode, 429);
+  });
+
+  test("createJob rejects tenants over their monthly media minutes", async () => {
+    process.env.TENANT_MEDIA_MINUTES_PER_MONTH = "10";
+    recordMediaUsage("quota-media", "job-a", 300);
+    recordMediaUsage("quota-media", "job-a", 300);
+    assert.strictEqual(mediaUsage("quota-media").mediaSeconds, 300);
+    assert.strictEqual((await create("quota-media")).statusCode, 201);
+
+    recordMediaUsage("quota-media", "job-b", 300);
+    const res = await create("quota-media");
+    assert.strictEqual(res.statusCode, 429);
+    const body = JSON.parse(res.body);
+    assert.strictEqual(body.limit, 10);
+    assert.strictEqual(body.usedMinutes, 10);
+    // Retry once the next UTC month starts
+    const now = new Date();
+    const nextMonth = Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1);
+    assert.ok(
+      Math.abs(body.retryAfterSeconds - (nextMonth - Date.now()) / 1000) < 5
+    );
+
+    // Last month's usage does not count
+    recordMediaUsage(
+      "quota-media-old",
+      "job-c",
+      6000,
+      new Date(Date.UTC(2020, 0, 15))
+    );
+    assert.strictEqual((await create("quota-media-old")).statusCode, 201);
+  });
+
+  test("jobs beyond the concurrency cap queue and start in order", async () => {
+    process.env.TENANT_MAX_CONCURRENT_JOBS = "1";
+    const tenantId = "quota-concurrency";
+    const [a, b, c] = [
+      await createId(tenantId),
+      await createId(tenantId),
+      await createId(tenantId),
+    ];
+    const start = (jobId: string) =>
+      admitJob({ tenantId, jobId, correlationId: "test" });
+
+    assert.strictEqual(await start(a), "start");
+    assert.strictEqual(await start(b), "queued");
+    assert.strictEqual(await start(c), "queued");
+    assert.strictEqual(queuePosition(tenantId, c), 2);
+    // Re-admitting the running job (a retry) keeps its slot
+    assert.strictEqual(await start(a), "start");
+
+    // b was cancelled while waiting, so c takes the freed slot
+    const table = getJobTable();
+    const itemB = await table.getJobByJobId(tenantId, b);
+    await table.updateItem(tenantId, itemB!.jobSort, { status: "cancelled" });
+    const next = await releaseJobSlot(tenantId, a);
+    assert.deepStrictEqual(
+      next.map(q => q.jobId),
+      [c]
+    );
+    assert.strictEqual(queuePosition(tenantId, c), null);
+
+    // A slot left by a job that finished without releasing is reclaimed
+    const itemC = await table.getJobByJobId(tenantId, c);
+    await table.updateItem(tenantId, itemC!.jobSort, { status: "failed" });
+    assert.strictEqual(await start(b), "start");
+  });
+
+  test("the orchestrator queues instead of starting over the cap", async () => {
+    process.env.TENANT_MAX_CONCURRENT_JOBS = "1";
+    const tenantId = "quota-orchestrator";
+    const running = await createId(tenantId);
+    const waiting = await createId(tenantId);
+    assert.strictEqual(
+      await admitJob({ tenantId, jobId: running, correlationId: "test" }),
+      "start"
+    );
+
+    const execution = await startStateMachine({
+      tenantId,
+      jobId: waiting,
+      correlationId: "test",
+    });
+    assert.strictEqual(execution, undefined);
+    assert.strictEqual(queuePosition(tenantId, waiting), 1);
+  });
+});
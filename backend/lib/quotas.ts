@@ -0,0 +1,287 @@
+// backend/lib/quotas.ts
+import fs from "node:fs";
+import path from "node:path";
+import { currentEnv, storageRoot } from "./storage.js";
+import { withFileLock, writeFileAtomic } from "./file-lock.js";
+import { getJobTable } from "./job-table.js";
+
+const RATE_WINDOW_MS = 60_000;
+const TERMINAL_STATUSES = ["completed", "failed", "cancelled"];
+
+/**
+ * Per-tenant limits; 0 means unlimited
+ */
+export interface TenantLimits {
+  /** Jobs created in any rolling minute */
+  jobsPerMinute: number;
+  /** Jobs running at once; later starts wait in the tenant's queue */
+  maxConcurrentJobs: number;
+  /** Media minutes completed per calendar month (UTC) */
+  mediaMinutesPerMonth: number;
+}
+
+export const QUOTA_ERROR_TYPES = {
+  RATE_LIMITED: "RATE_LIMITED",
+  MEDIA_QUOTA_EXCEEDED: "MEDIA_QUOTA_EXCEEDED",
+} as const;
+
+export class QuotaError extends Error {
+  type: string;
+  details: { limit: number; retryAfterSeconds: number } & Record<
+    string,
+    unknown
+  >;
+
+  constructor(message: string, type: string, details: QuotaError["details"]) {
+    super(message);
+    this.name = "QuotaError";
+    this.type = type;
+    this.details = details;
+  }
+}
+
+function limitFromEnv(name: string) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : 0;
+}
+
+/**
+ * Defaults come from TENANT_JOBS_PER_MINUTE, TENANT_MAX_CONCURRENT_JOBS and
+ * TENANT_MEDIA_MINUTES_PER_MONTH; TENANT_LIMITS holds per-tenant overrides
+ * as JSON, e.g. `{"acme":{"maxConcurrentJobs":5}}`.
+ */
+export function tenantLimits(tenantId: string): TenantLimits {
+  const defaults: TenantLimits = {
+    jobsPerMinute: limitFromEnv("TENANT_JOBS_PER_MINUTE"),
+    maxConcurrentJobs: limitFromEnv("TENANT_MAX_CONCURRENT_JOBS"),
+    mediaMinutesPerMonth: limitFromEnv("TENANT_MEDIA_MINUTES_PER_MONTH"),
+  };
+  let overrides: Record<string, Partial<TenantLimits>> = {};
+  try {
+    overrides = JSON.parse(process.env.TENANT_LIMITS || "{}");
+  } catch {
+    throw new Error("TENANT_LIMITS must be a JSON object keyed by tenantId");
+  }
+  return { ...defaults, ...overrides[tenantId] };
+}
+
+function tablePath(table: string, tenantId: string) {
+  return path.join(
+    storageRoot(),
+    currentEnv(),
+    "_tables",
+    table,
+    `${tenantId}.json`
+  );
+}
+
+function readTable<T>(p: string, empty: T): T {
+  if (!fs.existsSync(p)) return empty;
+  return JSON.parse(fs.readFileSync(p, "utf-8"));
+}
+
+/** Usage period for `at`, e.g. "2026-10" */
+export function usagePeriod(at = new Date()) {
+  return at.toISOString().slice(0, 7);
+}
+
+interface UsageRow {
+  mediaSeconds: number;
+  jobIds: string[];
+}
+
+/**
+ * Media completed by the tenant in a period. Stored locally at
+ * {storageRoot}/{env}/_tables/usage/{tenantId}.json, keyed by period.
+ */
+export function mediaUsage(tenantId: string, period = usagePeriod()) {
+  const rows = readTable<Record<string, UsageRow>>(
+    tablePath("usage", tenantId),
+    {}
+  );
+  return rows[period] ?? { mediaSeconds: 0, jobIds: [] };
+}
+
+/**
+ * Add a completed job's media duration to the current period. Counting is
+ * per job, so a retried job that completes again is not charged twice.
+ */
+export function recordMediaUsage(
+  tenantId: string,
+  jobId: string,
+  durationSec: number,
+  at = new Date()
+) {
+  const p = tablePath("usage", tenantId);
+  return withFileLock(p, () => {
+    const rows = readTable<Record<string, UsageRow>>(p, {});
+    const period = usagePeriod(at);
+    const row = rows[period] ?? { mediaSeconds: 0, jobIds: [] };
+    if (!row.jobIds.includes(jobId)) {
+      row.jobIds.push(jobId);
+      row.mediaSeconds += Math.max(0, durationSec);
+    }
+    rows[period] = row;
+    writeFileAtomic(p, JSON.stringify(rows, null, 2));
+    return row;
+  });
+}
+
+/**
+ * Enforce the creation-rate and media quotas before a job is created.
+ * Throws a QuotaError carrying the Retry-After delay.
+ */
+export async function checkJobCreationQuota(
+  tenantId: string,
+  now = Date.now()
+) {
+  const limits = tenantLimits(tenantId);
+
+  if (limits.jobsPerMinute > 0) {
+    const recent = await getJobTable().query(tenantId, {
+      fromSort: new Date(now - RATE_WINDOW_MS).toISOString(),
+    });
+    if (recent.length >= limits.jobsPerMinute) {
+      // A slot frees up when the oldest job in the window ages out
+      const oldest = Date.parse(
+        recent[recent.length - limits.jobsPerMinute].createdAt
+      );
+      throw new QuotaError(
+        `Job creation limit of ${limits.jobsPerMinute} per minute reached`,
+        QUOTA_ERROR_TYPES.RATE_LIMITED,
+        {
+          limit: limits.jobsPerMinute,
+          retryAfterSeconds: Math.max(
+            1,
+            Math.ceil((oldest + RATE_WINDOW_MS - now) / 1000)
+          ),
+        }
+      );
+    }
+  }
+
+  if (limits.mediaMinutesPerMonth > 0) {
+    const at = new Date(now);
+    const used = mediaUsage(tenantId, usagePeriod(at)).mediaSeconds / 60;
+    if (used >= limits.mediaMinutesPerMonth) {
+      const nextPeriod = Date.UTC(at.getUTCFullYear(), at.getUTCMonth() + 1);
+      throw new QuotaError(
+        `Monthly media quota of ${limits.mediaMinutesPerMonth} minutes used`,
+        QUOTA_ERROR_TYPES.MEDIA_QUOTA_EXCEEDED,
+        {
+          limit: limits.mediaMinutesPerMonth,
+          usedMinutes: Math.round(used * 100) / 100,
+          retryAfterSeconds: Math.ceil((nextPeriod - now) / 1000),
+        }
+      );
+    }
+  }
+}
+
+/**
+ * What the orchestrator needs to start a queued job later
+ */
+export interface QueuedStart {
+  tenantId: string;
+  jobId: string;
+  correlationId: string;
+  applyTransitions?: boolean;
+  startAt?: string;
+  queuedAt?: string;
+}
+
+interface SlotTable {
+  /** jobId -> when it took the slot */
+  active: Record<string, string>;
+  queued: QueuedStart[];
+}
+
+const emptySlots = (): SlotTable => ({ active: {}, queued: [] });
+
+async function isTerminal(tenantId: string, jobId: string) {
+  const item = await getJobTable().getJobByJobId(tenantId, jobId);
+  return !!item && TERMINAL_STATUSES.includes(item.status);
+}
+
+/**
+ * Take a running slot for the job, or append it to the tenant's queue when
+ * maxConcurrentJobs are already running. Slots held by jobs that reached a
+ * terminal status without releasing them (a crashed process) are reclaimed.
+ */
+export async function admitJob(
+  start: QueuedStart
+): Promise<"start" | "queued"> {
+  const { maxConcurrentJobs } = tenantLimits(start.tenantId);
+  if (maxConcurrentJobs <= 0) return "start";
+
+  const p = tablePath("job-slots", start.tenantId);
+  const stale: string[] = [];
+  for (const jobId of Object.keys(readTable(p, emptySlots()).active)) {
+    if (await isTerminal(start.tenantId, jobId)) stale.push(jobId);
+  }
+
+  return withFileLock(p, () => {
+    const slots = readTable(p, emptySlots());
+    for (const jobId of stale) delete slots.active[jobId];
+    let result: "start" | "queued" = "start";
+    // A job that already holds a slot (a retry) keeps it
+    if (!slots.active[start.jobId]) {
+      if (Object.keys(slots.active).length < maxConcurrentJobs) {
+        slots.active[start.jobId] = new Date().toISOString();
+      } else {
+        slots.queued = slots.queued.filter(q => q.jobId !== start.jobId);
+        slots.queued.push({ ...start, queuedAt: new Date().toISOString() });
+        result = "queued";
+      }
+    }
+    writeFileAtomic(p, JSON.stringify(slots, null, 2));
+    return result;
+  });
+}
+
+/**
+ * Free the job's slot and hand it to queued jobs, oldest first. Returns the
+ * jobs that now hold a slot and should be started; queued jobs that were
+ * cancelled meanwhile are dropped.
+ */
+export async function releaseJobSlot(
+  tenantId: string,
+  jobId: string
+): Promise<QueuedStart[]> {
+  const p = tablePath("job-slots", tenantId);
+  if (!fs.existsSync(p)) return [];
+  const { maxConcurrentJobs } = tenantLimits(tenantId);
+
+  const dropped = new Set<string>();
+  for (const queued of readTable(p, emptySlots()).queued) {
+    if (await isTerminal(tenantId, queued.jobId)) dropped.add(queued.jobId);
+  }
+
+  return withFileLock(p, () => {
+    const slots = readTable(p, emptySlots());
+    delete slots.active[jobId];
+    slots.queued = slots.queued.filter(q => !dropped.has(q.jobId));
+    const next: QueuedStart[] = [];
+    while (
+      slots.queued.length &&
+      (maxConcurrentJobs <= 0 ||
+        Object.keys(slots.active).length < maxConcurrentJobs)
+    ) {
+      const queued = slots.queued.shift()!;
+      slots.active[queued.jobId] = new Date().toISOString();
+      next.push(queued);
+    }
+    writeFileAtomic(p, JSON.stringify(slots, null, 2));
+    return next;
+  });
+}
+
+/**
+ * Position of a job in its tenant's start queue (1-based), or null when it
+ * is not waiting
+ */
+export function queuePosition(tenantId: string, jobId: string) {
+  const slots = readTable(tablePath("job-slots", tenantId), emptySlots());
+  const index = slots.queued.findIndex(q => q.jobId === jobId);
+  return index === -1 ? null : index + 1;
+}
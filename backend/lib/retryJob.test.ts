@@ -0,0 +1,228 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import { createJob } from "./api/jobs/createJob.js";
+import { retryJob } from "./api/jobs/retryJob.js";
+import { loadManifest, updateManifest } from "./manifest.js";
+import { getJobTable } from "./job-table.js";
+import { keyFor, writeFileAtKey } from "./storage.js";
+import { retryPrerequisites } from "./job-retry.js";
+
+const STORAGE = "./test-storage-retry-job";
+
+async function create(tenantId: string) {
+  const res = await createJob({ body: JSON.stringify({ tenantId }) });
+  assert.strictEqual(res.statusCode, 201);
+  return JSON.parse(res.body).jobId as string;
+}
+
+function retry(tenantId: string, jobId: string, fromStep?: string) {
+  return retryJob({
+    pathParameters: { jobId },
+    queryStringParameters: { tenantId, ...(fromStep ? { fromStep } : {}) },
+  });
+}
+
+/**
+ * Seed a job that failed in video-cuts after transcription succeeded
+ */
+async function seedFailedJob(tenantId: string, jobId: string) {
+  const sourceKey = keyFor("test", tenantId, jobId, "input", "talk.mp4");
+  const transcriptKey = keyFor(
+    "test",
+    tenantId,
+    jobId,
+    "transcripts",
+    "transcript.json"
+  );
+  const planKey = keyFor("test", tenantId, jobId, "plan", "cut_plan.json");
+  writeFileAtKey(sourceKey, "video");
+  writeFileAtKey(transcriptKey, "{}");
+  writeFileAtKey(planKey, "{}");
+
+  await updateManifest("test", tenantId, jobId, m => {
+    m.status = "failed";
+    m.sourceVideoKey = sourceKey;
+    m.transcript = { jsonKey: transcriptKey };
+    m.plan = { key: planKey };
+    m.metadata = {
+      ...m.metadata,
+      failedAt: new Date().toISOString(),
+      failureReason: "FFMPEG_EXECUTION",
+    };
+    m.steps = {
+      "audio-extraction": { status: "completed", attempts: 1 },
+      transcription: { status: "completed", attempts: 1 },
+      "smart-cut-planner": {
+        status: "completed",
+        attempts: 1,
+        outputKeys: [planKey],
+      },
+      "video-cuts": {
+        status: "failed",
+        attempts: 2,
+        errorType: "FFMPEG_EXECUTION",
+      },
+    };
+  });
+  return { transcriptKey, planKey };
+}
+
+describe("retryJob", () => {
+  const originalEnv = process.env.TALKAVOCADO_ENV;
+  const originalStoragePath = process.env.MEDIA_STORAGE_PATH;
+  const originalStartOnCreate = process.env.START_ON_CREATE;
+  const originalStateMachine = process.env.LOCAL_STATE_MACHINE;
+
+  beforeEach(() => {
+    process.env.TALKAVOCADO_ENV = "test";
+    process.env.MEDIA_STORAGE_PATH = STORAGE;
+    process.env.LOCAL_STATE_MACHINE = "off";
+    delete process.env.START_ON_CREATE;
+    fs.rmSync(STORAGE, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(STORAGE, { recursive: true, force: true });
+    process.env.TALKAVOCADO_ENV = originalEnv;
+    for (const [name, value] of [
+      ["MEDIA_STORAGE_PATH", originalStoragePath],
+      ["START_ON_CREATE", originalStartOnCreate],
+      ["LOCAL_STATE_MACHINE", originalStateMachine],
+    ] as const) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  test("retryPrerequisites lists only artifacts produced before fromStep", () => {
+    const names = (step: Parameters<typeof retryPrerequisites>[0]) =>
+      retryPrerequisites(step).map(a => a.name);
+    assert.deepStrictEqual(names("audio-extraction"), ["source video"]);
+    assert.deepStrictEqual(names("smart-cut-planner"), [
+      "source video",
+      "transcript",
+    ]);
+    assert.deepStrictEqual(names("branding-layer"), [
+      "base cuts render",
+      "transitions render",
+    ]);
+  });
+
+  test("requires the transitions render only when the job used transitions", async () => {
+    const tenantId = "retry-transitions";
+    const jobId = await create(tenantId);
+    await seedFailedJob(tenantId, jobId);
+    const baseKey = keyFor("test", tenantId, jobId, "renders", "base_cuts.mp4");
+    writeFileAtKey(baseKey, "video");
+    await updateManifest("test", tenantId, jobId, m => {
+      m.renders = [{ key: baseKey, type: "preview", codec: "h264" }];
+      m.steps!["video-cuts"] = { status: "completed", attempts: 2 };
+      m.steps!["video-transitions"] = { status: "completed", attempts: 1 };
+      m.steps!["branding-layer"] = { status: "failed", attempts: 1 };
+    });
+
+    const res = await retry(tenantId, jobId, "branding-layer");
+    assert.strictEqual(res.statusCode, 422);
+    assert.deepStrictEqual(JSON.parse(res.body).missing, [
+      { artifact: "transitions render" },
+    ]);
+
+    await updateManifest("test", tenantId, jobId, m => {
+      m.steps!["video-transitions"] = { status: "skipped", attempts: 0 };
+    });
+    assert.strictEqual(
+      (await retry(tenantId, jobId, "branding-layer")).statusCode,
+      202
+    );
+  });
+
+  test("resets downstream steps and marks the job processing", async () => {
+    const tenantId = "retry-ok";
+    const jobId = await create(tenantId);
+    const { planKey } = await seedFailedJob(tenantId, jobId);
+
+    const res = await retry(tenantId, jobId, "smart-cut-planner");
+    assert.strictEqual(res.statusCode, 202);
+    const body = JSON.parse(res.body);
+    assert.strictEqual(body.status, "processing");
+    assert.strictEqual(body.previousStatus, "failed");
+    assert.deepStrictEqual(body.resetSteps, [
+      "smart-cut-planner",
+      "video-cuts",
+    ]);
+
+    const manifest = loadManifest("test", tenantId, jobId);
+    assert.strictEqual(manifest.status, "processing");
+    assert.strictEqual(manifest.metadata?.failedAt, undefined);
+    assert.strictEqual(manifest.steps?.transcription?.status, "completed");
+    assert.deepStrictEqual(manifest.steps?.["smart-cut-planner"], {
+      status: "pending",
+      attempts: 1,
+    });
+    assert.deepStrictEqual(manifest.steps?.["video-cuts"], {
+      status: "pending",
+      attempts: 2,
+    });
+    // The plan itself stays recorded until the planner overwrites it
+    assert.strictEqual(manifest.plan?.key, planKey);
+    assert.ok(
+      manifest.logs?.some(l => l.message === "Retrying from smart-cut-planner")
+    );
+    assert.strictEqual(
+      (await getJobTable().getJobByJobId(tenantId, jobId))?.status,
+      "processing"
+    );
+
+    // A second retry while the first is in flight is rejected
+    const again = await retry(tenantId, jobId, "smart-cut-planner");
+    assert.strictEqual(again.statusCode, 409);
+  });
+
+  test("rejects missing prerequisites with the artifacts that are absent", async () => {
+    const tenantId = "retry-missing";
+    const jobId = await create(tenantId);
+    const { transcriptKey } = await seedFailedJob(tenantId, jobId);
+    fs.rmSync(`${STORAGE}/${transcriptKey}`);
+
+    const res = await retry(tenantId, jobId, "smart-cut-planner");
+    assert.strictEqual(res.statusCode, 422);
+    const body = JSON.parse(res.body);
+    assert.deepStrictEqual(body.missing, [
+      { artifact: "transcript", key: transcriptKey },
+    ]);
+    assert.strictEqual(loadManifest("test", tenantId, jobId).status, "failed");
+  });
+
+  test("rejects unknown steps, unknown jobs and missing parameters", async () => {
+    const tenantId = "retry-reject";
+    const jobId = await create(tenantId);
+
+    const unknownStep = await retry(tenantId, jobId, "mark-complete");
+    assert.strictEqual(unknownStep.statusCode, 400);
+    assert.ok(JSON.parse(unknownStep.body).steps.includes("video-cuts"));
+
+    assert.strictEqual((await retry(tenantId, jobId)).statusCode, 400);
+
+    const unknownJob = await retry(
+      tenantId,
+      "00000000-0000-0000-0000-000000000000",
+      "transcription"
+    );
+    assert.strictEqual(unknownJob.statusCode, 404);
+  });
+
+  test("rejects jobs that have not finished, queued ones included", async () => {
+    const tenantId = "retry-unfinished";
+    const jobId = await create(tenantId);
+    await seedFailedJob(tenantId, jobId);
+    for (const status of ["pending", "processing"] as const) {
+      await updateManifest("test", tenantId, jobId, m => {
+        m.status = status;
+      });
+      const res = await retry(tenantId, jobId, "smart-cut-planner");
+      assert.strictEqual(res.statusCode, 409, status);
+      assert.strictEqual(JSON.parse(res.body).status, status);
+    }
+  });
+});
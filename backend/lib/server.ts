@@ -1,12 +1,154 @@
 import express from "express";
 import bodyParser from "body-parser";
+import {
+  AUTH_ERROR_STATUS,
+  AuthError,
+  Principal,
+  authEnabled,
+  authenticate,
+  authorize,
+} from "./auth";
 import { createJob } from "./api/jobs/createJob";
+import { createJobBatch } from "./api/jobs/createJobBatch";
+import { getJobBatch } from "./api/jobs/getJobBatch";
 import { getJob } from "./api/jobs/getJob";
+import { listJobs } from "./api/jobs/listJobs";
+import { cancelJob } from "./api/jobs/cancelJob";
+import { retryJob } from "./api/jobs/retryJob";
+import { initiateUpload } from "./api/jobs/initiateUpload";
+import { getUpload } from "./api/jobs/getUpload";
+import { uploadPart } from "./api/jobs/uploadPart";
+import { completeUpload } from "./api/jobs/completeUpload";
+import { getArtifact } from "./api/jobs/getArtifact";
+import { streamJobEvents } from "./api/jobs/streamJobEvents";
+import { createWebhook } from "./api/webhooks/createWebhook";
+import { listWebhooks } from "./api/webhooks/listWebhooks";
+import { deleteWebhook } from "./api/webhooks/deleteWebhook";
+import { listWebhookDeliveries } from "./api/webhooks/listWebhookDeliveries";
+import { uploadBrandingAsset } from "./api/branding/uploadBrandingAsset";
+import { listBrandingAssets } from "./api/branding/listBrandingAssets";
+import { putBrandingPreset } from "./api/branding/putBrandingPreset";
+import { getBrandingPreset } from "./api/branding/getBrandingPreset";
+import { listBrandingPresets } from "./api/branding/listBrandingPresets";
+import { deleteBrandingPreset } from "./api/branding/deleteBrandingPreset";
+import { failedChecks, readinessReport } from "./health";
+import { startWebhookSweeper } from "./webhooks";
+import { apiOperationFor, apiResponseErrors } from "./api-contract";
+import { currentEnv } from "./storage";
+import { LoggingWrapper } from "./logging";
 
 const app = express();
 app.use(bodyParser.json());
 
-app.post("/jobs", async (req, res) => {
+// Probes are unauthenticated. /healthz always answers 200 with the report;
+// /readyz answers 503 until every check passes, so a worker missing a
+// binary or disk space is taken out of rotation instead of failing jobs.
+app.get("/healthz", async (_req, res) => {
+  res.status(200).json(await readinessReport());
+});
+
+app.get("/readyz", async (_req, res) => {
+  const report = await readinessReport();
+  res.status(report.status === "ready" ? 200 : 503).json(report);
+});
+
+// Every route requires a credential; the tenant comes from it, and an
+// explicit tenantId that names another tenant is rejected (ADR-004)
+app.use(async (req, res, next) => {
+  if (!authEnabled()) return next();
+  try {
+    const principal = await authenticate(req.headers);
+    const scope = ["GET", "HEAD"].includes(req.method)
+      ? "jobs:read"
+      : "jobs:write";
+    const requested = req.query.tenantId ?? req.body?.tenantId;
+    authorize(
+      principal,
+      scope,
+      requested === undefined ? undefined : String(requested)
+    );
+    if (req.body && typeof req.body === "object" && !Array.isArray(req.body)) {
+      req.body.tenantId = principal.tenantId;
+    }
+    res.locals.principal = principal;
+    next();
+  } catch (err: any) {
+    if (!(err instanceof AuthError)) {
+      res.status(500).send(JSON.stringify({ error: "Internal error" }));
+      return;
+    }
+    const statusCode = AUTH_ERROR_STATUS[err.type] || 401;
+    if (statusCode === 401) res.set("WWW-Authenticate", "Bearer");
+    res
+      .status(statusCode)
+      .send(JSON.stringify({ error: err.message, ...err.details }));
+  }
+});
+
+// Outside prod, JSON responses from documented routes are checked against
+// docs/schemas/job-api.openapi.json and mismatches logged, so handler and
+// contract drift shows up in dev and stage. Auth rejections above are not
+// part of any operation's responses and are not checked.
+if (currentEnv() !== "prod") {
+  const contractLogger = new LoggingWrapper("api-contract");
+  app.use((req, res, next) => {
+    const operationId = apiOperationFor(req.method, req.path);
+    if (!operationId) return next();
+    const send = res.send.bind(res);
+    res.send = body => {
+      if (typeof body === "string") {
+        const errors = apiResponseErrors(operationId, res.statusCode, body);
+        if (errors.length) {
+          contractLogger.error("Response does not match the API contract", {
+            operationId,
+            statusCode: res.statusCode,
+            errors,
+          });
+        }
+      }
+      return send(body);
+    };
+    next();
+  });
+}
+
+/**
+ * Refuse requests that start pipeline work while the worker is not ready
+ */
+async function requireReady(
+  _req: express.Request,
+  res: express.Response,
+  next: express.NextFunction
+) {
+  try {
+    const report = await readinessReport();
+    if (report.status === "ready") return next();
+    res
+      .status(503)
+      .set("Retry-After", "30")
+      .send(
+        JSON.stringify({
+          error: "Service not ready",
+          failedChecks: failedChecks(report),
+        })
+      );
+  } catch (err: any) {
+    res
+      .status(500)
+      .send(JSON.stringify({ error: err?.message || "Internal error" }));
+  }
+}
+
+/**
+ * The authenticated tenant, or the tenantId query parameter when auth is
+ * disabled
+ */
+function requestTenantId(req: express.Request, res: express.Response) {
+  const principal: Principal | undefined = res.locals.principal;
+  return principal?.tenantId ?? String(req.query.tenantId || "");
+}
+
+app.post("/jobs", requireReady, async (req, res) => {
   try {
     const result = await createJob({
       headers: {
@@ -14,9 +156,78 @@ app.post("/jobs", async (req, res) => {
           req.header("x-correlation-id") || `local-${Date.now()}`,
         "content-type": "application/json",
       },
+      requestContext: { authorizer: res.locals.principal },
       body: JSON.stringify(req.body),
     } as any);
-    res.status((result as any).statusCode || 201).send((result as any).body);
+    res
+      .status(result.statusCode || 201)
+      .set(result.headers ?? {})
+      .send(result.body);
+  } catch (err: any) {
+    res
+      .status(500)
+      .send(JSON.stringify({ error: err?.message || "Internal error" }));
+  }
+});
+
+// The colon is literal (`POST /jobs:batch`), so it is escaped for Express
+app.post("/jobs\\:batch", requireReady, async (req, res) => {
+  try {
+    const result = await createJobBatch({
+      headers: {
+        "x-correlation-id":
+          req.header("x-correlation-id") || `local-${Date.now()}`,
+        "content-type": "application/json",
+      },
+      requestContext: { authorizer: res.locals.principal },
+      body: JSON.stringify(req.body),
+    } as any);
+    res.status(result.statusCode).send(result.body);
+  } catch (err: any) {
+    res
+      .status(500)
+      .send(JSON.stringify({ error: err?.message || "Internal error" }));
+  }
+});
+
+app.get("/jobs\\:batch/:batchId", async (req, res) => {
+  try {
+    const result = await getJobBatch({
+      headers: {
+        "x-correlation-id":
+          req.header("x-correlation-id") || `local-${Date.now()}`,
+      },
+      pathParameters: { batchId: req.params.batchId },
+      queryStringParameters: { tenantId: requestTenantId(req, res) },
+    } as any);
+    res.status(result.statusCode).send(result.body);
+  } catch (err: any) {
+    res
+      .status(500)
+      .send(JSON.stringify({ error: err?.message || "Internal error" }));
+  }
+});
+
+app.get("/jobs", async (req, res) => {
+  try {
+    const single: Record<string, string> = {};
+    const multi: Record<string, string[]> = {};
+    for (const [name, value] of Object.entries(req.query)) {
+      const values = (Array.isArray(value) ? value : [value]).map(String);
+      single[name] = values[values.length - 1];
+      multi[name] = values;
+    }
+    single.tenantId = requestTenantId(req, res);
+    multi.tenantId = [single.tenantId];
+    const result = await listJobs({
+      headers: {
+        "x-correlation-id":
+          req.header("x-correlation-id") || `local-${Date.now()}`,
+      },
+      queryStringParameters: single,
+      multiValueQueryStringParameters: multi,
+    } as any);
+    res.status((result as any).statusCode || 200).send((result as any).body);
   } catch (err: any) {
     res
       .status(500)
@@ -32,7 +243,66 @@ app.get("/jobs/:jobId", async (req, res) => {
           req.header("x-correlation-id") || `local-${Date.now()}`,
       },
       pathParameters: { jobId: req.params.jobId },
-      queryStringParameters: { tenantId: String(req.query.tenantId || "") },
+      queryStringParameters: { tenantId: requestTenantId(req, res) },
+    } as any);
+    res.status((result as any).statusCode || 200).send((result as any).body);
+  } catch (err: any) {
+    res
+      .status(500)
+      .send(JSON.stringify({ error: err?.message || "Internal error" }));
+  }
+});
+
+app.post("/jobs/:jobId/cancel", async (req, res) => {
+  try {
+    const result = await cancelJob({
+      headers: {
+        "x-correlation-id":
+          req.header("x-correlation-id") || `local-${Date.now()}`,
+      },
+      pathParameters: { jobId: req.params.jobId },
+      queryStringParameters: { tenantId: requestTenantId(req, res) },
+    } as any);
+    res.status((result as any).statusCode || 200).send((result as any).body);
+  } catch (err: any) {
+    res
+      .status(500)
+      .send(JSON.stringify({ error: err?.message || "Internal error" }));
+  }
+});
+
+app.post("/jobs/:jobId/retry", requireReady, async (req, res) => {
+  try {
+    const query: Record<string, string> = {};
+    for (const name of ["tenantId", "fromStep", "applyTransitions"]) {
+      if (req.query[name] !== undefined) query[name] = String(req.query[name]);
+    }
+    query.tenantId = requestTenantId(req, res);
+    const result = await retryJob({
+      headers: {
+        "x-correlation-id":
+          req.header("x-correlation-id") || `local-${Date.now()}`,
+      },
+      pathParameters: { jobId: req.params.jobId },
+      queryStringParameters: query,
+    } as any);
+    res.status((result as any).statusCode || 202).send((result as any).body);
+  } catch (err: any) {
+    res
+      .status(500)
+      .send(JSON.stringify({ error: err?.message || "Internal error" }));
+  }
+});
+
+app.post("/jobs/:jobId/uploads", async (req, res) => {
+  try {
+    const result = await initiateUpload({
+      headers: {
+        "x-correlation-id":
+          req.header("x-correlation-id") || `local-${Date.now()}`,
+      },
+      pathParameters: { jobId: req.params.jobId },
+      queryStringParameters: { tenantId: requestTenantId(req, res) },
     } as any);
     res.status((result as any).statusCode || 200).send((result as any).body);
   } catch (err: any) {
@@ -42,6 +312,328 @@ app.get("/jobs/:jobId", async (req, res) => {
   }
 });
 
+app.get("/jobs/:jobId/uploads/:uploadId", async (req, res) => {
+  try {
+    const result = await getUpload({
+      headers: {
+        "x-correlation-id":
+          req.header("x-correlation-id") || `local-${Date.now()}`,
+      },
+      pathParameters: req.params,
+      queryStringParameters: { tenantId: requestTenantId(req, res) },
+    } as any);
+    res.status((result as any).statusCode || 200).send((result as any).body);
+  } catch (err: any) {
+    res
+      .status(500)
+      .send(JSON.stringify({ error: err?.message || "Internal error" }));
+  }
+});
+
+// Part bodies are streamed straight to storage rather than buffered
+app.put(
+  "/jobs/:jobId/uploads/:uploadId/parts/:partNumber",
+  async (req, res) => {
+    try {
+      const result = await uploadPart({
+        headers: {
+          "x-correlation-id":
+            req.header("x-correlation-id") || `local-${Date.now()}`,
+        },
+        pathParameters: req.params,
+        queryStringParameters: { tenantId: requestTenantId(req, res) },
+        body: req,
+      } as any);
+      res.status((result as any).statusCode || 200).send((result as any).body);
+    } catch (err: any) {
+      res
+        .status(500)
+        .send(JSON.stringify({ error: err?.message || "Internal error" }));
+    }
+  }
+);
+
+app.post(
+  "/jobs/:jobId/uploads/:uploadId/complete",
+  requireReady,
+  async (req, res) => {
+    try {
+      const result = await completeUpload({
+        headers: {
+          "x-correlation-id":
+            req.header("x-correlation-id") || `local-${Date.now()}`,
+        },
+        pathParameters: req.params,
+        queryStringParameters: { tenantId: requestTenantId(req, res) },
+      } as any);
+      res.status((result as any).statusCode || 200).send((result as any).body);
+    } catch (err: any) {
+      res
+        .status(500)
+        .send(JSON.stringify({ error: err?.message || "Internal error" }));
+    }
+  }
+);
+
+// Express answers HEAD with this route too; the handler then skips the body
+app.get("/jobs/:jobId/artifacts/:kind{/:index}", async (req, res) => {
+  try {
+    const result = await getArtifact({
+      httpMethod: req.method,
+      headers: {
+        "x-correlation-id":
+          req.header("x-correlation-id") || `local-${Date.now()}`,
+        range: req.header("range"),
+        "if-range": req.header("if-range"),
+        "if-none-match": req.header("if-none-match"),
+      },
+      pathParameters: req.params,
+      queryStringParameters: { tenantId: requestTenantId(req, res) },
+    } as any);
+    res.status(result.statusCode).set(result.headers);
+    if (!result.stream) {
+      res.end(result.body);
+      return;
+    }
+    result.stream.on("error", () => res.destroy());
+    result.stream.pipe(res);
+  } catch (err: any) {
+    res
+      .status(500)
+      .send(JSON.stringify({ error: err?.message || "Internal error" }));
+  }
+});
+
+app.get("/jobs/:jobId/events", async (req, res) => {
+  try {
+    const result = await streamJobEvents({
+      headers: {
+        "x-correlation-id":
+          req.header("x-correlation-id") || `local-${Date.now()}`,
+        "last-event-id": req.header("last-event-id"),
+      },
+      pathParameters: { jobId: req.params.jobId },
+      queryStringParameters: {
+        tenantId: requestTenantId(req, res),
+        ...(req.query.lastEventId !== undefined
+          ? { lastEventId: String(req.query.lastEventId) }
+          : {}),
+      },
+    } as any);
+    res.status(result.statusCode).set(result.headers);
+    if (!result.stream) {
+      res.end(result.body);
+      return;
+    }
+    res.flushHeaders();
+    // Stop polling once the client goes away
+    res.on("close", () => result.stream!.destroy());
+    result.stream.pipe(res);
+  } catch (err: any) {
+    res
+      .status(500)
+      .send(JSON.stringify({ error: err?.message || "Internal error" }));
+  }
+});
+
+app.post("/webhooks", async (req, res) => {
+  try {
+    const result = await createWebhook({
+      headers: {
+        "x-correlation-id":
+          req.header("x-correlation-id") || `local-${Date.now()}`,
+        "content-type": "application/json",
+      },
+      queryStringParameters: { tenantId: requestTenantId(req, res) },
+      body: JSON.stringify(req.body),
+    } as any);
+    res.status((result as any).statusCode || 201).send((result as any).body);
+  } catch (err: any) {
+    res
+      .status(500)
+      .send(JSON.stringify({ error: err?.message || "Internal error" }));
+  }
+});
+
+app.get("/webhooks", async (req, res) => {
+  try {
+    const result = await listWebhooks({
+      headers: {
+        "x-correlation-id":
+          req.header("x-correlation-id") || `local-${Date.now()}`,
+      },
+      queryStringParameters: { tenantId: requestTenantId(req, res) },
+    } as any);
+    res.status((result as any).statusCode || 200).send((result as any).body);
+  } catch (err: any) {
+    res
+      .status(500)
+      .send(JSON.stringify({ error: err?.message || "Internal error" }));
+  }
+});
+
+app.delete("/webhooks/:webhookId", async (req, res) => {
+  try {
+    const result = await deleteWebhook({
+      headers: {
+        "x-correlation-id":
+          req.header("x-correlation-id") || `local-${Date.now()}`,
+      },
+      pathParameters: { webhookId: req.params.webhookId },
+      queryStringParameters: { tenantId: requestTenantId(req, res) },
+    } as any);
+    res.status((result as any).statusCode || 200).send((result as any).body);
+  } catch (err: any) {
+    res
+      .status(500)
+      .send(JSON.stringify({ error: err?.message || "Internal error" }));
+  }
+});
+
+app.get("/webhooks/:webhookId/deliveries", async (req, res) => {
+  try {
+    const query: Record<string, string> = {};
+    for (const name of ["tenantId", "status"]) {
+      if (req.query[name] !== undefined) query[name] = String(req.query[name]);
+    }
+    query.tenantId = requestTenantId(req, res);
+    const result = await listWebhookDeliveries({
+      headers: {
+        "x-correlation-id":
+          req.header("x-correlation-id") || `local-${Date.now()}`,
+      },
+      pathParameters: { webhookId: req.params.webhookId },
+      queryStringParameters: query,
+    } as any);
+    res.status((result as any).statusCode || 200).send((result as any).body);
+  } catch (err: any) {
+    res
+      .status(500)
+      .send(JSON.stringify({ error: err?.message || "Internal error" }));
+  }
+});
+
+// Asset bodies are streamed straight to storage rather than buffered
+app.put("/branding/assets/:assetName", async (req, res) => {
+  try {
+    const result = await uploadBrandingAsset({
+      headers: {
+        "x-correlation-id":
+          req.header("x-correlation-id") || `local-${Date.now()}`,
+      },
+      pathParameters: { assetName: req.params.assetName },
+      queryStringParameters: { tenantId: requestTenantId(req, res) },
+      body: req,
+    } as any);
+    res.status((result as any).statusCode || 201).send((result as any).body);
+  } catch (err: any) {
+    res
+      .status(500)
+      .send(JSON.stringify({ error: err?.message || "Internal error" }));
+  }
+});
+
+app.get("/branding/assets", async (req, res) => {
+  try {
+    const result = await listBrandingAssets({
+      headers: {
+        "x-correlation-id":
+          req.header("x-correlation-id") || `local-${Date.now()}`,
+      },
+      queryStringParameters: { tenantId: requestTenantId(req, res) },
+    } as any);
+    res.status((result as any).statusCode || 200).send((result as any).body);
+  } catch (err: any) {
+    res
+      .status(500)
+      .send(JSON.stringify({ error: err?.message || "Internal error" }));
+  }
+});
+
+app.put("/branding/presets/:presetId", async (req, res) => {
+  try {
+    const result = await putBrandingPreset({
+      headers: {
+        "x-correlation-id":
+          req.header("x-correlation-id") || `local-${Date.now()}`,
+        "content-type": "application/json",
+      },
+      pathParameters: { presetId: req.params.presetId },
+      queryStringParameters: { tenantId: requestTenantId(req, res) },
+      body: JSON.stringify(req.body),
+    } as any);
+    res.status((result as any).statusCode || 200).send((result as any).body);
+  } catch (err: any) {
+    res
+      .status(500)
+      .send(JSON.stringify({ error: err?.message || "Internal error" }));
+  }
+});
+
+app.get("/branding/presets", async (req, res) => {
+  try {
+    const result = await listBrandingPresets({
+      headers: {
+        "x-correlation-id":
+          req.header("x-correlation-id") || `local-${Date.now()}`,
+      },
+      queryStringParameters: { tenantId: requestTenantId(req, res) },
+    } as any);
+    res.status((result as any).statusCode || 200).send((result as any).body);
+  } catch (err: any) {
+    res
+      .status(500)
+      .send(JSON.stringify({ error: err?.message || "Internal error" }));
+  }
+});
+
+app.get("/branding/presets/:presetId", async (req, res) => {
+  try {
+    const query: Record<string, string> = {};
+    if (req.query.version !== undefined) {
+      query.version = String(req.query.version);
+    }
+    query.tenantId = requestTenantId(req, res);
+    const result = await getBrandingPreset({
+      headers: {
+        "x-correlation-id":
+          req.header("x-correlation-id") || `local-${Date.now()}`,
+      },
+      pathParameters: { presetId: req.params.presetId },
+      queryStringParameters: query,
+    } as any);
+    res.status((result as any).statusCode || 200).send((result as any).body);
+  } catch (err: any) {
+    res
+      .status(500)
+      .send(JSON.stringify({ error: err?.message || "Internal error" }));
+  }
+});
+
+app.delete("/branding/presets/:presetId", async (req, res) => {
+  try {
+    const result = await deleteBrandingPreset({
+      headers: {
+        "x-correlation-id":
+          req.header("x-correlation-id") || `local-${Date.now()}`,
+      },
+      pathParameters: { presetId: req.params.presetId },
+      queryStringParameters: { tenantId: requestTenantId(req, res) },
+    } as any);
+    res.status((result as any).statusCode || 200).send((result as any).body);
+  } catch (err: any) {
+    res
+      .status(500)
+      .send(JSON.stringify({ error: err?.message || "Internal error" }));
+  }
+});
+
+// Deliveries are otherwise only dispatched when their tenant's next event
+// is queued; WEBHOOK_SWEEP_INTERVAL_MS=0 leaves the sweep to another worker.
+if (Number(process.env.WEBHOOK_SWEEP_INTERVAL_MS ?? 30000) > 0) {
+  startWebhookSweeper();
+}
+
 const port = Number(process.env.PORT || 3000);
 app.listen(port, () => {
   // eslint-disable-next-line no-console
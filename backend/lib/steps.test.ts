@@ -0,0 +1,123 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import { loadManifest, saveManifest } from "./manifest.js";
+import {
+  PIPELINE_STEPS,
+  startStep,
+  completeStep,
+  failStep,
+  skipStep,
+  recordStepStart,
+} from "./steps.js";
+import { getJob } from "./api/jobs/getJob.js";
+import { Manifest } from "./types.js";
+
+const STORAGE = "./test-storage-steps";
+const JOB_ID = "00000000-0000-0000-0000-000000000003";
+
+function baseManifest(): Manifest {
+  const now = new Date().toISOString();
+  return {
+    schemaVersion: "1.0.0",
+    env: "test",
+    tenantId: "test-tenant",
+    jobId: JOB_ID,
+    status: "processing",
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+describe("Pipeline step tracking", () => {
+  const originalEnv = process.env.TALKAVOCADO_ENV;
+  const originalStoragePath = process.env.MEDIA_STORAGE_PATH;
+
+  beforeEach(() => {
+    process.env.TALKAVOCADO_ENV = "test";
+    process.env.MEDIA_STORAGE_PATH = STORAGE;
+  });
+
+  afterEach(() => {
+    fs.rmSync(STORAGE, { recursive: true, force: true });
+    process.env.TALKAVOCADO_ENV = originalEnv;
+    if (originalStoragePath === undefined) {
+      delete process.env.MEDIA_STORAGE_PATH;
+    } else {
+      process.env.MEDIA_STORAGE_PATH = originalStoragePath;
+    }
+  });
+
+  test("PIPELINE_STEPS lists every pipeline step in order", () => {
+    assert.deepStrictEqual(PIPELINE_STEPS, [
+      "audio-extraction",
+      "transcription",
+      "smart-cut-planner",
+      "video-cuts",
+      "video-transitions",
+      "subtitles-post-edit",
+      "branding-layer",
+    ]);
+  });
+
+  test("start/complete records attempts, timing and output keys", () => {
+    const m = baseManifest();
+    startStep(m, "transcription");
+    assert.strictEqual(m.steps?.transcription?.status, "processing");
+    assert.strictEqual(m.steps?.transcription?.attempts, 1);
+    assert.ok(m.steps?.transcription?.startedAt);
+
+    completeStep(m, "transcription", ["a/transcript.json"]);
+    const entry = m.steps!.transcription!;
+    assert.strictEqual(entry.status, "completed");
+    assert.deepStrictEqual(entry.outputKeys, ["a/transcript.json"]);
+    assert.ok(entry.finishedAt);
+    assert.ok((entry.durationMs ?? -1) >= 0);
+  });
+
+  test("a retry after failure clears the error and bumps attempts", () => {
+    const m = baseManifest();
+    startStep(m, "video-cuts");
+    failStep(m, "video-cuts", {
+      type: "FFMPEG_EXECUTION",
+      message: "boom",
+    });
+    assert.strictEqual(m.steps?.["video-cuts"]?.status, "failed");
+    assert.strictEqual(m.steps?.["video-cuts"]?.errorType, "FFMPEG_EXECUTION");
+
+    startStep(m, "video-cuts");
+    const entry = m.steps!["video-cuts"]!;
+    assert.strictEqual(entry.attempts, 2);
+    assert.strictEqual(entry.status, "processing");
+    assert.strictEqual(entry.errorType, undefined);
+    assert.strictEqual(entry.finishedAt, undefined);
+  });
+
+  test("step entries pass manifest schema validation", () => {
+    const m = baseManifest();
+    startStep(m, "audio-extraction");
+    completeStep(m, "audio-extraction", ["audio/x.mp3"]);
+    failStep(m, "transcription", { type: "WHISPER_EXECUTION" });
+    skipStep(m, "video-transitions");
+    saveManifest("test", "test-tenant", JOB_ID, m);
+
+    const loaded = loadManifest("test", "test-tenant", JOB_ID);
+    assert.strictEqual(loaded.steps?.["audio-extraction"]?.status, "completed");
+    assert.strictEqual(loaded.steps?.transcription?.attempts, 0);
+    assert.strictEqual(loaded.steps?.["video-transitions"]?.status, "skipped");
+  });
+
+  test("recordStepStart persists and getJob exposes steps", async () => {
+    saveManifest("test", "test-tenant", JOB_ID, baseManifest());
+    await recordStepStart("test", "test-tenant", JOB_ID, "smart-cut-planner");
+
+    const res = await getJob({
+      pathParameters: { jobId: JOB_ID },
+      queryStringParameters: { tenantId: "test-tenant" },
+    });
+    assert.strictEqual(res.statusCode, 200);
+    const body = JSON.parse(res.body);
+    assert.strictEqual(body.steps["smart-cut-planner"].status, "processing");
+    assert.strictEqual(body.steps["smart-cut-planner"].attempts, 1);
+  });
+});
@@ -0,0 +1,120 @@
+// backend/lib/steps.ts
+import type { Manifest, ManifestStep, ManifestStepName } from "./types.js";
+import { updateManifest } from "./manifest.js";
+
+/**
+ * Pipeline steps tracked under `manifest.steps`, in execution order.
+ * Names match the Task states in orchestration/state-machines/pipeline.asl.json.
+ */
+export const PIPELINE_STEPS: readonly ManifestStepName[] = [
+  "audio-extraction",
+  "transcription",
+  "smart-cut-planner",
+  "video-cuts",
+  "video-transitions",
+  "subtitles-post-edit",
+  "branding-layer",
+];
+
+function stepOf(m: Manifest, step: ManifestStepName): ManifestStep {
+  m.steps = m.steps || {};
+  const existing = m.steps[step];
+  if (existing) return existing;
+  const created: ManifestStep = { status: "pending", attempts: 0 };
+  m.steps[step] = created;
+  return created;
+}
+
+function finish(entry: ManifestStep, now: string) {
+  entry.finishedAt = now;
+  if (entry.startedAt) {
+    entry.durationMs = Math.max(
+      0,
+      Date.parse(now) - Date.parse(entry.startedAt)
+    );
+  }
+}
+
+/**
+ * Mark a step as processing and count the attempt.
+ * Clears the outcome of any earlier attempt.
+ */
+export function startStep(m: Manifest, step: ManifestStepName) {
+  const entry = stepOf(m, step);
+  entry.status = "processing";
+  entry.attempts = (entry.attempts || 0) + 1;
+  entry.startedAt = new Date().toISOString();
+  delete entry.finishedAt;
+  delete entry.durationMs;
+  delete entry.errorType;
+  delete entry.errorMessage;
+  return entry;
+}
+
+export function completeStep(
+  m: Manifest,
+  step: ManifestStepName,
+  outputKeys: string[] = []
+) {
+  const entry = stepOf(m, step);
+  entry.status = "completed";
+  entry.outputKeys = outputKeys;
+  finish(entry, new Date().toISOString());
+  return entry;
+}
+
+export function failStep(
+  m: Manifest,
+  step: ManifestStepName,
+  error: { type?: string; message?: string }
+) {
+  const entry = stepOf(m, step);
+  entry.status = "failed";
+  entry.errorType = error.type || "UNKNOWN";
+  if (error.message) entry.errorMessage = error.message;
+  finish(entry, new Date().toISOString());
+  return entry;
+}
+
+export function skipStep(m: Manifest, step: ManifestStepName) {
+  const entry = stepOf(m, step);
+  entry.status = "skipped";
+  entry.finishedAt = new Date().toISOString();
+  return entry;
+}
+
+/**
+ * Return `step` and every later pipeline step to pending, keeping attempt
+ * counts. Renders the reset steps produced are dropped so a re-run does
+ * not list them twice. Returns the names of the steps that were reset.
+ */
+export function resetStepsFrom(m: Manifest, step: ManifestStepName) {
+  const downstream = PIPELINE_STEPS.slice(PIPELINE_STEPS.indexOf(step));
+  const reset: ManifestStepName[] = [];
+  const staleKeys = new Set<string>();
+  for (const name of downstream) {
+    const entry = m.steps?.[name];
+    if (!entry) continue;
+    for (const key of entry.outputKeys || []) staleKeys.add(key);
+    m.steps![name] = { status: "pending", attempts: entry.attempts || 0 };
+    reset.push(name);
+  }
+  if (m.renders && staleKeys.size) {
+    m.renders = m.renders.filter(r => !staleKeys.has(r.key));
+  }
+  return reset;
+}
+
+/**
+ * Persist the start of a step; handlers call this before doing any work
+ */
+export async function recordStepStart(
+  env: string,
+  tenantId: string,
+  jobId: string,
+  step: ManifestStepName
+) {
+  return updateManifest(env, tenantId, jobId, m => {
+    startStep(m, step);
+  });
+}
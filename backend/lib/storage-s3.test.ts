@@ -0,0 +1,198 @@
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert";
+import http from "node:http";
+import crypto from "node:crypto";
+import type { AddressInfo } from "node:net";
+import { Readable } from "node:stream";
+import { S3StorageDriver } from "./storage-s3.js";
+import { StorageNotFoundError } from "./storage.js";
+
+interface StoredObject {
+  body: Buffer;
+  etag: string;
+  contentType?: string;
+  lastModified: Date;
+}
+
+/**
+ * Minimal path-style S3 stand-in covering the calls S3StorageDriver makes
+ * (PutObject, GetObject with Range, HeadObject, DeleteObject, ListObjectsV2).
+ */
+function startS3StandIn(bucket: string) {
+  const objects = new Map<string, StoredObject>();
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url || "/", "http://localhost");
+    const [, reqBucket, ...rest] = url.pathname.split("/");
+    const objectKey = decodeURIComponent(rest.join("/"));
+
+    if (reqBucket !== bucket) {
+      res.writeHead(404).end();
+      return;
+    }
+
+    const chunks: Buffer[] = [];
+    req.on("data", chunk => chunks.push(chunk));
+    req.on("end", () => {
+      if (req.method === "PUT") {
+        const body = Buffer.concat(chunks);
+        const etag = `"${crypto.createHash("md5").update(body).digest("hex")}"`;
+        objects.set(objectKey, {
+          body,
+          etag,
+          contentType: req.headers["content-type"],
+          lastModified: new Date(),
+        });
+        res.writeHead(200, { ETag: etag }).end();
+        return;
+      }
+
+      if (req.method === "GET" && url.searchParams.get("list-type") === "2") {
+        const prefix = url.searchParams.get("prefix") || "";
+        const contents = [...objects.entries()]
+          .filter(([k]) => k.startsWith(prefix))
+          .map(
+            ([k, o]) =>
+              `<Contents><Key>${k}</Key><Size>${o.body.length}</Size>` +
+              `<ETag>${o.etag}</ETag>` +
+              `<LastModified>${o.lastModified.toISOString()}</LastModified></Contents>`
+          )
+          .join("");
+        res
+          .writeHead(200, { "Content-Type": "application/xml" })
+          .end(
+            `<?xml version="1.0" encoding="UTF-8"?><ListBucketResult>` +
+              `<Name>${bucket}</Name><Prefix>${prefix}</Prefix>` +
+              `<IsTruncated>false</IsTruncated>${contents}</ListBucketResult>`
+          );
+        return;
+      }
+
+      const obj = objects.get(objectKey);
+      if (req.method === "DELETE") {
+        objects.delete(objectKey);
+        res.writeHead(204).end();
+        return;
+      }
+      if (!obj) {
+        res
+          .writeHead(404, { "Content-Type": "application/xml" })
+          .end(
+            req.method === "HEAD"
+              ? undefined
+              : "<Error><Code>NoSuchKey</Code><Message>Not found</Message></Error>"
+          );
+        return;
+      }
+
+      const headers = {
+        ETag: obj.etag,
+        "Content-Type": obj.contentType || "application/octet-stream",
+        "Last-Modified": obj.lastModified.toUTCString(),
+      };
+      const range = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range || "");
+      if (req.method === "GET" && range) {
+        const start = Number(range[1]);
+        const end = range[2] ? Number(range[2]) : obj.body.length - 1;
+        const slice = obj.body.subarray(start, end + 1);
+        res
+          .writeHead(206, {
+            ...headers,
+            "Content-Length": slice.length,
+            "Content-Range": `bytes ${start}-${end}/${obj.body.length}`,
+          })
+          .end(slice);
+        return;
+      }
+      res.writeHead(200, { ...headers, "Content-Length": obj.body.length });
+      res.end(req.method === "HEAD" ? undefined : obj.body);
+    });
+  });
+
+  return new Promise<{ server: http.Server; endpoint: string }>(resolve => {
+    server.listen(0, "127.0.0.1", () => {
+      const { port } = server.address() as AddressInfo;
+      resolve({ server, endpoint: `http://127.0.0.1:${port}` });
+    });
+  });
+}
+
+describe("S3StorageDriver against a local S3 stand-in", () => {
+  const bucket = "talkavocado-test";
+  let server: http.Server;
+  let driver: S3StorageDriver;
+  const originalKeyId = process.env.AWS_ACCESS_KEY_ID;
+  const originalSecret = process.env.AWS_SECRET_ACCESS_KEY;
+
+  before(async () => {
+    process.env.AWS_ACCESS_KEY_ID = "test";
+    process.env.AWS_SECRET_ACCESS_KEY = "test";
+    const started = await startS3StandIn(bucket);
+    server = started.server;
+    driver = new S3StorageDriver({
+      bucket,
+      region: "us-east-1",
+      endpoint: started.endpoint,
+      forcePathStyle: true,
+      prefix: "media",
+    });
+  });
+
+  after(() => {
+    server.close();
+    process.env.AWS_ACCESS_KEY_ID = originalKeyId;
+    process.env.AWS_SECRET_ACCESS_KEY = originalSecret;
+  });
+
+  test("put/get/head round trip", async () => {
+    const k = "test/tenant/job/plan/cut_plan.json";
+    await driver.put(k, '{"cuts":[]}', { contentType: "application/json" });
+
+    assert.strictEqual((await driver.get(k)).toString(), '{"cuts":[]}');
+    const info = await driver.head(k);
+    assert.strictEqual(info?.size, 11);
+    assert.strictEqual(info?.contentType, "application/json");
+  });
+
+  test("put() accepts streams with a content length", async () => {
+    const k = "test/tenant/job/audio/job.mp3";
+    await driver.put(k, Readable.from([Buffer.from("audio-bytes")]), {
+      contentLength: 11,
+    });
+    assert.strictEqual((await driver.get(k)).toString(), "audio-bytes");
+  });
+
+  test("head() returns null and get() throws for missing objects", async () => {
+    assert.strictEqual(await driver.head("test/tenant/job/missing"), null);
+    await assert.rejects(
+      driver.get("test/tenant/job/missing"),
+      StorageNotFoundError
+    );
+  });
+
+  test("list() strips the bucket prefix and filters by key prefix", async () => {
+    await driver.put("test/tenant/other/x.txt", "x");
+    const keys = (await driver.list("test/tenant/job/")).map(o => o.key);
+    assert.deepStrictEqual(keys, [
+      "test/tenant/job/audio/job.mp3",
+      "test/tenant/job/plan/cut_plan.json",
+    ]);
+  });
+
+  test("stream() requests byte ranges", async () => {
+    await driver.put("test/tenant/job/range.bin", "0123456789");
+    const chunks: Buffer[] = [];
+    for await (const chunk of await driver.stream("test/tenant/job/range.bin", {
+      start: 3,
+      end: 6,
+    })) {
+      chunks.push(Buffer.from(chunk));
+    }
+    assert.strictEqual(Buffer.concat(chunks).toString(), "3456");
+  });
+
+  test("delete() removes the object", async () => {
+    await driver.delete("test/tenant/job/range.bin");
+    assert.strictEqual(await driver.head("test/tenant/job/range.bin"), null);
+  });
+});
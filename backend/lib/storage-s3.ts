@@ -0,0 +1,198 @@
+// backend/lib/storage-s3.ts
+import { Readable } from "node:stream";
+import {
+  S3Client,
+  GetObjectCommand,
+  PutObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+  DeleteObjectCommand,
+} from "@aws-sdk/client-s3";
+import {
+  StorageNotFoundError,
+  type StorageDriver,
+  type StorageObjectInfo,
+  type StorageBody,
+  type StoragePutOptions,
+  type StorageByteRange,
+} from "./storage.js";
+
+export interface S3StorageConfig {
+  bucket: string;
+  region: string;
+  /** Custom endpoint for S3-compatible services (MinIO, LocalStack, ...) */
+  endpoint?: string;
+  forcePathStyle?: boolean;
+  /** Optional key prefix inside the bucket, without trailing slash */
+  prefix?: string;
+}
+
+/**
+ * Build S3 driver configuration from environment variables.
+ * Credentials are resolved by the AWS SDK default provider chain.
+ */
+export function s3ConfigFromEnv(): S3StorageConfig {
+  const bucket = process.env.S3_BUCKET || process.env.MEDIA_BUCKET;
+  if (!bucket) {
+    throw new Error("STORAGE_DRIVER=s3 requires S3_BUCKET to be set");
+  }
+  return {
+    bucket,
+    region: process.env.S3_REGION || process.env.AWS_REGION || "us-east-1",
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: String(process.env.S3_FORCE_PATH_STYLE || "") === "true",
+    prefix: process.env.S3_PREFIX || undefined,
+  };
+}
+
+function isNotFound(error: any) {
+  return (
+    error?.name === "NoSuchKey" ||
+    error?.name === "NotFound" ||
+    error?.$metadata?.httpStatusCode === 404
+  );
+}
+
+/**
+ * Driver for AWS S3 and S3-protocol compatible object stores
+ */
+export class S3StorageDriver implements StorageDriver {
+  readonly name = "s3";
+  private client: S3Client;
+  private config: S3StorageConfig;
+
+  constructor(config: S3StorageConfig, client?: S3Client) {
+    this.config = config;
+    this.client =
+      client ||
+      new S3Client({
+        region: config.region,
+        endpoint: config.endpoint,
+        forcePathStyle: config.forcePathStyle,
+        // Many S3-compatible stores reject the SDK's default trailing checksums
+        requestChecksumCalculation: "WHEN_REQUIRED",
+        responseChecksumValidation: "WHEN_REQUIRED",
+      });
+  }
+
+  private objectKey(k: string) {
+    return this.config.prefix ? `${this.config.prefix}/${k}` : k;
+  }
+
+  private storageKey(objectKey: string) {
+    return this.config.prefix
+      ? objectKey.slice(this.config.prefix.length + 1)
+      : objectKey;
+  }
+
+  async get(k: string) {
+    const body = await this.stream(k);
+    const chunks: Buffer[] = [];
+    for await (const chunk of body) {
+      chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks);
+  }
+
+  async put(
+    k: string,
+    data: StorageBody,
+    options: StoragePutOptions = {}
+  ): Promise<StorageObjectInfo> {
+    const size =
+      options.contentLength ??
+      (data instanceof Readable ? undefined : Buffer.byteLength(data));
+    if (data instanceof Readable && size === undefined) {
+      throw new Error(`put(${k}): contentLength is required for stream bodies`);
+    }
+    const result = await this.client.send(
+      new PutObjectCommand({
+        Bucket: this.config.bucket,
+        Key: this.objectKey(k),
+        Body: data,
+        ContentLength: size,
+        ContentType: options.contentType,
+      })
+    );
+    return {
+      key: k,
+      size: size!,
+      lastModified: new Date(),
+      etag: result.ETag,
+      contentType: options.contentType,
+    };
+  }
+
+  async head(k: string): Promise<StorageObjectInfo | null> {
+    try {
+      const result = await this.client.send(
+        new HeadObjectCommand({
+          Bucket: this.config.bucket,
+          Key: this.objectKey(k),
+        })
+      );
+      return {
+        key: k,
+        size: Number(result.ContentLength || 0),
+        lastModified: result.LastModified || new Date(0),
+        etag: result.ETag,
+        contentType: result.ContentType,
+      };
+    } catch (error) {
+      if (isNotFound(error)) return null;
+      throw error;
+    }
+  }
+
+  async list(prefix: string) {
+    const results: StorageObjectInfo[] = [];
+    let continuationToken: string | undefined;
+    do {
+      const page = await this.client.send(
+        new ListObjectsV2Command({
+          Bucket: this.config.bucket,
+          Prefix: this.objectKey(prefix),
+          ContinuationToken: continuationToken,
+        })
+      );
+      for (const item of page.Contents || []) {
+        if (!item.Key) continue;
+        results.push({
+          key: this.storageKey(item.Key),
+          size: Number(item.Size || 0),
+          lastModified: item.LastModified || new Date(0),
+          etag: item.ETag,
+        });
+      }
+      continuationToken = page.IsTruncated
+        ? page.NextContinuationToken
+        : undefined;
+    } while (continuationToken);
+    return results.sort((a, b) => a.key.localeCompare(b.key));
+  }
+
+  async delete(k: string) {
+    await this.client.send(
+      new DeleteObjectCommand({
+        Bucket: this.config.bucket,
+        Key: this.objectKey(k),
+      })
+    );
+  }
+
+  async stream(k: string, range?: StorageByteRange) {
+    try {
+      const result = await this.client.send(
+        new GetObjectCommand({
+          Bucket: this.config.bucket,
+          Key: this.objectKey(k),
+          Range: range ? `bytes=${range.start}-${range.end ?? ""}` : undefined,
+        })
+      );
+      return result.Body as Readable;
+    } catch (error) {
+      if (isNotFound(error)) throw new StorageNotFoundError(k);
+      throw error;
+    }
+  }
+}
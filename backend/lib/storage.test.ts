@@ -11,6 +11,15 @@ import {
   writeFileAtKey,
   readFileAtKey,
   currentEnv,
+  getStorageDriver,
+  setStorageDriver,
+  FileSystemStorageDriver,
+  StorageNotFoundError,
+  existsAtKey,
+  localPathForRead,
+  localPathForWrite,
+  commitLocalFile,
+  releaseLocalPath,
 } from "./storage.js";
 
 describe("Storage utilities", () => {
@@ -105,3 +114,117 @@ describe("Storage utilities", () => {
     assert.deepStrictEqual(readContent, content);
   });
 });
+
+describe("FileSystemStorageDriver", () => {
+  const originalStoragePath = process.env.MEDIA_STORAGE_PATH;
+  const originalDriver = process.env.STORAGE_DRIVER;
+
+  beforeEach(() => {
+    process.env.MEDIA_STORAGE_PATH = "./test-storage-fs-driver";
+    delete process.env.STORAGE_DRIVER;
+  });
+
+  afterEach(() => {
+    try {
+      fs.rmSync("./test-storage-fs-driver", { recursive: true, force: true });
+    } catch {}
+    process.env.MEDIA_STORAGE_PATH = originalStoragePath;
+    process.env.STORAGE_DRIVER = originalDriver;
+    setStorageDriver(null);
+  });
+
+  test("getStorageDriver() defaults to the filesystem driver", () => {
+    assert.strictEqual(getStorageDriver().name, "fs");
+  });
+
+  test("getStorageDriver() rejects unknown drivers", () => {
+    process.env.STORAGE_DRIVER = "ftp";
+    assert.throws(() => getStorageDriver(), /Unknown STORAGE_DRIVER/);
+  });
+
+  test("put/get/head/delete round trip", async () => {
+    const driver = new FileSystemStorageDriver();
+    const k = "test/tenant/job/plan/cut_plan.json";
+
+    const info = await driver.put(k, '{"cuts":[]}');
+    assert.strictEqual(info.size, 11);
+    assert.strictEqual((await driver.get(k)).toString(), '{"cuts":[]}');
+    assert.strictEqual((await driver.head(k))?.size, 11);
+
+    await driver.delete(k);
+    assert.strictEqual(await driver.head(k), null);
+    await assert.rejects(driver.get(k), StorageNotFoundError);
+  });
+
+  test("list() returns keys under a prefix only", async () => {
+    const driver = new FileSystemStorageDriver();
+    await driver.put("test/tenant/job/a.txt", "a");
+    await driver.put("test/tenant/job/sub/b.txt", "b");
+    await driver.put("test/tenant/other/c.txt", "c");
+
+    const keys = (await driver.list("test/tenant/job/")).map(o => o.key);
+    assert.deepStrictEqual(keys, [
+      "test/tenant/job/a.txt",
+      "test/tenant/job/sub/b.txt",
+    ]);
+  });
+
+  test("stream() honours byte ranges", async () => {
+    const driver = new FileSystemStorageDriver();
+    await driver.put("test/tenant/job/range.bin", "0123456789");
+
+    const chunks: Buffer[] = [];
+    for await (const chunk of await driver.stream("test/tenant/job/range.bin", {
+      start: 2,
+      end: 5,
+    })) {
+      chunks.push(chunk as Buffer);
+    }
+    assert.strictEqual(Buffer.concat(chunks).toString(), "2345");
+  });
+
+  test("localPathForRead() and commitLocalFile() use paths in place", async () => {
+    const k = "test/tenant/job/audio/job.mp3";
+    const out = localPathForWrite(k);
+    assert.strictEqual(out, pathFor(k));
+    fs.writeFileSync(out, "audio");
+
+    await commitLocalFile(out, k);
+    assert.strictEqual(await localPathForRead(k), pathFor(k));
+    assert.strictEqual(await existsAtKey(k), true);
+    await assert.rejects(
+      localPathForRead("test/tenant/job/missing.mp3"),
+      StorageNotFoundError
+    );
+  });
+
+  test("remote drivers stage files and remove them once committed", async () => {
+    // The filesystem driver without localPath() behaves like a remote one
+    const fsDriver = new FileSystemStorageDriver();
+    setStorageDriver({
+      name: "remote",
+      get: k => fsDriver.get(k),
+      put: (k, data) => fsDriver.put(k, data),
+      head: k => fsDriver.head(k),
+      list: prefix => fsDriver.list(prefix),
+      delete: k => fsDriver.delete(k),
+      stream: (k, range) => fsDriver.stream(k, range),
+    });
+    const k = "test/tenant/job/renders/out.mp4";
+
+    const out = localPathForWrite(k);
+    assert.notStrictEqual(out, pathFor(k));
+    fs.writeFileSync(out, "video");
+    await commitLocalFile(out, k);
+    assert.strictEqual(readFileAtKey(k).toString(), "video");
+    assert.ok(!fs.existsSync(out));
+
+    const staged = await localPathForRead(k);
+    assert.strictEqual(fs.readFileSync(staged, "utf-8"), "video");
+    await releaseLocalPath(staged);
+    assert.ok(!fs.existsSync(staged));
+    // Paths the driver does not stage are never removed
+    await releaseLocalPath(pathFor(k));
+    assert.ok(fs.existsSync(pathFor(k)));
+  });
+});
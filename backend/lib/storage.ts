@@ -1,6 +1,10 @@
 import fs from "node:fs";
+import os from "node:os";
 import path from "node:path";
+import { Readable } from "node:stream";
+import { pipeline } from "node:stream/promises";
 import type { Env } from "./types.js";
+import { S3StorageDriver, s3ConfigFromEnv } from "./storage-s3.js";
 
 const ENABLE_LEGACY_MIRROR =
   String(process.env.ENABLE_LEGACY_MIRROR || "false") === "true";
@@ -59,6 +63,16 @@ export function keyFor(
   return key(env, tenantId, jobId, ...rest);
 }
 
+/**
+ * Whether `k` names an object under `prefix` (e.g. a job's own keys). Keys
+ * with `..` segments are refused outright: the filesystem driver resolves
+ * them through path.join, which would escape the prefix.
+ */
+export function isKeyWithin(k: string, prefix: string) {
+  if (k.split(/[\\/]/).includes("..")) return false;
+  return path.posix.normalize(k).startsWith(`${prefix}/`);
+}
+
 export function pathFor(k: string) {
   return path.join(storageRoot(), k);
 }
@@ -99,3 +113,283 @@ export function maybeMirrorLegacy(
     writeFileAtKey(legacy, data);
   }
 }
+
+/**
+ * Metadata returned by storage drivers for a single object
+ */
+export interface StorageObjectInfo {
+  key: string;
+  size: number;
+  lastModified: Date;
+  etag?: string;
+  contentType?: string;
+}
+
+export type StorageBody = Buffer | string | Readable;
+
+export interface StoragePutOptions {
+  contentType?: string;
+  /** Required by some drivers when `data` is a stream */
+  contentLength?: number;
+}
+
+export interface StorageByteRange {
+  start: number;
+  end?: number;
+}
+
+/**
+ * Object-storage backend used by handlers for artifact I/O.
+ * Keys are always `{env}/{tenantId}/{jobId}/...` and never filesystem paths.
+ * Manifests and the `_tables` stores do not go through the driver: they
+ * stay under MEDIA_STORAGE_PATH, which every process must share.
+ */
+export interface StorageDriver {
+  readonly name: string;
+  get(k: string): Promise<Buffer>;
+  put(
+    k: string,
+    data: StorageBody,
+    options?: StoragePutOptions
+  ): Promise<StorageObjectInfo>;
+  head(k: string): Promise<StorageObjectInfo | null>;
+  list(prefix: string): Promise<StorageObjectInfo[]>;
+  delete(k: string): Promise<void>;
+  stream(k: string, range?: StorageByteRange): Promise<Readable>;
+  /**
+   * Drivers backed by a local filesystem expose the real path for a key so
+   * FFmpeg and Whisper can read and write in place. Remote drivers omit this.
+   */
+  localPath?(k: string): string;
+}
+
+export class StorageNotFoundError extends Error {
+  readonly key: string;
+
+  constructor(k: string) {
+    super(`Object not found: ${k}`);
+    this.name = "StorageNotFoundError";
+    this.key = k;
+  }
+}
+
+function etagFor(stat: fs.Stats) {
+  return `"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+}
+
+/**
+ * Driver for the local storage root (MEDIA_STORAGE_PATH)
+ */
+export class FileSystemStorageDriver implements StorageDriver {
+  readonly name = "fs";
+
+  localPath(k: string) {
+    return pathFor(k);
+  }
+
+  async get(k: string) {
+    try {
+      return await fs.promises.readFile(pathFor(k));
+    } catch (error: any) {
+      if (error?.code === "ENOENT") throw new StorageNotFoundError(k);
+      throw error;
+    }
+  }
+
+  async put(k: string, data: StorageBody) {
+    if (data instanceof Readable) {
+      const p = pathFor(k);
+      ensureDirForFile(p);
+      await pipeline(data, fs.createWriteStream(p));
+    } else {
+      writeFileAtKey(k, data);
+    }
+    return (await this.head(k))!;
+  }
+
+  async head(k: string): Promise<StorageObjectInfo | null> {
+    try {
+      const stat = await fs.promises.stat(pathFor(k));
+      if (!stat.isFile()) return null;
+      return {
+        key: k,
+        size: stat.size,
+        lastModified: stat.mtime,
+        etag: etagFor(stat),
+      };
+    } catch (error: any) {
+      if (error?.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  async list(prefix: string) {
+    const root = storageRoot();
+    // Walk from the deepest directory named by the prefix, then filter by the full prefix
+    const baseDir = prefix.endsWith("/") ? prefix : path.posix.dirname(prefix);
+    const start = path.join(root, baseDir === "." ? "" : baseDir);
+    const results: StorageObjectInfo[] = [];
+
+    const walk = async (dir: string) => {
+      let entries: fs.Dirent[];
+      try {
+        entries = await fs.promises.readdir(dir, { withFileTypes: true });
+      } catch (error: any) {
+        if (error?.code === "ENOENT" || error?.code === "ENOTDIR") return;
+        throw error;
+      }
+      for (const entry of entries) {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(full);
+        } else if (entry.isFile()) {
+          const k = key(path.relative(root, full));
+          if (!k.startsWith(prefix)) continue;
+          const stat = await fs.promises.stat(full);
+          results.push({
+            key: k,
+            size: stat.size,
+            lastModified: stat.mtime,
+            etag: etagFor(stat),
+          });
+        }
+      }
+    };
+
+    await walk(start);
+    return results.sort((a, b) => a.key.localeCompare(b.key));
+  }
+
+  async delete(k: string) {
+    await fs.promises.rm(pathFor(k), { force: true });
+  }
+
+  async stream(k: string, range?: StorageByteRange) {
+    if (!(await this.head(k))) throw new StorageNotFoundError(k);
+    return fs.createReadStream(
+      pathFor(k),
+      range ? { start: range.start, end: range.end } : undefined
+    );
+  }
+}
+
+let driverOverride: StorageDriver | null = null;
+const s3Drivers = new Map<string, StorageDriver>();
+
+/**
+ * Replace the driver returned by getStorageDriver() (tests, custom backends).
+ * Pass null to go back to environment-based selection.
+ */
+export function setStorageDriver(driver: StorageDriver | null) {
+  driverOverride = driver;
+}
+
+/**
+ * Resolve the storage driver from STORAGE_DRIVER ("fs" | "s3", default "fs").
+ * Read dynamically so tests can switch drivers between runs.
+ */
+export function getStorageDriver(): StorageDriver {
+  if (driverOverride) return driverOverride;
+
+  const selected = String(process.env.STORAGE_DRIVER || "fs").toLowerCase();
+  if (selected === "fs") return new FileSystemStorageDriver();
+  if (selected !== "s3") {
+    throw new Error(
+      `Unknown STORAGE_DRIVER "${selected}". Expected "fs" or "s3".`
+    );
+  }
+
+  const config = s3ConfigFromEnv();
+  const cacheKey = JSON.stringify(config);
+  let driver = s3Drivers.get(cacheKey);
+  if (!driver) {
+    driver = new S3StorageDriver(config);
+    s3Drivers.set(cacheKey, driver);
+  }
+  return driver;
+}
+
+export async function existsAtKey(k: string) {
+  return (await getStorageDriver().head(k)) !== null;
+}
+
+function stagingRoot() {
+  return path.join(os.tmpdir(), "talkavocado-staging");
+}
+
+function stagingPathFor(k: string) {
+  return path.join(stagingRoot(), k);
+}
+
+function isStagedPath(p: string) {
+  return path.resolve(p).startsWith(stagingRoot() + path.sep);
+}
+
+/**
+ * Remove a file localPathForRead() or localPathForWrite() staged for a
+ * remote driver. Paths the driver stores in place are left alone.
+ */
+export async function releaseLocalPath(localPath: string | undefined) {
+  if (!localPath || !isStagedPath(localPath)) return;
+  await fs.promises.rm(localPath, { force: true });
+}
+
+/**
+ * Return a local filesystem path holding the object at `k`.
+ * For remote drivers the object is downloaded into a staging directory.
+ */
+export async function localPathForRead(k: string) {
+  const driver = getStorageDriver();
+  if (driver.localPath) {
+    const p = driver.localPath(k);
+    if (!fs.existsSync(p)) throw new StorageNotFoundError(k);
+    return p;
+  }
+
+  const p = stagingPathFor(k);
+  ensureDirForFile(p);
+  await pipeline(await driver.stream(k), fs.createWriteStream(p));
+  return p;
+}
+
+/**
+ * Return a local filesystem path a tool can write the object for `k` to.
+ * Call commitLocalFile() afterwards so remote drivers upload the result.
+ * With `staged`, the path is always a staging file, so `k` is untouched
+ * until the result is committed.
+ */
+export function localPathForWrite(
+  k: string,
+  options: { staged?: boolean } = {}
+) {
+  const driver = getStorageDriver();
+  const p =
+    driver.localPath && !options.staged
+      ? driver.localPath(k)
+      : stagingPathFor(k);
+  ensureDirForFile(p);
+  return p;
+}
+
+/**
+ * Persist a locally produced file at `k`. No-op when the driver already
+ * stores `k` at `localPath`. A staged file is removed once it is stored.
+ */
+export async function commitLocalFile(localPath: string, k: string) {
+  const driver = getStorageDriver();
+  if (driver.localPath) {
+    const target = driver.localPath(k);
+    if (path.resolve(target) !== path.resolve(localPath)) {
+      ensureDirForFile(target);
+      await fs.promises.copyFile(localPath, target);
+      await releaseLocalPath(localPath);
+    }
+    return driver.head(k);
+  }
+  const { size } = await fs.promises.stat(localPath);
+  const info = await driver.put(k, fs.createReadStream(localPath), {
+    contentLength: size,
+  });
+  await releaseLocalPath(localPath);
+  return info;
+}
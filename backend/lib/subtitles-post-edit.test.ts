@@ -0,0 +1,200 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import { createJob } from "./api/jobs/createJob.js";
+import { loadManifest, updateManifest } from "./manifest.js";
+import { keyFor, readFileAtKey, writeFileAtKey } from "./storage.js";
+import {
+  buildCues,
+  buildTimingMap,
+  keepSegments,
+  retimeWords,
+} from "../services/subtitles-post-edit/timing-logic.js";
+import { handler } from "../services/subtitles-post-edit/handler.js";
+
+const STORAGE = "./test-storage-subtitles";
+
+const word = (text: string, start: number, end: number) => ({
+  word: ` ${text}`,
+  start,
+  end,
+});
+
+// "um" (2.0-2.5) and the pause up to 4.0 are cut
+const transcript = {
+  segments: [
+    {
+      start: 0,
+      end: 2.5,
+      text: "Hello there um",
+      words: [
+        word("Hello", 0, 0.5),
+        word("there", 0.6, 1.0),
+        word("um", 2.0, 2.5),
+      ],
+    },
+    {
+      start: 4,
+      end: 6,
+      text: "welcome back",
+      words: [word("welcome", 4.0, 4.8), word("back", 5.0, 5.9)],
+    },
+  ],
+};
+
+const plan = {
+  schemaVersion: "1.0.0",
+  cuts: [
+    { start: "0.00", end: "2.00", type: "keep" },
+    { start: "2.00", end: "4.00", type: "cut", reason: "filler_word_um" },
+    { start: "4.00", end: "6.00", type: "keep" },
+  ],
+};
+
+describe("subtitles post-edit", () => {
+  const originalEnv = process.env.TALKAVOCADO_ENV;
+  const originalStoragePath = process.env.MEDIA_STORAGE_PATH;
+  const originalStartOnCreate = process.env.START_ON_CREATE;
+
+  beforeEach(() => {
+    process.env.TALKAVOCADO_ENV = "test";
+    process.env.MEDIA_STORAGE_PATH = STORAGE;
+    delete process.env.START_ON_CREATE;
+    fs.rmSync(STORAGE, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(STORAGE, { recursive: true, force: true });
+    process.env.TALKAVOCADO_ENV = originalEnv;
+    for (const [name, value] of [
+      ["MEDIA_STORAGE_PATH", originalStoragePath],
+      ["START_ON_CREATE", originalStartOnCreate],
+    ] as const) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  test("drops cut words and shifts later words back by the removed time", () => {
+    const map = buildTimingMap(keepSegments(plan, 6));
+    const words = retimeWords(transcript, map);
+
+    assert.deepStrictEqual(
+      words.map(w => [w.text, w.start, w.end]),
+      [
+        ["Hello", 0, 0.5],
+        ["there", 0.6, 1.0],
+        ["welcome", 2.0, 2.8],
+        ["back", 3.0, 3.9],
+      ]
+    );
+    const { cues } = buildCues(words, { fps: 30 });
+    assert.deepStrictEqual(cues, [
+      { startMs: 0, endMs: 1000, text: "Hello there" },
+      { startMs: 2000, endMs: 3900, text: "welcome back" },
+    ]);
+  });
+
+  test("splits crossfade overlaps between the neighbouring keeps", () => {
+    const map = buildTimingMap(keepSegments(plan, 6), { transitionSec: 0.5 });
+    assert.deepStrictEqual(
+      map.map(k => [k.finalStart, k.finalEnd]),
+      [
+        [0, 2],
+        [1.5, 3.5],
+      ]
+    );
+
+    // Speech right up to the join on both sides
+    const tight = {
+      segments: [
+        { start: 1.5, end: 2.0, text: "before" },
+        { start: 4.0, end: 4.5, text: "after" },
+      ],
+    };
+    const { cues } = buildCues(retimeWords(tight, map), { fps: 30 });
+    assert.deepStrictEqual(cues, [
+      { startMs: 1500, endMs: 1767, text: "before" },
+      { startMs: 1767, endMs: 2000, text: "after" },
+    ]);
+    // Plans listing only cuts keep everything else
+    assert.deepStrictEqual(
+      keepSegments(
+        { cuts: [{ start: "00:02", end: "00:04", type: "cut" }] },
+        6
+      ),
+      [
+        { start: 0, end: 2 },
+        { start: 4, end: 6 },
+      ]
+    );
+  });
+
+  test("writes final captions and a timing map and records them in the manifest", async () => {
+    const tenantId = "subtitles-tenant";
+    const res = await createJob({ body: JSON.stringify({ tenantId }) });
+    const { jobId } = JSON.parse(res.body);
+    const key = (...parts: string[]) =>
+      keyFor("test", tenantId, jobId, ...parts);
+
+    writeFileAtKey(
+      key("transcripts", "transcript.json"),
+      JSON.stringify(transcript)
+    );
+    writeFileAtKey(key("plan", "cut_plan.json"), JSON.stringify(plan));
+    writeFileAtKey(key("renders", "base_cuts.mp4"), "video");
+    await updateManifest("test", tenantId, jobId, m => {
+      m.renders = [
+        {
+          key: key("renders", "base_cuts.mp4"),
+          type: "preview",
+          codec: "h264",
+          durationSec: 4.01,
+        },
+      ];
+    });
+
+    const result = await handler({ env: "test", tenantId, jobId });
+    assert.strictEqual(result.ok, true);
+    assert.strictEqual(
+      readFileAtKey(result.srtKey).toString(),
+      "1\n00:00:00,000 --> 00:00:01,000\nHello there\n\n" +
+        "2\n00:00:02,000 --> 00:00:03,900\nwelcome back\n"
+    );
+    assert.ok(
+      readFileAtKey(result.vttKey)
+        .toString()
+        .startsWith("WEBVTT\n\n00:00:00.000 --> 00:00:01.000\nHello there\n")
+    );
+    const timing = JSON.parse(readFileAtKey(result.timingMapKey).toString());
+    assert.strictEqual(timing.finalDurationSec, 4);
+
+    // Re-running replaces the entries instead of appending
+    await handler({ env: "test", tenantId, jobId });
+    const manifest = loadManifest("test", tenantId, jobId);
+    assert.deepStrictEqual(
+      manifest.subtitles?.map(s => [s.format, s.wordCount, s.cutsApplied]),
+      [
+        ["srt", 4, 1],
+        ["vtt", 4, 1],
+      ]
+    );
+    assert.strictEqual(
+      manifest.steps?.["subtitles-post-edit"]?.status,
+      "completed"
+    );
+
+    // A render much longer than the edited timeline fails the step
+    await updateManifest("test", tenantId, jobId, m => {
+      m.renders![0].durationSec = 6;
+    });
+    await assert.rejects(handler({ env: "test", tenantId, jobId }), {
+      type: "TIMING_MISMATCH",
+    });
+    assert.strictEqual(
+      loadManifest("test", tenantId, jobId).steps?.["subtitles-post-edit"]
+        ?.status,
+      "failed"
+    );
+  });
+});
@@ -32,22 +32,31 @@ export interface ManifestRender {
   codec: "h264" | "h265" | "vp9";
   durationSec?: number;
   resolution?: string;
+  fps?: number;
   notes?: string;
   renderedAt?: string;
 }
 
 export interface ManifestSubtitle {
   key: string;
-  type: "source" | "final";
+  /** `branded` captions are timed to the branded `renders/final.mp4` */
+  type: "source" | "final" | "branded";
   format: "srt" | "vtt";
   durationSec?: number;
   wordCount?: number;
+  /** Source length before the edit (final captions) */
+  originalDurationSec?: number;
+  /** Source regions the edit removed (final captions) */
+  cutsApplied?: number;
   generatedAt?: string;
 }
 
 export interface ManifestLog {
   key?: string;
-  type?: "pipeline" | "error" | "debug";
+  type?: "pipeline" | "info" | "warn" | "error" | "debug";
+  message?: string;
+  errorType?: string;
+  details?: Record<string, unknown>;
   createdAt?: string;
 }
 
@@ -55,10 +64,68 @@ export interface ManifestMetadata {
   clientVersion?: string;
   processingTimeMs?: number;
   tags?: string[];
+  failedAt?: string;
+  failureReason?: string;
+  /** Authenticated principal that created the job */
+  createdBy?: { type: "api-key" | "jwt"; id: string; scopes?: string[] };
 }
 
+/**
+ * Per-job overrides of the env-var defaults, set at creation and read by
+ * each step (job-options.ts)
+ */
+export interface JobOptions {
+  transcription?: {
+    model?: "tiny" | "base" | "small" | "medium" | "large";
+    language?: string;
+  };
+  /** Overrides for smart-cut-planner's getDefaultConfig() */
+  planner?: {
+    minPauseMs?: number;
+    fillerWords?: string[];
+    minCutDurationSec?: number;
+    minSegmentDurationSec?: number;
+    maxSegmentDurationSec?: number;
+    mergeThresholdMs?: number;
+  };
+  render?: {
+    profile?: "draft" | "standard" | "high";
+    preset?: string;
+    crf?: number;
+    fps?: number;
+    audioBitrate?: string;
+  };
+  /** Route the pipeline through video-transitions */
+  applyTransitions?: boolean;
+}
+
+export type ManifestStepName =
+  | "audio-extraction"
+  | "transcription"
+  | "smart-cut-planner"
+  | "video-cuts"
+  | "video-transitions"
+  | "subtitles-post-edit"
+  | "branding-layer";
+
+export interface ManifestStep {
+  status: "pending" | "processing" | "completed" | "failed" | "skipped";
+  attempts: number;
+  startedAt?: string;
+  finishedAt?: string;
+  durationMs?: number;
+  errorType?: string;
+  errorMessage?: string;
+  outputKeys?: string[];
+}
+
+/** Known manifest schema versions; see manifest-schema.ts */
+export type ManifestSchemaVersion = "1.0.0" | "1.1.0";
+
 export interface Manifest {
-  schemaVersion: "1.0.0";
+  schemaVersion: ManifestSchemaVersion;
+  /** Incremented on every save; used for compare-and-swap writes */
+  revision?: number;
   env: Env;
   tenantId: string;
   jobId: string;
@@ -81,6 +148,10 @@ export interface Manifest {
   subtitles?: ManifestSubtitle[];
   logs?: ManifestLog[];
   metadata?: ManifestMetadata;
+  options?: JobOptions;
+  steps?: Partial<Record<ManifestStepName, ManifestStep>>;
+  /** Service-specific additions, namespaced by service (ADR-003) */
+  extra?: Record<string, Record<string, unknown>>;
 }
 
 // Cut Plan Types
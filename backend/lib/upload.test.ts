@@ -0,0 +1,269 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import { createJob } from "./api/jobs/createJob.js";
+import { initiateUpload } from "./api/jobs/initiateUpload.js";
+import { getUpload } from "./api/jobs/getUpload.js";
+import { uploadPart } from "./api/jobs/uploadPart.js";
+import { completeUpload } from "./api/jobs/completeUpload.js";
+import { loadManifest, updateManifest } from "./manifest.js";
+import { getLocalExecution } from "./orchestration.js";
+import {
+  getStorageDriver,
+  keyFor,
+  pathFor,
+  writeFileAtKey,
+} from "./storage.js";
+import { parseChecksum } from "./upload.js";
+
+const STORAGE = "./test-storage-upload";
+const CONTENT = Buffer.from("0123456789");
+
+async function create(tenantId: string, checksum?: string) {
+  const res = await createJob({
+    body: JSON.stringify({
+      tenantId,
+      input: {
+        originalFilename: "talk.mp4",
+        bytes: CONTENT.length,
+        mimeType: "video/mp4",
+        checksum,
+      },
+    }),
+  });
+  assert.strictEqual(res.statusCode, 201);
+  return JSON.parse(res.body).jobId as string;
+}
+
+async function initiate(tenantId: string, jobId: string) {
+  return initiateUpload({
+    pathParameters: { jobId },
+    queryStringParameters: { tenantId },
+  });
+}
+
+function put(
+  tenantId: string,
+  jobId: string,
+  uploadId: string,
+  partNumber: number,
+  data: Buffer
+) {
+  return uploadPart({
+    pathParameters: { jobId, uploadId, partNumber: String(partNumber) },
+    queryStringParameters: { tenantId },
+    body: data.toString("base64"),
+    isBase64Encoded: true,
+  });
+}
+
+function complete(tenantId: string, jobId: string, uploadId: string) {
+  return completeUpload({
+    pathParameters: { jobId, uploadId },
+    queryStringParameters: { tenantId },
+  });
+}
+
+const sha256 = (data: Buffer) =>
+  `sha256:${crypto.createHash("sha256").update(data).digest("hex")}`;
+
+describe("chunked input upload", () => {
+  const originalEnv = process.env.TALKAVOCADO_ENV;
+  const originalStoragePath = process.env.MEDIA_STORAGE_PATH;
+  const originalStartOnCreate = process.env.START_ON_CREATE;
+  const originalPartSize = process.env.UPLOAD_PART_SIZE_BYTES;
+
+  beforeEach(() => {
+    process.env.TALKAVOCADO_ENV = "test";
+    process.env.MEDIA_STORAGE_PATH = STORAGE;
+    process.env.UPLOAD_PART_SIZE_BYTES = "4";
+    delete process.env.START_ON_CREATE;
+    fs.rmSync(STORAGE, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(STORAGE, { recursive: true, force: true });
+    process.env.TALKAVOCADO_ENV = originalEnv;
+    for (const [name, value] of [
+      ["MEDIA_STORAGE_PATH", originalStoragePath],
+      ["START_ON_CREATE", originalStartOnCreate],
+      ["UPLOAD_PART_SIZE_BYTES", originalPartSize],
+    ] as const) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  test("parseChecksum accepts prefixed and bare sha256/md5 digests", () => {
+    const hex = "a".repeat(64);
+    assert.deepStrictEqual(parseChecksum(`sha256:${hex}`), {
+      algorithm: "sha256",
+      hex,
+    });
+    assert.deepStrictEqual(parseChecksum("B".repeat(32)), {
+      algorithm: "md5",
+      hex: "b".repeat(32),
+    });
+    assert.strictEqual(parseChecksum("sha256:abc"), null);
+    assert.strictEqual(parseChecksum("crc32:deadbeef"), null);
+  });
+
+  test("uploads parts, resumes after an interruption and verifies the checksum", async () => {
+    const tenantId = "upload-ok";
+    const jobId = await create(tenantId, sha256(CONTENT));
+
+    const started = JSON.parse((await initiate(tenantId, jobId)).body);
+    assert.strictEqual(started.totalParts, 3);
+    assert.deepStrictEqual(started.missingParts, [1, 2, 3]);
+    const { uploadId } = started;
+
+    assert.strictEqual(
+      (await put(tenantId, jobId, uploadId, 1, CONTENT.subarray(0, 4)))
+        .statusCode,
+      200
+    );
+    assert.strictEqual(
+      (await put(tenantId, jobId, uploadId, 3, CONTENT.subarray(8))).statusCode,
+      200
+    );
+
+    // A client that lost its place gets the same upload back
+    const resumed = JSON.parse((await initiate(tenantId, jobId)).body);
+    assert.strictEqual(resumed.uploadId, uploadId);
+    assert.deepStrictEqual(resumed.missingParts, [2]);
+
+    const short = await put(tenantId, jobId, uploadId, 2, Buffer.from("45"));
+    assert.strictEqual(short.statusCode, 422);
+    const early = await complete(tenantId, jobId, uploadId);
+    assert.strictEqual(early.statusCode, 409);
+    assert.deepStrictEqual(JSON.parse(early.body).missingParts, [2]);
+
+    await put(tenantId, jobId, uploadId, 2, CONTENT.subarray(4, 8));
+    const status = await getUpload({
+      pathParameters: { jobId, uploadId },
+      queryStringParameters: { tenantId },
+    });
+    assert.deepStrictEqual(JSON.parse(status.body).missingParts, []);
+
+    const done = await complete(tenantId, jobId, uploadId);
+    assert.strictEqual(done.statusCode, 200);
+    const body = JSON.parse(done.body);
+    assert.strictEqual(body.bytes, CONTENT.length);
+    assert.strictEqual(body.started, false);
+
+    const manifest = loadManifest("test", tenantId, jobId);
+    assert.ok(manifest.input?.uploadedAt);
+    assert.deepStrictEqual(
+      fs.readFileSync(pathFor(manifest.input!.sourceKey)),
+      CONTENT
+    );
+    // Parts and the upload session are removed once assembled
+    const inputObjects = await getStorageDriver().list(
+      `test/${tenantId}/${jobId}/input/`
+    );
+    assert.deepStrictEqual(
+      inputObjects.map(o => o.key),
+      [manifest.input!.sourceKey]
+    );
+
+    assert.strictEqual((await initiate(tenantId, jobId)).statusCode, 409);
+  });
+
+  test("a checksum mismatch discards the upload", async () => {
+    const tenantId = "upload-bad-sum";
+    const jobId = await create(tenantId, sha256(Buffer.from("different")));
+    const { uploadId } = JSON.parse((await initiate(tenantId, jobId)).body);
+    for (const [n, start] of [
+      [1, 0],
+      [2, 4],
+      [3, 8],
+    ]) {
+      await put(
+        tenantId,
+        jobId,
+        uploadId,
+        n,
+        CONTENT.subarray(start, start + 4)
+      );
+    }
+
+    const res = await complete(tenantId, jobId, uploadId);
+    assert.strictEqual(res.statusCode, 422);
+    assert.strictEqual(JSON.parse(res.body).algorithm, "sha256");
+
+    const manifest = loadManifest("test", tenantId, jobId);
+    assert.strictEqual(manifest.input?.uploadedAt, undefined);
+    assert.strictEqual(
+      fs.existsSync(pathFor(manifest.input!.sourceKey)),
+      false
+    );
+    const after = JSON.parse((await initiate(tenantId, jobId)).body);
+    assert.notStrictEqual(after.uploadId, uploadId);
+    assert.deepStrictEqual(after.missingParts, [1, 2, 3]);
+  });
+
+  test("stores the input under a fixed name and refuses path traversal", async () => {
+    const tenantId = "upload-traversal";
+    const createWith = (input: Record<string, unknown>) =>
+      createJob({
+        body: JSON.stringify({
+          tenantId,
+          input: { bytes: CONTENT.length, mimeType: "video/mp4", ...input },
+        }),
+      });
+
+    for (const originalFilename of [
+      "../../../victim/j1/secret.mp4",
+      "..\\secret.mp4",
+      "nested/talk.mp4",
+      "..",
+    ]) {
+      const res = await createWith({ originalFilename });
+      assert.strictEqual(res.statusCode, 400, originalFilename);
+      assert.strictEqual(
+        JSON.parse(res.body).errors[0].field,
+        "body.input.originalFilename"
+      );
+    }
+    // Only completeUpload may mark the input as uploaded
+    const claimed = await createWith({
+      originalFilename: "talk.mp4",
+      uploadedAt: new Date().toISOString(),
+    });
+    assert.strictEqual(claimed.statusCode, 400);
+
+    const jobId = await create(tenantId);
+    const manifest = loadManifest("test", tenantId, jobId);
+    assert.strictEqual(
+      manifest.input?.sourceKey,
+      keyFor("test", tenantId, jobId, "input", "source.mp4")
+    );
+    assert.strictEqual(manifest.input?.originalFilename, "talk.mp4");
+
+    // A manifest written before the fix still cannot reach another tenant
+    const victimKey = keyFor("test", "victim", "j1", "input", "secret.mp4");
+    writeFileAtKey(victimKey, "victim");
+    await updateManifest("test", tenantId, jobId, m => {
+      m.input!.sourceKey = `${keyFor("test", tenantId, jobId, "input")}/../../../victim/j1/input/secret.mp4`;
+    });
+    const res = await initiate(tenantId, jobId);
+    assert.strictEqual(res.statusCode, 400);
+    assert.strictEqual(fs.readFileSync(pathFor(victimKey), "utf-8"), "victim");
+  });
+
+  test("START_ON_CREATE waits for the declared input to be uploaded", async () => {
+    process.env.START_ON_CREATE = "true";
+    const tenantId = "upload-deferred";
+    const jobId = await create(tenantId);
+
+    assert.strictEqual(getLocalExecution(jobId), undefined);
+    assert.strictEqual(loadManifest("test", tenantId, jobId).status, "pending");
+
+    const rejected = await initiateUpload({
+      pathParameters: { jobId },
+      queryStringParameters: { tenantId: "other-tenant" },
+    });
+    assert.strictEqual(rejected.statusCode, 404);
+  });
+});
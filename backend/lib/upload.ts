@@ -0,0 +1,422 @@
+// backend/lib/upload.ts
+import crypto from "node:crypto";
+import { Readable } from "node:stream";
+import { v4 as uuidv4 } from "uuid";
+import path from "node:path";
+import {
+  getStorageDriver,
+  isKeyWithin,
+  keyFor,
+  type StorageBody,
+} from "./storage.js";
+import { loadManifest, updateManifest } from "./manifest.js";
+import type { Manifest, ManifestInput } from "./types.js";
+
+/** S3's minimum multipart part size; also fits an API Gateway payload */
+export const DEFAULT_UPLOAD_PART_SIZE = 5 * 1024 * 1024;
+
+export const UPLOAD_ERROR_TYPES = {
+  JOB_NOT_FOUND: "JOB_NOT_FOUND",
+  INVALID_INPUT: "INVALID_INPUT",
+  ALREADY_UPLOADED: "ALREADY_UPLOADED",
+  UPLOAD_NOT_FOUND: "UPLOAD_NOT_FOUND",
+  INVALID_PART: "INVALID_PART",
+  INCOMPLETE_UPLOAD: "INCOMPLETE_UPLOAD",
+  SIZE_MISMATCH: "SIZE_MISMATCH",
+  CHECKSUM_MISMATCH: "CHECKSUM_MISMATCH",
+} as const;
+
+export type UploadErrorType = keyof typeof UPLOAD_ERROR_TYPES;
+
+/**
+ * HTTP status the upload API returns for each error type
+ */
+export const UPLOAD_ERROR_STATUS: Record<UploadErrorType, number> = {
+  JOB_NOT_FOUND: 404,
+  INVALID_INPUT: 400,
+  ALREADY_UPLOADED: 409,
+  UPLOAD_NOT_FOUND: 404,
+  INVALID_PART: 400,
+  INCOMPLETE_UPLOAD: 409,
+  SIZE_MISMATCH: 422,
+  CHECKSUM_MISMATCH: 422,
+};
+
+export class UploadError extends Error {
+  readonly type: UploadErrorType;
+  readonly details: Record<string, unknown>;
+
+  constructor(
+    message: string,
+    type: UploadErrorType,
+    details: Record<string, unknown> = {}
+  ) {
+    super(message);
+    this.name = "UploadError";
+    this.type = type;
+    this.details = details;
+  }
+}
+
+/**
+ * Upload in progress for a job's declared input, stored next to its parts
+ */
+export interface UploadSession {
+  uploadId: string;
+  partSize: number;
+  totalParts: number;
+  bytes: number;
+  createdAt: string;
+}
+
+export interface UploadStatus extends UploadSession {
+  receivedParts: { partNumber: number; size: number }[];
+  missingParts: number[];
+}
+
+/**
+ * Part size from UPLOAD_PART_SIZE_BYTES, falling back to 5 MiB
+ */
+export function uploadPartSize() {
+  const size = Number(process.env.UPLOAD_PART_SIZE_BYTES);
+  return Number.isInteger(size) && size > 0 ? size : DEFAULT_UPLOAD_PART_SIZE;
+}
+
+/**
+ * Parse `ManifestInput.checksum`: `sha256:<hex>`, `md5:<hex>`, or bare hex
+ * whose length identifies the algorithm. Returns null when unrecognised.
+ */
+export function parseChecksum(checksum: string) {
+  const match = /^(?:(sha256|md5):)?([0-9a-f]+)$/i.exec(checksum.trim());
+  if (!match) return null;
+  const hex = match[2].toLowerCase();
+  const algorithm =
+    match[1]?.toLowerCase() ||
+    (hex.length === 64 ? "sha256" : hex.length === 32 ? "md5" : undefined);
+  const expectedLength = algorithm === "sha256" ? 64 : 32;
+  if (!algorithm || hex.length !== expectedLength) return null;
+  return { algorithm: algorithm as "sha256" | "md5", hex };
+}
+
+const uploadPrefix = (env: string, tenantId: string, jobId: string) =>
+  keyFor(env, tenantId, jobId, "input", ".upload");
+
+const sessionKey = (env: string, tenantId: string, jobId: string) =>
+  `${uploadPrefix(env, tenantId, jobId)}/session.json`;
+
+const partKey = (
+  env: string,
+  tenantId: string,
+  jobId: string,
+  partNumber: number
+) =>
+  `${uploadPrefix(env, tenantId, jobId)}/part-${String(partNumber).padStart(6, "0")}`;
+
+function expectedPartSize(session: UploadSession, partNumber: number) {
+  return partNumber < session.totalParts
+    ? session.partSize
+    : session.bytes - session.partSize * (session.totalParts - 1);
+}
+
+function loadJob(env: string, tenantId: string, jobId: string) {
+  try {
+    return loadManifest(env, tenantId, jobId);
+  } catch (error) {
+    throw new UploadError(
+      `Job not found: ${jobId}`,
+      UPLOAD_ERROR_TYPES.JOB_NOT_FOUND,
+      { error: error instanceof Error ? error.message : String(error) }
+    );
+  }
+}
+
+/**
+ * A client-supplied file name is only kept as metadata, but it must still
+ * be a plain name: no path separators and no `..`
+ */
+export function isSafeInputFilename(name: string) {
+  return name.length > 0 && !/[\\/]/.test(name) && !name.includes("..");
+}
+
+/**
+ * Where a job's uploaded input is stored: a fixed `input/source<ext>` name,
+ * keeping only a plain alphanumeric extension from the original file name
+ */
+export function inputSourceKey(
+  env: string,
+  tenantId: string,
+  jobId: string,
+  originalFilename: string
+) {
+  const ext = path.extname(originalFilename).toLowerCase();
+  return keyFor(
+    env,
+    tenantId,
+    jobId,
+    "input",
+    `source${/^\.[a-z0-9]{1,8}$/.test(ext) ? ext : ""}`
+  );
+}
+
+/**
+ * The declared input, once it is ready to be uploaded
+ */
+function pendingInput(manifest: Manifest): ManifestInput {
+  const input = manifest.input;
+  if (!input) {
+    throw new UploadError(
+      "Job has no declared input; create it with input.originalFilename, bytes and mimeType",
+      UPLOAD_ERROR_TYPES.INVALID_INPUT
+    );
+  }
+  // Never write outside the job, whatever an older manifest recorded
+  const jobPrefix = keyFor(manifest.env, manifest.tenantId, manifest.jobId);
+  if (!isKeyWithin(input.sourceKey, jobPrefix)) {
+    throw new UploadError(
+      "Job input key is outside the job",
+      UPLOAD_ERROR_TYPES.INVALID_INPUT,
+      { sourceKey: input.sourceKey }
+    );
+  }
+  if (input.uploadedAt) {
+    throw new UploadError(
+      "Job input has already been uploaded",
+      UPLOAD_ERROR_TYPES.ALREADY_UPLOADED,
+      { sourceKey: input.sourceKey, uploadedAt: input.uploadedAt }
+    );
+  }
+  if (!Number.isInteger(input.bytes) || input.bytes <= 0) {
+    throw new UploadError(
+      "Declared input.bytes must be a positive integer",
+      UPLOAD_ERROR_TYPES.INVALID_INPUT,
+      { bytes: input.bytes }
+    );
+  }
+  if (input.checksum && !parseChecksum(input.checksum)) {
+    throw new UploadError(
+      "Declared input.checksum must be sha256:<hex> or md5:<hex>",
+      UPLOAD_ERROR_TYPES.INVALID_INPUT,
+      { checksum: input.checksum }
+    );
+  }
+  return input;
+}
+
+async function readSession(env: string, tenantId: string, jobId: string) {
+  const storage = getStorageDriver();
+  const k = sessionKey(env, tenantId, jobId);
+  if (!(await storage.head(k))) return null;
+  return JSON.parse((await storage.get(k)).toString("utf-8")) as UploadSession;
+}
+
+async function requireSession(
+  env: string,
+  tenantId: string,
+  jobId: string,
+  uploadId: string
+) {
+  const session = await readSession(env, tenantId, jobId);
+  if (!session || session.uploadId !== uploadId) {
+    throw new UploadError(
+      `Upload not found: ${uploadId}`,
+      UPLOAD_ERROR_TYPES.UPLOAD_NOT_FOUND,
+      { uploadId }
+    );
+  }
+  return session;
+}
+
+async function statusOf(
+  env: string,
+  tenantId: string,
+  jobId: string,
+  session: UploadSession
+): Promise<UploadStatus> {
+  const storage = getStorageDriver();
+  const receivedParts: UploadStatus["receivedParts"] = [];
+  const missingParts: number[] = [];
+  for (let partNumber = 1; partNumber <= session.totalParts; partNumber++) {
+    const info = await storage.head(partKey(env, tenantId, jobId, partNumber));
+    if (info && info.size === expectedPartSize(session, partNumber)) {
+      receivedParts.push({ partNumber, size: info.size });
+    } else {
+      missingParts.push(partNumber);
+    }
+  }
+  return { ...session, receivedParts, missingParts };
+}
+
+/**
+ * Start an upload for the job's declared input, or return the one already
+ * in progress so an interrupted client can resume with `missingParts`
+ */
+export async function initiateUpload(
+  env: string,
+  tenantId: string,
+  jobId: string
+) {
+  const input = pendingInput(loadJob(env, tenantId, jobId));
+
+  const existing = await readSession(env, tenantId, jobId);
+  if (existing && existing.bytes === input.bytes) {
+    return statusOf(env, tenantId, jobId, existing);
+  }
+  if (existing) await discardUpload(env, tenantId, jobId);
+
+  const partSize = uploadPartSize();
+  const session: UploadSession = {
+    uploadId: uuidv4(),
+    partSize,
+    totalParts: Math.ceil(input.bytes / partSize),
+    bytes: input.bytes,
+    createdAt: new Date().toISOString(),
+  };
+  await getStorageDriver().put(
+    sessionKey(env, tenantId, jobId),
+    JSON.stringify(session, null, 2),
+    { contentType: "application/json" }
+  );
+  return statusOf(env, tenantId, jobId, session);
+}
+
+export async function getUploadStatus(
+  env: string,
+  tenantId: string,
+  jobId: string,
+  uploadId: string
+) {
+  loadJob(env, tenantId, jobId);
+  const session = await requireSession(env, tenantId, jobId, uploadId);
+  return statusOf(env, tenantId, jobId, session);
+}
+
+/**
+ * Store one part. Every part but the last is exactly `partSize` bytes;
+ * re-sending a part replaces it.
+ */
+export async function writeUploadPart(
+  env: string,
+  tenantId: string,
+  jobId: string,
+  uploadId: string,
+  partNumber: number,
+  body: StorageBody
+) {
+  pendingInput(loadJob(env, tenantId, jobId));
+  const session = await requireSession(env, tenantId, jobId, uploadId);
+  if (
+    !Number.isInteger(partNumber) ||
+    partNumber < 1 ||
+    partNumber > session.totalParts
+  ) {
+    throw new UploadError(
+      `partNumber must be between 1 and ${session.totalParts}`,
+      UPLOAD_ERROR_TYPES.INVALID_PART,
+      { partNumber, totalParts: session.totalParts }
+    );
+  }
+
+  const storage = getStorageDriver();
+  const k = partKey(env, tenantId, jobId, partNumber);
+  const expected = expectedPartSize(session, partNumber);
+  const info = await storage.put(k, body, { contentLength: expected });
+  if (info.size !== expected) {
+    await storage.delete(k);
+    throw new UploadError(
+      `Part ${partNumber} must be ${expected} bytes, received ${info.size}`,
+      UPLOAD_ERROR_TYPES.SIZE_MISMATCH,
+      { partNumber, expected, received: info.size }
+    );
+  }
+  return { partNumber, size: info.size };
+}
+
+async function discardUpload(env: string, tenantId: string, jobId: string) {
+  const storage = getStorageDriver();
+  for (const part of await storage.list(
+    `${uploadPrefix(env, tenantId, jobId)}/`
+  )) {
+    await storage.delete(part.key);
+  }
+}
+
+/**
+ * Assemble the parts into `input.sourceKey`, verify the declared byte count
+ * and checksum, then stamp `input.uploadedAt`. A checksum mismatch discards
+ * the upload so the client starts a new one.
+ */
+export async function completeUpload(
+  env: string,
+  tenantId: string,
+  jobId: string,
+  uploadId: string
+) {
+  const input = pendingInput(loadJob(env, tenantId, jobId));
+  const session = await requireSession(env, tenantId, jobId, uploadId);
+  const status = await statusOf(env, tenantId, jobId, session);
+  if (status.missingParts.length) {
+    throw new UploadError(
+      `Upload is missing ${status.missingParts.length} part(s)`,
+      UPLOAD_ERROR_TYPES.INCOMPLETE_UPLOAD,
+      { missingParts: status.missingParts }
+    );
+  }
+
+  const storage = getStorageDriver();
+  const declared = input.checksum ? parseChecksum(input.checksum) : null;
+  const algorithm = declared?.algorithm || "sha256";
+  const hash = crypto.createHash(algorithm);
+  let bytes = 0;
+  async function* assemble() {
+    for (let partNumber = 1; partNumber <= session.totalParts; partNumber++) {
+      const part = await storage.stream(
+        partKey(env, tenantId, jobId, partNumber)
+      );
+      for await (const chunk of part) {
+        hash.update(chunk);
+        bytes += chunk.length;
+        yield chunk;
+      }
+    }
+  }
+  await storage.put(input.sourceKey, Readable.from(assemble()), {
+    contentType: input.mimeType,
+    contentLength: session.bytes,
+  });
+
+  const digest = hash.digest("hex");
+  if (bytes !== input.bytes) {
+    await storage.delete(input.sourceKey);
+    throw new UploadError(
+      `Uploaded ${bytes} bytes, declared ${input.bytes}`,
+      UPLOAD_ERROR_TYPES.SIZE_MISMATCH,
+      { expected: input.bytes, received: bytes }
+    );
+  }
+  if (declared && digest !== declared.hex) {
+    await storage.delete(input.sourceKey);
+    await discardUpload(env, tenantId, jobId);
+    throw new UploadError(
+      `Uploaded ${algorithm} does not match the declared checksum`,
+      UPLOAD_ERROR_TYPES.CHECKSUM_MISMATCH,
+      { algorithm, expected: declared.hex, received: digest }
+    );
+  }
+
+  const manifest = await updateManifest(env, tenantId, jobId, m => {
+    m.input = {
+      ...m.input!,
+      checksum: m.input!.checksum || `${algorithm}:${digest}`,
+      uploadedAt: new Date().toISOString(),
+    };
+  });
+  await discardUpload(env, tenantId, jobId);
+  return manifest;
+}
+
+/**
+ * Jobs with a declared input may only start once it has been uploaded
+ */
+export function isInputReady(manifest: Pick<Manifest, "input">) {
+  return !manifest.input || Boolean(manifest.input.uploadedAt);
+}
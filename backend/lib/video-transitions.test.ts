@@ -0,0 +1,439 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import path from "node:path";
+import { createJob } from "./api/jobs/createJob.js";
+import { loadManifest, updateManifest } from "./manifest.js";
+import { keyFor, readFileAtKey, writeFileAtKey } from "./storage.js";
+import {
+  buildCrossfadeChain,
+  fitBoundaryTransitions,
+  resolveBoundaryTransitions,
+  resolveTransitionSettings,
+  transitionsDuration,
+} from "../services/video-render-engine/transitions-logic.js";
+import {
+  buildTimingMap,
+  finalDuration,
+} from "../services/subtitles-post-edit/timing-logic.js";
+import { handler } from "../services/video-transitions/handler.js";
+
+const STORAGE = "./test-storage-video-transitions";
+const BIN = path.resolve(STORAGE, "bin");
+const FFMPEG_ARGS = path.resolve(STORAGE, "ffmpeg-args.txt");
+const PROBE_DURATION = path.resolve(STORAGE, "probe-duration.txt");
+
+/**
+ * Stand-ins for ffmpeg (records its arguments and writes the output file)
+ * and ffprobe (a 1920x1080 clip lasting whatever PROBE_DURATION holds)
+ */
+function installTools() {
+  fs.mkdirSync(BIN, { recursive: true });
+  const scripts = {
+    ffmpeg: `for last; do :; done\nprintf '%s\\n' "$@" > "${FFMPEG_ARGS}"\necho faded > "$last"\n`,
+    ffprobe: `echo '{"format":{"duration":"'$(cat "${PROBE_DURATION}")'"},"streams":[{"codec_type":"video","width":1920,"height":1080,"r_frame_rate":"30/1"},{"codec_type":"audio"}]}'\n`,
+  };
+  for (const [name, body] of Object.entries(scripts)) {
+    const file = path.join(BIN, name);
+    fs.writeFileSync(file, `#!/bin/sh\n${body}`);
+    fs.chmodSync(file, 0o755);
+  }
+}
+
+const KEEPS = [
+  { start: 0, end: 10 },
+  { start: 15, end: 15.6 },
+  { start: 20, end: 30 },
+];
+
+describe("video transitions", () => {
+  const originalEnv = process.env.TALKAVOCADO_ENV;
+  const originalStoragePath = process.env.MEDIA_STORAGE_PATH;
+  const originalStartOnCreate = process.env.START_ON_CREATE;
+  const originalFfmpegPath = process.env.FFMPEG_PATH;
+  const originalFfprobePath = process.env.FFPROBE_PATH;
+
+  beforeEach(() => {
+    process.env.TALKAVOCADO_ENV = "test";
+    process.env.MEDIA_STORAGE_PATH = STORAGE;
+    delete process.env.START_ON_CREATE;
+    fs.rmSync(STORAGE, { recursive: true, force: true });
+    installTools();
+    process.env.FFMPEG_PATH = path.join(BIN, "ffmpeg");
+    process.env.FFPROBE_PATH = path.join(BIN, "ffprobe");
+  });
+
+  afterEach(() => {
+    fs.rmSync(STORAGE, { recursive: true, force: true });
+    process.env.TALKAVOCADO_ENV = originalEnv;
+    for (const [name, value] of [
+      ["MEDIA_STORAGE_PATH", originalStoragePath],
+      ["START_ON_CREATE", originalStartOnCreate],
+      ["FFMPEG_PATH", originalFfmpegPath],
+      ["FFPROBE_PATH", originalFfprobePath],
+    ] as const) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  async function jobWithPlan(
+    tenantId: string,
+    applyTransitions?: boolean,
+    transitions: Record<number, object> = {}
+  ) {
+    const res = await createJob({
+      body: JSON.stringify({
+        tenantId,
+        ...(applyTransitions === undefined
+          ? {}
+          : { options: { applyTransitions } }),
+      }),
+    });
+    const { jobId } = JSON.parse(res.body);
+    const key = (...parts: string[]) =>
+      keyFor("test", tenantId, jobId, ...parts);
+    writeFileAtKey(key("input", "talk.mp4"), "source");
+    writeFileAtKey(
+      key("plan", "cut_plan.json"),
+      JSON.stringify({
+        schemaVersion: "1.0.0",
+        cuts: [
+          { start: "0.00", end: "10.00", type: "keep" },
+          { start: "10.00", end: "15.00", type: "cut" },
+          {
+            start: "15.00",
+            end: "15.60",
+            type: "keep",
+            ...(transitions[1] && { transition: transitions[1] }),
+          },
+          { start: "15.60", end: "20.00", type: "cut" },
+          {
+            start: "20.00",
+            end: "30.00",
+            type: "keep",
+            ...(transitions[2] && { transition: transitions[2] }),
+          },
+        ],
+      })
+    );
+    await updateManifest("test", tenantId, jobId, m => {
+      m.sourceVideoKey = key("input", "talk.mp4");
+    });
+    return { jobId, key };
+  }
+
+  test("resolves settings and fits the crossfade to the shortest keep", () => {
+    assert.deepStrictEqual(
+      resolveTransitionSettings({}, { TRANSITIONS_DURATION_MS: "400" }),
+      { type: "crossfade", durationMs: 400, audioFadeMs: 400 }
+    );
+    assert.deepStrictEqual(
+      resolveTransitionSettings(
+        { durationMs: 500 },
+        { TRANSITIONS_AUDIO_FADE_MS: "250" }
+      ),
+      { type: "crossfade", durationMs: 500, audioFadeMs: 250 }
+    );
+    assert.throws(() => resolveTransitionSettings({ type: "spin" }, {}), {
+      type: "UNSUPPORTED_TYPE",
+    });
+    assert.throws(() => resolveTransitionSettings({ durationMs: 9000 }, {}), {
+      type: "INVALID_DURATION",
+    });
+
+    assert.deepStrictEqual(resolveTransitionSettings({ type: "cut" }, {}), {
+      type: "cut",
+      durationMs: 0,
+      audioFadeMs: 0,
+    });
+
+    // The 0.6 s middle keep carries a fade at each end
+    const fit = (ms: number) =>
+      fitBoundaryTransitions(
+        KEEPS,
+        resolveBoundaryTransitions(KEEPS, { durationMs: ms }, {})
+      ).map(b => b.durationMs);
+    assert.deepStrictEqual(fit(500), [300, 300]);
+    assert.deepStrictEqual(fit(255), [250, 250]);
+    assert.deepStrictEqual(
+      fitBoundaryTransitions(
+        [KEEPS[0], KEEPS[2]],
+        resolveBoundaryTransitions(
+          [KEEPS[0], KEEPS[2]],
+          { durationMs: 800 },
+          {}
+        )
+      ).map(b => b.durationMs),
+      [800]
+    );
+    assert.strictEqual(transitionsDuration(KEEPS, 300), 20);
+  });
+
+  test("resolves each join from the keep's own transition", () => {
+    const keeps = [
+      KEEPS[0],
+      { ...KEEPS[1], transition: { type: "cut" } },
+      { ...KEEPS[2], transition: { type: "wipe-left", durationMs: 800 } },
+    ];
+    const requested = resolveBoundaryTransitions(
+      keeps,
+      { type: "dip-to-black", durationMs: 400, audioFadeMs: 200 },
+      {}
+    );
+    assert.deepStrictEqual(requested, [
+      { type: "cut", durationMs: 0, audioFadeMs: 0 },
+      { type: "wipe-left", durationMs: 800, audioFadeMs: 800 },
+    ]);
+    // With a cut on one side the middle keep's whole length is available
+    const boundaries = fitBoundaryTransitions(keeps, requested);
+    assert.deepStrictEqual(
+      boundaries.map(b => b.durationMs),
+      [0, 600]
+    );
+    assert.strictEqual(transitionsDuration(keeps, boundaries), 20);
+    assert.throws(
+      () =>
+        resolveBoundaryTransitions(
+          [KEEPS[0], { ...KEEPS[1], transition: { type: "spin" } }],
+          {},
+          {}
+        ),
+      (err: { type: string; details: { keepIndex: number } }) =>
+        err.type === "UNSUPPORTED_TYPE" && err.details.keepIndex === 1
+    );
+
+    const { chain } = buildCrossfadeChain(KEEPS, {
+      boundaries: [
+        { type: "dip-to-black", durationMs: 200, audioFadeMs: 200 },
+        { type: "cut", durationMs: 0, audioFadeMs: 0 },
+      ],
+    });
+    const graph = chain.join(";");
+    assert.ok(
+      graph.includes("xfade=transition=fadeblack:duration=0.20:offset=9.80")
+    );
+    // Dips fade the audio out and back in around the midpoint
+    assert.ok(graph.includes("afade=t=out:st=9.800:d=0.100"));
+    assert.ok(graph.includes("atrim=start=0.100"));
+    assert.ok(graph.includes("concat=n=2:v=1:a=0"));
+    assert.ok(graph.includes("concat=n=2:v=0:a=1"));
+  });
+
+  test("keeps the audio as long as the picture across mixed joins", () => {
+    const keeps = [
+      { start: 0, end: 4 },
+      { start: 6, end: 9 },
+      { start: 12, end: 14.5 },
+      { start: 20, end: 23 },
+    ];
+    const boundaries = [
+      { type: "crossfade", durationMs: 500, audioFadeMs: 200 },
+      { type: "dip-to-black", durationMs: 400, audioFadeMs: 400 },
+      { type: "wipe-left", durationMs: 300, audioFadeMs: 600 },
+    ];
+    const { chain, vOut, aOut } = buildCrossfadeChain(keeps, { boundaries });
+
+    // Length of every labelled stream, following the filters the chain uses
+    const lengths = new Map<string, number>();
+    keeps.forEach((k, i) => {
+      lengths.set(`[v${i}]`, k.end - k.start);
+      lengths.set(`[a${i}]`, k.end - k.start);
+    });
+    const param = (node: string, name: string) =>
+      Number(new RegExp(`${name}=([\\d.]+)`).exec(node)?.[1]);
+    for (const node of chain) {
+      const [, inputs, filters, out] = /^((?:\[\w+\])+)(.*) (\[\w+\])$/.exec(
+        node
+      )!;
+      const [first, second] = inputs
+        .match(/\[\w+\]/g)!
+        .map(l => lengths.get(l)!);
+      let length = first;
+      if (filters.startsWith("xfade"))
+        length = param(filters, "offset") + second;
+      else if (filters.startsWith("acrossfade"))
+        length = first + second - param(filters, "d");
+      else if (filters.startsWith("concat")) length = first + second;
+      else {
+        if (filters.includes("atrim=end")) length = param(filters, "end");
+        if (filters.includes("atrim=start")) length -= param(filters, "start");
+      }
+      lengths.set(out, length);
+    }
+
+    const video = lengths.get(vOut!)!;
+    assert.ok(Math.abs(video - transitionsDuration(keeps, boundaries)) < 1e-9);
+    assert.ok(Math.abs(lengths.get(aOut!)! - video) < 1e-9);
+    // The dip fades the audio out where its picture starts to fade
+    assert.ok(chain.some(n => n.includes("offset=6.10")));
+    assert.ok(chain.some(n => n.includes("afade=t=out:st=6.100:d=0.200")));
+    // The short audio crossfade drops the rest of the outgoing audio
+    assert.ok(chain.some(n => n.includes("atrim=end=3.700")));
+    assert.ok(chain.some(n => n.includes("acrossfade=d=0.20")));
+    // An audio fade longer than the picture's is held to it
+    assert.ok(chain.some(n => n.includes("acrossfade=d=0.30")));
+  });
+
+  test("renders with_transitions.mp4 and records the crossfade subtitles retime with", async () => {
+    const tenantId = "transitions-tenant";
+    const { jobId, key } = await jobWithPlan(tenantId, true);
+    // A preset's default transition, longer than the middle keep allows
+    await updateManifest("test", tenantId, jobId, m => {
+      m.extra = {
+        branding: { defaultTransition: { type: "crossfade", durationMs: 400 } },
+      };
+    });
+    fs.writeFileSync(PROBE_DURATION, "20.000");
+
+    const result = await handler({ env: "test", tenantId, jobId });
+    assert.strictEqual(result.ok, true);
+    assert.strictEqual(
+      result.outputKey,
+      key("renders", "with_transitions.mp4")
+    );
+    assert.deepStrictEqual(result.transition, {
+      type: "crossfade",
+      durationMs: 400,
+      audioFadeMs: 400,
+    });
+    assert.deepStrictEqual(
+      result.boundaries?.map(b => b.durationMs),
+      [300, 300]
+    );
+    assert.strictEqual(result.joins, 2);
+    assert.strictEqual(readFileAtKey(result.outputKey!).toString(), "faded\n");
+
+    const args = fs.readFileSync(FFMPEG_ARGS, "utf-8").split("\n");
+    assert.ok(args.some(a => a.endsWith("/input/talk.mp4")));
+    const graph = args[args.indexOf("-filter_complex") + 1];
+    assert.ok(graph.includes("xfade=duration=0.30:offset=9.70"));
+    assert.ok(graph.includes("xfade=duration=0.30:offset=10.00"));
+    assert.ok(graph.includes("acrossfade=d=0.30"));
+
+    let manifest = loadManifest("test", tenantId, jobId);
+    const recorded = manifest.extra?.["video-transitions"];
+    assert.strictEqual(recorded?.durationMs, 400);
+    assert.deepStrictEqual(recorded?.boundaries, result.boundaries);
+    assert.strictEqual(
+      manifest.steps?.["video-transitions"]?.status,
+      "completed"
+    );
+    // Subtitles map the plan with the recorded overlap onto the same length
+    assert.ok(
+      Math.abs(
+        finalDuration(buildTimingMap(KEEPS, { transitionSec: 0.3 })) -
+          result.durationSec!
+      ) < 1e-9
+    );
+
+    // Re-running replaces the render entry instead of appending
+    await handler({ env: "test", tenantId, jobId });
+    manifest = loadManifest("test", tenantId, jobId);
+    assert.deepStrictEqual(
+      manifest.renders?.map(r => [r.key, r.type, r.resolution, r.notes]),
+      [[result.outputKey, "preview", "1920x1080", "transitions=crossfade:2"]]
+    );
+
+    // A render that does not match the planned timeline fails the step
+    // and leaves the published render alone
+    writeFileAtKey(result.outputKey!, "previous");
+    fs.writeFileSync(PROBE_DURATION, "20.600");
+    await assert.rejects(handler({ env: "test", tenantId, jobId }), {
+      type: "DURATION_MISMATCH",
+    });
+    manifest = loadManifest("test", tenantId, jobId);
+    assert.strictEqual(manifest.steps?.["video-transitions"]?.status, "failed");
+    assert.strictEqual(readFileAtKey(result.outputKey!).toString(), "previous");
+  });
+
+  test("skips without rendering when transitions are not requested", async () => {
+    const tenantId = "no-transitions-tenant";
+    const { jobId } = await jobWithPlan(tenantId);
+
+    const result = await handler({ env: "test", tenantId, jobId });
+    assert.deepStrictEqual(
+      { ok: result.ok, skipped: result.skipped },
+      { ok: true, skipped: true }
+    );
+    assert.ok(!fs.existsSync(FFMPEG_ARGS));
+    const manifest = loadManifest("test", tenantId, jobId);
+    assert.strictEqual(
+      manifest.steps?.["video-transitions"]?.status,
+      "skipped"
+    );
+
+    // The pipeline's flag wins over the stored option
+    fs.writeFileSync(PROBE_DURATION, "20.200");
+    const forced = await handler({
+      env: "test",
+      tenantId,
+      jobId,
+      applyTransitions: true,
+      transition: { durationMs: 200 },
+    });
+    assert.strictEqual(forced.transition?.durationMs, 200);
+  });
+
+  test("renders the cut plan's own transitions and rejects unknown ones", async () => {
+    const tenantId = "mixed-transitions-tenant";
+    const { jobId, key } = await jobWithPlan(tenantId, true, {
+      1: { type: "cut" },
+      2: { type: "dip-to-white", durationMs: 400 },
+    });
+    // Only the dip overlaps: 10 + 0.6 + 10 - 0.4
+    fs.writeFileSync(PROBE_DURATION, "20.200");
+
+    const result = await handler({ env: "test", tenantId, jobId });
+    assert.deepStrictEqual(
+      result.boundaries?.map(b => [b.type, b.durationMs]),
+      [
+        ["cut", 0],
+        ["dip-to-white", 400],
+      ]
+    );
+    const graph = fs
+      .readFileSync(FFMPEG_ARGS, "utf-8")
+      .split("\n")
+      .find(a => a.includes("xfade"))!;
+    assert.ok(graph.includes("concat=n=2:v=1:a=0"));
+    assert.ok(
+      graph.includes("xfade=transition=fadewhite:duration=0.40:offset=10.20")
+    );
+    const manifest = loadManifest("test", tenantId, jobId);
+    assert.strictEqual(
+      manifest.renders?.find(r => r.key === result.outputKey)?.notes,
+      "transitions=cut:1,dip-to-white:1"
+    );
+    // Subtitles overlap each join by what it recorded
+    assert.ok(
+      Math.abs(
+        finalDuration(
+          buildTimingMap(KEEPS, {
+            overlapsSec: result.boundaries!.map(b => b.durationMs / 1000),
+          })
+        ) - result.durationSec!
+      ) < 1e-9
+    );
+
+    // The cut plan schema only knows the supported types
+    writeFileAtKey(
+      key("plan", "cut_plan.json"),
+      JSON.stringify({
+        schemaVersion: "1.0.0",
+        cuts: [
+          { start: "0.00", end: "10.00", type: "keep" },
+          {
+            start: "10.00",
+            end: "20.00",
+            type: "keep",
+            transition: { type: "spin" },
+          },
+        ],
+      })
+    );
+    await assert.rejects(handler({ env: "test", tenantId, jobId }), {
+      type: "INVALID_PLAN",
+    });
+  });
+});
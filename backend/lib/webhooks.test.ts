@@ -0,0 +1,345 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import http from "node:http";
+import type { AddressInfo } from "node:net";
+import { createJob } from "./api/jobs/createJob.js";
+import { createWebhook } from "./api/webhooks/createWebhook.js";
+import { listWebhooks } from "./api/webhooks/listWebhooks.js";
+import { listWebhookDeliveries } from "./api/webhooks/listWebhookDeliveries.js";
+import { updateManifest } from "./manifest.js";
+import {
+  SIGNATURE_HEADER,
+  dispatchWebhookDeliveries,
+  enqueueWebhookEvent,
+  getWebhookStore,
+  sweepWebhookDeliveries,
+  verifyWebhookSignature,
+} from "./webhooks.js";
+
+const STORAGE = "./test-storage-webhooks";
+
+interface Received {
+  headers: http.IncomingHttpHeaders;
+  body: string;
+}
+
+/**
+ * Local receiver answering with `statuses` in turn (then 200), recording
+ * every request it sees
+ */
+async function startReceiver(statuses: number[] = []) {
+  const received: Received[] = [];
+  const waiters: (() => void)[] = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => (body += chunk));
+    req.on("end", () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = statuses.shift() ?? 200;
+      res.end();
+      waiters.splice(0).forEach(resolve => resolve());
+    });
+  });
+  await new Promise<void>(resolve => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address() as AddressInfo;
+  return {
+    url: `http://127.0.0.1:${port}/hooks`,
+    received,
+    /** Resolves once at least `count` requests have arrived */
+    async waitFor(count: number) {
+      while (received.length < count) {
+        await new Promise<void>(resolve => waiters.push(resolve));
+      }
+    },
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+async function subscribe(tenantId: string, body: Record<string, unknown>) {
+  const res = await createWebhook({
+    queryStringParameters: { tenantId },
+    body: JSON.stringify(body),
+  });
+  assert.strictEqual(res.statusCode, 201);
+  return JSON.parse(res.body) as { id: string; secret: string };
+}
+
+async function deliveries(tenantId: string, webhookId: string) {
+  const res = await listWebhookDeliveries({
+    pathParameters: { webhookId },
+    queryStringParameters: { tenantId },
+  });
+  assert.strictEqual(res.statusCode, 200);
+  return JSON.parse(res.body).items;
+}
+
+/** Wait for background dispatches to finish writing the delivery log */
+async function settled(tenantId: string) {
+  const store = getWebhookStore();
+  while ((await store.listDeliveries(tenantId, { status: "pending" })).length) {
+    await new Promise(r => setTimeout(r, 10));
+  }
+}
+
+describe("webhooks", () => {
+  const originalEnv = process.env.TALKAVOCADO_ENV;
+  const originalStoragePath = process.env.MEDIA_STORAGE_PATH;
+  const originalStartOnCreate = process.env.START_ON_CREATE;
+  const originalRetryBase = process.env.WEBHOOK_RETRY_BASE_MS;
+  const originalMaxAttempts = process.env.WEBHOOK_MAX_ATTEMPTS;
+  const originalAllowInternal = process.env.WEBHOOK_ALLOW_INTERNAL_TARGETS;
+
+  beforeEach(() => {
+    process.env.TALKAVOCADO_ENV = "test";
+    process.env.MEDIA_STORAGE_PATH = STORAGE;
+    process.env.WEBHOOK_RETRY_BASE_MS = "5";
+    // Receivers listen on 127.0.0.1
+    process.env.WEBHOOK_ALLOW_INTERNAL_TARGETS = "true";
+    delete process.env.START_ON_CREATE;
+    delete process.env.WEBHOOK_MAX_ATTEMPTS;
+    fs.rmSync(STORAGE, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(STORAGE, { recursive: true, force: true });
+    process.env.TALKAVOCADO_ENV = originalEnv;
+    for (const [name, value] of [
+      ["MEDIA_STORAGE_PATH", originalStoragePath],
+      ["START_ON_CREATE", originalStartOnCreate],
+      ["WEBHOOK_RETRY_BASE_MS", originalRetryBase],
+      ["WEBHOOK_MAX_ATTEMPTS", originalMaxAttempts],
+      ["WEBHOOK_ALLOW_INTERNAL_TARGETS", originalAllowInternal],
+    ] as const) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  test("validates subscriptions and hides secrets when listing", async () => {
+    const tenantId = "hooks-validate";
+    const badUrl = await createWebhook({
+      queryStringParameters: { tenantId },
+      body: JSON.stringify({ url: "ftp://example.com" }),
+    });
+    assert.strictEqual(badUrl.statusCode, 400);
+    const badEvent = await createWebhook({
+      queryStringParameters: { tenantId },
+      body: JSON.stringify({ url: "http://example.com", events: ["job.x"] }),
+    });
+    assert.strictEqual(badEvent.statusCode, 400);
+
+    const created = await subscribe(tenantId, { url: "http://example.com" });
+    assert.match(created.secret, /^whsec_[0-9a-f]{48}$/);
+
+    const list = await listWebhooks({ queryStringParameters: { tenantId } });
+    const items = JSON.parse(list.body).items;
+    assert.strictEqual(items.length, 1);
+    assert.strictEqual(items[0].id, created.id);
+    assert.strictEqual(items[0].secret, undefined);
+  });
+
+  test("refuses loopback, private and link-local targets", async () => {
+    const tenantId = "hooks-ssrf";
+    delete process.env.WEBHOOK_ALLOW_INTERNAL_TARGETS;
+    for (const url of [
+      "http://localhost:8080/hooks",
+      "http://127.0.0.1/hooks",
+      "http://10.1.2.3/hooks",
+      "http://172.20.0.1/hooks",
+      "http://192.168.1.10/hooks",
+      "http://169.254.169.254/latest/meta-data",
+      "http://0.0.0.0/hooks",
+      "http://[::1]/hooks",
+      "http://[fd00::1]/hooks",
+      "http://[fe80::1]/hooks",
+      "http://[::ffff:127.0.0.1]/hooks",
+    ]) {
+      const res = await createWebhook({
+        queryStringParameters: { tenantId },
+        body: JSON.stringify({ url }),
+      });
+      assert.strictEqual(res.statusCode, 400, url);
+      assert.match(JSON.parse(res.body).error, /must not target/);
+    }
+    await subscribe(tenantId, { url: "https://93.184.216.34/hooks" });
+
+    // A subscription made while allowed is still refused when delivering
+    const receiver = await startReceiver();
+    try {
+      process.env.WEBHOOK_ALLOW_INTERNAL_TARGETS = "true";
+      const internal = await subscribe("hooks-ssrf-deliver", {
+        url: receiver.url,
+      });
+      delete process.env.WEBHOOK_ALLOW_INTERNAL_TARGETS;
+      await enqueueWebhookEvent("hooks-ssrf-deliver", "job-1", "job.created");
+      await dispatchWebhookDeliveries("hooks-ssrf-deliver");
+      const [refused] = await deliveries("hooks-ssrf-deliver", internal.id);
+      assert.strictEqual(refused.status, "failed");
+      assert.strictEqual(refused.attempts.length, 1);
+      assert.match(refused.attempts[0].error, /Target refused/);
+      assert.strictEqual(receiver.received.length, 0);
+    } finally {
+      await receiver.close();
+    }
+  });
+
+  test("signs payloads and retries 5xx responses with a logged attempt each", async () => {
+    const tenantId = "hooks-retry";
+    const receiver = await startReceiver([503, 500]);
+    try {
+      const hook = await subscribe(tenantId, {
+        url: receiver.url,
+        secret: "s3cret-s3cret-s3cret",
+      });
+      await enqueueWebhookEvent(tenantId, "job-1", "job.completed", {
+        status: "completed",
+      });
+      const [delivery] = await dispatchWebhookDeliveries(tenantId);
+
+      assert.strictEqual(delivery.status, "delivered");
+      assert.strictEqual(receiver.received.length, 3);
+      const { headers, body } = receiver.received[2];
+      assert.strictEqual(headers["x-talkavocado-event"], "job.completed");
+      assert.strictEqual(headers["x-talkavocado-delivery"], delivery.id);
+      assert.ok(
+        verifyWebhookSignature(
+          hook.secret,
+          body,
+          String(headers[SIGNATURE_HEADER])
+        )
+      );
+      assert.ok(
+        !verifyWebhookSignature(
+          "wrong-secret",
+          body,
+          String(headers[SIGNATURE_HEADER])
+        )
+      );
+      assert.deepStrictEqual(JSON.parse(body).data, { status: "completed" });
+
+      const [logged] = await deliveries(tenantId, hook.id);
+      assert.strictEqual(logged.status, "delivered");
+      assert.deepStrictEqual(
+        logged.attempts.map((a: any) => a.statusCode),
+        [503, 500, 200]
+      );
+    } finally {
+      await receiver.close();
+    }
+  });
+
+  test("gives up on 4xx immediately and after WEBHOOK_MAX_ATTEMPTS otherwise", async () => {
+    const tenantId = "hooks-fail";
+    process.env.WEBHOOK_MAX_ATTEMPTS = "2";
+    const rejecting = await startReceiver([410]);
+    const down = await startReceiver([500, 500, 500]);
+    try {
+      const gone = await subscribe(tenantId, { url: rejecting.url });
+      const flaky = await subscribe(tenantId, { url: down.url });
+      await enqueueWebhookEvent(tenantId, "job-1", "job.failed");
+      await dispatchWebhookDeliveries(tenantId);
+
+      const [rejected] = await deliveries(tenantId, gone.id);
+      assert.strictEqual(rejected.status, "failed");
+      assert.strictEqual(rejected.attempts.length, 1);
+      assert.strictEqual(rejected.attempts[0].statusCode, 410);
+
+      const [exhausted] = await deliveries(tenantId, flaky.id);
+      assert.strictEqual(exhausted.status, "failed");
+      assert.strictEqual(exhausted.attempts.length, 2);
+      assert.match(exhausted.attempts[1].error, /500/);
+    } finally {
+      await rejecting.close();
+      await down.close();
+    }
+  });
+
+  test("job lifecycle transitions reach subscribers matching the event filter", async () => {
+    const tenantId = "hooks-lifecycle";
+    const all = await startReceiver();
+    const completedOnly = await startReceiver();
+    try {
+      await subscribe(tenantId, { url: all.url });
+      await subscribe(tenantId, {
+        url: completedOnly.url,
+        events: ["job.completed"],
+      });
+
+      const res = await createJob({ body: JSON.stringify({ tenantId }) });
+      const jobId = JSON.parse(res.body).jobId;
+      await updateManifest("test", tenantId, jobId, m => {
+        m.status = "processing";
+      });
+      await updateManifest("test", tenantId, jobId, m => {
+        m.status = "completed";
+      });
+
+      await all.waitFor(3);
+      await completedOnly.waitFor(1);
+      await settled(tenantId);
+      const types = (r: Received[]) =>
+        r.map(({ body }) => JSON.parse(body).type).sort();
+      assert.deepStrictEqual(types(all.received), [
+        "job.completed",
+        "job.created",
+        "job.processing",
+      ]);
+      assert.deepStrictEqual(types(completedOnly.received), ["job.completed"]);
+      assert.strictEqual(JSON.parse(all.received[0].body).jobId, jobId);
+    } finally {
+      await all.close();
+      await completedOnly.close();
+    }
+  });
+
+  test("the sweep drains due deliveries for every tenant and waits out backoff", async () => {
+    const receiver = await startReceiver();
+    try {
+      const queued = await subscribe("hooks-sweep-a", { url: receiver.url });
+      const backingOff = await subscribe("hooks-sweep-b", {
+        url: receiver.url,
+      });
+      await enqueueWebhookEvent(
+        "hooks-sweep-a",
+        "job-1",
+        "job.created",
+        {},
+        {
+          dispatch: false,
+        }
+      );
+      const [waiting] = await enqueueWebhookEvent(
+        "hooks-sweep-b",
+        "job-2",
+        "job.created",
+        {},
+        { dispatch: false }
+      );
+      // As left behind by a process that exited between two attempts
+      await getWebhookStore().putDelivery({
+        ...waiting,
+        nextAttemptAt: new Date(Date.now() + 60000).toISOString(),
+      });
+
+      const sent = await sweepWebhookDeliveries();
+      assert.strictEqual(sent.length, 1);
+      assert.strictEqual(receiver.received.length, 1);
+      const [delivered] = await deliveries("hooks-sweep-a", queued.id);
+      assert.strictEqual(delivered.status, "delivered");
+      assert.strictEqual(delivered.nextAttemptAt, undefined);
+      const [pending] = await deliveries("hooks-sweep-b", backingOff.id);
+      assert.strictEqual(pending.status, "pending");
+
+      await getWebhookStore().putDelivery({
+        ...pending,
+        nextAttemptAt: new Date(Date.now() - 1000).toISOString(),
+      });
+      assert.strictEqual((await sweepWebhookDeliveries()).length, 1);
+      const [retried] = await deliveries("hooks-sweep-b", backingOff.id);
+      assert.strictEqual(retried.status, "delivered");
+    } finally {
+      await receiver.close();
+    }
+  });
+});
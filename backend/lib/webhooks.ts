@@ -0,0 +1,599 @@
+// backend/lib/webhooks.ts
+import crypto from "node:crypto";
+import dns from "node:dns/promises";
+import fs from "node:fs";
+import net from "node:net";
+import path from "node:path";
+import { v4 as uuidv4 } from "uuid";
+import { currentEnv, storageRoot } from "./storage.js";
+import { withFileLock, writeFileAtomic } from "./file-lock.js";
+import { LoggingWrapper } from "./logging.js";
+import type { NewJobEvent } from "./job-events.js";
+import {
+  RetryPolicy,
+  createNonRetryableError,
+  createRetryableError,
+} from "./retry-policy.js";
+
+export const WEBHOOK_EVENT_TYPES = [
+  "job.created",
+  "job.processing",
+  "job.step.completed",
+  "job.completed",
+  "job.failed",
+] as const;
+
+export type WebhookEventType = (typeof WEBHOOK_EVENT_TYPES)[number];
+
+export const SIGNATURE_HEADER = "x-talkavocado-signature";
+
+const logger = new LoggingWrapper("webhooks");
+
+function errorMessage(error: unknown) {
+  return error instanceof Error ? error.message : String(error);
+}
+
+/**
+ * Per-tenant subscription. An empty `events` list receives every event.
+ */
+export interface WebhookSubscription {
+  id: string;
+  tenantId: string;
+  url: string;
+  /** HMAC-SHA256 key for the signature header; never returned by list APIs */
+  secret: string;
+  events: WebhookEventType[];
+  createdAt: string;
+}
+
+export interface WebhookPayload {
+  id: string;
+  type: WebhookEventType;
+  tenantId: string;
+  jobId: string;
+  data: Record<string, unknown>;
+  createdAt: string;
+}
+
+export interface WebhookAttempt {
+  attempt: number;
+  at: string;
+  durationMs: number;
+  statusCode?: number;
+  error?: string;
+}
+
+/**
+ * One payload queued for one subscription, with its attempt log
+ */
+export interface WebhookDelivery {
+  id: string;
+  tenantId: string;
+  subscriptionId: string;
+  payload: WebhookPayload;
+  status: "pending" | "delivered" | "failed";
+  attempts: WebhookAttempt[];
+  /** Earliest time a pending delivery is retried after a failed attempt */
+  nextAttemptAt?: string;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface WebhookStore {
+  putSubscription(subscription: WebhookSubscription): Promise<void>;
+  listSubscriptions(tenantId: string): Promise<WebhookSubscription[]>;
+  deleteSubscription(tenantId: string, id: string): Promise<boolean>;
+  getDelivery(tenantId: string, id: string): Promise<WebhookDelivery | null>;
+  putDelivery(delivery: WebhookDelivery): Promise<void>;
+  listDeliveries(
+    tenantId: string,
+    filter?: { subscriptionId?: string; status?: WebhookDelivery["status"] }
+  ): Promise<WebhookDelivery[]>;
+  /** Tenants with a delivery queue, for sweepWebhookDeliveries() */
+  listDeliveryTenants(): Promise<string[]>;
+}
+
+/**
+ * File-backed store for local runs: subscriptions and the delivery queue
+ * live at {storageRoot}/{env}/_tables/{webhooks,webhook-deliveries}/{tenantId}.json
+ */
+export class FileWebhookStore implements WebhookStore {
+  private partitionPath(table: string, tenantId: string) {
+    return path.join(
+      storageRoot(),
+      currentEnv(),
+      "_tables",
+      table,
+      `${tenantId}.json`
+    );
+  }
+
+  private read<T>(table: string, tenantId: string): Record<string, T> {
+    const p = this.partitionPath(table, tenantId);
+    if (!fs.existsSync(p)) return {};
+    return JSON.parse(fs.readFileSync(p, "utf-8"));
+  }
+
+  private mutate<T, R>(
+    table: string,
+    tenantId: string,
+    fn: (rows: Record<string, T>) => R
+  ): R {
+    const p = this.partitionPath(table, tenantId);
+    return withFileLock(p, () => {
+      const rows = this.read<T>(table, tenantId);
+      const result = fn(rows);
+      writeFileAtomic(p, JSON.stringify(rows, null, 2));
+      return result;
+    });
+  }
+
+  async putSubscription(subscription: WebhookSubscription) {
+    this.mutate<WebhookSubscription, void>(
+      "webhooks",
+      subscription.tenantId,
+      rows => {
+        rows[subscription.id] = subscription;
+      }
+    );
+  }
+
+  async listSubscriptions(tenantId: string) {
+    return Object.values(
+      this.read<WebhookSubscription>("webhooks", tenantId)
+    ).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  async deleteSubscription(tenantId: string, id: string) {
+    return this.mutate<WebhookSubscription, boolean>(
+      "webhooks",
+      tenantId,
+      rows => {
+        if (!rows[id]) return false;
+        delete rows[id];
+        return true;
+      }
+    );
+  }
+
+  async getDelivery(tenantId: string, id: string) {
+    return (
+      this.read<WebhookDelivery>("webhook-deliveries", tenantId)[id] ?? null
+    );
+  }
+
+  async putDelivery(delivery: WebhookDelivery) {
+    this.mutate<WebhookDelivery, void>(
+      "webhook-deliveries",
+      delivery.tenantId,
+      rows => {
+        rows[delivery.id] = delivery;
+      }
+    );
+  }
+
+  async listDeliveries(
+    tenantId: string,
+    filter: { subscriptionId?: string; status?: WebhookDelivery["status"] } = {}
+  ) {
+    return Object.values(
+      this.read<WebhookDelivery>("webhook-deliveries", tenantId)
+    )
+      .filter(
+        d =>
+          (!filter.subscriptionId ||
+            d.subscriptionId === filter.subscriptionId) &&
+          (!filter.status || d.status === filter.status)
+      )
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  async listDeliveryTenants() {
+    const dir = path.dirname(this.partitionPath("webhook-deliveries", "_"));
+    if (!fs.existsSync(dir)) return [];
+    return fs
+      .readdirSync(dir)
+      .filter(name => name.endsWith(".json"))
+      .map(name => name.slice(0, -".json".length));
+  }
+}
+
+let store: WebhookStore | null = null;
+
+export function getWebhookStore(): WebhookStore {
+  if (!store) store = new FileWebhookStore();
+  return store;
+}
+
+/**
+ * Override the store (tests, or a DynamoDB-backed implementation); pass
+ * null to restore the default
+ */
+export function setWebhookStore(next: WebhookStore | null) {
+  store = next;
+}
+
+export function isWebhookEventType(type: unknown): type is WebhookEventType {
+  return WEBHOOK_EVENT_TYPES.includes(type as WebhookEventType);
+}
+
+/**
+ * `t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">`. Receivers should
+ * recompute it with their secret and reject stale timestamps.
+ */
+export function signWebhookPayload(
+  secret: string,
+  body: string,
+  timestamp = Math.floor(Date.now() / 1000)
+) {
+  const digest = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `t=${timestamp},v1=${digest}`;
+}
+
+export function verifyWebhookSignature(
+  secret: string,
+  body: string,
+  header: string
+) {
+  const timestamp = Number(/(?:^|,)t=(\d+)/.exec(header)?.[1]);
+  if (!Number.isInteger(timestamp)) return false;
+  const expected = Buffer.from(signWebhookPayload(secret, body, timestamp));
+  const actual = Buffer.from(header);
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+}
+
+// Loopback, private, link-local, CGNAT, multicast and reserved ranges.
+// BlockList also matches IPv4-mapped IPv6 (`[::ffff:127.0.0.1]`) against
+// the IPv4 subnets.
+const internalAddresses = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+] as const) {
+  internalAddresses.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 127],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+] as const) {
+  internalAddresses.addSubnet(network, prefix, "ipv6");
+}
+
+export function isInternalAddress(address: string) {
+  const family = net.isIP(address);
+  return (
+    family !== 0 &&
+    internalAddresses.check(address, family === 4 ? "ipv4" : "ipv6")
+  );
+}
+
+/**
+ * Why `url` must not receive webhooks, or undefined when it may: the host
+ * must not be localhost or resolve to an internal address, so tenants
+ * cannot make the worker call services on its own network. Throws when the
+ * host does not resolve. WEBHOOK_ALLOW_INTERNAL_TARGETS=true turns the check
+ * off for local development.
+ */
+export async function webhookTargetError(url: URL) {
+  if (process.env.WEBHOOK_ALLOW_INTERNAL_TARGETS === "true") return undefined;
+  const host = url.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (host === "localhost" || host.endsWith(".localhost")) {
+    return "url must not target localhost";
+  }
+  const addresses = net.isIP(host)
+    ? [host]
+    : (await dns.lookup(host, { all: true, verbatim: true })).map(
+        ({ address }) => address
+      );
+  return addresses.some(isInternalAddress)
+    ? "url must not target a loopback, private or link-local address"
+    : undefined;
+}
+
+function numberFromEnv(name: string, fallback: number) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+const inFlight = new Set<string>();
+
+/**
+ * Backoff before retry `attempt + 1`, as RetryPolicy waits in-process
+ */
+function retryDelayMs(attempt: number) {
+  return Math.min(
+    numberFromEnv("WEBHOOK_RETRY_BASE_MS", 1000) * 2 ** (attempt - 1),
+    60000
+  );
+}
+
+function isDue(delivery: WebhookDelivery, now = Date.now()) {
+  return !delivery.nextAttemptAt || Date.parse(delivery.nextAttemptAt) <= now;
+}
+
+async function attemptDelivery(
+  subscription: WebhookSubscription,
+  delivery: WebhookDelivery
+) {
+  const body = JSON.stringify(delivery.payload);
+  const startedAt = Date.now();
+  const attempt: WebhookAttempt = {
+    attempt: delivery.attempts.length + 1,
+    at: new Date(startedAt).toISOString(),
+    durationMs: 0,
+  };
+  try {
+    // Re-checked per attempt as DNS may have changed since subscribing; a
+    // failed lookup is left to fetch, which retries it as a network error
+    const refused = await webhookTargetError(new URL(subscription.url)).catch(
+      () => undefined
+    );
+    if (refused) throw createNonRetryableError(`Target refused: ${refused}`);
+    const res = await fetch(subscription.url, {
+      method: "POST",
+      headers: {
+        "content-type": "application/json",
+        "user-agent": "TalkAvocado-Webhooks/1.0",
+        "x-talkavocado-event": delivery.payload.type,
+        "x-talkavocado-delivery": delivery.id,
+        [SIGNATURE_HEADER]: signWebhookPayload(subscription.secret, body),
+      },
+      body,
+      signal: AbortSignal.timeout(numberFromEnv("WEBHOOK_TIMEOUT_MS", 10000)),
+      redirect: "manual",
+    });
+    attempt.statusCode = res.status;
+    await res.arrayBuffer().catch(() => undefined);
+    if (res.status >= 200 && res.status < 300) return;
+    // Receivers signal overload with 408/429/5xx; anything else is final
+    const message = `Receiver responded ${res.status}`;
+    throw [408, 429].includes(res.status) || res.status >= 500
+      ? createRetryableError(message)
+      : createNonRetryableError(message);
+  } catch (error) {
+    attempt.error = error instanceof Error ? error.message : String(error);
+    const retryable =
+      (error as any)?.isRetryable ?? attempt.statusCode === undefined;
+    if (retryable) {
+      delivery.nextAttemptAt = new Date(
+        Date.now() + retryDelayMs(attempt.attempt)
+      ).toISOString();
+    }
+    throw Object.assign(
+      error instanceof Error ? error : new Error(attempt.error),
+      {
+        isRetryable: retryable,
+      }
+    );
+  } finally {
+    attempt.durationMs = Date.now() - startedAt;
+    delivery.attempts.push(attempt);
+    delivery.updatedAt = new Date().toISOString();
+    await getWebhookStore().putDelivery(delivery);
+  }
+}
+
+/**
+ * Send one queued delivery, retrying with exponential backoff
+ * (WEBHOOK_MAX_ATTEMPTS, WEBHOOK_RETRY_BASE_MS). Every attempt is written to
+ * the delivery log as it happens, with `nextAttemptAt` after a failure, so a
+ * crashed process leaves the delivery `pending` for a later dispatch or
+ * sweep to pick up once it is due.
+ */
+export async function deliverWebhook(delivery: WebhookDelivery) {
+  const subscription = (
+    await getWebhookStore().listSubscriptions(delivery.tenantId)
+  ).find(s => s.id === delivery.subscriptionId);
+  const remaining =
+    numberFromEnv("WEBHOOK_MAX_ATTEMPTS", 5) - delivery.attempts.length;
+  if (!subscription || remaining <= 0) {
+    delivery.status = "failed";
+    delete delivery.nextAttemptAt;
+    delivery.updatedAt = new Date().toISOString();
+    await getWebhookStore().putDelivery(delivery);
+    return delivery;
+  }
+
+  const policy = new RetryPolicy({
+    maxAttempts: remaining,
+    baseDelayMs: numberFromEnv("WEBHOOK_RETRY_BASE_MS", 1000),
+    maxDelayMs: 60000,
+    jitterMs: 0,
+  });
+  try {
+    await policy.execute(
+      () => attemptDelivery(subscription, delivery),
+      `webhook ${delivery.id}`
+    );
+    delivery.status = "delivered";
+  } catch {
+    delivery.status = "failed";
+  }
+  delete delivery.nextAttemptAt;
+  delivery.updatedAt = new Date().toISOString();
+  await getWebhookStore().putDelivery(delivery);
+  return delivery;
+}
+
+/**
+ * Deliver every due pending delivery for a tenant, including ones left
+ * behind by a process that exited mid-retry. Deliveries already being sent
+ * by this process, or still waiting out their backoff, are skipped; across
+ * processes delivery is at-least-once, so receivers should de-duplicate on
+ * the delivery id.
+ */
+export async function dispatchWebhookDeliveries(tenantId: string) {
+  const pending = await getWebhookStore().listDeliveries(tenantId, {
+    status: "pending",
+  });
+  const sent: WebhookDelivery[] = [];
+  for (const delivery of pending) {
+    if (inFlight.has(delivery.id) || !isDue(delivery)) continue;
+    inFlight.add(delivery.id);
+    try {
+      // Another dispatch may have finished it while earlier ones were sent
+      const current = await getWebhookStore().getDelivery(
+        tenantId,
+        delivery.id
+      );
+      if (current?.status !== "pending" || !isDue(current)) continue;
+      sent.push(await deliverWebhook(current));
+    } finally {
+      inFlight.delete(delivery.id);
+    }
+  }
+  return sent;
+}
+
+/**
+ * Dispatch due deliveries for every tenant, so queued and retrying
+ * deliveries go out without waiting for the tenant's next event. A tenant
+ * whose dispatch fails is logged and the sweep moves on.
+ */
+export async function sweepWebhookDeliveries() {
+  const sent: WebhookDelivery[] = [];
+  for (const tenantId of await getWebhookStore().listDeliveryTenants()) {
+    try {
+      sent.push(...(await dispatchWebhookDeliveries(tenantId)));
+    } catch (error) {
+      logger.warn("Webhook sweep failed for tenant", {
+        tenantId,
+        error: errorMessage(error),
+      });
+    }
+  }
+  return sent;
+}
+
+/**
+ * Run sweepWebhookDeliveries() every `intervalMs` (WEBHOOK_SWEEP_INTERVAL_MS,
+ * default 30000) until the returned stop function is called. A sweep still
+ * running when the next one is due is not overlapped.
+ */
+export function startWebhookSweeper(
+  intervalMs = numberFromEnv("WEBHOOK_SWEEP_INTERVAL_MS", 30000)
+) {
+  let running = false;
+  const timer = setInterval(() => {
+    if (running) return;
+    running = true;
+    sweepWebhookDeliveries()
+      .catch(error =>
+        logger.warn("Webhook sweep failed", { error: errorMessage(error) })
+      )
+      .finally(() => {
+        running = false;
+      });
+  }, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+/**
+ * Queue `type` for every matching subscription of the tenant. Returns the
+ * queued deliveries; pass `dispatch: true` to start sending them in the
+ * background.
+ */
+export async function enqueueWebhookEvent(
+  tenantId: string,
+  jobId: string,
+  type: WebhookEventType,
+  data: Record<string, unknown> = {},
+  options: { dispatch?: boolean } = {}
+) {
+  const subscriptions = (
+    await getWebhookStore().listSubscriptions(tenantId)
+  ).filter(s => s.events.length === 0 || s.events.includes(type));
+  if (!subscriptions.length) return [];
+
+  const now = new Date().toISOString();
+  const payload: WebhookPayload = {
+    id: uuidv4(),
+    type,
+    tenantId,
+    jobId,
+    data,
+    createdAt: now,
+  };
+  const deliveries: WebhookDelivery[] = [];
+  for (const subscription of subscriptions) {
+    const delivery: WebhookDelivery = {
+      id: uuidv4(),
+      tenantId,
+      subscriptionId: subscription.id,
+      payload,
+      status: "pending",
+      attempts: [],
+      createdAt: now,
+      updatedAt: now,
+    };
+    await getWebhookStore().putDelivery(delivery);
+    deliveries.push(delivery);
+  }
+
+  if (options.dispatch) {
+    dispatchWebhookDeliveries(tenantId).catch(error => {
+      logger.warn("Webhook dispatch failed", {
+        tenantId,
+        error: errorMessage(error),
+      });
+    });
+  }
+  return deliveries;
+}
+
+/**
+ * Webhook event for a manifest transition (see manifestTransitionEvents),
+ * or null when subscribers are not told about it
+ */
+export function webhookEventForTransition(
+  event: NewJobEvent
+): WebhookEventType | null {
+  const status = event.data.status;
+  if (event.type === "step") {
+    return status === "completed" ? "job.step.completed" : null;
+  }
+  if (event.type !== "status") return null;
+  if (status === "processing") return "job.processing";
+  if (status === "completed") return "job.completed";
+  if (status === "failed") return "job.failed";
+  return null;
+}
+
+/**
+ * Best-effort notification from pipeline code: queueing problems are
+ * logged, never thrown into the job
+ */
+export async function notifyWebhooks(
+  tenantId: string,
+  jobId: string,
+  type: WebhookEventType,
+  data: Record<string, unknown> = {}
+) {
+  try {
+    await enqueueWebhookEvent(tenantId, jobId, type, data, { dispatch: true });
+  } catch (error) {
+    logger.warn("Failed to queue webhook", {
+      tenantId,
+      jobId,
+      type,
+      error: errorMessage(error),
+    });
+  }
+}
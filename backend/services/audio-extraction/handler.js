@@ -1,11 +1,26 @@
 // backend/services/audio-extraction/handler.js
 import { execFileSync } from 'node:child_process';
-import { existsSync } from 'node:fs';
+import { rmSync } from 'node:fs';
 import { basename } from 'node:path';
 import { initObservability } from '../../dist/init-observability.js';
-import { keyFor, pathFor } from '../../dist/storage.js';
-import { loadManifest, saveManifest } from '../../dist/manifest.js';
+import {
+  currentEnv,
+  keyFor,
+  localPathForRead,
+  localPathForWrite,
+  commitLocalFile,
+  releaseLocalPath,
+  StorageNotFoundError,
+} from '../../dist/storage.js';
+import { loadManifest, updateManifest } from '../../dist/manifest.js';
+import { recordStepStart, completeStep, failStep } from '../../dist/steps.js';
 import { FFmpegRuntime } from '../../dist/ffmpeg-runtime.js';
+import {
+  watchJobCancellation,
+  isJobCancelledError,
+  recordStepCancelled,
+} from '../../dist/cancellation.js';
+import { progressPublisher } from '../../dist/job-events.js';
 
 // Error types for better error handling
 class AudioExtractionError extends Error {
@@ -28,7 +43,9 @@ const ERROR_TYPES = {
 
 export const handler = async (event, context) => {
 
-  const { env, tenantId, jobId, inputKey } = event;
+  const { tenantId, jobId } = event;
+  const env = event.env || currentEnv();
+  let inputKey = event.inputKey;
   const correlationId = event.correlationId || context.awsRequestId;
 
   const { logger, metrics, tracer } = initObservability({
@@ -40,15 +57,45 @@ export const handler = async (event, context) => {
   });
 
   const ffmpeg = new FFmpegRuntime(logger, metrics, tracer);
+  const cancellation = watchJobCancellation(env, tenantId, jobId);
+  let inputPath;
+  let outputPath;
 
   try {
-    // Validate input exists
-    const inputPath = pathFor(inputKey);
-    if (!existsSync(inputPath)) {
+    cancellation.throwIfCancelled();
+
+    await recordStepStart(env, tenantId, jobId, 'audio-extraction').catch(stepErr =>
+      logger.warn('Failed to record step start', { error: stepErr.message })
+    );
+
+    // The state machine passes only tenantId/jobId; derive the input from the manifest
+    if (!inputKey) {
+      const manifest = loadManifest(env, tenantId, jobId);
+      inputKey = manifest.sourceVideoKey || manifest.input?.sourceKey;
+      if (!inputKey) {
+        throw new AudioExtractionError(
+          'Input key not found in manifest',
+          ERROR_TYPES.INPUT_NOT_FOUND,
+          { tenantId, jobId }
+        );
+      }
+    }
+
+    // Validate input exists and stage it locally for FFmpeg
+    try {
+      inputPath = await localPathForRead(inputKey);
+    } catch (storageErr) {
+      if (storageErr instanceof StorageNotFoundError) {
+        throw new AudioExtractionError(
+          `Input not found: ${inputKey}`,
+          ERROR_TYPES.INPUT_NOT_FOUND,
+          { inputKey }
+        );
+      }
       throw new AudioExtractionError(
-        `Input not found: ${inputKey}`,
-        ERROR_TYPES.INPUT_NOT_FOUND,
-        { inputKey, inputPath }
+        `Failed to read input: ${storageErr.message}`,
+        ERROR_TYPES.STORAGE_ERROR,
+        { inputKey, storageError: storageErr.message }
       );
     }
 
@@ -63,22 +110,26 @@ export const handler = async (event, context) => {
     }
 
     const outputKey = keyFor(env, tenantId, jobId, 'audio', `${jobId}.mp3`);
-    const outputPath = pathFor(outputKey);
+    outputPath = localPathForWrite(outputKey);
 
     const bitrate = process.env.AUDIO_BITRATE || '192k';
     const sampleRate = String(process.env.AUDIO_SAMPLE_RATE || '44100');
 
-    // Extract audio (mp3)
+    // Extract audio (mp3); killed if the job is cancelled
     try {
-      await ffmpeg.executeCommand([
+      await ffmpeg.executeCommandAsync([
         'ffmpeg', '-y',
         '-i', inputPath,
         '-vn', '-acodec', 'libmp3lame',
         '-b:a', bitrate,
         '-ar', sampleRate,
         outputPath,
-      ].join(' '), 'AudioExtraction');
+      ].join(' '), 'AudioExtraction', {
+        signal: cancellation.signal,
+        onProgress: progressPublisher(env, tenantId, jobId, 'audio-extraction'),
+      });
     } catch (ffmpegErr) {
+      if (isJobCancelledError(ffmpegErr)) throw ffmpegErr;
       throw new AudioExtractionError(
         `FFmpeg execution failed: ${ffmpegErr.message}`,
         ERROR_TYPES.FFMPEG_EXECUTION,
@@ -109,6 +160,16 @@ export const handler = async (event, context) => {
       );
     }
 
+    try {
+      await commitLocalFile(outputPath, outputKey);
+    } catch (storageErr) {
+      throw new AudioExtractionError(
+        `Failed to store extracted audio: ${storageErr.message}`,
+        ERROR_TYPES.STORAGE_ERROR,
+        { outputKey, storageError: storageErr.message }
+      );
+    }
+
     const aStream = (probe.streams || []).find(s => s.codec_type === 'audio') || {};
     const durationSec = Number(probe.format?.duration || aStream.duration || 0);
     const bitrateKbps = Math.round(Number(probe.format?.bit_rate || 0) / 1000);
@@ -134,16 +195,16 @@ export const handler = async (event, context) => {
 
     // Update manifest with error handling
     try {
-      const manifest = loadManifest(env, tenantId, jobId);
-      manifest.audio = manifest.audio || {};
-      manifest.audio.key = outputKey;
-      manifest.audio.codec = 'mp3'; // Fixed: removed redundant ternary
-      manifest.audio.durationSec = durationSec;
-      manifest.audio.bitrateKbps = Number.isFinite(bitrateKbps) ? bitrateKbps : undefined;
-      manifest.audio.sampleRate = sampleRateHz;
-      manifest.audio.extractedAt = new Date().toISOString();
-      manifest.updatedAt = new Date().toISOString();
-      saveManifest(env, tenantId, jobId, manifest);
+      await updateManifest(env, tenantId, jobId, manifest => {
+        manifest.audio = manifest.audio || {};
+        manifest.audio.key = outputKey;
+        manifest.audio.codec = 'mp3'; // Fixed: removed redundant ternary
+        manifest.audio.durationSec = durationSec;
+        manifest.audio.bitrateKbps = Number.isFinite(bitrateKbps) ? bitrateKbps : undefined;
+        manifest.audio.sampleRate = sampleRateHz;
+        manifest.audio.extractedAt = new Date().toISOString();
+        completeStep(manifest, 'audio-extraction', [outputKey]);
+      });
     } catch (manifestErr) {
       throw new AudioExtractionError(
         `Manifest update failed: ${manifestErr.message}`,
@@ -170,6 +231,18 @@ export const handler = async (event, context) => {
 
     return { ok: true, outputKey, correlationId };
   } catch (err) {
+    if (isJobCancelledError(err)) {
+      logger.warn('Audio extraction cancelled', { outputPath });
+      // Drop the partial output left by the killed FFmpeg run
+      if (outputPath) rmSync(outputPath, { force: true });
+      await recordStepCancelled(env, tenantId, jobId, 'audio-extraction').catch(stepErr =>
+        logger.warn('Failed to record step cancellation', { error: stepErr.message })
+      );
+      metrics.addMetric('AudioExtractionCancelled', 'Count', 1);
+      metrics.publishStoredMetrics();
+      throw err;
+    }
+
     // Enhanced error handling with specific error types
     const errorType = err.type || 'UNKNOWN_ERROR';
     const errorDetails = err.details || {};
@@ -178,7 +251,7 @@ export const handler = async (event, context) => {
       error: err.message,
       errorType,
       errorDetails,
-      inputKey: event.inputKey,
+      inputKey,
       tenantId,
       jobId
     });
@@ -189,21 +262,24 @@ export const handler = async (event, context) => {
     
     // Update manifest status on failure if possible
     try {
-      const manifest = loadManifest(env, tenantId, jobId);
-      manifest.status = 'failed';
-      manifest.updatedAt = new Date().toISOString();
-      if (!manifest.logs) manifest.logs = [];
-      manifest.logs.push({
-        type: 'error',
-        message: `Audio extraction failed: ${err.message}`,
-        errorType,
-        createdAt: new Date().toISOString()
+      await updateManifest(env, tenantId, jobId, manifest => {
+        manifest.status = 'failed';
+        failStep(manifest, 'audio-extraction', { type: errorType, message: err.message });
+        if (!manifest.logs) manifest.logs = [];
+        manifest.logs.push({
+          type: 'error',
+          message: `Audio extraction failed: ${err.message}`,
+          errorType,
+          createdAt: new Date().toISOString()
+        });
       });
-      saveManifest(env, tenantId, jobId, manifest);
     } catch (manifestErr) {
       logger.error('Failed to update manifest with error status', { manifestError: manifestErr.message });
     }
     
     throw err;
+  } finally {
+    cancellation.stop();
+    await releaseLocalPath(inputPath).catch(() => {});
   }
 };
\ No newline at end of file
@@ -0,0 +1,36 @@
+export const ASSET_FORMATS: Record<"video" | "image", string[]>;
+export interface AssetMetadata {
+    durationSec?: number;
+    width?: number;
+    height?: number;
+    fps?: number;
+    codec?: string;
+    audioCodec?: string;
+    hasVideo: boolean;
+    hasAudio: boolean;
+}
+/**
+ * Storage key of a tenant branding asset. Names are relative to
+ * `{env}/{tenantId}/assets/branding/`; full keys must stay inside the
+ * tenant's own prefix.
+ */
+export function brandingAssetKey(env: string, tenantId: string, name: string): string;
+/**
+ * Check an asset's extension against the formats we accept for its kind
+ */
+export function validateAssetFormat(assetKey: string, kind: "video" | "image"): void;
+/**
+ * Summarise ffprobe output for branding decisions
+ */
+export function assetMetadata(probeResult: any): AssetMetadata;
+/**
+ * Fetch and probe a tenant branding asset
+ */
+export function loadBrandingAsset(env: string, tenantId: string, ref: {
+    key: string;
+}, kind: "video" | "image", options?: {
+    signal?: AbortSignal;
+}): Promise<AssetMetadata & {
+    key: string;
+    path: string;
+}>;
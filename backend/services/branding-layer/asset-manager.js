@@ -0,0 +1,110 @@
+// backend/services/branding-layer/asset-manager.js
+import path from 'node:path';
+import { key, localPathForRead, StorageNotFoundError } from '../../dist/storage.js';
+import { parseFrameRate } from '../../dist/ffmpeg-runtime.js';
+import { probe } from '../video-render-engine/renderer-logic.js';
+import { BrandingError, ERROR_TYPES } from './branding-logic.js';
+
+export const ASSET_FORMATS = {
+  video: ['.mp4', '.mov', '.mkv', '.webm'],
+  image: ['.png', '.jpg', '.jpeg', '.webp'],
+};
+
+/**
+ * Storage key of a tenant branding asset. Names are relative to
+ * `{env}/{tenantId}/assets/branding/`; full keys must stay inside the
+ * tenant's own prefix.
+ * @param {string} env - Environment
+ * @param {string} tenantId - Tenant ID
+ * @param {string} name - Asset file name or full key
+ * @returns {string} Storage key
+ */
+export function brandingAssetKey(env, tenantId, name) {
+  const value = String(name || '').replace(/\\/g, '/');
+  const tenantPrefix = `${env}/${tenantId}/`;
+  const assetKey = value.startsWith(tenantPrefix) ? value : key(env, tenantId, 'assets', 'branding', value);
+  if (!value || value.split('/').some(part => part === '..' || part === '.') || value.startsWith('/')) {
+    throw new BrandingError(`Invalid branding asset name: ${name}`, ERROR_TYPES.INVALID_CONFIG, { name });
+  }
+  return assetKey;
+}
+
+/**
+ * Check an asset's extension against the formats we accept for its kind
+ * @param {string} assetKey - Storage key
+ * @param {string} kind - 'video' or 'image'
+ */
+export function validateAssetFormat(assetKey, kind) {
+  const ext = path.extname(assetKey).toLowerCase();
+  if (!ASSET_FORMATS[kind]?.includes(ext)) {
+    throw new BrandingError(`Unsupported ${kind} asset format: ${ext || 'none'}`, ERROR_TYPES.INVALID_ASSET, {
+      assetKey,
+      kind,
+      ext,
+    });
+  }
+}
+
+/**
+ * Summarise ffprobe output for branding decisions
+ * @param {Object} probeResult - Parsed `ffprobe -show_format -show_streams` JSON
+ * @returns {Object} {durationSec, width, height, fps, codec, audioCodec, hasVideo, hasAudio}
+ */
+export function assetMetadata(probeResult) {
+  const streams = probeResult?.streams || [];
+  const video = streams.find(s => s.codec_type === 'video');
+  const audio = streams.find(s => s.codec_type === 'audio');
+  const duration = Number(probeResult?.format?.duration ?? video?.duration);
+  return {
+    durationSec: Number.isFinite(duration) ? duration : undefined,
+    width: video ? Number(video.width) : undefined,
+    height: video ? Number(video.height) : undefined,
+    fps: parseFrameRate(video?.r_frame_rate),
+    codec: video?.codec_name,
+    audioCodec: audio?.codec_name,
+    hasVideo: !!video,
+    hasAudio: !!audio,
+  };
+}
+
+/**
+ * Fetch and probe a tenant branding asset
+ * @param {string} env - Environment
+ * @param {string} tenantId - Tenant ID
+ * @param {Object} ref - {key} from resolveBrandingConfig
+ * @param {string} kind - 'video' or 'image'
+ * @param {Object} options - `signal` aborts the probe
+ * @returns {Promise<Object>} {key, path, ...assetMetadata}
+ */
+export async function loadBrandingAsset(env, tenantId, ref, kind, options = {}) {
+  const assetKey = brandingAssetKey(env, tenantId, ref.key);
+  validateAssetFormat(assetKey, kind);
+
+  let assetPath;
+  try {
+    assetPath = await localPathForRead(assetKey);
+  } catch (e) {
+    if (e instanceof StorageNotFoundError) {
+      throw new BrandingError(`Branding asset not found: ${assetKey}`, ERROR_TYPES.ASSET_NOT_FOUND, { assetKey });
+    }
+    throw e;
+  }
+
+  let metadata;
+  try {
+    metadata = assetMetadata(await probe(assetPath, { signal: options.signal }));
+  } catch (e) {
+    if (options.signal?.aborted) throw e;
+    throw new BrandingError(`Branding asset probe failed: ${e.message}`, ERROR_TYPES.INVALID_ASSET, {
+      assetKey,
+      error: e.message,
+    });
+  }
+  if (!metadata.hasVideo) {
+    throw new BrandingError(`Branding asset has no picture: ${assetKey}`, ERROR_TYPES.INVALID_ASSET, { assetKey });
+  }
+  if (kind === 'video' && !(metadata.durationSec > 0)) {
+    throw new BrandingError(`Branding clip has no duration: ${assetKey}`, ERROR_TYPES.INVALID_ASSET, { assetKey });
+  }
+  return { key: assetKey, path: assetPath, ...metadata };
+}
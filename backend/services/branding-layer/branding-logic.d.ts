@@ -0,0 +1,95 @@
+/**
+ * Custom error class for branding errors
+ */
+export class BrandingError extends Error {
+    constructor(message: any, type: any, details?: {});
+    type: any;
+    details: {};
+}
+/**
+ * Error types for branding operations
+ */
+export const ERROR_TYPES: {
+    INPUT_NOT_FOUND: string;
+    ASSET_NOT_FOUND: string;
+    INVALID_ASSET: string;
+    INVALID_CONFIG: string;
+    FFMPEG_EXECUTION: string;
+    MANIFEST_UPDATE: string;
+};
+export const LOGO_POSITIONS: string[];
+export interface BrandingClipRef {
+    key: string;
+    maxDurationSec?: number;
+}
+export interface BrandingLogoRef {
+    key: string;
+    position: string;
+    sizePct: number;
+    opacity: number;
+    marginPx: number;
+    startSec: number;
+    endSec?: number;
+}
+export interface BrandingConfig {
+    enabled: boolean;
+    intro: BrandingClipRef | null;
+    outro: BrandingClipRef | null;
+    logo: BrandingLogoRef | null;
+    fadeMs: number;
+    burnSubtitles: boolean;
+}
+export interface BrandingClip {
+    path: string;
+    durationSec: number;
+    hasAudio?: boolean;
+}
+export interface BrandingGraph {
+    inputs: string[];
+    filtergraph: string;
+    vOut: string;
+    aOut: string;
+    durationSec: number;
+    /** Where the main video starts in the branded render (the intro's length) */
+    mainStartSec: number;
+    elements: string[];
+}
+/**
+ * Merge a branding config (event `brandingConfig` or manifest
+ * `extra.branding`) over the BRANDING_* env defaults and validate it
+ */
+export function resolveBrandingConfig(config?: any, env?: Record<string, string | undefined>): BrandingConfig;
+/**
+ * Overlay x:y expressions for a logo position
+ */
+export function logoPosition(position: string, margin?: number): string;
+/**
+ * Escape a file path for use as a filter option inside -filter_complex
+ */
+export function escapeFilterPath(filePath: string): string;
+/**
+ * Build the single-pass branding filtergraph: intro, main and outro are
+ * fitted to the main video's canvas and concatenated; subtitles and the
+ * logo only cover the main video.
+ */
+export function buildBrandingGraph(opts: {
+    main: BrandingClip & { width: number; height: number; fps?: number };
+    intro?: BrandingClip;
+    outro?: BrandingClip;
+    logo?: Omit<BrandingLogoRef, "key"> & { path: string };
+    subtitlesPath?: string;
+    fadeMs?: number;
+}): BrandingGraph;
+/**
+ * Encode the branded render with FFmpeg (H.264 High, source fps/resolution)
+ */
+export function runBranding(graph: BrandingGraph, outputPath: string, opts?: {
+    fps?: number;
+    jobOptions?: any;
+    signal?: AbortSignal;
+    onProgress?: (progress: any) => void;
+}): Promise<Record<string, string>>;
+/**
+ * Shift every SRT or WebVTT cue timestamp by `offsetSec`
+ */
+export function shiftCaptions(text: string, offsetSec: number): string;
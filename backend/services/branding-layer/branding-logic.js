@@ -0,0 +1,325 @@
+// backend/services/branding-layer/branding-logic.js
+import { execAsync } from '../video-render-engine/renderer-logic.js';
+import { renderSettings } from '../../dist/job-options.js';
+
+/**
+ * Custom error class for branding errors
+ */
+export class BrandingError extends Error {
+  constructor(message, type, details = {}) {
+    super(message);
+    this.name = 'BrandingError';
+    this.type = type;
+    this.details = details;
+  }
+}
+
+/**
+ * Error types for branding operations
+ */
+export const ERROR_TYPES = {
+  INPUT_NOT_FOUND: 'INPUT_NOT_FOUND',
+  ASSET_NOT_FOUND: 'ASSET_NOT_FOUND',
+  INVALID_ASSET: 'INVALID_ASSET',
+  INVALID_CONFIG: 'INVALID_CONFIG',
+  FFMPEG_EXECUTION: 'FFMPEG_EXECUTION',
+  MANIFEST_UPDATE: 'MANIFEST_UPDATE',
+};
+
+export const LOGO_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'center'];
+
+/**
+ * Seconds with millisecond precision for filter arguments
+ * @param {number} seconds - Time in seconds
+ * @returns {string} Formatted time string
+ */
+function toSec(seconds) {
+  return Number(seconds).toFixed(3);
+}
+
+function envFlag(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  return String(value).toLowerCase() === 'true';
+}
+
+function optionalNumber(value) {
+  return value === undefined || value === null || value === '' ? undefined : Number(value);
+}
+
+/**
+ * Asset reference: a file name under the tenant's branding assets or
+ * an object carrying `key` plus per-asset settings
+ */
+function assetRef(value) {
+  if (!value) return null;
+  return typeof value === 'string' ? { key: value } : { ...value };
+}
+
+/**
+ * Merge a branding config (event `brandingConfig` or manifest
+ * `extra.branding`) over the BRANDING_* env defaults and validate it
+ * @param {Object} config - {intro?, outro?, logo?, fadeDurationMs?, burnSubtitles?, enabled?}
+ * @param {Object} env - Environment variables
+ * @returns {Object} {enabled, intro, outro, logo, fadeMs, burnSubtitles}
+ */
+export function resolveBrandingConfig(config = {}, env = process.env) {
+  const intro = assetRef(config.intro);
+  const outro = assetRef(config.outro);
+  const logo = assetRef(config.logo);
+
+  if (intro) {
+    intro.maxDurationSec = optionalNumber(intro.maxDurationSec ?? env.BRANDING_INTRO_DURATION_SEC);
+  }
+  if (outro) {
+    outro.maxDurationSec = optionalNumber(outro.maxDurationSec ?? env.BRANDING_OUTRO_DURATION_SEC);
+  }
+  if (logo) {
+    logo.position = logo.position || env.BRANDING_LOGO_POSITION || 'bottom-right';
+    logo.sizePct = parseFloat(String(logo.size ?? env.BRANDING_LOGO_SIZE ?? '10%'));
+    logo.opacity = Number(logo.opacity ?? env.BRANDING_LOGO_OPACITY ?? 0.8);
+    logo.marginPx = Number(logo.marginPx ?? 20);
+    logo.startSec = Number(logo.startSec ?? 0);
+    logo.endSec = optionalNumber(logo.endSec);
+    delete logo.size;
+  }
+
+  const resolved = {
+    enabled: config.enabled ?? envFlag(env.BRANDING_ENABLED, true),
+    intro,
+    outro,
+    logo,
+    fadeMs: Number(config.fadeDurationMs ?? env.BRANDING_FADE_DURATION_MS ?? 500),
+    burnSubtitles: config.burnSubtitles ?? envFlag(env.BRANDING_BURN_SUBTITLES, false),
+  };
+
+  const problems = [];
+  for (const [name, clip] of [['intro', intro], ['outro', outro]]) {
+    if (clip && typeof clip.key !== 'string') problems.push(`${name}.key must be a string`);
+    if (clip?.maxDurationSec !== undefined && !(clip.maxDurationSec > 0)) {
+      problems.push(`${name}.maxDurationSec must be positive`);
+    }
+  }
+  if (logo) {
+    if (typeof logo.key !== 'string') problems.push('logo.key must be a string');
+    if (!LOGO_POSITIONS.includes(logo.position)) {
+      problems.push(`logo.position must be one of ${LOGO_POSITIONS.join(', ')}`);
+    }
+    if (!(logo.sizePct > 0 && logo.sizePct <= 100)) problems.push('logo.size must be between 0% and 100%');
+    if (!(logo.opacity >= 0 && logo.opacity <= 1)) problems.push('logo.opacity must be between 0 and 1');
+    if (!(logo.marginPx >= 0)) problems.push('logo.marginPx must not be negative');
+    if (!(logo.startSec >= 0)) problems.push('logo.startSec must not be negative');
+    if (logo.endSec !== undefined && !(logo.endSec > logo.startSec)) {
+      problems.push('logo.endSec must be after logo.startSec');
+    }
+  }
+  if (!(resolved.fadeMs >= 0)) problems.push('fadeDurationMs must not be negative');
+
+  if (problems.length) {
+    throw new BrandingError(`Invalid branding config: ${problems.join('; ')}`, ERROR_TYPES.INVALID_CONFIG, { problems });
+  }
+  return resolved;
+}
+
+/**
+ * Overlay x:y expressions for a logo position
+ * @param {string} position - One of LOGO_POSITIONS
+ * @param {number} margin - Distance from the frame edge in pixels
+ * @returns {string} "x:y" for the overlay filter
+ */
+export function logoPosition(position, margin = 20) {
+  switch (position) {
+    case 'top-left':
+      return `${margin}:${margin}`;
+    case 'top-right':
+      return `W-w-${margin}:${margin}`;
+    case 'bottom-left':
+      return `${margin}:H-h-${margin}`;
+    case 'center':
+      return '(W-w)/2:(H-h)/2';
+    default:
+      return `W-w-${margin}:H-h-${margin}`;
+  }
+}
+
+/**
+ * Escape a file path for use as a filter option inside -filter_complex
+ * @param {string} filePath - Local file path
+ * @returns {string} Escaped path
+ */
+export function escapeFilterPath(filePath) {
+  return String(filePath).replace(/\\/g, '/').replace(/([:'])/g, '\\$1');
+}
+
+/**
+ * Scale and pad a clip onto the main video's canvas without stretching it
+ * (letterbox or pillarbox), at the main video's frame rate
+ */
+function fitToCanvas(width, height, fps) {
+  return [
+    `scale=${width}:${height}:force_original_aspect_ratio=decrease`,
+    `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=black`,
+    'setsar=1',
+    `fps=${fps}`,
+    'format=yuv420p',
+  ].join(',');
+}
+
+const AUDIO_FORMAT = 'aresample=48000,aformat=sample_fmts=fltp:channel_layouts=stereo';
+
+/**
+ * Build the single-pass branding filtergraph: intro, main and outro are
+ * fitted to the main video's canvas and concatenated; subtitles and the
+ * logo only cover the main video. Clips without audio get silence so the
+ * concat stays aligned.
+ * @param {Object} opts - {main, intro?, outro?, logo?, subtitlesPath?, fadeMs}
+ *   main: {path, width, height, fps, durationSec, hasAudio}
+ *   intro/outro: {path, durationSec, hasAudio}
+ *   logo: {path, position, sizePct, opacity, marginPx, startSec, endSec?}
+ * @returns {Object} {inputs, filtergraph, vOut, aOut, durationSec,
+ *   mainStartSec, elements}; the main video starts at `mainStartSec`
+ */
+export function buildBrandingGraph(opts) {
+  const { main, intro, outro, logo, subtitlesPath } = opts;
+  if (!main || !(main.width > 0) || !(main.height > 0) || !(main.durationSec > 0)) {
+    throw new BrandingError('Main video needs width, height and duration', ERROR_TYPES.INVALID_ASSET, { main });
+  }
+  const width = main.width;
+  const height = main.height;
+  const fps = main.fps || 30;
+  const fadeSec = Number(opts.fadeMs ?? 500) / 1000;
+
+  const inputs = [];
+  const filters = [];
+  const segments = [];
+  const elements = [];
+
+  const audioFor = (index, clip, label, fades = '') => {
+    const source = clip.hasAudio
+      ? `[${index}:a]atrim=duration=${toSec(clip.durationSec)},asetpts=PTS-STARTPTS`
+      : `anullsrc=r=48000:cl=stereo,atrim=duration=${toSec(clip.durationSec)}`;
+    filters.push(`${source},${AUDIO_FORMAT}${fades}[${label}]`);
+  };
+
+  const addClip = (clip, name) => {
+    const index = inputs.push(clip.path) - 1;
+    const n = segments.length;
+    // Fade in from and out to black; never longer than half the clip
+    const fade = Math.min(fadeSec, clip.durationSec / 2);
+    const outAt = toSec(clip.durationSec - fade);
+    const videoFades = fade > 0 ? `,fade=t=in:st=0:d=${toSec(fade)},fade=t=out:st=${outAt}:d=${toSec(fade)}` : '';
+    const audioFades = fade > 0 ? `,afade=t=in:st=0:d=${toSec(fade)},afade=t=out:st=${outAt}:d=${toSec(fade)}` : '';
+    filters.push(
+      `[${index}:v]trim=duration=${toSec(clip.durationSec)},setpts=PTS-STARTPTS,`
+        + `${fitToCanvas(width, height, fps)}${videoFades}[v${n}]`
+    );
+    audioFor(index, clip, `a${n}`, audioFades);
+    segments.push(n);
+    elements.push(name);
+  };
+
+  if (intro) addClip(intro, 'intro');
+
+  const mainIndex = inputs.push(main.path) - 1;
+  const n = segments.length;
+  let mainVideo = `[${mainIndex}:v]setsar=1,fps=${fps},format=yuv420p`;
+  if (subtitlesPath) {
+    mainVideo += `,subtitles=filename='${escapeFilterPath(subtitlesPath)}'`;
+    elements.push('subtitles');
+  }
+  if (logo) {
+    const logoIndex = inputs.push(logo.path) - 1;
+    // Even width keeps chroma subsampling happy
+    const logoWidth = Math.max(2, Math.round((width * logo.sizePct) / 100 / 2) * 2);
+    const endSec = Math.min(logo.endSec ?? main.durationSec, main.durationSec);
+    filters.push(`${mainVideo}[main${n}]`);
+    filters.push(`[${logoIndex}:v]scale=${logoWidth}:-1,format=rgba,colorchannelmixer=aa=${logo.opacity}[logo]`);
+    filters.push(
+      `[main${n}][logo]overlay=${logoPosition(logo.position, logo.marginPx)}`
+        + `:enable='between(t,${toSec(logo.startSec)},${toSec(endSec)})'[v${n}]`
+    );
+    elements.push('logo');
+  } else {
+    filters.push(`${mainVideo}[v${n}]`);
+  }
+  audioFor(mainIndex, main, `a${n}`);
+  segments.push(n);
+
+  if (outro) addClip(outro, 'outro');
+
+  const pads = segments.map(i => `[v${i}][a${i}]`).join('');
+  filters.push(`${pads}concat=n=${segments.length}:v=1:a=1[vout][aout]`);
+
+  const durationSec = (intro?.durationSec || 0) + main.durationSec + (outro?.durationSec || 0);
+  return {
+    inputs,
+    filtergraph: filters.join(';'),
+    vOut: '[vout]',
+    aOut: '[aout]',
+    durationSec: Math.round(durationSec * 1000) / 1000,
+    mainStartSec: Math.round((intro?.durationSec || 0) * 1000) / 1000,
+    elements,
+  };
+}
+
+/**
+ * Shift every SRT or WebVTT cue timestamp by `offsetSec`, e.g. to move
+ * captions past an intro
+ * @param {string} text - SRT or WebVTT document
+ * @param {number} offsetSec - Seconds to add
+ * @returns {string} Shifted document
+ */
+export function shiftCaptions(text, offsetSec) {
+  const offsetMs = Math.round(Number(offsetSec) * 1000);
+  return text.replace(/(\d{2,}):(\d{2}):(\d{2})([,.])(\d{3})/g, (match, h, m, s, sep, ms) => {
+    const total = Math.max(0, Number(h) * 3600000 + Number(m) * 60000 + Number(s) * 1000 + Number(ms) + offsetMs);
+    const pad = (n, width = 2) => String(n).padStart(width, '0');
+    return `${pad(Math.floor(total / 3600000))}:${pad(Math.floor((total % 3600000) / 60000))}`
+      + `:${pad(Math.floor((total % 60000) / 1000))}${sep}${pad(total % 1000, 3)}`;
+  });
+}
+
+/**
+ * Encode the branded render with FFmpeg (H.264 High, source fps/resolution)
+ * @param {Object} graph - Result of buildBrandingGraph
+ * @param {string} outputPath - Path to output video file
+ * @param {Object} opts - Options including fps, jobOptions (the manifest's
+ *   `options`, over the RENDER_* env defaults), signal and onProgress
+ * @returns {Promise<Object>} Encoding settings used
+ */
+export async function runBranding(graph, outputPath, opts = {}) {
+  const settings = renderSettings(opts.jobOptions, opts.fps);
+  const args = ['-y'];
+  for (const input of graph.inputs) args.push('-i', input);
+  args.push(
+    '-filter_complex', graph.filtergraph,
+    '-map', graph.vOut,
+    '-map', graph.aOut,
+    '-r', settings.fps,
+    '-c:v', 'libx264',
+    '-profile:v', 'high',
+    '-pix_fmt', 'yuv420p',
+    '-preset', settings.preset,
+    '-crf', settings.crf,
+    '-c:a', settings.audioCodec,
+    '-b:a', settings.audioBitrate,
+    '-threads', settings.threads,
+    '-movflags', '+faststart',
+    outputPath,
+  );
+
+  try {
+    await execAsync(process.env.FFMPEG_PATH || 'ffmpeg', args, {
+      signal: opts.signal,
+      onProgress: opts.onProgress,
+      durationSec: graph.durationSec,
+    });
+  } catch (err) {
+    if (opts.signal?.aborted) throw err;
+    throw new BrandingError(
+      `FFmpeg execution failed: ${err.message}`,
+      ERROR_TYPES.FFMPEG_EXECUTION,
+      { outputPath, ffmpegError: err.message, stderr: err.stderr }
+    );
+  }
+  return settings;
+}
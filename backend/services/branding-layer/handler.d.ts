@@ -0,0 +1,9 @@
+export function handler(event: any, context?: any): Promise<{
+    ok: boolean;
+    outputKey: string;
+    logKey: string;
+    elements: string[];
+    durationSec: number;
+    subtitleKeys: string[];
+    correlationId: any;
+}>;
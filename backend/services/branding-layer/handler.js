@@ -0,0 +1,283 @@
+// backend/services/branding-layer/handler.js
+import { initObservability } from '../../dist/init-observability.js';
+import {
+  currentEnv,
+  keyFor,
+  getStorageDriver,
+  localPathForRead,
+  localPathForWrite,
+  commitLocalFile,
+  releaseLocalPath,
+  StorageNotFoundError,
+} from '../../dist/storage.js';
+import { loadManifest, updateManifest } from '../../dist/manifest.js';
+import { jobOptionsFor } from '../../dist/job-options.js';
+import { recordStepStart, completeStep, failStep } from '../../dist/steps.js';
+import {
+  watchJobCancellation,
+  isJobCancelledError,
+  recordStepCancelled,
+} from '../../dist/cancellation.js';
+import { progressPublisher } from '../../dist/job-events.js';
+import { probe, cleanupTempFiles } from '../video-render-engine/renderer-logic.js';
+import {
+  BrandingError,
+  ERROR_TYPES,
+  resolveBrandingConfig,
+  buildBrandingGraph,
+  runBranding,
+  shiftCaptions,
+} from './branding-logic.js';
+import { assetMetadata, loadBrandingAsset } from './asset-manager.js';
+
+const TRANSITIONS_RENDER = 'with_transitions.mp4';
+
+async function localInput(storageKey, label) {
+  try {
+    return await localPathForRead(storageKey);
+  } catch (e) {
+    if (e instanceof StorageNotFoundError) {
+      throw new BrandingError(`${label} not found: ${storageKey}`, ERROR_TYPES.INPUT_NOT_FOUND, { key: storageKey });
+    }
+    throw e;
+  }
+}
+
+async function probeVideo(filePath, storageKey, signal) {
+  try {
+    return assetMetadata(await probe(filePath, { signal }));
+  } catch (e) {
+    if (signal?.aborted) throw e;
+    throw new BrandingError(`Probe failed for ${storageKey}: ${e.message}`, ERROR_TYPES.INVALID_ASSET, {
+      key: storageKey,
+      error: e.message,
+    });
+  }
+}
+
+/**
+ * Intro/outro clip trimmed to its configured maximum length
+ */
+async function loadClip(env, tenantId, ref, signal) {
+  const asset = await loadBrandingAsset(env, tenantId, ref, 'video', { signal });
+  const durationSec = ref.maxDurationSec ? Math.min(asset.durationSec, ref.maxDurationSec) : asset.durationSec;
+  return { ...asset, durationSec };
+}
+
+export const handler = async (event, context) => {
+  const { tenantId, jobId } = event;
+  const env = event.env || currentEnv();
+  const correlationId = event.correlationId || context?.awsRequestId || `local-${Date.now()}`;
+  const { logger, metrics } = initObservability({
+    serviceName: 'BrandingLayer',
+    correlationId, tenantId, jobId, step: 'branding-layer',
+  });
+
+  const storage = getStorageDriver();
+  const cancellation = watchJobCancellation(env, tenantId, jobId);
+  // Inputs a remote storage driver staged locally
+  const inputPaths = [];
+  let outputPath;
+
+  try {
+    cancellation.throwIfCancelled();
+    await recordStepStart(env, tenantId, jobId, 'branding-layer').catch(e =>
+      logger.warn('Failed to record step start', { error: e.message })
+    );
+
+    const manifest = loadManifest(env, tenantId, jobId);
+    const brandingSource = event.brandingConfig ?? manifest.extra?.branding ?? {};
+    const config = resolveBrandingConfig(brandingSource);
+    // {id, version} when the job was created with a tenant branding preset
+    const preset = brandingSource.preset;
+
+    // The transitions render when video-transitions ran, otherwise the base cuts
+    const sourceKey = event.sourceVideoKey
+      || manifest.renders?.find(r => r.key.endsWith(`/renders/${TRANSITIONS_RENDER}`))?.key
+      || keyFor(env, tenantId, jobId, 'renders', 'base_cuts.mp4');
+    const sourcePath = await localInput(sourceKey, 'Source render');
+    inputPaths.push(sourcePath);
+    const main = { path: sourcePath, ...(await probeVideo(sourcePath, sourceKey, cancellation.signal)) };
+
+    const assets = {};
+    let subtitlesKey;
+    if (config.enabled) {
+      if (config.intro) assets.intro = await loadClip(env, tenantId, config.intro, cancellation.signal);
+      if (config.outro) assets.outro = await loadClip(env, tenantId, config.outro, cancellation.signal);
+      if (config.logo) {
+        const image = await loadBrandingAsset(env, tenantId, config.logo, 'image', { signal: cancellation.signal });
+        assets.logo = { ...config.logo, ...image };
+      }
+      if (config.burnSubtitles) {
+        subtitlesKey = event.subtitleKeys?.srt
+          || manifest.subtitles?.find(s => s.type === 'final' && s.format === 'srt')?.key
+          || keyFor(env, tenantId, jobId, 'subtitles', 'final.srt');
+      }
+    }
+    const subtitlesPath = subtitlesKey ? await localInput(subtitlesKey, 'Subtitles') : undefined;
+    inputPaths.push(subtitlesPath, ...Object.values(assets).map(asset => asset.path));
+
+    const outputKey = keyFor(env, tenantId, jobId, 'renders', 'final.mp4');
+    const logKey = keyFor(env, tenantId, jobId, 'renders', 'branding-log.json');
+    outputPath = localPathForWrite(outputKey);
+    cancellation.throwIfCancelled();
+
+    const graph = buildBrandingGraph({
+      main,
+      intro: assets.intro,
+      outro: assets.outro,
+      logo: assets.logo,
+      subtitlesPath,
+      fadeMs: config.fadeMs,
+    });
+
+    let output = main;
+    let settings;
+    if (graph.elements.length === 0) {
+      // Nothing to brand: publish the source as the final render unchanged
+      logger.info('No branding configured; publishing source as final render', { sourceKey, enabled: config.enabled });
+      await commitLocalFile(sourcePath, outputKey);
+    } else {
+      logger.info('Rendering branded output', { sourceKey, outputKey, elements: graph.elements });
+      settings = await runBranding(graph, outputPath, {
+        fps: main.fps,
+        jobOptions: jobOptionsFor(env, tenantId, jobId),
+        signal: cancellation.signal,
+        onProgress: progressPublisher(env, tenantId, jobId, 'branding-layer'),
+      });
+      await commitLocalFile(outputPath, outputKey);
+      output = await probeVideo(outputPath, outputKey, cancellation.signal);
+    }
+
+    const durationSec = output.durationSec ?? graph.durationSec;
+    const resolution = output.width && output.height ? `${output.width}x${output.height}` : undefined;
+    const renderedAt = new Date().toISOString();
+    const describeClip = clip => clip && {
+      key: clip.key,
+      durationSec: clip.durationSec,
+      resolution: `${clip.width}x${clip.height}`,
+      hasAudio: clip.hasAudio,
+    };
+
+    // The post-edit captions are timed to the main video; final.mp4 starts
+    // with the intro, so publish copies moved past it
+    const brandedSubtitles = [];
+    for (const caption of (manifest.subtitles || []).filter(s => s.type === 'final')) {
+      let text;
+      try {
+        text = (await storage.get(caption.key)).toString('utf-8');
+      } catch (e) {
+        if (!(e instanceof StorageNotFoundError)) throw e;
+        logger.warn('Final captions missing; not publishing branded captions', { key: caption.key });
+        continue;
+      }
+      const captionKey = keyFor(env, tenantId, jobId, 'subtitles', `branded.${caption.format}`);
+      await storage.put(captionKey, shiftCaptions(text, graph.mainStartSec), {
+        contentType: caption.format === 'srt' ? 'application/x-subrip' : 'text/vtt',
+      });
+      brandedSubtitles.push({
+        key: captionKey,
+        type: 'branded',
+        format: caption.format,
+        durationSec,
+        wordCount: caption.wordCount,
+        generatedAt: renderedAt,
+      });
+    }
+    const subtitleKeys = brandedSubtitles.map(s => s.key);
+
+    await storage.put(logKey, JSON.stringify({
+      sourceKey,
+      outputKey,
+      preset,
+      elements: graph.elements,
+      intro: describeClip(assets.intro),
+      outro: describeClip(assets.outro),
+      logo: assets.logo && {
+        key: assets.logo.key,
+        position: assets.logo.position,
+        sizePct: assets.logo.sizePct,
+        opacity: assets.logo.opacity,
+        startSec: assets.logo.startSec,
+        endSec: assets.logo.endSec ?? main.durationSec,
+      },
+      subtitlesKey,
+      fadeMs: config.fadeMs,
+      mainStartSec: graph.mainStartSec,
+      subtitleKeys,
+      canvas: { resolution: `${main.width}x${main.height}`, fps: main.fps },
+      encoding: settings,
+      filtergraph: graph.elements.length ? graph.filtergraph : undefined,
+      durationSec,
+      renderedAt,
+    }, null, 2), { contentType: 'application/json' });
+
+    const renderEntry = {
+      key: outputKey,
+      type: 'final',
+      codec: 'h264',
+      durationSec,
+      resolution,
+      fps: output.fps || main.fps,
+      notes: graph.elements.length ? `branding=${graph.elements.join('+')}` : 'branding=none',
+      renderedAt,
+    };
+
+    try {
+      await updateManifest(env, tenantId, jobId, m => {
+        // Re-runs replace the previous final render
+        m.renders = [...(m.renders || []).filter(r => r.type !== 'final'), renderEntry];
+        m.subtitles = [...(m.subtitles || []).filter(s => s.type !== 'branded'), ...brandedSubtitles];
+        completeStep(m, 'branding-layer', [outputKey, logKey, ...subtitleKeys]);
+        m.logs = m.logs || [];
+        m.logs.push({
+          type: 'info',
+          message: `Branding applied: ${graph.elements.join(', ') || 'none'}`,
+          details: { sourceKey, outputKey, logKey, preset, elements: graph.elements, durationSec, mainStartSec: graph.mainStartSec, subtitleKeys },
+          createdAt: renderedAt,
+        });
+      });
+    } catch (e) {
+      throw new BrandingError(`Manifest update failed: ${e.message}`, ERROR_TYPES.MANIFEST_UPDATE);
+    }
+
+    metrics.addMetric('BrandingSuccess', 'Count', 1);
+    metrics.addMetric('BrandingElementsApplied', 'Count', graph.elements.length);
+    logger.info('Branding completed', { outputKey, logKey, elements: graph.elements, durationSec });
+
+    return { ok: true, outputKey, logKey, elements: graph.elements, durationSec, subtitleKeys, correlationId };
+  } catch (err) {
+    if (isJobCancelledError(err)) {
+      logger.warn('Branding cancelled', { outputPath });
+      // Drop the partial render left by the killed FFmpeg run
+      if (outputPath) cleanupTempFiles([outputPath]);
+      await recordStepCancelled(env, tenantId, jobId, 'branding-layer').catch(e =>
+        logger.warn('Failed to record step cancellation', { error: e.message })
+      );
+      metrics.addMetric('BrandingCancelled', 'Count', 1);
+      throw err;
+    }
+
+    logger.error('Branding failed', { error: err.message, type: err.type, details: err.details });
+    metrics.addMetric('BrandingError', 'Count', 1);
+    metrics.addMetric(`BrandingError_${err.type || 'UNKNOWN'}`, 'Count', 1);
+    try {
+      await updateManifest(env, tenantId, jobId, manifest => {
+        manifest.status = 'failed';
+        failStep(manifest, 'branding-layer', { type: err.type, message: err.message });
+        manifest.logs = manifest.logs || [];
+        manifest.logs.push({
+          type: 'error',
+          message: `Branding failed: ${err.message}`,
+          createdAt: new Date().toISOString(),
+        });
+      });
+    } catch {
+      // Ignore errors when trying to log the failure - we're already handling the main error
+    }
+    throw err;
+  } finally {
+    cancellation.stop();
+    await Promise.all(inputPaths.map(p => releaseLocalPath(p))).catch(() => {});
+  }
+};
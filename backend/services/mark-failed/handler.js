@@ -1,35 +1,18 @@
 import { LoggingWrapper } from '../../dist/logging.js';
 import { currentEnv } from '../../dist/storage.js';
-import { loadManifest, saveManifest } from '../../dist/manifest.js';
+import { updateManifest } from '../../dist/manifest.js';
+import { getJobTable } from '../../dist/job-table.js';
 
-// Mock DynamoDB client for Phase 1 (local mode)
-class MockDynamoDB {
-  constructor() {
-    this.items = new Map();
-  }
-
-  async updateItem(tenantId, jobSort, updates) {
-    const key = `${tenantId}#${jobSort}`;
-    const existing = this.items.get(key) || {};
-    const updated = { ...existing, ...updates };
-    this.items.set(key, updated);
-    return updated;
-  }
-
-  async getJobByJobId(tenantId, jobId) {
-    for (const [, item] of this.items.entries()) {
-      if (item.tenantId === tenantId && item.jobId === jobId) {
-        return item;
-      }
-    }
-    return null;
-  }
+/**
+ * Step Functions Catch hands over `{ Error, Cause }`; direct callers pass an Error-like object
+ */
+function describeError(error) {
+  if (!error) return 'Unknown error';
+  return error.message || error.Cause || JSON.stringify(error);
 }
 
-const dynamoDB = new MockDynamoDB();
-
 /**
- * Mark job as failed - updates both DynamoDB and manifest
+ * Mark job as failed - updates both the job table and manifest
  * This is called when any step in the pipeline fails
  */
 export const handler = async (event) => {
@@ -56,49 +39,53 @@ export const handler = async (event) => {
     const env = currentEnv();
     const now = new Date().toISOString();
 
-    // Load current manifest
-    const manifest = loadManifest(env, tenantId, jobId);
-    
-    // Update manifest status to failed
-    manifest.status = 'failed';
-    manifest.updatedAt = now;
-    
-    // Add error information to logs
-    if (!manifest.logs) {
-      manifest.logs = [];
-    }
-    
-    manifest.logs.push({
-      type: 'error',
-      createdAt: now,
-      message: error ? JSON.stringify(error) : 'Pipeline failed'
+    // A cancelled job keeps its status; the step that stopped already logged it
+    let status = 'failed';
+
+    // Update manifest status to failed (retries if another step wrote concurrently)
+    await updateManifest(env, tenantId, jobId, manifest => {
+      if (manifest.status === 'cancelled') {
+        status = 'cancelled';
+        return;
+      }
+      manifest.status = 'failed';
+
+      // Add error information to logs
+      if (!manifest.logs) {
+        manifest.logs = [];
+      }
+
+      manifest.logs.push({
+        type: 'error',
+        createdAt: now,
+        message: error ? JSON.stringify(error) : 'Pipeline failed',
+        ...(error?.Error ? { errorType: error.Error } : {})
+      });
+
+      // Add failure metadata
+      if (!manifest.metadata) {
+        manifest.metadata = {};
+      }
+      manifest.metadata.failedAt = now;
+      manifest.metadata.failureReason = describeError(error);
     });
     
-    // Add failure metadata
-    if (!manifest.metadata) {
-      manifest.metadata = {};
-    }
-    manifest.metadata.failedAt = now;
-    manifest.metadata.failureReason = error ? error.message || JSON.stringify(error) : 'Unknown error';
-    
-    // Save updated manifest
-    saveManifest(env, tenantId, jobId, manifest);
-    
-    logger.error('Manifest updated to failed status', { 
-      status: 'failed',
+    logger.error(`Manifest updated to ${status} status`, { 
+      status,
       updatedAt: now,
-      error: error ? error.message : 'Unknown error'
+      error: describeError(error)
     });
 
-    // Update DynamoDB record
-    const dbItem = await dynamoDB.getJobByJobId(tenantId, jobId);
-    if (dbItem) {
-      await dynamoDB.updateItem(tenantId, dbItem.jobSort, {
+    // Update job table record
+    const jobTable = getJobTable();
+    const dbItem = await jobTable.getJobByJobId(tenantId, jobId);
+    if (dbItem && status !== 'cancelled') {
+      await jobTable.updateItem(tenantId, dbItem.jobSort, {
         status: 'failed',
         updatedAt: now
       });
       
-      logger.info('DynamoDB record updated to failed status');
+      logger.info('Job table record updated to failed status');
     }
 
     // Return success response for Step Functions
@@ -107,10 +94,10 @@ export const handler = async (event) => {
       body: {
         tenantId,
         jobId,
-        status: 'failed',
+        status,
         updatedAt: now,
         correlationId,
-        error: error ? error.message : 'Unknown error'
+        error: describeError(error)
       }
     };
 
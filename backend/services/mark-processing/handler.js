@@ -1,35 +1,10 @@
 import { LoggingWrapper } from '../../dist/logging.js';
 import { currentEnv } from '../../dist/storage.js';
-import { loadManifest, saveManifest } from '../../dist/manifest.js';
-
-// Mock DynamoDB client for Phase 1 (local mode)
-class MockDynamoDB {
-  constructor() {
-    this.items = new Map();
-  }
-
-  async updateItem(tenantId, jobSort, updates) {
-    const key = `${tenantId}#${jobSort}`;
-    const existing = this.items.get(key) || {};
-    const updated = { ...existing, ...updates };
-    this.items.set(key, updated);
-    return updated;
-  }
-
-  async getJobByJobId(tenantId, jobId) {
-    for (const [, item] of this.items.entries()) {
-      if (item.tenantId === tenantId && item.jobId === jobId) {
-        return item;
-      }
-    }
-    return null;
-  }
-}
-
-const dynamoDB = new MockDynamoDB();
+import { updateManifest } from '../../dist/manifest.js';
+import { getJobTable } from '../../dist/job-table.js';
 
 /**
- * Mark job as processing - updates both DynamoDB and manifest
+ * Mark job as processing - updates both the job table and manifest
  * This is called at the start of the pipeline
  */
 export const handler = async (event) => {
@@ -56,30 +31,36 @@ export const handler = async (event) => {
     const env = currentEnv();
     const now = new Date().toISOString();
 
+    // A cancelled job keeps its status
+    let status = 'processing';
+
     // Load and update manifest if present and valid; otherwise skip quietly for this test
-    let manifest;
     try {
-      manifest = loadManifest(env, tenantId, jobId);
-      manifest.status = 'processing';
-      manifest.updatedAt = now;
-      saveManifest(env, tenantId, jobId, manifest);
-      logger.info('Manifest updated to processing status', { 
-        status: 'processing',
+      await updateManifest(env, tenantId, jobId, manifest => {
+        if (manifest.status === 'cancelled') {
+          status = 'cancelled';
+          return;
+        }
+        manifest.status = 'processing';
+      });
+      logger.info(`Manifest updated to ${status} status`, { 
+        status,
         updatedAt: now
       });
     } catch (err) {
       logger.warn('Skipping manifest update', { reason: err && err.message });
     }
 
-    // Update DynamoDB record
-    const dbItem = await dynamoDB.getJobByJobId(tenantId, jobId);
-    if (dbItem) {
-      await dynamoDB.updateItem(tenantId, dbItem.jobSort, {
+    // Update job table record
+    const jobTable = getJobTable();
+    const dbItem = await jobTable.getJobByJobId(tenantId, jobId);
+    if (dbItem && status !== 'cancelled') {
+      await jobTable.updateItem(tenantId, dbItem.jobSort, {
         status: 'processing',
         updatedAt: now
       });
       
-      logger.info('DynamoDB record updated to processing status');
+      logger.info('Job table record updated to processing status');
     }
 
     // Return success response for Step Functions
@@ -88,7 +69,7 @@ export const handler = async (event) => {
       body: {
         tenantId,
         jobId,
-        status: 'processing',
+        status,
         updatedAt: now,
         correlationId
       }
@@ -1,12 +1,13 @@
 // backend/services/smart-cut-planner/handler.js
 import { initObservability } from '../../dist/init-observability.js';
-import { keyFor, pathFor, writeFileAtKey } from '../../dist/storage.js';
-import { loadManifest, saveManifest } from '../../dist/manifest.js';
+import { currentEnv, keyFor, getStorageDriver, StorageNotFoundError } from '../../dist/storage.js';
+import { updateManifest } from '../../dist/manifest.js';
+import { jobOptionsFor } from '../../dist/job-options.js';
+import { recordStepStart, completeStep, failStep } from '../../dist/steps.js';
 import { planCuts } from './planner-logic.js';
 import fs from 'node:fs';
 import Ajv from 'ajv';
 import addFormats from 'ajv-formats';
-import path from 'node:path';
 
 class PlannerError extends Error {
   constructor(message, type, details = {}) {
@@ -27,7 +28,7 @@ const ERROR_TYPES = {
 };
 
 function getCutPlanValidator() {
-  const schemaPath = path.resolve('docs/schemas/cut_plan.schema.json');
+  const schemaPath = new URL('../../../docs/schemas/cut_plan.schema.json', import.meta.url);
   const schema = JSON.parse(fs.readFileSync(schemaPath, 'utf-8'));
   const ajv = new Ajv({ allErrors: true, strict: false });
   addFormats(ajv);
@@ -35,7 +36,9 @@ function getCutPlanValidator() {
 }
 
 export const handler = async (event, context) => {
-  const { env, tenantId, jobId, transcriptKey } = event;
+  const { tenantId, jobId } = event;
+  const env = event.env || currentEnv();
+  const transcriptKey = event.transcriptKey || keyFor(env, tenantId, jobId, 'transcripts', 'transcript.json');
   const correlationId = event.correlationId || context.awsRequestId;
   const { logger, metrics } = initObservability({
     serviceName: 'SmartCutPlanner',
@@ -43,15 +46,25 @@ export const handler = async (event, context) => {
   });
 
   const validator = getCutPlanValidator();
-  const transcriptPath = pathFor(transcriptKey);
+  const storage = getStorageDriver();
 
   try {
-    if (!fs.existsSync(transcriptPath)) {
-      throw new PlannerError(`Transcript not found: ${transcriptKey}`, ERROR_TYPES.INPUT_NOT_FOUND, { transcriptKey });
+    await recordStepStart(env, tenantId, jobId, 'smart-cut-planner').catch(e =>
+      logger.warn('Failed to record step start', { error: e.message })
+    );
+
+    let transcriptRaw;
+    try {
+      transcriptRaw = await storage.get(transcriptKey);
+    } catch (e) {
+      if (e instanceof StorageNotFoundError) {
+        throw new PlannerError(`Transcript not found: ${transcriptKey}`, ERROR_TYPES.INPUT_NOT_FOUND, { transcriptKey });
+      }
+      throw e;
     }
     let transcriptData;
     try {
-      transcriptData = JSON.parse(fs.readFileSync(transcriptPath, 'utf-8'));
+      transcriptData = JSON.parse(transcriptRaw.toString('utf-8'));
     } catch (e) {
       throw new PlannerError(`Transcript parse failed: ${e.message}`, ERROR_TYPES.TRANSCRIPT_PARSE);
     }
@@ -60,7 +73,12 @@ export const handler = async (event, context) => {
     }
 
     const start = Date.now();
-    const cutPlan = planCuts(transcriptData);
+    // Job options override the PLANNER_* env defaults
+    const plannerOptions = { ...jobOptionsFor(env, tenantId, jobId).planner };
+    if (plannerOptions.fillerWords) {
+      plannerOptions.fillerWords = plannerOptions.fillerWords.map(w => w.trim().toLowerCase());
+    }
+    const cutPlan = planCuts(transcriptData, plannerOptions);
     cutPlan.metadata.processingTimeMs = Date.now() - start;
 
     const valid = validator(cutPlan);
@@ -70,20 +88,20 @@ export const handler = async (event, context) => {
     }
 
     const planKey = keyFor(env, tenantId, jobId, 'plan', 'cut_plan.json');
-    writeFileAtKey(planKey, JSON.stringify(cutPlan, null, 2));
+    await storage.put(planKey, JSON.stringify(cutPlan, null, 2), { contentType: 'application/json' });
 
     try {
-      const manifest = loadManifest(env, tenantId, jobId);
-      manifest.plan = {
-        ...(manifest.plan || {}),
-        key: planKey,
-        schemaVersion: cutPlan.schemaVersion,
-        algorithm: 'rule-based',
-        totalCuts: cutPlan.cuts?.length || 0,
-        plannedAt: new Date().toISOString(),
-      };
-      manifest.updatedAt = new Date().toISOString();
-      saveManifest(env, tenantId, jobId, manifest);
+      await updateManifest(env, tenantId, jobId, manifest => {
+        manifest.plan = {
+          ...(manifest.plan || {}),
+          key: planKey,
+          schemaVersion: cutPlan.schemaVersion,
+          algorithm: 'rule-based',
+          totalCuts: cutPlan.cuts?.length || 0,
+          plannedAt: new Date().toISOString(),
+        };
+        completeStep(manifest, 'smart-cut-planner', [planKey]);
+      });
     } catch (e) {
       throw new PlannerError(`Manifest update failed: ${e.message}`, ERROR_TYPES.MANIFEST_UPDATE);
     }
@@ -103,12 +121,12 @@ export const handler = async (event, context) => {
     metrics.addMetric('PlanningError', 'Count', 1);
     metrics.addMetric(`PlanningError_${err.type || 'UNKNOWN'}`, 'Count', 1);
     try {
-      const manifest = loadManifest(env, tenantId, jobId);
-      manifest.status = 'failed';
-      manifest.updatedAt = new Date().toISOString();
-      manifest.logs = manifest.logs || [];
-      manifest.logs.push({ type: 'error', message: `Planner failed: ${err.message}`, createdAt: new Date().toISOString() });
-      saveManifest(env, tenantId, jobId, manifest);
+      await updateManifest(env, tenantId, jobId, manifest => {
+        manifest.status = 'failed';
+        failStep(manifest, 'smart-cut-planner', { type: err.type, message: err.message });
+        manifest.logs = manifest.logs || [];
+        manifest.logs.push({ type: 'error', message: `Planner failed: ${err.message}`, createdAt: new Date().toISOString() });
+      });
     } catch {
       // Ignore errors when trying to log the failure - we're already handling the main error
     }
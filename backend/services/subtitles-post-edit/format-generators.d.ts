@@ -0,0 +1,18 @@
+export function formatSrtTimestamp(ms: number): string;
+export function formatVttTimestamp(ms: number): string;
+/**
+ * Break cue text into lines of at most `maxLineChars`, on word boundaries
+ */
+export function wrapText(text: string, maxLineChars?: number): string;
+/**
+ * SubRip text for retimed cues
+ */
+export function generateSRT(cues: import("./timing-logic.js").Cue[], opts?: {
+    maxLineChars?: number;
+}): string;
+/**
+ * WebVTT text for retimed cues
+ */
+export function generateVTT(cues: import("./timing-logic.js").Cue[], opts?: {
+    maxLineChars?: number;
+}): string;
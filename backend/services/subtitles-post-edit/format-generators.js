@@ -0,0 +1,80 @@
+// backend/services/subtitles-post-edit/format-generators.js
+
+/**
+ * Format whole milliseconds as HH:MM:SS<sep>mmm
+ * @param {number} ms - Milliseconds
+ * @param {string} separator - ',' for SRT, '.' for WebVTT
+ * @returns {string} Timestamp
+ */
+function formatTimestamp(ms, separator) {
+  const total = Math.max(0, Math.round(ms));
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor((total % 3600000) / 60000);
+  const secs = Math.floor((total % 60000) / 1000);
+  const millis = total % 1000;
+  const pad = (n, width = 2) => String(n).padStart(width, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(millis, 3)}`;
+}
+
+export function formatSrtTimestamp(ms) {
+  return formatTimestamp(ms, ',');
+}
+
+export function formatVttTimestamp(ms) {
+  return formatTimestamp(ms, '.');
+}
+
+/**
+ * Break cue text into lines of at most `maxLineChars`, on word boundaries
+ * @param {string} text - Cue text
+ * @param {number} maxLineChars - Line width
+ * @returns {string} Text with newlines
+ */
+export function wrapText(text, maxLineChars = 42) {
+  const lines = [];
+  let line = '';
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    if (line && `${line} ${word}`.length > maxLineChars) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) lines.push(line);
+  return lines.join('\n');
+}
+
+/**
+ * SubRip text for retimed cues
+ * @param {Array} cues - Array of {startMs, endMs, text}
+ * @param {Object} opts - Options including maxLineChars
+ * @returns {string} SRT document
+ */
+export function generateSRT(cues, opts = {}) {
+  return cues
+    .map((cue, i) => [
+      String(i + 1),
+      `${formatSrtTimestamp(cue.startMs)} --> ${formatSrtTimestamp(cue.endMs)}`,
+      wrapText(cue.text, opts.maxLineChars),
+      '',
+    ].join('\n'))
+    .join('\n');
+}
+
+/**
+ * WebVTT text for retimed cues
+ * @param {Array} cues - Array of {startMs, endMs, text}
+ * @param {Object} opts - Options including maxLineChars
+ * @returns {string} WebVTT document
+ */
+export function generateVTT(cues, opts = {}) {
+  const body = cues
+    .map(cue => [
+      `${formatVttTimestamp(cue.startMs)} --> ${formatVttTimestamp(cue.endMs)}`,
+      wrapText(cue.text, opts.maxLineChars),
+      '',
+    ].join('\n'))
+    .join('\n');
+  return `WEBVTT\n\n${body}`;
+}
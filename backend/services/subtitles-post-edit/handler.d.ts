@@ -0,0 +1,7 @@
+export function handler(event: any, context?: any): Promise<{
+    ok: boolean;
+    srtKey: string;
+    vttKey: string;
+    timingMapKey: string;
+    correlationId: any;
+}>;
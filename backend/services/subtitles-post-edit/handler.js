@@ -0,0 +1,209 @@
+// backend/services/subtitles-post-edit/handler.js
+import { initObservability } from '../../dist/init-observability.js';
+import { currentEnv, keyFor, getStorageDriver, StorageNotFoundError } from '../../dist/storage.js';
+import { loadManifest, updateManifest } from '../../dist/manifest.js';
+import { recordStepStart, completeStep, failStep } from '../../dist/steps.js';
+import {
+  SubtitleError,
+  ERROR_TYPES,
+  keepSegments,
+  buildTimingMap,
+  finalDuration,
+  retimeWords,
+  buildCues,
+} from './timing-logic.js';
+import { generateSRT, generateVTT } from './format-generators.js';
+
+const TRANSITIONS_RENDER = 'with_transitions.mp4';
+
+async function readJson(storage, key, label, errorType) {
+  let raw;
+  try {
+    raw = await storage.get(key);
+  } catch (e) {
+    if (e instanceof StorageNotFoundError) {
+      throw new SubtitleError(`${label} not found: ${key}`, ERROR_TYPES.INPUT_NOT_FOUND, { key });
+    }
+    throw e;
+  }
+  try {
+    return JSON.parse(raw.toString('utf-8'));
+  } catch (e) {
+    throw new SubtitleError(`${label} parse failed: ${e.message}`, errorType, { key });
+  }
+}
+
+/**
+ * Regions of the source the edit removed: before the first keep, between
+ * keeps and after the last one
+ */
+function countRemovedRegions(keeps, sourceEndSec) {
+  let count = keeps[0].start > 0 ? 1 : 0;
+  for (let i = 1; i < keeps.length; i++) {
+    if (keeps[i].start > keeps[i - 1].end) count++;
+  }
+  if (sourceEndSec > keeps[keeps.length - 1].end) count++;
+  return count;
+}
+
+export const handler = async (event, context) => {
+  const { tenantId, jobId } = event;
+  const env = event.env || currentEnv();
+  const correlationId = event.correlationId || context?.awsRequestId || `local-${Date.now()}`;
+  const { logger, metrics } = initObservability({
+    serviceName: 'SubtitlesPostEdit',
+    correlationId, tenantId, jobId, step: 'subtitles-post-edit',
+  });
+
+  const fps = Number(event.targetFps || process.env.SUBTITLES_TARGET_FPS || 30);
+  const toleranceMs = Number(process.env.SUBTITLES_FRAME_TOLERANCE_MS || Math.ceil(1000 / fps));
+  const maxLineChars = Number(process.env.SUBTITLES_MAX_LINE_CHARS || 42);
+  const maxLines = Number(process.env.SUBTITLES_MAX_LINES || 2);
+  const storage = getStorageDriver();
+
+  try {
+    await recordStepStart(env, tenantId, jobId, 'subtitles-post-edit').catch(e =>
+      logger.warn('Failed to record step start', { error: e.message })
+    );
+
+    const manifest = loadManifest(env, tenantId, jobId);
+    const transcriptKey = event.transcriptKey
+      || manifest.transcript?.jsonKey
+      || keyFor(env, tenantId, jobId, 'transcripts', 'transcript.json');
+    const planKey = event.planKey || manifest.plan?.key || keyFor(env, tenantId, jobId, 'plan', 'cut_plan.json');
+    // Time against the render the job ends up with: the transitions render
+    // when video-transitions ran, otherwise the base cuts
+    const renderKey = event.renderKey
+      || manifest.renders?.find(r => r.key.endsWith(`/renders/${TRANSITIONS_RENDER}`))?.key
+      || keyFor(env, tenantId, jobId, 'renders', 'base_cuts.mp4');
+
+    if (!(await storage.head(renderKey))) {
+      throw new SubtitleError(`Render not found: ${renderKey}`, ERROR_TYPES.INPUT_NOT_FOUND, { renderKey });
+    }
+    const transcript = await readJson(storage, transcriptKey, 'Transcript', ERROR_TYPES.INVALID_TRANSCRIPT);
+    const plan = await readJson(storage, planKey, 'Cut plan', ERROR_TYPES.INVALID_PLAN);
+    if (!Array.isArray(transcript.segments) || transcript.segments.length === 0) {
+      throw new SubtitleError('Transcript invalid: missing segments', ERROR_TYPES.INVALID_TRANSCRIPT, { transcriptKey });
+    }
+
+    // Transitions overlap each join; video-transitions records the duration
+    // it used at every join, else the job's default
+    const withTransitions = renderKey.endsWith(`/renders/${TRANSITIONS_RENDER}`);
+    const transitionMs = withTransitions
+      ? Number(
+        event.transitionDurationMs
+          ?? manifest.extra?.['video-transitions']?.durationMs
+          ?? process.env.TRANSITIONS_DURATION_MS
+          ?? 300
+      )
+      : 0;
+
+    const sourceEndSec = Math.max(...transcript.segments.map(s => Number(s.end) || 0));
+    const originalDurationSec = manifest.audio?.durationSec || sourceEndSec;
+    const keeps = keepSegments(plan, originalDurationSec);
+    const boundaries = manifest.extra?.['video-transitions']?.boundaries;
+    const overlapsMs = withTransitions && event.transitionDurationMs === undefined
+      && Array.isArray(boundaries) && boundaries.length === keeps.length - 1
+      ? boundaries.map(b => Number(b.durationMs) || 0)
+      : undefined;
+    const timingMap = buildTimingMap(keeps, overlapsMs
+      ? { overlapsSec: overlapsMs.map(ms => ms / 1000) }
+      : { transitionSec: transitionMs / 1000 });
+    const finalDurationSec = finalDuration(timingMap);
+    const words = retimeWords(transcript, timingMap);
+    const { cues, maxBoundaryErrorMs } = buildCues(words, { fps, maxChars: maxLineChars * maxLines });
+
+    if (maxBoundaryErrorMs > toleranceMs) {
+      logger.warn('Cue boundaries moved more than the frame tolerance', { maxBoundaryErrorMs, toleranceMs });
+    }
+
+    // The renderer trims each keep to 10 ms, so allow that per keep on top
+    // of the frame tolerance
+    const render = manifest.renders?.find(r => r.key === renderKey);
+    if (render?.durationSec) {
+      const driftMs = Math.abs(render.durationSec - finalDurationSec) * 1000;
+      const allowedMs = toleranceMs + 10 * keeps.length;
+      if (driftMs > allowedMs) {
+        throw new SubtitleError(
+          `Edited timeline is ${finalDurationSec.toFixed(3)}s but the render is ${render.durationSec}s`,
+          ERROR_TYPES.TIMING_MISMATCH,
+          { renderKey, finalDurationSec, renderDurationSec: render.durationSec, driftMs: Math.round(driftMs), allowedMs }
+        );
+      }
+    }
+
+    const srtKey = keyFor(env, tenantId, jobId, 'subtitles', 'final.srt');
+    const vttKey = keyFor(env, tenantId, jobId, 'subtitles', 'final.vtt');
+    const timingMapKey = keyFor(env, tenantId, jobId, 'subtitles', 'timing-map.json');
+    await storage.put(srtKey, generateSRT(cues, { maxLineChars }), { contentType: 'application/x-subrip' });
+    await storage.put(vttKey, generateVTT(cues, { maxLineChars }), { contentType: 'text/vtt' });
+    await storage.put(timingMapKey, JSON.stringify({
+      renderKey,
+      fps,
+      transitionMs,
+      ...(overlapsMs ? { overlapsMs } : {}),
+      originalDurationSec,
+      finalDurationSec,
+      segments: timingMap,
+    }, null, 2), { contentType: 'application/json' });
+
+    const wordCount = words.length;
+    const cutsApplied = countRemovedRegions(keeps, originalDurationSec);
+    const generatedAt = new Date().toISOString();
+    const entry = {
+      type: 'final',
+      durationSec: finalDurationSec,
+      wordCount,
+      originalDurationSec,
+      cutsApplied,
+      generatedAt,
+    };
+
+    try {
+      await updateManifest(env, tenantId, jobId, m => {
+        // Re-runs replace the previous final captions
+        m.subtitles = [
+          ...(m.subtitles || []).filter(s => s.type !== 'final'),
+          { key: srtKey, format: 'srt', ...entry },
+          { key: vttKey, format: 'vtt', ...entry },
+        ];
+        completeStep(m, 'subtitles-post-edit', [srtKey, vttKey, timingMapKey]);
+        m.logs = m.logs || [];
+        m.logs.push({
+          type: 'info',
+          message: `Subtitles retimed: ${cues.length} cues over ${finalDurationSec.toFixed(2)}s`,
+          details: { renderKey, timingMapKey, cues: cues.length, wordCount, cutsApplied, transitionMs, maxBoundaryErrorMs },
+          createdAt: generatedAt,
+        });
+      });
+    } catch (e) {
+      throw new SubtitleError(`Manifest update failed: ${e.message}`, ERROR_TYPES.MANIFEST_UPDATE);
+    }
+
+    metrics.addMetric('SubtitleSuccess', 'Count', 1);
+    metrics.addMetric('SubtitleCues', 'Count', cues.length);
+    metrics.addMetric('SubtitleCueBoundaryMaxMs', 'Milliseconds', maxBoundaryErrorMs);
+    logger.info('Subtitles retimed', { srtKey, vttKey, timingMapKey, cues: cues.length, cutsApplied });
+
+    return { ok: true, srtKey, vttKey, timingMapKey, correlationId };
+  } catch (err) {
+    logger.error('Subtitle post-edit failed', { error: err.message, type: err.type, details: err.details });
+    metrics.addMetric('SubtitleError', 'Count', 1);
+    metrics.addMetric(`SubtitleError_${err.type || 'UNKNOWN'}`, 'Count', 1);
+    try {
+      await updateManifest(env, tenantId, jobId, manifest => {
+        manifest.status = 'failed';
+        failStep(manifest, 'subtitles-post-edit', { type: err.type, message: err.message });
+        manifest.logs = manifest.logs || [];
+        manifest.logs.push({
+          type: 'error',
+          message: `Subtitle post-edit failed: ${err.message}`,
+          createdAt: new Date().toISOString(),
+        });
+      });
+    } catch {
+      // Ignore errors when trying to log the failure - we're already handling the main error
+    }
+    throw err;
+  }
+};
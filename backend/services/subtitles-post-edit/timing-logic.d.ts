@@ -0,0 +1,80 @@
+/**
+ * Custom error class for subtitle retiming errors
+ */
+export class SubtitleError extends Error {
+    constructor(message: any, type: any, details?: {});
+    type: any;
+    details: {};
+}
+/**
+ * Error types for subtitle operations
+ */
+export const ERROR_TYPES: {
+    INPUT_NOT_FOUND: string;
+    INVALID_TRANSCRIPT: string;
+    INVALID_PLAN: string;
+    TIMING_MISMATCH: string;
+    MANIFEST_UPDATE: string;
+};
+export interface TimingSegment {
+    sourceStart: number;
+    sourceEnd: number;
+    finalStart: number;
+    finalEnd: number;
+}
+export interface RetimedWord {
+    text: string;
+    start: number;
+    end: number;
+    segment: number;
+    keep: number;
+}
+export interface Cue {
+    startMs: number;
+    endMs: number;
+    text: string;
+}
+/**
+ * Parse a cut plan time: SS.SS | mm:ss(.sss) | hh:mm:ss(.sss), or a number
+ */
+export function parseTimecode(value: string | number): number;
+/**
+ * Keep segments of a cut plan in source order. Plans that only list cuts
+ * keep everything between them up to `sourceEndSec`.
+ */
+export function keepSegments(cutPlan: any, sourceEndSec: number): {
+    start: number;
+    end: number;
+}[];
+/**
+ * Map each keep segment onto the edited timeline
+ */
+export function buildTimingMap(keeps: {
+    start: number;
+    end: number;
+}[], opts?: {
+    transitionSec?: number;
+    overlapsSec?: number[];
+}): TimingSegment[];
+/**
+ * Length of the edited timeline
+ */
+export function finalDuration(map: TimingSegment[]): number;
+/**
+ * Snap seconds to the nearest frame, in whole milliseconds
+ */
+export function toFrameMs(seconds: number, fps: number): number;
+/**
+ * Move transcript words onto the edited timeline
+ */
+export function retimeWords(transcript: any, map: TimingSegment[]): RetimedWord[];
+/**
+ * Group retimed words into cues
+ */
+export function buildCues(words: RetimedWord[], opts?: {
+    fps?: number;
+    maxChars?: number;
+}): {
+    cues: Cue[];
+    maxBoundaryErrorMs: number;
+};
@@ -0,0 +1,214 @@
+// backend/services/subtitles-post-edit/timing-logic.js
+
+/**
+ * Custom error class for subtitle retiming errors
+ */
+export class SubtitleError extends Error {
+  constructor(message, type, details = {}) {
+    super(message);
+    this.name = 'SubtitleError';
+    this.type = type;
+    this.details = details;
+  }
+}
+
+/**
+ * Error types for subtitle operations
+ */
+export const ERROR_TYPES = {
+  INPUT_NOT_FOUND: 'INPUT_NOT_FOUND',
+  INVALID_TRANSCRIPT: 'INVALID_TRANSCRIPT',
+  INVALID_PLAN: 'INVALID_PLAN',
+  TIMING_MISMATCH: 'TIMING_MISMATCH',
+  MANIFEST_UPDATE: 'MANIFEST_UPDATE',
+};
+
+/**
+ * Parse a cut plan time: SS.SS | mm:ss(.sss) | hh:mm:ss(.sss), or a number
+ * @param {string|number} value - Time value from the cut plan
+ * @returns {number} Seconds
+ */
+export function parseTimecode(value) {
+  if (typeof value === 'number') return value;
+  const parts = String(value).trim().split(':');
+  if (parts.length > 3 || parts.some(p => p === '' || !Number.isFinite(Number(p)))) {
+    throw new SubtitleError(`Invalid cut plan time: ${value}`, ERROR_TYPES.INVALID_PLAN, { value });
+  }
+  return parts.reduce((total, part) => total * 60 + Number(part), 0);
+}
+
+/**
+ * Keep segments of a cut plan in source order. Plans that only list cuts
+ * keep everything between them up to `sourceEndSec`.
+ * @param {Object} cutPlan - Parsed cut_plan.json
+ * @param {number} sourceEndSec - End of the source (last transcript time)
+ * @returns {Array} Array of {start, end} in seconds
+ */
+export function keepSegments(cutPlan, sourceEndSec) {
+  if (!cutPlan || !Array.isArray(cutPlan.cuts)) {
+    throw new SubtitleError('Invalid cut plan: missing cuts', ERROR_TYPES.INVALID_PLAN);
+  }
+  const parsed = cutPlan.cuts.map(c => ({ start: parseTimecode(c.start), end: parseTimecode(c.end), type: c.type }));
+
+  let keeps = parsed.filter(c => c.type === 'keep');
+  if (keeps.length === 0) {
+    const cuts = parsed.filter(c => c.type === 'cut').sort((a, b) => a.start - b.start);
+    let cursor = 0;
+    for (const cut of cuts) {
+      if (cut.start > cursor) keeps.push({ start: cursor, end: cut.start });
+      cursor = Math.max(cursor, cut.end);
+    }
+    if (sourceEndSec > cursor) keeps.push({ start: cursor, end: sourceEndSec });
+  }
+
+  keeps = keeps
+    .map(k => ({ start: k.start, end: k.end }))
+    .filter(k => k.end > k.start)
+    .sort((a, b) => a.start - b.start);
+  if (keeps.length === 0) {
+    throw new SubtitleError('Cut plan keeps nothing', ERROR_TYPES.INVALID_PLAN, { totalCuts: parsed.length });
+  }
+  return keeps;
+}
+
+/**
+ * Map each keep segment onto the edited timeline. With transitions, each
+ * join overlaps the neighbouring keeps by `transitionSec` (the crossfade in
+ * video-render-engine/transitions-logic.js), so later keeps start earlier.
+ * `overlapsSec` gives each join its own overlap instead (0 for a hard cut).
+ * @param {Array} keeps - Array of {start, end} keep segments
+ * @param {Object} opts - Options including transitionSec or overlapsSec
+ * @returns {Array} Array of {sourceStart, sourceEnd, finalStart, finalEnd}
+ */
+export function buildTimingMap(keeps, opts = {}) {
+  const overlapAt = i => Number((opts.overlapsSec ? opts.overlapsSec[i - 1] : opts.transitionSec) || 0);
+  const map = [];
+  let offset = 0;
+  keeps.forEach((keep, i) => {
+    const finalStart = i === 0 ? 0 : offset - overlapAt(i);
+    const finalEnd = finalStart + (keep.end - keep.start);
+    map.push({ sourceStart: keep.start, sourceEnd: keep.end, finalStart, finalEnd });
+    offset = finalEnd;
+  });
+  return map;
+}
+
+/**
+ * Length of the edited timeline
+ * @param {Array} map - Result of buildTimingMap
+ * @returns {number} Seconds
+ */
+export function finalDuration(map) {
+  return map.length ? map[map.length - 1].finalEnd : 0;
+}
+
+/**
+ * Snap seconds to the nearest frame, in whole milliseconds so output is
+ * identical across runs
+ * @param {number} seconds - Time in seconds
+ * @param {number} fps - Target frame rate
+ * @returns {number} Milliseconds
+ */
+export function toFrameMs(seconds, fps) {
+  return Math.round((Math.round(seconds * fps) * 1000) / fps);
+}
+
+/**
+ * Round to whole microseconds so float noise from the shift
+ * (5.9 - 2 = 3.9000000000000004) does not reach the outputs
+ */
+function toMicros(seconds) {
+  return Math.round(seconds * 1e6) / 1e6;
+}
+
+/**
+ * Timed words of a transcript segment; segments without word timestamps
+ * count as one unit
+ */
+function segmentWords(segment) {
+  if (Array.isArray(segment.words) && segment.words.length > 0) {
+    return segment.words
+      .map(w => ({ text: String(w.word ?? w.text ?? '').trim(), start: Number(w.start), end: Number(w.end) }))
+      .filter(w => w.text && Number.isFinite(w.start) && Number.isFinite(w.end));
+  }
+  const text = String(segment.text || '').trim();
+  return text ? [{ text, start: Number(segment.start), end: Number(segment.end) }] : [];
+}
+
+/**
+ * Move transcript words onto the edited timeline. A word survives when its
+ * midpoint lies in a keep; it is clamped to that keep, and within a
+ * crossfade each side keeps half of the overlap so cues never collide.
+ * @param {Object} transcript - Parsed transcript.json
+ * @param {Array} map - Result of buildTimingMap
+ * @returns {Array} Array of {text, start, end, segment, keep} in final seconds
+ */
+export function retimeWords(transcript, map) {
+  if (!transcript || !Array.isArray(transcript.segments)) {
+    throw new SubtitleError('Invalid transcript: missing segments', ERROR_TYPES.INVALID_TRANSCRIPT);
+  }
+  const words = [];
+  transcript.segments.forEach((segment, segmentIndex) => {
+    for (const word of segmentWords(segment)) {
+      const mid = (word.start + word.end) / 2;
+      const keepIndex = map.findIndex(k => mid >= k.sourceStart && mid < k.sourceEnd);
+      if (keepIndex === -1) continue;
+      const k = map[keepIndex];
+      const shift = k.finalStart - k.sourceStart;
+      const prev = map[keepIndex - 1];
+      const next = map[keepIndex + 1];
+      const lower = prev ? (k.finalStart + prev.finalEnd) / 2 : k.finalStart;
+      const upper = next ? (next.finalStart + k.finalEnd) / 2 : k.finalEnd;
+      const start = Math.max(lower, Math.max(word.start, k.sourceStart) + shift);
+      const end = Math.min(upper, Math.min(word.end, k.sourceEnd) + shift);
+      if (end <= start) continue;
+      words.push({ text: word.text, start: toMicros(start), end: toMicros(end), segment: segmentIndex, keep: keepIndex });
+    }
+  });
+  return words;
+}
+
+/**
+ * Group retimed words into cues. A cue never spans a transcript segment
+ * or a cut, and holds at most `maxChars` characters.
+ * @param {Array} words - Result of retimeWords
+ * @param {Object} opts - Options including fps and maxChars
+ * @returns {Object} {cues, maxBoundaryErrorMs}: cues are {startMs, endMs, text},
+ *   monotonic and non-overlapping; maxBoundaryErrorMs is the largest shift of a
+ *   cue boundary from its word's mapped time
+ */
+export function buildCues(words, opts = {}) {
+  const fps = Number(opts.fps || 30);
+  const maxChars = Number(opts.maxChars || 84);
+  const frameMs = 1000 / fps;
+
+  const groups = [];
+  let current = null;
+  for (const word of words) {
+    const joined = current ? `${current.text} ${word.text}` : word.text;
+    if (current && current.segment === word.segment && current.keep === word.keep && joined.length <= maxChars) {
+      current.text = joined;
+      current.end = word.end;
+    } else {
+      current = { ...word };
+      groups.push(current);
+    }
+  }
+
+  const cues = [];
+  let maxBoundaryErrorMs = 0;
+  for (const group of groups) {
+    const prevEnd = cues.length ? cues[cues.length - 1].endMs : 0;
+    const startMs = Math.max(prevEnd, toFrameMs(group.start, fps));
+    let endMs = toFrameMs(group.end, fps);
+    // Words shorter than a frame still get one frame on screen
+    if (endMs <= startMs) endMs = Math.round(startMs + frameMs);
+    maxBoundaryErrorMs = Math.max(
+      maxBoundaryErrorMs,
+      Math.abs(startMs - group.start * 1000),
+      Math.abs(endMs - group.end * 1000)
+    );
+    cues.push({ startMs, endMs, text: group.text });
+  }
+  return { cues, maxBoundaryErrorMs: Math.round(maxBoundaryErrorMs) };
+}
@@ -1,9 +1,26 @@
 // backend/services/transcription/handler.js
 import { initObservability } from '../../dist/init-observability.js';
-import { keyFor, pathFor, writeFileAtKey } from '../../dist/storage.js';
-import { loadManifest, saveManifest } from '../../dist/manifest.js';
-import { execFileSync } from 'node:child_process';
-import { existsSync, unlinkSync, readFileSync, mkdirSync, readdirSync } from 'node:fs';
+import {
+  currentEnv,
+  keyFor,
+  getStorageDriver,
+  localPathForRead,
+  localPathForWrite,
+  releaseLocalPath,
+  StorageNotFoundError,
+} from '../../dist/storage.js';
+import { loadManifest, updateManifest } from '../../dist/manifest.js';
+import { jobOptionsFor, transcriptionSettings } from '../../dist/job-options.js';
+import { recordStepStart, completeStep, failStep } from '../../dist/steps.js';
+import {
+  watchJobCancellation,
+  isJobCancelledError,
+  recordStepCancelled,
+} from '../../dist/cancellation.js';
+import { publishJobEvent } from '../../dist/job-events.js';
+import { execFile, execFileSync } from 'node:child_process';
+import { promisify } from 'node:util';
+import { existsSync, unlinkSync, readFileSync, mkdirSync, readdirSync, rmSync } from 'node:fs';
 import { basename, dirname, join, extname, resolve } from 'node:path';
 import { tmpdir } from 'node:os';
 
@@ -31,6 +48,26 @@ const ERROR_TYPES = {
   TIMESTAMP_MERGE: 'TIMESTAMP_MERGE'
 };
 
+const execFileAsync = promisify(execFile);
+
+/**
+ * Run Whisper without blocking, so a cancelled job can kill it.
+ * Aborting `signal` rejects with the signal's reason (a JobCancelledError).
+ */
+async function runWhisper(args, signal) {
+  try {
+    return await execFileAsync('whisper-ctranslate2', args, {
+      encoding: 'utf8',
+      maxBuffer: 50 * 1024 * 1024, // 50MB buffer for large outputs
+      timeout: 3600000, // 60 min timeout (medium/large models on CPU can take 7-10 min per 5-min chunk)
+      signal
+    });
+  } catch (err) {
+    if (signal?.aborted) throw signal.reason;
+    throw err;
+  }
+}
+
 /**
  * Convert Whisper JSON output to SRT format
  * @param {Object} transcriptData - Whisper JSON output with segments
@@ -304,9 +341,10 @@ function splitAudioIntoChunks(inputPath, chunkDurationSec, outputDir) {
  * @param {string} language - Language code
  * @param {string} device - Device (cpu/cuda)
  * @param {string} outputDir - Directory for Whisper output
- * @returns {Object} Transcript data from Whisper
+ * @param {AbortSignal} [signal] - Kills Whisper when the job is cancelled
+ * @returns {Promise<Object>} Transcript data from Whisper
  */
-function transcribeChunk(chunkPath, whisperCmd, model, language, device, outputDir) {
+async function transcribeChunk(chunkPath, whisperCmd, model, language, device, outputDir, signal) {
   try {
     // Only whisper-ctranslate2 is supported (2-4x faster than standard whisper)
     const whisperArgs = [
@@ -320,11 +358,7 @@ function transcribeChunk(chunkPath, whisperCmd, model, language, device, outputD
     ];
 
     // Execute whisper (output is written to file, stdout is not used)
-    execFileSync('whisper-ctranslate2', whisperArgs, {
-      encoding: 'utf8',
-      maxBuffer: 50 * 1024 * 1024, // 50MB buffer for large outputs
-      timeout: 3600000 // 60 min timeout (medium/large models on CPU can take 7-10 min per 5-min chunk)
-    });
+    await runWhisper(whisperArgs, signal);
 
     // Read generated JSON (Whisper writes to <basename>.json)
     const jsonBasename = basename(chunkPath, extname(chunkPath)) + '.json';
@@ -351,7 +385,7 @@ function transcribeChunk(chunkPath, whisperCmd, model, language, device, outputD
 
     return transcriptData;
   } catch (err) {
-    if (err instanceof TranscriptionError) {
+    if (err instanceof TranscriptionError || isJobCancelledError(err)) {
       throw err;
     }
     throw new TranscriptionError(
@@ -539,7 +573,8 @@ function getAudioDuration(audioPath) {
 }
 
 const handler = async (event, context) => {
-  const { env, tenantId, jobId, audioKey: providedAudioKey } = event;
+  const { tenantId, jobId, audioKey: providedAudioKey } = event;
+  const env = event.env || currentEnv();
   const correlationId = event.correlationId || context.awsRequestId;
 
   const { logger, metrics } = initObservability({
@@ -549,8 +584,18 @@ const handler = async (event, context) => {
     jobId,
     step: 'transcription',
   });
+  const storage = getStorageDriver();
+  const cancellation = watchJobCancellation(env, tenantId, jobId);
+  let chunkDir;
+  let inputPath;
 
   try {
+    cancellation.throwIfCancelled();
+
+    await recordStepStart(env, tenantId, jobId, 'transcription').catch(stepErr =>
+      logger.warn('Failed to record step start', { error: stepErr.message })
+    );
+
     // Derive audioKey from manifest if not provided in event
     let audioKey = providedAudioKey;
     if (!audioKey) {
@@ -567,20 +612,28 @@ const handler = async (event, context) => {
       logger.info('Derived audioKey from manifest', { audioKey });
     }
 
-    // Validate input exists
-    const inputPath = pathFor(audioKey);
-    if (!existsSync(inputPath)) {
+    // Validate input exists and stage it locally for Whisper
+    try {
+      inputPath = await localPathForRead(audioKey);
+    } catch (storageErr) {
+      if (storageErr instanceof StorageNotFoundError) {
+        throw new TranscriptionError(
+          `Audio input not found: ${audioKey}`,
+          ERROR_TYPES.INPUT_NOT_FOUND,
+          { audioKey }
+        );
+      }
       throw new TranscriptionError(
-        `Audio input not found: ${audioKey}`,
-        ERROR_TYPES.INPUT_NOT_FOUND,
-        { audioKey, inputPath }
+        `Failed to read audio input: ${storageErr.message}`,
+        ERROR_TYPES.STORAGE_ERROR,
+        { audioKey, storageError: storageErr.message }
       );
     }
 
-    // Default to 'base' for CPU (faster, still good accuracy)
-    // Use 'medium' or 'large' only with GPU for better accuracy
-    const model = process.env.WHISPER_MODEL || 'base';
-    const language = process.env.WHISPER_LANGUAGE || 'en';
+    // Job options, then WHISPER_MODEL/WHISPER_LANGUAGE. 'base' is the default
+    // for CPU (faster, still good accuracy); use 'medium' or 'large' only
+    // with GPU for better accuracy
+    const { model, language } = transcriptionSettings(jobOptionsFor(env, tenantId, jobId));
     const device = process.env.WHISPER_DEVICE || 'cpu';
 
     logger.info('Starting transcription', {
@@ -593,7 +646,8 @@ const handler = async (event, context) => {
     // Define output keys
     const transcriptJsonKey = keyFor(env, tenantId, jobId, 'transcripts', 'transcript.json');
     const transcriptSrtKey = keyFor(env, tenantId, jobId, 'transcripts', 'captions.source.srt');
-    const transcriptJsonPath = pathFor(transcriptJsonKey);
+    // Whisper writes next to the canonical transcript (a staging dir for remote drivers)
+    const transcriptJsonPath = localPathForWrite(transcriptJsonKey);
     const outputDir = dirname(transcriptJsonPath);
 
     // Check audio duration and decide if chunking is needed
@@ -664,7 +718,7 @@ const handler = async (event, context) => {
 
         // Step 1: Split audio into chunks
         const chunkDurationSec = Number(process.env.TRANSCRIPT_CHUNK_DURATION || 300); // Default: 5 minutes
-        const chunkDir = join(tmpdir(), `transcription-chunks-${jobId}`);
+        chunkDir = join(tmpdir(), `transcription-chunks-${jobId}`);
         
         let chunks;
         try {
@@ -688,6 +742,9 @@ const handler = async (event, context) => {
         for (let i = 0; i < chunks.length; i++) {
           const chunk = chunks[i];
           const chunkIndex = i + 1;
+
+          // Stop between chunks once the job is cancelled
+          cancellation.throwIfCancelled();
           
           try {
             logger.info(`Transcribing chunk ${chunkIndex}/${chunks.length}`, {
@@ -696,13 +753,14 @@ const handler = async (event, context) => {
               chunkDuration: chunk.duration
             });
 
-            const chunkTranscript = transcribeChunk(
+            const chunkTranscript = await transcribeChunk(
               chunk.path,
               whisperCmd,
               model,
               language,
               device,
-              outputDir
+              outputDir,
+              cancellation.signal
             );
 
             chunkTranscripts.push({
@@ -716,9 +774,21 @@ const handler = async (event, context) => {
               segmentCount: chunkTranscript.segments?.length || 0
             });
 
-            // Track progress in manifest (optional)
             metrics.addMetric('ChunkTranscriptionSuccess', 'Count', 1);
+            await publishJobEvent(env, {
+              type: 'progress',
+              tenantId,
+              jobId,
+              step: 'transcription',
+              data: {
+                chunkIndex,
+                totalChunks: chunks.length,
+                percent: Math.round((chunkIndex / chunks.length) * 100),
+              },
+            });
           } catch (chunkErr) {
+            if (isJobCancelledError(chunkErr)) throw chunkErr;
+
             logger.error(`Chunk ${chunkIndex}/${chunks.length} transcription failed`, {
               chunkPath: chunk.path,
               error: chunkErr.message,
@@ -816,7 +886,7 @@ const handler = async (event, context) => {
         }
 
         // Write merged transcript to canonical location
-        writeFileAtKey(transcriptJsonKey, JSON.stringify(transcriptData, null, 2));
+        await storage.put(transcriptJsonKey, JSON.stringify(transcriptData, null, 2));
         metrics.addMetric('ChunkedTranscriptionSuccess', 'Count', 1);
         metrics.addMetric('TotalChunksProcessed', 'Count', chunks.length);
       } else {
@@ -843,11 +913,7 @@ const handler = async (event, context) => {
           '--verbose', 'False'
         ];
 
-        const whisperOutput = execFileSync('whisper-ctranslate2', whisperArgs, {
-          encoding: 'utf8',
-          maxBuffer: 50 * 1024 * 1024, // 50MB buffer for large outputs
-          timeout: 3600000 // 60 min timeout (medium/large models on CPU can be slow)
-        });
+        const { stdout: whisperOutput } = await runWhisper(whisperArgs, cancellation.signal);
 
         logger.info('Whisper execution completed', { outputLength: whisperOutput.length });
 
@@ -867,12 +933,14 @@ const handler = async (event, context) => {
 
         // Move to canonical location if needed
         if (whisperJsonPath !== transcriptJsonPath) {
-          writeFileAtKey(transcriptJsonKey, JSON.stringify(transcriptData, null, 2));
+          await storage.put(transcriptJsonKey, JSON.stringify(transcriptData, null, 2));
           unlinkSync(whisperJsonPath); // Clean up temp file
         }
       }
 
     } catch (whisperErr) {
+      if (isJobCancelledError(whisperErr)) throw whisperErr;
+
       // For testing, if Whisper is not available, use sample transcript
       if (whisperErr.message.includes('not found') || whisperErr.message.includes('ENOENT')) {
         logger.warn('Whisper not available, using sample transcript for testing');
@@ -887,7 +955,7 @@ const handler = async (event, context) => {
           });
           
           // Write the sample transcript to the canonical location
-          writeFileAtKey(transcriptJsonKey, JSON.stringify(transcriptData, null, 2));
+          await storage.put(transcriptJsonKey, JSON.stringify(transcriptData, null, 2));
           logger.info('Sample transcript written to canonical location', { transcriptJsonKey });
         } else {
           throw new TranscriptionError(
@@ -964,7 +1032,7 @@ const handler = async (event, context) => {
     let srtContent;
     try {
       srtContent = generateSRT(transcriptData);
-      writeFileAtKey(transcriptSrtKey, srtContent);
+      await storage.put(transcriptSrtKey, srtContent);
       logger.info('SRT generation completed', { srtKey: transcriptSrtKey });
     } catch (srtErr) {
       throw new TranscriptionError(
@@ -983,16 +1051,16 @@ const handler = async (event, context) => {
 
     // Update manifest with error handling
     try {
-      const manifest = loadManifest(env, tenantId, jobId);
-      manifest.transcript = manifest.transcript || {};
-      manifest.transcript.jsonKey = transcriptJsonKey;
-      manifest.transcript.srtKey = transcriptSrtKey;
-      manifest.transcript.language = transcriptData.language || language;
-      manifest.transcript.model = model;
-      manifest.transcript.confidence = Number.isFinite(confidence) ? confidence : undefined;
-      manifest.transcript.transcribedAt = new Date().toISOString();
-      manifest.updatedAt = new Date().toISOString();
-      saveManifest(env, tenantId, jobId, manifest);
+      await updateManifest(env, tenantId, jobId, manifest => {
+        manifest.transcript = manifest.transcript || {};
+        manifest.transcript.jsonKey = transcriptJsonKey;
+        manifest.transcript.srtKey = transcriptSrtKey;
+        manifest.transcript.language = transcriptData.language || language;
+        manifest.transcript.model = model;
+        manifest.transcript.confidence = Number.isFinite(confidence) ? confidence : undefined;
+        manifest.transcript.transcribedAt = new Date().toISOString();
+        completeStep(manifest, 'transcription', [transcriptJsonKey, transcriptSrtKey]);
+      });
     } catch (manifestErr) {
       throw new TranscriptionError(
         `Manifest update failed: ${manifestErr.message}`,
@@ -1022,6 +1090,18 @@ const handler = async (event, context) => {
 
     return { ok: true, transcriptJsonKey, transcriptSrtKey, correlationId };
   } catch (err) {
+    if (isJobCancelledError(err)) {
+      logger.warn('Transcription cancelled', { chunkDir });
+      // Chunk audio from a cancelled run is never reused
+      if (chunkDir) rmSync(chunkDir, { recursive: true, force: true });
+      await recordStepCancelled(env, tenantId, jobId, 'transcription').catch(stepErr =>
+        logger.warn('Failed to record step cancellation', { error: stepErr.message })
+      );
+      metrics.addMetric('TranscriptionCancelled', 'Count', 1);
+      metrics.publishStoredMetrics();
+      throw err;
+    }
+
     // Enhanced error handling with specific error types
     const errorType = err.type || 'UNKNOWN_ERROR';
     const errorDetails = err.details || {};
@@ -1041,22 +1121,25 @@ const handler = async (event, context) => {
 
     // Update manifest status on failure if possible
     try {
-      const manifest = loadManifest(env, tenantId, jobId);
-      manifest.status = 'failed';
-      manifest.updatedAt = new Date().toISOString();
-      if (!manifest.logs) manifest.logs = [];
-      manifest.logs.push({
-        type: 'error',
-        message: `Transcription failed: ${err.message}`,
-        errorType,
-        createdAt: new Date().toISOString()
+      await updateManifest(env, tenantId, jobId, manifest => {
+        manifest.status = 'failed';
+        failStep(manifest, 'transcription', { type: errorType, message: err.message });
+        if (!manifest.logs) manifest.logs = [];
+        manifest.logs.push({
+          type: 'error',
+          message: `Transcription failed: ${err.message}`,
+          errorType,
+          createdAt: new Date().toISOString()
+        });
       });
-      saveManifest(env, tenantId, jobId, manifest);
     } catch (manifestErr) {
       logger.error('Failed to update manifest with error status', { manifestError: manifestErr.message });
     }
 
     throw err;
+  } finally {
+    cancellation.stop();
+    await releaseLocalPath(inputPath).catch(() => {});
   }
 };
 
@@ -1,13 +1,32 @@
 // backend/services/video-render-engine/handler.js
-import { readFileSync, existsSync } from 'node:fs';
+import { readFileSync } from 'node:fs';
 import { initObservability } from '../../dist/init-observability.js';
-import { keyFor, pathFor } from '../../dist/storage.js';
-import { loadManifest, saveManifest } from '../../dist/manifest.js';
+import {
+  currentEnv,
+  keyFor,
+  getStorageDriver,
+  localPathForRead,
+  localPathForWrite,
+  commitLocalFile,
+  releaseLocalPath,
+  StorageNotFoundError,
+} from '../../dist/storage.js';
+import { loadManifest, updateManifest } from '../../dist/manifest.js';
+import { jobOptionsFor, renderSettings } from '../../dist/job-options.js';
+import { recordStepStart, completeStep, failStep } from '../../dist/steps.js';
+import {
+  watchJobCancellation,
+  isJobCancelledError,
+  recordStepCancelled,
+} from '../../dist/cancellation.js';
+import { progressPublisher } from '../../dist/job-events.js';
+import { parseFrameRate } from '../../dist/ffmpeg-runtime.js';
 import { 
   probe, 
   measureSyncDrift, 
   buildFilterGraph, 
   runFilterGraph,
+  cleanupTempFiles,
 } from './renderer-logic.js';
 import Ajv from 'ajv';
 import addFormats from 'ajv-formats';
@@ -17,7 +36,9 @@ const ajv = new Ajv({ allErrors: true });
 addFormats(ajv);
 
 // Load cut plan schema for validation
-const cutPlanSchema = JSON.parse(readFileSync('docs/schemas/cut_plan.schema.json', 'utf-8'));
+const cutPlanSchema = JSON.parse(
+  readFileSync(new URL('../../../docs/schemas/cut_plan.schema.json', import.meta.url), 'utf-8')
+);
 const validateCutPlan = ajv.compile(cutPlanSchema);
 
 /**
@@ -44,7 +65,8 @@ class VideoRenderError extends Error {
  * Main Lambda handler for video render engine
  */
 export const handler = async (event, context) => {
-  const { env, tenantId, jobId } = event;
+  const { tenantId, jobId } = event;
+  const env = event.env || currentEnv();
   const correlationId = event.correlationId || context?.awsRequestId || `local-${Date.now()}`;
   
   // Initialize observability
@@ -63,29 +85,46 @@ export const handler = async (event, context) => {
     correlationId 
   });
 
-  // Load configuration from environment variables
-  const renderPreset = process.env.RENDER_PRESET || 'fast';
-  const renderCrf = String(process.env.RENDER_CRF ?? '20');
-  const renderFps = String(event.targetFps || process.env.RENDER_FPS || '30');
-  const threads = String(process.env.RENDER_THREADS || '2');
-  const aCodec = process.env.RENDER_AUDIO_CODEC || 'aac';
-  const aBitrate = process.env.RENDER_AUDIO_BITRATE || '192k';
+  // Job options (render profile etc.) over the RENDER_* env defaults
+  const {
+    preset: renderPreset,
+    crf: renderCrf,
+    fps: renderFps,
+    threads,
+    audioCodec: aCodec,
+    audioBitrate: aBitrate,
+  } = renderSettings(jobOptionsFor(env, tenantId, jobId), event.targetFps);
+
+  const storage = getStorageDriver();
+  const cancellation = watchJobCancellation(env, tenantId, jobId);
+  let sourcePath;
+  let outputPath;
 
   try {
+    cancellation.throwIfCancelled();
+
+    // This handler backs the VideoCuts state of the pipeline
+    await recordStepStart(env, tenantId, jobId, 'video-cuts').catch(stepErr =>
+      logger.warn('Failed to record step start', { error: stepErr.message })
+    );
+
     // Resolve plan key and load cut plan
     const planKey = event.planKey || keyFor(env, tenantId, jobId, 'plan', 'cut_plan.json');
-    const planPath = pathFor(planKey);
-    
-    if (!existsSync(planPath)) {
-      throw new VideoRenderError(
-        `Cut plan not found: ${planKey}`, 
-        'INPUT_NOT_FOUND',
-        { planKey, planPath }
-      );
-    }
 
     logger.info('Loading cut plan', { planKey });
-    const planData = readFileSync(planPath, 'utf-8');
+    let planData;
+    try {
+      planData = (await storage.get(planKey)).toString('utf-8');
+    } catch (storageErr) {
+      if (storageErr instanceof StorageNotFoundError) {
+        throw new VideoRenderError(
+          `Cut plan not found: ${planKey}`, 
+          'INPUT_NOT_FOUND',
+          { planKey }
+        );
+      }
+      throw storageErr;
+    }
     const plan = JSON.parse(planData);
 
     // Validate cut plan against schema
@@ -111,15 +150,20 @@ export const handler = async (event, context) => {
     const manifest = loadManifest(env, tenantId, jobId);
     const sourceKey = event.sourceVideoKey
       || manifest.sourceVideoKey
+      || manifest.input?.sourceKey
       || keyFor(env, tenantId, jobId, 'input', manifest.input?.originalFilename || '');
     
-    const sourcePath = pathFor(sourceKey);
-    if (!existsSync(sourcePath)) {
-      throw new VideoRenderError(
-        `Source video not found: ${sourceKey}`, 
-        'INPUT_NOT_FOUND',
-        { sourceKey, sourcePath }
-      );
+    try {
+      sourcePath = await localPathForRead(sourceKey);
+    } catch (storageErr) {
+      if (storageErr instanceof StorageNotFoundError) {
+        throw new VideoRenderError(
+          `Source video not found: ${sourceKey}`, 
+          'INPUT_NOT_FOUND',
+          { sourceKey }
+        );
+      }
+      throw storageErr;
     }
 
     logger.info('Source video resolved', { sourceKey });
@@ -150,7 +194,7 @@ export const handler = async (event, context) => {
     
     // Set up output path
     const outputKey = keyFor(env, tenantId, jobId, 'renders', 'base_cuts.mp4');
-    const outputPath = pathFor(outputKey);
+    outputPath = localPathForWrite(outputKey);
 
     logger.info('Starting FFmpeg processing', { 
       outputKey,
@@ -164,21 +208,26 @@ export const handler = async (event, context) => {
       fps: renderFps,
       threads,
       audioCodec: aCodec,
-      audioBitrate: aBitrate
+      audioBitrate: aBitrate,
+      signal: cancellation.signal,
+      // The output is only as long as the kept segments
+      durationSec: keeps.reduce((sum, seg) => sum + (seg.end - seg.start), 0),
+      onProgress: progressPublisher(env, tenantId, jobId, 'video-cuts'),
     };
 
     await runFilterGraph(sourcePath, outputPath, filterGraph, encodingOptions);
+    await commitLocalFile(outputPath, outputKey);
 
     logger.info('FFmpeg processing completed', { outputKey });
 
     // Probe output video for metadata
-    const probeResult = await probe(outputPath);
+    const probeResult = await probe(outputPath, { signal: cancellation.signal });
     const videoStream = (probeResult.streams || []).find(s => s.codec_type === 'video');
     const audioStream = (probeResult.streams || []).find(s => s.codec_type === 'audio');
     
     const durationSec = Number(probeResult.format?.duration || videoStream?.duration || 0);
     const resolution = videoStream ? `${videoStream.width}x${videoStream.height}` : undefined;
-    const fps = videoStream?.r_frame_rate || renderFps;
+    const fps = parseFrameRate(videoStream?.r_frame_rate) || Number(renderFps);
 
     logger.info('Video metadata extracted', { 
       durationSec, 
@@ -203,9 +252,6 @@ export const handler = async (event, context) => {
     });
 
     // Update manifest with render information
-    const updatedManifest = loadManifest(env, tenantId, jobId);
-    updatedManifest.renders = updatedManifest.renders || [];
-    
     const renderEntry = {
       key: outputKey,
       type: 'preview',
@@ -217,25 +263,26 @@ export const handler = async (event, context) => {
       renderedAt: new Date().toISOString(),
     };
 
-    updatedManifest.renders.push(renderEntry);
-    updatedManifest.updatedAt = new Date().toISOString();
-    
-    // Add render log entry
-    updatedManifest.logs = updatedManifest.logs || [];
-    updatedManifest.logs.push({
-      type: 'info',
-      message: `Video render completed: ${outputKey}`,
-      details: {
-        durationSec,
-        resolution,
-        fps,
-        keepSegments: keeps.length,
-        maxDriftMs: driftResult.maxDriftMs
-      },
-      createdAt: new Date().toISOString()
-    });
+    await updateManifest(env, tenantId, jobId, updatedManifest => {
+      updatedManifest.renders = updatedManifest.renders || [];
+      updatedManifest.renders.push(renderEntry);
+      completeStep(updatedManifest, 'video-cuts', [outputKey]);
 
-    saveManifest(env, tenantId, jobId, updatedManifest);
+      // Add render log entry
+      updatedManifest.logs = updatedManifest.logs || [];
+      updatedManifest.logs.push({
+        type: 'info',
+        message: `Video render completed: ${outputKey}`,
+        details: {
+          durationSec,
+          resolution,
+          fps,
+          keepSegments: keeps.length,
+          maxDriftMs: driftResult.maxDriftMs
+        },
+        createdAt: new Date().toISOString()
+      });
+    });
 
     // Emit success metrics
     metrics.addMetric('RenderSuccess', 'Count', 1);
@@ -263,6 +310,17 @@ export const handler = async (event, context) => {
     };
 
   } catch (error) {
+    if (isJobCancelledError(error)) {
+      logger.warn('Video render cancelled', { outputPath });
+      // Drop the partial render left by the killed FFmpeg run
+      if (outputPath) cleanupTempFiles([outputPath]);
+      await recordStepCancelled(env, tenantId, jobId, 'video-cuts').catch(stepErr =>
+        logger.warn('Failed to record step cancellation', { error: stepErr.message })
+      );
+      metrics.addMetric('RenderCancelled', 'Count', 1);
+      throw error;
+    }
+
     // Handle errors and update manifest
     const errorType = error.type || 'UNKNOWN_ERROR';
     const errorMessage = error.message || 'Unknown error occurred';
@@ -275,20 +333,20 @@ export const handler = async (event, context) => {
 
     // Update manifest with error status
     try {
-      const manifest = loadManifest(env, tenantId, jobId);
-      manifest.status = 'failed';
-      manifest.updatedAt = new Date().toISOString();
-      manifest.logs = manifest.logs || [];
-      manifest.logs.push({
-        type: 'error',
-        message: `Video render failed: ${errorMessage}`,
-        details: {
-          errorType,
-          ...error.details
-        },
-        createdAt: new Date().toISOString()
+      await updateManifest(env, tenantId, jobId, manifest => {
+        manifest.status = 'failed';
+        failStep(manifest, 'video-cuts', { type: errorType, message: errorMessage });
+        manifest.logs = manifest.logs || [];
+        manifest.logs.push({
+          type: 'error',
+          message: `Video render failed: ${errorMessage}`,
+          details: {
+            errorType,
+            ...error.details
+          },
+          createdAt: new Date().toISOString()
+        });
       });
-      saveManifest(env, tenantId, jobId, manifest);
     } catch (manifestError) {
       logger.error('Failed to update manifest with error', { 
         manifestError: manifestError.message 
@@ -301,5 +359,8 @@ export const handler = async (event, context) => {
 
     // Re-throw the error
     throw error;
+  } finally {
+    cancellation.stop();
+    await releaseLocalPath(sourcePath).catch(() => {});
   }
 };
\ No newline at end of file
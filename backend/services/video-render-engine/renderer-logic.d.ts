@@ -1,7 +1,15 @@
 /**
- * Execute command with proper error handling and buffer management
+ * Execute command with proper error handling and buffer management.
+ * Pass `opts.signal` to kill the child when the job is cancelled; the
+ * promise then rejects with the signal's reason. `opts.onProgress` receives
+ * FFmpeg encode progress (see ffmpegProgressParser).
  */
-export function execAsync(cmd: any, args: any, opts?: {}): Promise<{
+export function execAsync(cmd: any, args: any, opts?: {
+    signal?: AbortSignal;
+    onProgress?: (progress: import("../../lib/ffmpeg-runtime.js").FFmpegProgress) => void;
+    durationSec?: number;
+    [key: string]: any;
+}): Promise<{
     stdout: string;
     stderr: string;
 }>;
@@ -16,15 +24,16 @@ export function buildConcatFile(keepSegments: any[], sourcePath: string): string
  * Execute FFmpeg with concat demuxer for video concatenation
  * @param {string} concatPath - Path to concat file
  * @param {string} outputPath - Output video path
- * @param {Object} options - FFmpeg encoding options
+ * @param {Object} options - FFmpeg encoding options; `signal` aborts the run
  */
 export function runConcatDemuxer(concatPath: string, outputPath: string, options?: Object): Promise<void>;
 /**
  * Probe video file using ffprobe to extract metadata
  * @param {string} pathToFile - Path to video file
+ * @param {Object} options - `signal` aborts the probe
  * @returns {Object} Video metadata including duration, fps, resolution
  */
-export function probe(pathToFile: string): Object;
+export function probe(pathToFile: string, options?: { signal?: AbortSignal }): Object;
 /**
  * Measure A/V sync drift at cut boundaries
  * This is a placeholder implementation - in production this would
@@ -51,7 +60,8 @@ export function buildFilterGraph(keepSegments: any[]): string;
  * @param {string} sourcePath - Input video path
  * @param {string} outputPath - Output video path
  * @param {string} filterGraph - FFmpeg filtergraph
- * @param {Object} options - Encoding options
+ * @param {Object} options - Encoding options; `signal` aborts the run,
+ *   `onProgress` and `durationSec` report encode progress
  */
 export function runFilterGraph(sourcePath: string, outputPath: string, filterGraph: string, options?: Object): Promise<void>;
 /**
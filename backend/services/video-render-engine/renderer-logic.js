@@ -4,21 +4,33 @@ import { join } from 'node:path';
 import { tmpdir } from 'node:os';
 import { execFile } from 'node:child_process';
 import { promisify } from 'node:util';
-import { logger } from "scripts/logger.js";
+import { logger } from "../../../scripts/logger.js";
+import { ffmpegProgressParser } from '../../dist/ffmpeg-runtime.js';
 
 const execFileAsync = promisify(execFile);
 
 /**
- * Execute command with proper error handling and buffer management
+ * Execute command with proper error handling and buffer management.
+ * Pass `opts.signal` to kill the child when the job is cancelled; the
+ * promise then rejects with the signal's reason. `opts.onProgress` receives
+ * FFmpeg encode progress (see ffmpegProgressParser).
  */
 export async function execAsync(cmd, args, opts = {}) {
+  const { onProgress, durationSec, ...execOpts } = opts;
   try {
-    const result = await execFileAsync(cmd, args, { 
+    const pending = execFileAsync(cmd, args, { 
       maxBuffer: 50 * 1024 * 1024, 
-      ...opts 
+      ...execOpts 
     });
+    if (onProgress) {
+      pending.child.stderr?.on('data', ffmpegProgressParser(onProgress, durationSec));
+    }
+    const result = await pending;
     return result;
   } catch (err) {
+    if (opts.signal?.aborted) {
+      throw opts.signal.reason;
+    }
     // Attach stdout/stderr to error for debugging
     err.stdout = err.stdout || '';
     err.stderr = err.stderr || '';
@@ -52,7 +64,7 @@ export function buildConcatFile(keepSegments, sourcePath) {
  * Execute FFmpeg with concat demuxer for video concatenation
  * @param {string} concatPath - Path to concat file
  * @param {string} outputPath - Output video path
- * @param {Object} options - FFmpeg encoding options
+ * @param {Object} options - FFmpeg encoding options; `signal` aborts the run
  */
 export async function runConcatDemuxer(concatPath, outputPath, options = {}) {
   const codec = options.codec || 'libx264';
@@ -78,15 +90,16 @@ export async function runConcatDemuxer(concatPath, outputPath, options = {}) {
     outputPath,
   ];
 
-  await execAsync('ffmpeg', args);
+  await execAsync('ffmpeg', args, { signal: options.signal });
 }
 
 /**
  * Probe video file using ffprobe to extract metadata
  * @param {string} pathToFile - Path to video file
+ * @param {Object} options - `signal` aborts the probe
  * @returns {Object} Video metadata including duration, fps, resolution
  */
-export async function probe(pathToFile) {
+export async function probe(pathToFile, options = {}) {
   const ffprobePath = process.env.FFPROBE_PATH || 'ffprobe';
   
   const { stdout } = await execAsync(ffprobePath, [
@@ -95,7 +108,7 @@ export async function probe(pathToFile) {
     '-show_format',
     '-show_streams',
     pathToFile,
-  ]);
+  ], { signal: options.signal });
   
   return JSON.parse(stdout);
 }
@@ -173,7 +186,8 @@ export function buildFilterGraph(keepSegments) {
  * @param {string} sourcePath - Input video path
  * @param {string} outputPath - Output video path
  * @param {string} filterGraph - FFmpeg filtergraph
- * @param {Object} options - Encoding options
+ * @param {Object} options - Encoding options; `signal` aborts the run,
+ *   `onProgress` and `durationSec` report encode progress
  */
 export async function runFilterGraph(sourcePath, outputPath, filterGraph, options = {}) {
   const preset = options.preset || 'fast';
@@ -199,7 +213,11 @@ export async function runFilterGraph(sourcePath, outputPath, filterGraph, option
     outputPath,
   ];
 
-  await execAsync('ffmpeg', args);
+  await execAsync('ffmpeg', args, {
+    signal: options.signal,
+    onProgress: options.onProgress,
+    durationSec: options.durationSec,
+  });
 }
 
 /**
@@ -0,0 +1,98 @@
+/**
+ * Custom error class for transition errors
+ */
+export class TransitionError extends Error {
+    constructor(message: string, type: string, details?: Record<string, any>);
+    type: string;
+    details: Record<string, any>;
+}
+/**
+ * Error types for transition operations
+ */
+export const ERROR_TYPES: {
+    INVALID_KEEPS: string;
+    INVALID_DURATION: string;
+    UNSUPPORTED_TYPE: string;
+    INPUT_NOT_FOUND: string;
+    INVALID_PLAN: string;
+    DURATION_MISMATCH: string;
+    FFMPEG_EXECUTION: string;
+    MANIFEST_UPDATE: string;
+};
+/**
+ * Transition types buildCrossfadeChain can render: the xfade transition
+ * drawn over the picture and what the audio does at the join
+ */
+export const TRANSITIONS: Record<string, {
+    xfade: string | null;
+    audio: "crossfade" | "dip" | "cut";
+}>;
+export const TRANSITION_TYPES: string[];
+export interface TransitionSettings {
+    type: string;
+    durationMs: number;
+    audioFadeMs: number;
+}
+export interface TransitionKeep {
+    start: number;
+    end: number;
+    transition?: Partial<TransitionSettings>;
+}
+/**
+ * Transition parameters for a job: `config` over the TRANSITIONS_* env
+ * defaults
+ */
+export function resolveTransitionSettings(config?: Partial<TransitionSettings>, env?: Record<string, string | undefined>): TransitionSettings;
+/**
+ * Transition at each join; a keep's own `transition` sets the join into it
+ */
+export function resolveBoundaryTransitions(keeps: TransitionKeep[], config?: Partial<TransitionSettings>, env?: Record<string, string | undefined>): TransitionSettings[];
+/**
+ * Shorten each join's transition until the keeps can carry them
+ */
+export function fitBoundaryTransitions(keeps: TransitionKeep[], boundaries: TransitionSettings[]): TransitionSettings[];
+/**
+ * Length of the transitions render
+ */
+export function transitionsDuration(keeps: TransitionKeep[], transitions: TransitionSettings[] | number): number;
+/**
+ * Build FFmpeg trim nodes for video and audio streams
+ */
+export function buildTrimNodes(keeps: Array<{ start: number; end: number }>): string[];
+/**
+ * Build crossfade chain for video and audio transitions
+ */
+export function buildCrossfadeChain(keeps: Array<{ start: number; end: number }>, opts?: {
+    durationMs?: number;
+    audioFadeMs?: number;
+    boundaries?: TransitionSettings[];
+}): {
+    chain: string[];
+    vOut: string | null;
+    aOut: string | null;
+};
+/**
+ * Build complete transition filtergraph
+ */
+export function buildTransitionGraph(keeps: Array<{ start: number; end: number }>, opts?: {
+    durationMs?: number;
+    audioFadeMs?: number;
+    boundaries?: TransitionSettings[];
+}): {
+    filtergraph: string;
+    vOut: string | null;
+    aOut: string | null;
+};
+/**
+ * Execute FFmpeg with transition filtergraph
+ */
+export function runTransitions(sourcePath: string, outputPath: string, opts?: {
+    keeps: Array<{ start: number; end: number }>;
+    durationMs?: number;
+    audioFadeMs?: number;
+    boundaries?: TransitionSettings[];
+    fps?: number;
+    jobOptions?: Record<string, any>;
+    signal?: AbortSignal;
+    onProgress?: (progress: import("../../lib/ffmpeg-runtime.js").FFmpegProgress) => void;
+}): Promise<void>;
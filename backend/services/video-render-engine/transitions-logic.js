@@ -1,8 +1,6 @@
 // backend/services/video-render-engine/transitions-logic.js
-import { execFile } from 'node:child_process';
-import { promisify } from 'node:util';
-
-const execFileAsync = promisify(execFile);
+import { renderSettings } from '../../dist/job-options.js';
+import { execAsync } from './renderer-logic.js';
 
 /**
  * Custom error class for transition errors
@@ -22,31 +20,145 @@ export class TransitionError extends Error {
 export const ERROR_TYPES = {
   INVALID_KEEPS: 'INVALID_KEEPS',
   INVALID_DURATION: 'INVALID_DURATION',
-  FFMPEG_EXECUTION: 'FFMPEG_EXECUTION'
+  UNSUPPORTED_TYPE: 'UNSUPPORTED_TYPE',
+  INPUT_NOT_FOUND: 'INPUT_NOT_FOUND',
+  INVALID_PLAN: 'INVALID_PLAN',
+  DURATION_MISMATCH: 'DURATION_MISMATCH',
+  FFMPEG_EXECUTION: 'FFMPEG_EXECUTION',
+  MANIFEST_UPDATE: 'MANIFEST_UPDATE'
 };
 
 /**
- * Execute command with proper error handling and buffer management
- * @param {string} cmd - Command to execute
- * @param {Array} args - Command arguments
- * @param {Object} opts - Additional options
- * @returns {Promise<Object>} Promise resolving to {stdout, stderr}
+ * Transition types buildCrossfadeChain can render: the xfade transition
+ * drawn over the picture, and what the audio does at the join. `crossfade`
+ * audio overlaps both sides with acrossfade; `dip` fades the outgoing side
+ * out and the incoming side in, meeting halfway through the overlap; `cut`
+ * joins both sides as they are, without any overlap.
  */
-async function execAsync(cmd, args, opts = {}) {
-  try {
-    const result = await execFileAsync(cmd, args, {
-      maxBuffer: 50 * 1024 * 1024,
-      ...opts
-    });
-    return result;
-  } catch (err) {
-    // Attach stdout/stderr to error for debugging
-    err.stdout = err.stdout || '';
-    err.stderr = err.stderr || '';
-    throw err;
+export const TRANSITIONS = {
+  crossfade: { xfade: 'fade', audio: 'crossfade' },
+  'dip-to-black': { xfade: 'fadeblack', audio: 'dip' },
+  'dip-to-white': { xfade: 'fadewhite', audio: 'dip' },
+  'wipe-left': { xfade: 'wipeleft', audio: 'crossfade' },
+  'wipe-right': { xfade: 'wiperight', audio: 'crossfade' },
+  'wipe-up': { xfade: 'wipeup', audio: 'crossfade' },
+  'wipe-down': { xfade: 'wipedown', audio: 'crossfade' },
+  'slide-left': { xfade: 'slideleft', audio: 'crossfade' },
+  'slide-right': { xfade: 'slideright', audio: 'crossfade' },
+  'slide-up': { xfade: 'slideup', audio: 'crossfade' },
+  'slide-down': { xfade: 'slidedown', audio: 'crossfade' },
+  cut: { xfade: null, audio: 'cut' },
+};
+
+export const TRANSITION_TYPES = Object.keys(TRANSITIONS);
+
+function checkTransitionType(type, details = {}) {
+  if (!TRANSITION_TYPES.includes(type)) {
+    throw new TransitionError(
+      `Unsupported transition type: ${type} (supported: ${TRANSITION_TYPES.join(', ')})`,
+      ERROR_TYPES.UNSUPPORTED_TYPE,
+      { type, ...details }
+    );
   }
 }
 
+function checkTransitionDuration(name, value, details = {}) {
+  if (!(value > 0 && value <= 5000)) {
+    throw new TransitionError(
+      `Invalid transition ${name}: ${value} (must be 1-5000ms)`,
+      ERROR_TYPES.INVALID_DURATION,
+      { [name]: value, ...details }
+    );
+  }
+}
+
+/**
+ * Transition parameters for a job: `config` (the event's or the branding
+ * preset's `{type, durationMs, audioFadeMs}`) over the TRANSITIONS_* env
+ * defaults. The audio fade follows the video one unless set; a `cut` has
+ * no duration.
+ * @param {Object} config - Per-job transition settings
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} {type, durationMs, audioFadeMs}
+ */
+export function resolveTransitionSettings(config = {}, env = process.env) {
+  const type = config.type || env.TRANSITIONS_TYPE || 'crossfade';
+  checkTransitionType(type);
+  if (type === 'cut') return { type, durationMs: 0, audioFadeMs: 0 };
+  const durationMs = Number(config.durationMs ?? (env.TRANSITIONS_DURATION_MS || 300));
+  const audioFadeMs = Number(config.audioFadeMs ?? (env.TRANSITIONS_AUDIO_FADE_MS || durationMs));
+  checkTransitionDuration('durationMs', durationMs);
+  checkTransitionDuration('audioFadeMs', audioFadeMs);
+  return { type, durationMs, audioFadeMs };
+}
+
+/**
+ * Transition at each join. A keep's own `transition` (from the cut plan)
+ * sets the join into that keep; fields it leaves out come from the job's
+ * `config`, and a keep that changes only the duration changes the audio
+ * fade with it. The first keep's transition is ignored.
+ * @param {Array} keeps - Array of {start, end, transition?} keep segments
+ * @param {Object} config - Per-job transition settings
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Array} One {type, durationMs, audioFadeMs} per join
+ */
+export function resolveBoundaryTransitions(keeps, config = {}, env = process.env) {
+  return keeps.slice(1).map((keep, i) => {
+    const own = keep.transition || {};
+    const merged = {
+      ...config,
+      ...own,
+      audioFadeMs: own.audioFadeMs ?? (own.durationMs !== undefined ? own.durationMs : config.audioFadeMs),
+    };
+    try {
+      return resolveTransitionSettings(merged, env);
+    } catch (err) {
+      if (err instanceof TransitionError) err.details.keepIndex = i + 1;
+      throw err;
+    }
+  });
+}
+
+/**
+ * Shorten each join's transition until the keeps can carry them: a keep's
+ * length is shared between the overlapping joins at its two ends. Rounded
+ * down to 10 ms because the filtergraph writes seconds with two decimals
+ * and subtitles retime with the recorded values. A join left without any
+ * overlap comes back with a duration of 0.
+ * @param {Array} keeps - Array of {start, end} keep segments
+ * @param {Array} boundaries - Result of resolveBoundaryTransitions
+ * @returns {Array} Boundaries with durations that fit
+ */
+export function fitBoundaryTransitions(keeps, boundaries) {
+  const overlaps = b => !!b && b.type !== 'cut';
+  const shareMs = keeps.map((keep, i) => {
+    const joins = (overlaps(boundaries[i - 1]) ? 1 : 0) + (overlaps(boundaries[i]) ? 1 : 0);
+    return joins ? Math.round((keep.end - keep.start) * 1000) / joins : Infinity;
+  });
+  return boundaries.map((b, j) => {
+    if (!overlaps(b)) return { ...b };
+    const limitMs = Math.min(shareMs[j], shareMs[j + 1]);
+    const fit = ms => Math.floor(Math.min(ms, limitMs) / 10) * 10;
+    return { ...b, durationMs: fit(b.durationMs), audioFadeMs: fit(b.audioFadeMs) };
+  });
+}
+
+/**
+ * Length of the transitions render: each join overlaps its keeps by its
+ * transition's duration
+ * @param {Array} keeps - Array of {start, end} keep segments
+ * @param {Array|number} transitions - Boundaries, or one duration (ms) for every join
+ * @returns {number} Seconds
+ */
+export function transitionsDuration(keeps, transitions) {
+  const total = keeps.reduce((sum, k) => sum + (k.end - k.start), 0);
+  const overlapMs = Array.isArray(transitions)
+    ? transitions.reduce((sum, b) => sum + b.durationMs, 0)
+    : Math.max(keeps.length - 1, 0) * Number(transitions);
+  // Whole microseconds, so float noise does not reach the manifest
+  return Math.round((total - overlapMs / 1000) * 1e6) / 1e6;
+}
+
 /**
  * Convert seconds to SS.FF format for FFmpeg
  * @param {number} seconds - Time in seconds
@@ -83,7 +195,9 @@ export function buildTrimNodes(keeps) {
 /**
  * Build crossfade chain for video and audio transitions
  * @param {Array} keeps - Array of {start, end} keep segments
- * @param {Object} opts - Options including durationMs and audioFadeMs
+ * @param {Object} opts - Options including durationMs and audioFadeMs for a
+ *   crossfade at every join, or `boundaries` (one {type, durationMs,
+ *   audioFadeMs} per join, see resolveBoundaryTransitions)
  * @returns {Object} Object with chain array and output labels {chain, vOut, aOut}
  */
 export function buildCrossfadeChain(keeps, opts = {}) {
@@ -91,24 +205,29 @@ export function buildCrossfadeChain(keeps, opts = {}) {
   if (n === 0) return { chain: [], vOut: null, aOut: null };
   if (n === 1) return { chain: [], vOut: '[v0]', aOut: '[a0]' };
 
-  const durationMs = Number(opts.durationMs || 300);
-  if (!(durationMs > 0 && durationMs <= 5000)) {
-    throw new TransitionError(
-      `Invalid transition duration: ${durationMs}ms (must be 1-5000ms)`,
-      ERROR_TYPES.INVALID_DURATION,
-      { durationMs }
-    );
+  let boundaries = opts.boundaries;
+  if (boundaries) {
+    boundaries.forEach((b, i) => {
+      checkTransitionType(b.type, { keepIndex: i + 1 });
+      if (b.type !== 'cut') {
+        checkTransitionDuration('durationMs', Number(b.durationMs), { keepIndex: i + 1 });
+        checkTransitionDuration('audioFadeMs', Number(b.audioFadeMs), { keepIndex: i + 1 });
+      }
+    });
+  } else {
+    const durationMs = Number(opts.durationMs || 300);
+    checkTransitionDuration('durationMs', durationMs);
+    const audioFadeMs = Number(opts.audioFadeMs || durationMs);
+    boundaries = Array.from({ length: n - 1 }, () => ({ type: 'crossfade', durationMs, audioFadeMs }));
   }
-  const d = durationMs / 1000;
-
-  const audioFadeMs = Number(opts.audioFadeMs || durationMs);
-  const audioD = audioFadeMs / 1000;
 
   const chain = [];
   let curV = '[v0]';
   let curA = '[a0]';
 
-  // Cumulative offset: total emitted timeline length so far (accounting for overlaps)
+  // Cumulative offset: total emitted timeline length so far (accounting for
+  // overlaps). Every join overlaps the audio by the same amount as the
+  // picture, so both streams share this offset
   let offset = keeps[0].end - keeps[0].start;
 
   for (let i = 1; i < n; i++) {
@@ -116,19 +235,52 @@ export function buildCrossfadeChain(keeps, opts = {}) {
     const nextA = `[a${i}]`;
     const vOut = `[vx${i}]`;
     const aOut = `[ax${i}]`;
+    const boundary = boundaries[i - 1];
+    const { xfade, audio } = TRANSITIONS[boundary.type];
+    const length = keeps[i].end - keeps[i].start;
 
-    const fadeOffset = offset - d;
+    if (audio === 'cut') {
+      chain.push(`${curV}${nextV}concat=n=2:v=1:a=0 ${vOut}`);
+      chain.push(`${curA}${nextA}concat=n=2:v=0:a=1 ${aOut}`);
+      offset += length;
+    } else {
+      const d = boundary.durationMs / 1000;
+      const fadeOffset = Number((offset - d).toFixed(2));
 
-    // Video xfade (label outputs explicitly)
-    // Note: xfade is crossfade by default, no transition parameter needed
-    chain.push(
-      `${curV}${nextV}xfade=duration=${d.toFixed(2)}:offset=${fadeOffset.toFixed(2)} ${vOut}`
-    );
+      // Video xfade (label outputs explicitly)
+      // Note: xfade is crossfade by default, so only other types name theirs
+      const transition = boundary.type === 'crossfade' ? '' : `transition=${xfade}:`;
+      chain.push(
+        `${curV}${nextV}xfade=${transition}duration=${d.toFixed(2)}:offset=${fadeOffset.toFixed(2)} ${vOut}`
+      );
 
-    // Audio acrossfade with two inputs and labeled output
-    chain.push(`${curA}${nextA}acrossfade=d=${audioD.toFixed(2)} ${aOut}`);
+      if (audio === 'dip') {
+        // The picture dips halfway through the overlap: the outgoing audio
+        // fades out until then and the incoming audio fades in from there
+        const half = d / 2;
+        chain.push(
+          `${curA}atrim=end=${(fadeOffset + half).toFixed(3)},afade=t=out:st=${fadeOffset.toFixed(3)}:d=${half.toFixed(3)} [ao${i}]`
+        );
+        chain.push(
+          `${nextA}atrim=start=${half.toFixed(3)},asetpts=PTS-STARTPTS,afade=t=in:st=0:d=${half.toFixed(3)} [ai${i}]`
+        );
+        chain.push(`[ao${i}][ai${i}]concat=n=2:v=0:a=1 ${aOut}`);
+      } else {
+        // The audio crossfades at the start of the overlap; a fade shorter
+        // than the picture's drops the rest of the outgoing audio so the
+        // incoming audio still starts with the incoming picture
+        const fade = Math.min(boundary.audioFadeMs / 1000, d);
+        let outgoing = curA;
+        if (fade < d) {
+          outgoing = `[at${i}]`;
+          chain.push(`${curA}atrim=end=${(fadeOffset + fade).toFixed(3)} ${outgoing}`);
+        }
+        chain.push(`${outgoing}${nextA}acrossfade=d=${fade.toFixed(2)} ${aOut}`);
+      }
+      // xfade starts the incoming keep at the rounded offset
+      offset = fadeOffset + length;
+    }
 
-    offset += (keeps[i].end - keeps[i].start) - d;
     curV = vOut;
     curA = aOut;
   }
@@ -139,7 +291,8 @@ export function buildCrossfadeChain(keeps, opts = {}) {
 /**
  * Build complete transition filtergraph
  * @param {Array} keeps - Array of {start, end} keep segments
- * @param {Object} opts - Options including durationMs and audioFadeMs
+ * @param {Object} opts - Options including durationMs and audioFadeMs, or
+ *   boundaries (see buildCrossfadeChain)
  * @returns {Object} Object with filtergraph string and output labels {filtergraph, vOut, aOut}
  */
 export function buildTransitionGraph(keeps, opts = {}) {
@@ -153,22 +306,28 @@ export function buildTransitionGraph(keeps, opts = {}) {
  * Execute FFmpeg with transition filtergraph
  * @param {string} sourcePath - Path to source video file
  * @param {string} outputPath - Path to output video file
- * @param {Object} opts - Options including keeps, durationMs, audioFadeMs, fps
+ * @param {Object} opts - Options including keeps, durationMs, audioFadeMs or
+ *   boundaries (see buildCrossfadeChain), fps,
+ *   and jobOptions (the manifest's `options`, over the RENDER_* env defaults);
+ *   `signal` aborts the run and `onProgress` receives encode progress
  * @returns {Promise<void>} Promise that resolves when FFmpeg completes
  */
 export async function runTransitions(sourcePath, outputPath, opts = {}) {
   const codec = 'libx264';
-  const preset = process.env.RENDER_PRESET || 'fast';
-  const crf = String(process.env.RENDER_CRF ?? '20');
-  const fps = String(opts.fps || process.env.RENDER_FPS || '30');
-  const aCodec = process.env.RENDER_AUDIO_CODEC || 'aac';
-  const aBitrate = process.env.RENDER_AUDIO_BITRATE || '192k';
-  const threads = String(process.env.RENDER_THREADS || '2');
+  const {
+    preset,
+    crf,
+    fps,
+    audioCodec: aCodec,
+    audioBitrate: aBitrate,
+    threads,
+  } = renderSettings(opts.jobOptions, opts.fps);
 
   try {
     const { filtergraph, vOut, aOut } = buildTransitionGraph(opts.keeps, {
       durationMs: opts.durationMs,
-      audioFadeMs: opts.audioFadeMs
+      audioFadeMs: opts.audioFadeMs,
+      boundaries: opts.boundaries
     });
 
     const args = [
@@ -188,8 +347,13 @@ export async function runTransitions(sourcePath, outputPath, opts = {}) {
     ];
 
     const ffmpegPath = process.env.FFMPEG_PATH || 'ffmpeg';
-    await execAsync(ffmpegPath, args);
+    await execAsync(ffmpegPath, args, {
+      signal: opts.signal,
+      onProgress: opts.onProgress,
+      durationSec: transitionsDuration(opts.keeps, opts.boundaries ?? (opts.durationMs || 300)),
+    });
   } catch (err) {
+    if (err instanceof TransitionError || opts.signal?.aborted) throw err;
     throw new TransitionError(
       `FFmpeg execution failed: ${err.message}`,
       ERROR_TYPES.FFMPEG_EXECUTION,
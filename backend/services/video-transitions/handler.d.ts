@@ -0,0 +1,12 @@
+export function handler(event: any, context?: any): Promise<{
+    ok: boolean;
+    skipped?: boolean;
+    outputKey?: string;
+    durationSec?: number;
+    resolution?: string;
+    fps?: number;
+    joins?: number;
+    transition?: import("../video-render-engine/transitions-logic.js").TransitionSettings;
+    boundaries?: import("../video-render-engine/transitions-logic.js").TransitionSettings[];
+    correlationId: any;
+}>;
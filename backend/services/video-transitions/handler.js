@@ -0,0 +1,270 @@
+// backend/services/video-transitions/handler.js
+import { readFileSync } from 'node:fs';
+import { initObservability } from '../../dist/init-observability.js';
+import {
+  currentEnv,
+  keyFor,
+  getStorageDriver,
+  localPathForRead,
+  localPathForWrite,
+  commitLocalFile,
+  releaseLocalPath,
+  StorageNotFoundError,
+} from '../../dist/storage.js';
+import { loadManifest, updateManifest } from '../../dist/manifest.js';
+import { jobOptionsFor } from '../../dist/job-options.js';
+import { recordStepStart, completeStep, failStep, skipStep } from '../../dist/steps.js';
+import {
+  watchJobCancellation,
+  isJobCancelledError,
+  recordStepCancelled,
+} from '../../dist/cancellation.js';
+import { progressPublisher } from '../../dist/job-events.js';
+import { parseFrameRate } from '../../dist/ffmpeg-runtime.js';
+import { probe } from '../video-render-engine/renderer-logic.js';
+import {
+  TransitionError,
+  ERROR_TYPES,
+  resolveTransitionSettings,
+  resolveBoundaryTransitions,
+  fitBoundaryTransitions,
+  transitionsDuration,
+  runTransitions,
+} from '../video-render-engine/transitions-logic.js';
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+
+const ajv = new Ajv({ allErrors: true });
+addFormats(ajv);
+const cutPlanSchema = JSON.parse(
+  readFileSync(new URL('../../../docs/schemas/cut_plan.schema.json', import.meta.url), 'utf-8')
+);
+const validateCutPlan = ajv.compile(cutPlanSchema);
+
+async function loadPlan(storage, planKey) {
+  let plan;
+  try {
+    plan = JSON.parse((await storage.get(planKey)).toString('utf-8'));
+  } catch (e) {
+    if (e instanceof StorageNotFoundError) {
+      throw new TransitionError(`Cut plan not found: ${planKey}`, ERROR_TYPES.INPUT_NOT_FOUND, { planKey });
+    }
+    if (e instanceof SyntaxError) {
+      throw new TransitionError(`Cut plan is not valid JSON: ${planKey}`, ERROR_TYPES.INVALID_PLAN, { planKey });
+    }
+    throw e;
+  }
+  if (!validateCutPlan(plan)) {
+    const errors = validateCutPlan.errors.map(err => `${err.instancePath || 'root'}: ${err.message}`).join(', ');
+    throw new TransitionError(`Cut plan validation failed: ${errors}`, ERROR_TYPES.INVALID_PLAN, {
+      planKey,
+      errors: validateCutPlan.errors,
+    });
+  }
+  return plan;
+}
+
+/**
+ * Main Lambda handler for the video-transitions step: re-renders the cut
+ * plan's keeps from the source, joined by each boundary's transition
+ * (crossfade, dip, wipe, slide or hard cut), as `renders/with_transitions.mp4`
+ */
+export const handler = async (event, context) => {
+  const { tenantId, jobId } = event;
+  const env = event.env || currentEnv();
+  const correlationId = event.correlationId || context?.awsRequestId || `local-${Date.now()}`;
+  const { logger, metrics } = initObservability({
+    serviceName: 'VideoTransitions',
+    correlationId, tenantId, jobId, step: 'video-transitions',
+  });
+
+  const storage = getStorageDriver();
+  const cancellation = watchJobCancellation(env, tenantId, jobId);
+  let sourcePath;
+  let outputPath;
+
+  try {
+    cancellation.throwIfCancelled();
+    const jobOptions = jobOptionsFor(env, tenantId, jobId);
+
+    // The pipeline passes its applyTransitions (which a retry may override);
+    // direct invocations fall back to the job's option
+    if (!(event.applyTransitions ?? jobOptions.applyTransitions)) {
+      logger.info('Transitions not requested; skipping');
+      await updateManifest(env, tenantId, jobId, m => {
+        skipStep(m, 'video-transitions');
+      });
+      return { ok: true, skipped: true, correlationId };
+    }
+
+    await recordStepStart(env, tenantId, jobId, 'video-transitions').catch(e =>
+      logger.warn('Failed to record step start', { error: e.message })
+    );
+
+    const manifest = loadManifest(env, tenantId, jobId);
+    const planKey = event.planKey || manifest.plan?.key || keyFor(env, tenantId, jobId, 'plan', 'cut_plan.json');
+    const plan = await loadPlan(storage, planKey);
+    const keeps = (plan.cuts || [])
+      .filter(cut => cut.type === 'keep')
+      .map(cut => ({ start: Number(cut.start), end: Number(cut.end), transition: cut.transition }));
+    if (keeps.length === 0) {
+      throw new TransitionError('No keep segments found in cut plan', ERROR_TYPES.INVALID_PLAN, {
+        planKey,
+        totalCuts: plan.cuts?.length || 0,
+      });
+    }
+
+    // Trims come from the source, like the base cuts, so each join can overlap
+    const sourceKey = event.sourceVideoKey
+      || manifest.sourceVideoKey
+      || manifest.input?.sourceKey
+      || keyFor(env, tenantId, jobId, 'input', manifest.input?.originalFilename || '');
+    try {
+      sourcePath = await localPathForRead(sourceKey);
+    } catch (e) {
+      if (e instanceof StorageNotFoundError) {
+        throw new TransitionError(`Source video not found: ${sourceKey}`, ERROR_TYPES.INPUT_NOT_FOUND, { sourceKey });
+      }
+      throw e;
+    }
+
+    // Event settings, else the branding preset's default transition; keeps
+    // in the cut plan can set their own
+    const config = event.transition ?? manifest.extra?.branding?.defaultTransition ?? {};
+    const transition = resolveTransitionSettings(config);
+    const requested = resolveBoundaryTransitions(keeps, config);
+    const boundaries = fitBoundaryTransitions(keeps, requested);
+    boundaries.forEach((b, i) => {
+      if (b.type !== 'cut' && !(b.durationMs > 0 && b.audioFadeMs > 0)) {
+        throw new TransitionError(`Keep segments are too short for a ${b.type} transition`, ERROR_TYPES.INVALID_DURATION, {
+          keepIndex: i + 1,
+          keepSec: [keeps[i].end - keeps[i].start, keeps[i + 1].end - keeps[i + 1].start],
+        });
+      }
+    });
+    const adjusted = boundaries
+      .map((b, i) => ({ keepIndex: i + 1, type: b.type, requestedMs: requested[i].durationMs, durationMs: b.durationMs }))
+      .filter(b => b.durationMs < b.requestedMs);
+    if (adjusted.length) {
+      logger.warn('Adjusted transitions to fit the keep segments', { adjusted });
+    }
+    const joins = boundaries.length;
+    const typeCounts = {};
+    for (const b of boundaries) typeCounts[b.type] = (typeCounts[b.type] || 0) + 1;
+    const summary = Object.entries(typeCounts).map(([type, count]) => `${type}:${count}`).join(',') || 'none';
+
+    const outputKey = keyFor(env, tenantId, jobId, 'renders', 'with_transitions.mp4');
+    // Rendered to a staging file, so a bad render never replaces the last one
+    outputPath = localPathForWrite(outputKey, { staged: true });
+    cancellation.throwIfCancelled();
+
+    logger.info('Rendering transitions', { sourceKey, outputKey, keepSegments: keeps.length, transitions: summary });
+    await runTransitions(sourcePath, outputPath, {
+      keeps,
+      boundaries,
+      fps: event.targetFps,
+      jobOptions,
+      signal: cancellation.signal,
+      onProgress: progressPublisher(env, tenantId, jobId, 'video-transitions'),
+    });
+
+    const probeResult = await probe(outputPath, { signal: cancellation.signal });
+    const videoStream = (probeResult.streams || []).find(s => s.codec_type === 'video');
+    const durationSec = Number(probeResult.format?.duration || videoStream?.duration || 0);
+    const resolution = videoStream ? `${videoStream.width}x${videoStream.height}` : undefined;
+    const fps = parseFrameRate(videoStream?.r_frame_rate) || Number(event.targetFps || jobOptions.render?.fps || 30);
+
+    // Subtitles are retimed from the plan with the recorded overlaps, so the
+    // render must be as long as that timeline says
+    const expectedDurationSec = transitionsDuration(keeps, boundaries);
+    const toleranceSec = 1 / fps + 0.01 * keeps.length;
+    if (Math.abs(durationSec - expectedDurationSec) > toleranceSec) {
+      throw new TransitionError(
+        `Transitions render is ${durationSec.toFixed(3)}s, expected ${expectedDurationSec.toFixed(3)}s`,
+        ERROR_TYPES.DURATION_MISMATCH,
+        { outputKey, durationSec, expectedDurationSec, toleranceSec }
+      );
+    }
+    await commitLocalFile(outputPath, outputKey);
+
+    const renderedAt = new Date().toISOString();
+    const renderEntry = {
+      key: outputKey,
+      type: 'preview',
+      codec: 'h264',
+      durationSec,
+      resolution,
+      fps,
+      notes: `transitions=${summary}`,
+      renderedAt,
+    };
+
+    try {
+      await updateManifest(env, tenantId, jobId, m => {
+        // Re-runs replace the previous transitions render
+        m.renders = [...(m.renders || []).filter(r => r.key !== outputKey), renderEntry];
+        m.extra = m.extra || {};
+        // type/durationMs/audioFadeMs are the job's default; boundaries
+        // hold what each join actually used
+        m.extra['video-transitions'] = {
+          ...transition,
+          boundaries,
+          joins,
+          sourceKey,
+          planKey,
+          outputKey,
+          expectedDurationSec,
+          renderedAt,
+        };
+        completeStep(m, 'video-transitions', [outputKey]);
+        m.logs = m.logs || [];
+        m.logs.push({
+          type: 'info',
+          message: `Transitions applied at ${joins} join(s): ${summary}`,
+          details: { sourceKey, outputKey, keepSegments: keeps.length, durationSec, boundaries },
+          createdAt: renderedAt,
+        });
+      });
+    } catch (e) {
+      throw new TransitionError(`Manifest update failed: ${e.message}`, ERROR_TYPES.MANIFEST_UPDATE);
+    }
+
+    metrics.addMetric('VideoTransitionsApplied', 'Count', joins - (typeCounts.cut || 0));
+    metrics.addMetric('VideoTransitionsDurationMs', 'Milliseconds', boundaries.reduce((sum, b) => sum + b.durationMs, 0));
+    logger.info('Transitions completed', { outputKey, durationSec, resolution, fps, joins });
+
+    return { ok: true, outputKey, durationSec, resolution, fps, joins, transition, boundaries, correlationId };
+  } catch (err) {
+    if (isJobCancelledError(err)) {
+      logger.warn('Transitions cancelled', { outputPath });
+      await recordStepCancelled(env, tenantId, jobId, 'video-transitions').catch(e =>
+        logger.warn('Failed to record step cancellation', { error: e.message })
+      );
+      metrics.addMetric('VideoTransitionsCancelled', 'Count', 1);
+      throw err;
+    }
+
+    logger.error('Transitions failed', { error: err.message, type: err.type, details: err.details });
+    metrics.addMetric('VideoTransitionsError', 'Count', 1);
+    metrics.addMetric(`VideoTransitionsError_${err.type || 'UNKNOWN'}`, 'Count', 1);
+    try {
+      await updateManifest(env, tenantId, jobId, manifest => {
+        manifest.status = 'failed';
+        failStep(manifest, 'video-transitions', { type: err.type, message: err.message });
+        manifest.logs = manifest.logs || [];
+        manifest.logs.push({
+          type: 'error',
+          message: `Transitions failed: ${err.message}`,
+          createdAt: new Date().toISOString(),
+        });
+      });
+    } catch {
+      // Ignore errors when trying to log the failure - we're already handling the main error
+    }
+    throw err;
+  } finally {
+    cancellation.stop();
+    // Drops the staged render when the step did not commit it
+    await Promise.all([releaseLocalPath(sourcePath), releaseLocalPath(outputPath)]).catch(() => {});
+  }
+};
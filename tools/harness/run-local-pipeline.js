@@ -7,117 +7,126 @@ import path from 'node:path';
 
 // Import storage and manifest helpers
 import { keyFor, pathFor, ensureDirForFile } from '../../backend/dist/storage.js';
-import { saveManifest, loadManifest } from '../../backend/dist/manifest.js';
+import { saveManifest, loadManifest, manifestKey } from '../../backend/dist/manifest.js';
+import { getJobTable, jobSortFor } from '../../backend/dist/job-table.js';
 import { logger } from "../../scripts/logger.js";
 
-async function main() {
-  // Parse CLI arguments
-  const { values } = parseArgs({
-    options: {
-      env: { type: 'string', default: 'dev' },
-      tenant: { type: 'string', default: 't-local' },
-      job: { type: 'string', default: 'auto' },
-      input: { type: 'string' },
-      goldens: { type: 'string' },
-      strict: { type: 'boolean', default: false }
-    }
-  });
-
-  if (!values.input) {
-    logger.error('Error: --input is required');
-    process.exit(1);
-  }
-
-  const jobId = values.job === 'auto' ? uuidv4() : (values.job.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i) ? values.job : uuidv4());
-  const env = values.env;
-  const tenantId = values.tenant;
-
+/**
+ * Seed the input video and an initial manifest for a new job
+ */
+async function seedJob({ env, tenantId, jobId, input }) {
   logger.info(`[harness] Starting pipeline: env=${env}, tenant=${tenantId}, job=${jobId}`);
 
   // 1. Seed input
-  const inputKey = keyFor(env, tenantId, jobId, 'input', path.basename(values.input));
+  const inputKey = keyFor(env, tenantId, jobId, 'input', path.basename(input));
   const inputPath = pathFor(inputKey);
   ensureDirForFile(inputPath);
-  copyFileSync(values.input, inputPath);
+  copyFileSync(input, inputPath);
   logger.info(`[harness] Input seeded: ${inputKey}`);
 
-  // 2. Create initial manifest
+  // 2. Create initial manifest, with a jobs table row so listJobs sees it
+  const createdAt = new Date().toISOString();
   const manifest = {
     schemaVersion: '1.0.0',
     env,
     tenantId,
     jobId,
     status: 'pending',
-    createdAt: new Date().toISOString(),
-    updatedAt: new Date().toISOString(),
+    createdAt,
+    updatedAt: createdAt,
     input: {
       sourceKey: inputKey,
-      originalFilename: path.basename(values.input),
-      bytes: readFileSync(values.input).length,
-      mimeType: 'video/mp4'
+      originalFilename: path.basename(input),
+      bytes: readFileSync(input).length,
+      mimeType: 'video/mp4',
+      uploadedAt: new Date().toISOString()
     }
   };
   saveManifest(env, tenantId, jobId, manifest);
+  await getJobTable().putItem({
+    tenantId,
+    jobSort: jobSortFor(createdAt, jobId),
+    jobId,
+    status: 'pending',
+    env,
+    manifestKey: manifestKey(env, tenantId, jobId),
+    createdAt,
+    updatedAt: createdAt,
+  });
   logger.info(`[harness] Manifest created`);
+}
 
-  // 3. Invoke handlers in sequence
-  const handlers = [
-    { name: 'audio-extraction', path: '../../backend/services/audio-extraction/handler.cjs' },
-    { name: 'transcription', path: '../../backend/services/transcription/handler.js' },
-    { name: 'smart-cut-planner', path: '../../backend/services/smart-cut-planner/handler.js' },
-    { name: 'video-render-engine', path: '../../backend/services/video-render-engine/handler-simple.cjs' }
-  ];
+async function main() {
+  // Parse CLI arguments
+  const { values } = parseArgs({
+    options: {
+      env: { type: 'string', default: 'dev' },
+      tenant: { type: 'string', default: 't-local' },
+      job: { type: 'string', default: 'auto' },
+      input: { type: 'string' },
+      goldens: { type: 'string' },
+      strict: { type: 'boolean', default: false },
+      transitions: { type: 'boolean', default: false },
+      // Re-run an existing --job from this step, reusing earlier artifacts
+      'from-step': { type: 'string' }
+    }
+  });
 
-  for (const handler of handlers) {
+  const fromStep = values['from-step'];
+  const isJobId = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(values.job);
+  if (fromStep && !isJobId) {
+    logger.error('Error: --from-step requires --job <existing job id>');
+    process.exit(1);
+  }
+  if (!fromStep && !values.input) {
+    logger.error('Error: --input is required');
+    process.exit(1);
+  }
+
+  const jobId = isJobId ? values.job : uuidv4();
+  const env = values.env;
+  const tenantId = values.tenant;
+  // Handlers resolve the environment from TALKAVOCADO_ENV when invoked by the state machine
+  process.env.TALKAVOCADO_ENV = env;
+
+  if (fromStep) {
+    const { prepareJobRetry, JobRetryError } = await import('../../backend/dist/job-retry.js');
     try {
-      logger.info(`[harness] Running ${handler.name}...`);
-      const { handler: fn } = await import(handler.path);
-      
-      // Build event based on handler requirements
-      let event = { env, tenantId, jobId, inputKey };
-      
-      // Transcription needs audioKey from manifest (after audio extraction)
-      if (handler.name === 'transcription') {
-        const manifest = loadManifest(env, tenantId, jobId);
-        const audioKey = manifest.audio?.key;
-        if (!audioKey) {
-          throw new Error(`Audio key not found in manifest for transcription. Audio extraction must complete first.`);
-        }
-        event = { env, tenantId, jobId, audioKey };
-      }
-      
-      // Smart cut planner needs transcriptKey
-      if (handler.name === 'smart-cut-planner') {
-        const transcriptKey = keyFor(env, tenantId, jobId, 'transcripts', 'transcript.json');
-        event = { env, tenantId, jobId, transcriptKey };
-      }
-      
-      // Video render engine needs planKey and sourceVideoKey
-      if (handler.name === 'video-render-engine') {
-        const planKey = keyFor(env, tenantId, jobId, 'plan', 'cut_plan.json');
-        const sourceVideoKey = keyFor(env, tenantId, jobId, 'input', path.basename(values.input));
-        event = { env, tenantId, jobId, planKey, sourceVideoKey };
-      }
-      
-      const context = { awsRequestId: `local-${Date.now()}` };
-      await fn(event, context);
-      logger.info(`[harness] ✓ ${handler.name} completed`);
-    } catch (error) {
-      logger.error(`[harness] ✗ ${handler.name} failed:`, error.message);
-      // Update manifest status to failed
-      const m = loadManifest(env, tenantId, jobId);
-      m.status = 'failed';
-      m.updatedAt = new Date().toISOString();
-      saveManifest(env, tenantId, jobId, m);
+      const { previousStatus, resetSteps } = await prepareJobRetry(env, tenantId, jobId, fromStep);
+      logger.info(`[harness] Retrying job ${jobId} from ${fromStep} (was ${previousStatus}; reset: ${resetSteps.join(', ') || 'none'})`);
+    } catch (err) {
+      if (!(err instanceof JobRetryError)) throw err;
+      logger.error(`[harness] Cannot retry: ${err.message}`);
       process.exit(1);
     }
+  } else {
+    await seedJob({ env, tenantId, jobId, input: values.input });
+  }
+
+  // 3. Run the deployed state machine definition through the local interpreter
+  const { executeStateMachine, loadStateMachineDefinition } = await import('../../backend/dist/asl-interpreter.js');
+  const result = await executeStateMachine(
+    loadStateMachineDefinition(),
+    {
+      tenantId,
+      jobId,
+      correlationId: `harness-${jobId}`,
+      applyTransitions: values.transitions
+    },
+    { executionId: `harness-${jobId}`, startAt: fromStep }
+  );
+
+  for (const step of result.history) {
+    const mark = step.error ? '✗' : '✓';
+    const note = step.error ? ` (${step.error})` : '';
+    logger.info(`[harness] ${mark} ${step.state}${note}`);
   }
 
-  // 4. Mark completed
   const finalManifest = loadManifest(env, tenantId, jobId);
-  finalManifest.status = 'completed';
-  finalManifest.updatedAt = new Date().toISOString();
-  saveManifest(env, tenantId, jobId, finalManifest);
+  if (result.status !== 'SUCCEEDED' || finalManifest.status !== 'completed') {
+    logger.error(`[harness] Pipeline failed: ${result.error || finalManifest.status} ${result.cause || ''}`);
+    process.exit(1);
+  }
 
   logger.info(`[harness] Pipeline completed successfully`);
 